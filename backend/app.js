@@ -9,6 +9,7 @@ require('dotenv').config();
 const AppConfig = require('./config/app');
 const DatabaseConfig = require('./config/database');
 const CloudinaryConfig = require('./config/cloudinary');
+const StorageService = require('./services/StorageService');
 
 const app = express();
 
@@ -20,7 +21,10 @@ if (!configValidation.valid) {
 }
 
 // Initialize configurations
-CloudinaryConfig.configure();
+const storageConfig = AppConfig.getStorageConfig();
+if (storageConfig.provider === 'cloudinary') {
+  CloudinaryConfig.configure();
+}
 
 // Connect to database
 DatabaseConfig.connect();
@@ -60,21 +64,48 @@ const limiter = rateLimit({
     error: rateLimitConfig.message
   },
   standardHeaders: rateLimitConfig.standardHeaders,
-  legacyHeaders: rateLimitConfig.legacyHeaders
+  legacyHeaders: rateLimitConfig.legacyHeaders,
+  // Chunked uploads send one request per part; sessions themselves are rate limited on init.
+  // File lists load one thumbnail per card, and the search box asks for suggestions while typing
+  skip: (req) => (req.method === 'PUT' && req.path.startsWith('/api/files/uploads/'))
+    || (req.method === 'GET' && /^\/api\/files\/[^/]+\/thumbnail$/.test(req.path))
+    || (req.method === 'GET' && req.path === '/api/files/search/suggest')
 });
 app.use(limiter);
 
 // Routes
 const authRoutes = require('./routes/auth');
 const fileRoutes = require('./routes/files');
+const uploadRoutes = require('./routes/uploads');
+const bulkRoutes = require('./routes/bulk');
+const folderRoutes = require('./routes/folders');
+const collectionRoutes = require('./routes/collections');
+const groupRoutes = require('./routes/groups');
+const shareLinkRoutes = require('./routes/shareLinks');
+const searchRoutes = require('./routes/search');
+const savedSearchRoutes = require('./routes/savedSearches');
+const trashRoutes = require('./routes/trash');
+const jobRoutes = require('./routes/jobs');
+const eventRoutes = require('./routes/events');
 
 app.use('/api/auth', authRoutes);
+app.use('/api/files/uploads', uploadRoutes);
+app.use('/api/files/bulk', bulkRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/s', shareLinkRoutes);
 
 // Health check endpoint with detailed status
 app.get('/health', (req, res) => {
   const dbStatus = DatabaseConfig.getConnectionStatus();
-  const cloudinaryStatus = CloudinaryConfig.getConfigStatus();
+  const storageStatus = StorageService.getStatus();
   
   res.status(200).json({
     success: true,
@@ -85,7 +116,7 @@ app.get('/health', (req, res) => {
     status: {
       server: '✅ Running',
       database: `${dbStatus.state === 'connected' ? '✅' : '❌'} ${dbStatus.state}`,
-      cloudinary: `${cloudinaryStatus.configured ? '✅' : '❌'} ${cloudinaryStatus.configured ? 'Connected' : 'Not configured'}`,
+      storage: `${storageStatus.configured ? '✅' : '❌'} ${storageStatus.provider} ${storageStatus.configured ? 'configured' : 'not configured'}`,
       environment: serverConfig.nodeEnv
     },
     config: {
@@ -94,7 +125,7 @@ app.get('/health', (req, res) => {
         name: dbStatus.name,
         state: dbStatus.state
       },
-      cloudinary: cloudinaryStatus,
+      storage: storageStatus,
       server: {
         port: serverConfig.port,
         nodeEnv: serverConfig.nodeEnv
@@ -112,7 +143,13 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       files: '/api/files',
+      folders: '/api/folders',
+      collections: '/api/collections',
+      groups: '/api/groups',
+      shareLinks: '/s/:token',
       search: '/api/search',
+      savedSearches: '/api/saved-searches',
+      trash: '/api/trash',
       docs: '/api-docs'
     }
   });
@@ -1,3 +1,15 @@
+/**
+ * Parse an integer setting for which 0 is meaningful
+ * Only a missing or invalid value falls back to the default
+ * @param {string} value - Environment variable value
+ * @param {number} defaultValue - Default value
+ * @returns {number} Parsed value
+ */
+const parseIntSetting = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
 /**
  * Application configuration
  * Central configuration management for the application
@@ -67,7 +79,128 @@ class AppConfig {
         'text/plain'
       ],
       tempDir: process.env.TEMP_DIR || '/tmp/',
-      useTempFiles: true
+      useTempFiles: true,
+      maxBatchFiles: parseInt(process.env.MAX_BATCH_FILES) || 50,
+      // Resumable chunked uploads
+      chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024, // 8MB
+      minChunkSize: 5 * 1024 * 1024, // S3 multipart minimum for all but the last part
+      maxChunkedFileSize: parseInt(process.env.MAX_CHUNKED_FILE_SIZE) || 2 * 1024 * 1024 * 1024, // 2GB
+      uploadSessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+      // Expired sessions are aborted (staged parts and provider multipart uploads discarded) by a periodic sweep
+      uploadSessionSweepEnabled: process.env.UPLOAD_SESSION_SWEEP_ENABLED !== 'false',
+      uploadSessionSweepIntervalMinutes: parseInt(process.env.UPLOAD_SESSION_SWEEP_INTERVAL_MINUTES) || 15
+    };
+  }
+  
+  /**
+   * Get storage backend configuration
+   * @returns {Object} Storage config
+   */
+  static getStorageConfig() {
+    const port = process.env.PORT || 8000;
+
+    return {
+      provider: process.env.STORAGE_PROVIDER || 'cloudinary', // cloudinary | local | s3
+      cloudinary: {
+        folder: process.env.CLOUDINARY_FOLDER || 'multimedia-app'
+      },
+      local: {
+        rootDir: process.env.LOCAL_STORAGE_DIR || 'uploads',
+        publicUrl: process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${port}/media`
+      },
+      s3: {
+        endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: process.env.S3_PUBLIC_URL
+      }
+    };
+  }
+
+  /**
+   * Get content deduplication configuration
+   * Uploads are identified by their SHA-256 hash; identical content is stored once
+   * per user (scope 'user') or once for everyone (scope 'global') and reference-counted
+   * @returns {Object} Deduplication config
+   */
+  static getDedupConfig() {
+    const scope = process.env.DEDUP_SCOPE || 'user'; // user | global | off
+
+    return {
+      enabled: scope !== 'off',
+      scope
+    };
+  }
+  
+  /**
+   * Get file versioning configuration
+   * The retention defaults apply to users who have not set their own policy
+   * @returns {Object} Versioning config
+   */
+  static getVersionConfig() {
+    return {
+      // Superseded versions kept per file; 0 keeps none
+      defaultMaxVersions: parseIntSetting(process.env.FILE_VERSION_MAX_VERSIONS, 10),
+      // Versions older than this are pruned; 0 keeps them regardless of age
+      defaultMaxAgeDays: parseIntSetting(process.env.FILE_VERSION_MAX_AGE_DAYS, 0),
+      // Upper bound for a user's own maxVersions; 0 keeps no versions for anyone
+      maxVersionsLimit: parseIntSetting(process.env.FILE_VERSION_MAX_VERSIONS_LIMIT, 100)
+    };
+  }
+  
+  /**
+   * Get storage quota configuration
+   * Each user is on a plan (defaultPlan unless set by an admin); per-user overrides
+   * on the User document take precedence. null means no limit
+   * @returns {Object} Quota config
+   */
+  static getQuotaConfig() {
+    const MB = 1024 * 1024;
+    const GB = 1024 * MB;
+
+    return {
+      enabled: process.env.QUOTAS_ENABLED !== 'false',
+      defaultPlan: process.env.QUOTA_DEFAULT_PLAN || 'free',
+      plans: {
+        free: {
+          storageBytes: (parseFloat(process.env.QUOTA_FREE_STORAGE_GB) || 2) * GB,
+          maxFiles: parseInt(process.env.QUOTA_FREE_MAX_FILES) || 1000,
+          maxFileSize: { image: 20 * MB, video: 500 * MB, audio: 50 * MB, document: 50 * MB }
+        },
+        pro: {
+          storageBytes: (parseFloat(process.env.QUOTA_PRO_STORAGE_GB) || 100) * GB,
+          maxFiles: parseInt(process.env.QUOTA_PRO_MAX_FILES) || 50000,
+          maxFileSize: { image: 100 * MB, video: 2 * GB, audio: 500 * MB, document: 200 * MB }
+        },
+        unlimited: {
+          storageBytes: null,
+          maxFiles: null,
+          maxFileSize: { image: null, video: null, audio: null, document: null }
+        }
+      },
+      // Allowance for multipart headers and form fields when a request is checked
+      // against the remaining storage by its Content-Length
+      requestOverheadBytes: 64 * 1024
+    };
+  }
+  
+  /**
+   * Get trash configuration
+   * Deleted files stay in their owner's trash for the retention window; the purge
+   * job then deletes their content and frees their storage
+   * @returns {Object} Trash config
+   */
+  static getTrashConfig() {
+    return {
+      retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+      // Run the purge job inside the API server; disable when it runs elsewhere (npm run trash:purge)
+      purgeEnabled: process.env.TRASH_PURGE_ENABLED !== 'false',
+      purgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+      // Files purged per run; the rest wait for the next run
+      purgeBatchSize: parseInt(process.env.TRASH_PURGE_BATCH_SIZE) || 200
     };
   }
   
@@ -116,6 +249,172 @@ class AppConfig {
     };
   }
   
+  /**
+   * Get thumbnail pipeline configuration
+   * Cloudinary renders derivatives through transformation URLs; other providers
+   * render them locally with ffmpeg (images, video, audio) and pdftoppm (PDF)
+   * @returns {Object} Thumbnail config
+   */
+  static getThumbnailConfig() {
+    return {
+      enabled: process.env.THUMBNAILS_ENABLED !== 'false',
+      // Longest edge in pixels for each size
+      sizes: {
+        small: 160,
+        medium: 320,
+        large: 640
+      },
+      defaultSize: 'medium',
+      ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+      pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+      timeoutMs: parseInt(process.env.THUMBNAIL_TIMEOUT_MS) || 60 * 1000
+    };
+  }
+  
+  /**
+   * Get metadata extraction configuration
+   * ffprobe reads audio, video and image properties; pdfinfo reads PDF document info
+   * @returns {Object} Metadata config
+   */
+  static getMetadataConfig() {
+    return {
+      enabled: process.env.METADATA_EXTRACTION_ENABLED !== 'false',
+      ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+      pdfinfoPath: process.env.PDFINFO_PATH || 'pdfinfo',
+      timeoutMs: parseInt(process.env.METADATA_TIMEOUT_MS) || 30 * 1000
+    };
+  }
+  
+  /**
+   * Get document content indexing configuration
+   * Text is extracted from PDFs (pdftotext), Office Open XML documents, CSV and
+   * plain text files and stored in the full-text index
+   * @returns {Object} Content index config
+   */
+  static getContentIndexConfig() {
+    return {
+      enabled: process.env.CONTENT_INDEXING_ENABLED !== 'false',
+      pdftotextPath: process.env.PDFTOTEXT_PATH || 'pdftotext',
+      // Characters of text kept per file; the rest is not searchable
+      maxContentLength: parseInt(process.env.CONTENT_INDEX_MAX_LENGTH) || 500 * 1000,
+      snippetLength: parseInt(process.env.CONTENT_SNIPPET_LENGTH) || 160,
+      timeoutMs: parseInt(process.env.CONTENT_INDEX_TIMEOUT_MS) || 60 * 1000
+    };
+  }
+  
+  /**
+   * Get perceptual image hashing configuration
+   * Images get a 64-bit difference hash (dHash) at upload; the thresholds are the
+   * number of differing bits up to which two images count as duplicates or similar
+   * @returns {Object} Image hash config
+   */
+  static getImageHashConfig() {
+    return {
+      enabled: process.env.IMAGE_HASHING_ENABLED !== 'false',
+      ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+      duplicateThreshold: parseInt(process.env.IMAGE_DUPLICATE_THRESHOLD) || 4,
+      similarThreshold: parseInt(process.env.IMAGE_SIMILAR_THRESHOLD) || 12,
+      // Images compared per duplicate report; larger libraries are reported in part
+      maxReportImages: parseInt(process.env.IMAGE_DUPLICATE_REPORT_MAX) || 10000,
+      timeoutMs: parseInt(process.env.IMAGE_HASH_TIMEOUT_MS) || 30 * 1000
+    };
+  }
+  
+  /**
+   * Get virus scanning configuration
+   * Uploaded content is scanned with ClamAV (clamscan, or clamdscan to use a running
+   * clamd); infected files cannot be downloaded
+   * @returns {Object} Virus scan config
+   */
+  static getVirusScanConfig() {
+    return {
+      enabled: process.env.VIRUS_SCAN_ENABLED === 'true',
+      command: process.env.VIRUS_SCAN_COMMAND || 'clamscan',
+      timeoutMs: parseInt(process.env.VIRUS_SCAN_TIMEOUT_MS) || 5 * 60 * 1000
+    };
+  }
+  
+  /**
+   * Get background job queue configuration
+   * Post-upload processing (thumbnails, metadata, text extraction, virus scans) is
+   * queued in MongoDB and run by workers, inside the API server or with npm run jobs:work
+   * @returns {Object} Job queue config
+   */
+  static getJobQueueConfig() {
+    return {
+      // Run workers inside the API server; disable when workers run as separate processes
+      workersEnabled: process.env.JOB_WORKERS_ENABLED !== 'false',
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+      pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+      maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+      // Retries wait twice as long each time, starting at the base delay, up to the maximum
+      backoffBaseSeconds: parseInt(process.env.JOB_BACKOFF_BASE_SECONDS) || 30,
+      backoffMaxMinutes: parseInt(process.env.JOB_BACKOFF_MAX_MINUTES) || 60,
+      // A job running longer than this is assumed to have lost its worker and runs again
+      lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 30,
+      retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 7,
+      deadLetterRetentionDays: parseInt(process.env.JOB_DEAD_LETTER_RETENTION_DAYS) || 30
+    };
+  }
+  
+  /**
+   * Get live file event configuration
+   * Processing progress is streamed to browsers with server-sent events (GET /api/events);
+   * every API process checks for changed files while it has listeners, so workers can
+   * run in other processes
+   * @returns {Object} File event config
+   */
+  static getFileEventConfig() {
+    return {
+      pollIntervalMs: parseInt(process.env.FILE_EVENTS_POLL_INTERVAL_MS) || 1000,
+      // Comment lines sent to idle streams so proxies do not close them
+      heartbeatSeconds: parseInt(process.env.FILE_EVENTS_HEARTBEAT_SECONDS) || 25
+    };
+  }
+  
+  /**
+   * Get public share link configuration
+   * @returns {Object} Share link config
+   */
+  static getShareLinkConfig() {
+    return {
+      // Links point at the frontend, which renders the password prompt and download page
+      baseUrl: (process.env.SHARE_LINK_BASE_URL || this.getServerConfig().corsOrigin).replace(/\/+$/, ''),
+      tokenBytes: 24,
+      accessTokenExpiry: process.env.SHARE_LINK_ACCESS_EXPIRY || '1h',
+      maxExpiryDays: parseInt(process.env.SHARE_LINK_MAX_EXPIRY_DAYS) || 365
+    };
+  }
+
+  /**
+   * Get file download configuration
+   * @returns {Object} Download config
+   */
+  static getDownloadConfig() {
+    return {
+      // Lifetime of the signed token that lets a plain link (or a <video> element) download a file
+      tokenExpiry: process.env.DOWNLOAD_TOKEN_EXPIRY || '5m',
+      logRetentionDays: parseInt(process.env.DOWNLOAD_LOG_RETENTION_DAYS) || 180,
+      // ZIP archives of several files are streamed as they are built; these bound one archive
+      archiveMaxFiles: parseInt(process.env.ARCHIVE_MAX_FILES) || 1000,
+      archiveMaxBytes: (parseFloat(process.env.ARCHIVE_MAX_SIZE_GB) || 10) * 1024 * 1024 * 1024
+    };
+  }
+  
+  /**
+   * Get bulk operation configuration
+   * @returns {Object} Bulk operation config
+   */
+  static getBulkOperationConfig() {
+    return {
+      maxFiles: parseInt(process.env.BULK_MAX_FILES) || 1000,
+      // Operations and their per-file results are kept this long for the requester to review
+      retentionDays: parseInt(process.env.BULK_OPERATION_RETENTION_DAYS) || 7,
+      // A running operation whose progress has not moved for this long was interrupted (e.g. by a restart)
+      staleMinutes: parseInt(process.env.BULK_OPERATION_STALE_MINUTES) || 15
+    };
+  }
+  
   /**
    * Get pagination configuration
    * @returns {Object} Pagination config
@@ -138,7 +437,13 @@ class AppConfig {
       maxLimit: parseInt(process.env.SEARCH_MAX_LIMIT) || 50,
       suggestionsLimit: parseInt(process.env.SEARCH_SUGGESTIONS_LIMIT) || 5,
       popularTermsLimit: parseInt(process.env.SEARCH_POPULAR_TERMS_LIMIT) || 10,
-      enableSearchAnalytics: process.env.ENABLE_SEARCH_ANALYTICS !== 'false'
+      // Values listed per tag, uploader and upload-year facet
+      facetLimit: parseInt(process.env.SEARCH_FACET_LIMIT) || 10,
+      enableSearchAnalytics: process.env.ENABLE_SEARCH_ANALYTICS !== 'false',
+      // Search logs older than this are removed automatically
+      analyticsRetentionDays: parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 90,
+      // Default reporting period of the analytics endpoints
+      analyticsWindowDays: parseInt(process.env.SEARCH_ANALYTICS_WINDOW_DAYS) || 30
     };
   }
   
@@ -171,12 +476,25 @@ class AppConfig {
   static validateConfig() {
     const requiredVars = [
       'MONGODB_URI',
-      'JWT_SECRET',
-      'CLOUDINARY_CLOUD_NAME',
-      'CLOUDINARY_API_KEY',
-      'CLOUDINARY_API_SECRET'
+      'JWT_SECRET'
     ];
-    
+
+    // Storage credentials are only required for the selected provider
+    const storageVars = {
+      cloudinary: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+      local: [],
+      s3: ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+    };
+    const { provider } = this.getStorageConfig();
+
+    if (!storageVars[provider]) {
+      return {
+        valid: false,
+        message: `Unknown storage provider: ${provider}. Use one of: ${Object.keys(storageVars).join(', ')}`
+      };
+    }
+    requiredVars.push(...storageVars[provider]);
+
     const missing = requiredVars.filter(varName => !process.env[varName]);
     
     if (missing.length > 0) {
@@ -205,9 +523,24 @@ class AppConfig {
       jwt: this.getJWTConfig(),
       rateLimit: this.getRateLimitConfig(),
       fileUpload: this.getFileUploadConfig(),
+      storage: this.getStorageConfig(),
+      dedup: this.getDedupConfig(),
+      versions: this.getVersionConfig(),
+      trash: this.getTrashConfig(),
+      quotas: this.getQuotaConfig(),
+      thumbnails: this.getThumbnailConfig(),
+      metadata: this.getMetadataConfig(),
+      contentIndex: this.getContentIndexConfig(),
+      imageHash: this.getImageHashConfig(),
+      virusScan: this.getVirusScanConfig(),
+      jobs: this.getJobQueueConfig(),
+      fileEvents: this.getFileEventConfig(),
       database: this.getDatabaseConfig(),
       logging: this.getLoggingConfig(),
       security: this.getSecurityConfig(),
+      shareLinks: this.getShareLinkConfig(),
+      downloads: this.getDownloadConfig(),
+      bulkOperations: this.getBulkOperationConfig(),
       pagination: this.getPaginationConfig(),
       search: this.getSearchConfig(),
       email: this.getEmailConfig()
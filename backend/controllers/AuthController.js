@@ -120,7 +120,7 @@ class AuthController extends BaseController {
     } catch (error) {
       console.error('Update profile error:', error);
       
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Failed to update profile',
         timestamp: new Date().toISOString()
@@ -0,0 +1,99 @@
+const BulkOperationService = require('../services/BulkOperationService');
+const BaseController = require('./BaseController');
+
+/**
+ * BulkOperationController - Handles bulk file operation endpoints
+ * Uses BulkOperationService to record operations and apply them in the background
+ */
+class BulkOperationController extends BaseController {
+
+  /**
+   * Start a bulk operation on files picked by ID or selected with a search filter
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createOperation(req, res) {
+    try {
+      const result = await BulkOperationService.createOperation(req.user.id, req.body);
+
+      res.status(202).json({
+        success: true,
+        message: result.message,
+        data: {
+          operation: result.operation
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create bulk operation error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to start bulk operation',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List the user's recent bulk operations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getOperations(req, res) {
+    try {
+      const result = await BulkOperationService.getOperations(req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Bulk operations retrieved successfully',
+        data: {
+          operations: result.operations,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get bulk operations error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get bulk operations',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get a bulk operation's progress and per-file results
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getOperation(req, res) {
+    try {
+      const result = await BulkOperationService.getOperation(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Bulk operation retrieved successfully',
+        data: {
+          operation: result.operation
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get bulk operation error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get bulk operation',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = BulkOperationController;
@@ -0,0 +1,211 @@
+const CollectionService = require('../services/CollectionService');
+const BaseController = require('./BaseController');
+
+/**
+ * CollectionController - Handles collection (album) endpoints
+ * Uses CollectionService for collections and file membership
+ */
+class CollectionController extends BaseController {
+
+  /**
+   * Create a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createCollection(req, res) {
+    try {
+      const result = await CollectionService.createCollection(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          collection: result.collection
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create collection error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create collection',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List the user's collections
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCollections(req, res) {
+    try {
+      const result = await CollectionService.getCollections(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Collections retrieved successfully',
+        data: {
+          collections: result.collections
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get collections error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get collections',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCollection(req, res) {
+    try {
+      const result = await CollectionService.getCollection(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Collection retrieved successfully',
+        data: {
+          collection: result.collection
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get collection error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get collection',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Update a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateCollection(req, res) {
+    try {
+      const result = await CollectionService.updateCollection(req.params.id, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          collection: result.collection
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update collection error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update collection',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Delete a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteCollection(req, res) {
+    try {
+      const result = await CollectionService.deleteCollection(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete collection error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete collection',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Add files to a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addFiles(req, res) {
+    try {
+      const result = await CollectionService.addFiles(req.params.id, req.user.id, req.body.fileIds);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          added: result.added
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add files to collection error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to add files to collection',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Remove files from a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeFiles(req, res) {
+    try {
+      const result = await CollectionService.removeFiles(req.params.id, req.user.id, req.body.fileIds);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          removed: result.removed
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Remove files from collection error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to remove files from collection',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CollectionController;
@@ -0,0 +1,221 @@
+const DownloadService = require('../services/DownloadService');
+const ArchiveService = require('../services/ArchiveService');
+const BaseController = require('./BaseController');
+const { parseRange } = require('../utils/helpers');
+
+/**
+ * DownloadController - Handles file download endpoints under /api/files/:id and ZIP archives under /api/files/archive
+ */
+class DownloadController extends BaseController {
+
+  /**
+   * Stream a file's content, honouring single-range Range requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadFile(req, res) {
+    try {
+      const context = DownloadController.getContext(req);
+      const { file, userId } = await DownloadService.authorizeDownload(req.params.id, context);
+
+      // A range only applies to the content the client already has part of
+      const etag = `"${file.contentHash || `${file._id}-${file.version || 1}`}"`;
+      const ifRange = req.get('If-Range');
+      const range = !ifRange || ifRange === etag ? parseRange(req.get('Range'), file.size) : null;
+
+      if (range === false) {
+        res.set('Content-Range', `bytes */${file.size}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { content } = await DownloadService.openContent(file, range, { ...context, userId });
+
+      const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+      const asciiName = file.originalName.replace(/[^\x20-\x7e]|"/g, '_');
+
+      res.status(range ? 206 : 200).set({
+        'Content-Type': content.contentType || file.mimeType || 'application/octet-stream',
+        'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(file.originalName)}`,
+        'Cache-Control': 'private, no-store',
+        'Accept-Ranges': 'bytes',
+        'ETag': etag
+      });
+      if (range) {
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+      }
+      if (content.size) res.set('Content-Length', String(content.size));
+
+      content.stream.on('error', (streamError) => {
+        console.error('File download stream error:', streamError);
+        res.destroy(streamError);
+      });
+      content.stream.pipe(res);
+
+    } catch (error) {
+      console.error('Download file error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to download file',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Issue a short-lived download token for plain links and media elements
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createDownloadToken(req, res) {
+    try {
+      const result = await DownloadService.createDownloadToken(req.params.id, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Download token created',
+        data: {
+          token: result.token,
+          expiresIn: result.expiresIn
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create download token error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create download link',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get a file's download history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getDownloads(req, res) {
+    try {
+      const result = await DownloadService.getDownloads(req.params.id, req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Downloads retrieved successfully',
+        data: {
+          downloads: result.downloads,
+          downloadCount: result.downloadCount,
+          retentionDays: result.retentionDays,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get downloads error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get downloads',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Check a selection of files and issue a token to download it as a ZIP archive
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createArchiveToken(req, res) {
+    try {
+      const result = await ArchiveService.createArchiveToken(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Archive download ready',
+        data: {
+          token: result.token,
+          expiresIn: result.expiresIn,
+          fileCount: result.fileCount,
+          totalSize: result.totalSize
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create archive token error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to prepare download',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Stream a ZIP archive of several files
+   * Accepts JSON with a bearer token, or a form post carrying an archive token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadArchive(req, res) {
+    try {
+      const context = DownloadController.getContext(req);
+      const { userId, fileName, entries } = await ArchiveService.prepareArchive(req.body, context);
+
+      const zip = ArchiveService.createArchive(entries, { ...context, userId });
+      const asciiName = fileName.replace(/[^\x20-\x7e]|"/g, '_');
+
+      res.status(200).set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Cache-Control': 'private, no-store'
+      });
+
+      // The status line has been sent, so a file that cannot be read can only abort the download
+      zip.on('error', (zipError) => {
+        console.error('Archive stream error:', zipError);
+        res.destroy(zipError);
+      });
+      res.on('close', () => {
+        if (!res.writableFinished) zip.outputStream.destroy();
+      });
+      zip.outputStream.pipe(res);
+
+    } catch (error) {
+      console.error('Download archive error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to download files',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Requester context for downloads
+   * Requests without an Authorization header pass a download token in the token query
+   * parameter, or the token field of a form post
+   * @param {Object} req - Express request object
+   * @returns {Object} Signed-in user (if any), download token, IP address and user agent
+   */
+  static getContext(req) {
+    return {
+      userId: req.user?.id,
+      token: req.query.token || req.body?.token,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+  }
+}
+
+module.exports = DownloadController;
@@ -1,4 +1,6 @@
 const FileService = require('../services/FileService');
+const ThumbnailService = require('../services/ThumbnailService');
+const ImageHashService = require('../services/ImageHashService');
 const BaseController = require('./BaseController');
 
 /**
@@ -28,7 +30,8 @@ class FileController extends BaseController {
         description: req.body.description,
         tags: req.body.tags,
         category: req.body.category,
-        isPublic: req.body.isPublic
+        isPublic: req.body.isPublic,
+        folder: req.body.folder
       };
 
       const result = await FileService.uploadFile(fileData, req.user.id);
@@ -37,7 +40,8 @@ class FileController extends BaseController {
         success: true,
         message: result.message,
         data: {
-          file: result.file
+          file: result.file,
+          duplicates: result.duplicates
         },
         timestamp: new Date().toISOString()
       });
@@ -45,7 +49,7 @@ class FileController extends BaseController {
     } catch (error) {
       console.error('Upload file error:', error);
       
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'File upload failed',
         timestamp: new Date().toISOString()
@@ -53,6 +57,75 @@ class FileController extends BaseController {
     }
   }
 
+  /**
+   * Upload many files (or a dropped folder) in one request
+   * Multipart fields: files[], defaults (JSON object), items (JSON array aligned with files)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async uploadBatch(req, res) {
+    try {
+      const files = req.files || [];
+      const rejected = req.rejectedFiles || [];
+
+      if (files.length === 0 && rejected.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No files uploaded',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      let defaults;
+      let items;
+      try {
+        defaults = req.body.defaults ? JSON.parse(req.body.defaults) : {
+          title: req.body.title,
+          description: req.body.description,
+          tags: req.body.tags,
+          category: req.body.category,
+          isPublic: req.body.isPublic,
+          folder: req.body.folder
+        };
+        items = req.body.items ? JSON.parse(req.body.items) : [];
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'defaults and items must be valid JSON',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await FileService.uploadBatch(files, {
+        defaults,
+        items: Array.isArray(items) ? items : [],
+        rejected
+      }, req.user.id);
+
+      // 201 when everything succeeded, 207 for a partial success
+      const statusCode = result.summary.failed === 0 ? 201 : result.success ? 207 : 400;
+
+      res.status(statusCode).json({
+        success: result.success,
+        message: result.message,
+        data: {
+          results: result.results,
+          summary: result.summary
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Batch upload error:', error);
+
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Batch upload failed',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Get user's files with pagination and filtering
    * @param {Object} req - Express request object
@@ -75,7 +148,7 @@ class FileController extends BaseController {
     } catch (error) {
       console.error('Get user files error:', error);
       
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Failed to get files',
         timestamp: new Date().toISOString()
@@ -83,6 +156,64 @@ class FileController extends BaseController {
     }
   }
 
+  /**
+   * Move files into a folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async moveFiles(req, res) {
+    try {
+      const result = await FileService.moveFiles(req.body.fileIds, req.body.folderId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          moved: result.moved
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Move files error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to move files',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Copy files into a folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async copyFiles(req, res) {
+    try {
+      const result = await FileService.copyFiles(req.body.fileIds, req.body.folderId, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          files: result.files
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Copy files error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to copy files',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Get file by ID with preview URL
    * @param {Object} req - Express request object
@@ -96,16 +227,16 @@ class FileController extends BaseController {
         success: true,
         message: 'File retrieved successfully',
         data: {
-          file: result.file
+          file: result.file,
+          access: result.access
         },
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
       console.error('Get file by ID error:', error);
-      const statusCode = error.message.includes('not found') ? 404 : 500;
       
-      res.status(statusCode).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Failed to get file',
         timestamp: new Date().toISOString()
@@ -113,6 +244,39 @@ class FileController extends BaseController {
     }
   }
 
+  /**
+   * Stream a file's thumbnail, poster frame, waveform or page preview
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getThumbnail(req, res) {
+    try {
+      const result = await ThumbnailService.getThumbnail(req.params.id, req.user.id, req.query.size);
+
+      res.set({
+        'Content-Type': result.contentType || result.thumbnail.mimeType,
+        // Thumbnails are regenerated under the same key, so only cache briefly
+        'Cache-Control': 'private, max-age=3600'
+      });
+      if (result.size) res.set('Content-Length', String(result.size));
+
+      result.stream.on('error', (streamError) => {
+        console.error('Thumbnail stream error:', streamError);
+        res.destroy(streamError);
+      });
+      result.stream.pipe(res);
+
+    } catch (error) {
+      console.error('Get thumbnail error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get thumbnail',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Update file metadata
    * @param {Object} req - Express request object
@@ -120,7 +284,7 @@ class FileController extends BaseController {
    */
   static async updateFile(req, res) {
     try {
-      const result = await FileService.updateFile(req.params.id, req.body, req.user.id);
+      const result = await FileService.updateFile(req.params.id, req.user.id, req.body);
       
       res.status(200).json({
         success: true,
@@ -133,10 +297,8 @@ class FileController extends BaseController {
       
     } catch (error) {
       console.error('Update file error:', error);
-      const statusCode = error.message.includes('not found') ? 404 : 
-                         error.message.includes('permission') ? 403 : 500;
       
-      res.status(statusCode).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Failed to update file',
         timestamp: new Date().toISOString()
@@ -145,7 +307,7 @@ class FileController extends BaseController {
   }
 
   /**
-   * Delete file from Cloudinary and MongoDB
+   * Move a file to the trash
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -156,15 +318,16 @@ class FileController extends BaseController {
       res.status(200).json({
         success: true,
         message: result.message,
+        data: {
+          purgeAt: result.purgeAt
+        },
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
       console.error('Delete file error:', error);
-      const statusCode = error.message.includes('not found') ? 404 : 
-                         error.message.includes('permission') ? 403 : 500;
       
-      res.status(statusCode).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Failed to delete file',
         timestamp: new Date().toISOString()
@@ -193,7 +356,7 @@ class FileController extends BaseController {
     } catch (error) {
       console.error('Update view count error:', error);
       
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Failed to update view count',
         timestamp: new Date().toISOString()
@@ -244,8 +407,11 @@ class FileController extends BaseController {
         message: 'Search completed successfully',
         data: {
           files: result.files,
+          facets: result.facets,
           pagination: result.pagination,
-          query: req.query.q || ''
+          query: req.query.q || '',
+          searchId: result.searchId,
+          didYouMean: result.didYouMean
         },
         timestamp: new Date().toISOString()
       });
@@ -253,12 +419,102 @@ class FileController extends BaseController {
     } catch (error) {
       console.error('Search files error:', error);
       
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'Search failed',
         timestamp: new Date().toISOString()
       });
     }
   }
+
+  /**
+   * Suggest completions for a search query
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSearchSuggestions(req, res) {
+    try {
+      const result = await FileService.getSearchSuggestions(req.user.id, req.query.q);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Suggestions retrieved successfully',
+        data: {
+          suggestions: result.suggestions,
+          query: req.query.q || ''
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Search suggestions error:', error);
+      
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to load search suggestions',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Find images that look like a file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSimilarFiles(req, res) {
+    try {
+      const result = await ImageHashService.getSimilarFiles(req.params.id, req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Similar images retrieved successfully',
+        data: {
+          files: result.files,
+          maxDistance: result.maxDistance
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get similar files error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to find similar images',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Report groups of duplicate images in the user's library
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getDuplicateReport(req, res) {
+    try {
+      const result = await ImageHashService.getDuplicateReport(req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Duplicate report generated successfully',
+        data: {
+          groups: result.groups,
+          summary: result.summary
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Duplicate report error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to build duplicate report',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
 }
 module.exports = FileController;
@@ -0,0 +1,81 @@
+const FileEventService = require('../services/FileEventService');
+const BaseController = require('./BaseController');
+
+/**
+ * FileEventController - Handles the live file event stream
+ * Uses FileEventService to push the processing progress of the user's files as
+ * server-sent events
+ */
+class FileEventController extends BaseController {
+
+  /**
+   * Create a short-lived token for opening the event stream with EventSource
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createStreamToken(req, res) {
+    try {
+      const result = await FileEventService.createStreamToken(req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Event stream token created',
+        data: {
+          token: result.token,
+          expiresIn: result.expiresIn
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create event stream token error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create event stream token',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Stream the processing progress of the user's files as server-sent events
+   * The connection stays open; each change arrives as a "file" event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async streamEvents(req, res) {
+    let userId;
+    try {
+      ({ userId } = await FileEventService.authorizeStream({ userId: req.user?.id, token: req.query.token }));
+    } catch (error) {
+      console.error('Open event stream error:', error);
+
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to open event stream',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Browsers reconnect this many milliseconds after the connection drops
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = FileEventService.subscribe(userId, {
+      send: (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      ping: () => res.write(': ping\n\n'),
+      close: () => res.end()
+    });
+    req.on('close', unsubscribe);
+  }
+}
+
+module.exports = FileEventController;
@@ -0,0 +1,218 @@
+const FileService = require('../services/FileService');
+const FileVersionService = require('../services/FileVersionService');
+const BaseController = require('./BaseController');
+
+/**
+ * FileVersionController - Handles file version endpoints under /api/files/:id/versions
+ */
+class FileVersionController extends BaseController {
+
+  /**
+   * Upload new content for a file, keeping the current content as a version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async uploadVersion(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await FileService.uploadVersion(req.params.id, req.user.id, {
+        file: req.file,
+        comment: req.body.comment
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          file: result.file,
+          prunedVersions: result.prunedVersions
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Upload file version error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to upload new version',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List a file's versions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVersions(req, res) {
+    try {
+      const result = await FileVersionService.getVersions(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'File versions retrieved successfully',
+        data: {
+          versions: result.versions,
+          retention: result.retention
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get file versions error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get file versions',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Stream the content of a version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadVersion(req, res) {
+    try {
+      const { version, content } = await FileVersionService.openVersionContent(
+        req.params.id,
+        req.params.versionNumber,
+        req.user.id
+      );
+
+      const asciiName = version.originalName.replace(/[^\x20-\x7e]|"/g, '_');
+
+      res.set({
+        'Content-Type': content.contentType || version.mimeType || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(version.originalName)}`,
+        'Cache-Control': 'private, no-store'
+      });
+      if (content.size) res.set('Content-Length', String(content.size));
+
+      content.stream.on('error', (streamError) => {
+        console.error('File version stream error:', streamError);
+        res.destroy(streamError);
+      });
+      content.stream.pipe(res);
+
+    } catch (error) {
+      console.error('Download file version error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to download version',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Compare a version's metadata with the current version or another version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getVersionDiff(req, res) {
+    try {
+      const result = await FileVersionService.getVersionDiff(
+        req.params.id,
+        req.params.versionNumber,
+        req.user.id,
+        req.query.against
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Versions compared successfully',
+        data: {
+          from: result.from,
+          to: result.to,
+          changes: result.changes
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Version diff error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to compare versions',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Make an earlier version current again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreVersion(req, res) {
+    try {
+      const result = await FileService.restoreVersion(
+        req.params.id,
+        req.params.versionNumber,
+        req.user.id,
+        { restoreMetadata: req.body.restoreMetadata }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          file: result.file,
+          prunedVersions: result.prunedVersions
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Restore file version error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to restore version',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Delete an archived version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteVersion(req, res) {
+    try {
+      const result = await FileVersionService.deleteVersion(req.params.id, req.params.versionNumber, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete file version error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete version',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = FileVersionController;
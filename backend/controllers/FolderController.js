@@ -0,0 +1,163 @@
+const FolderService = require('../services/FolderService');
+const BaseController = require('./BaseController');
+
+/**
+ * FolderController - Handles folder endpoints
+ * Uses FolderService for the folder hierarchy
+ */
+class FolderController extends BaseController {
+
+  /**
+   * Create a folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createFolder(req, res) {
+    try {
+      const result = await FolderService.createFolder(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          folder: result.folder
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create folder error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create folder',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the user's folder tree
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFolderTree(req, res) {
+    try {
+      const result = await FolderService.getFolderTree(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Folders retrieved successfully',
+        data: {
+          folders: result.tree,
+          rootFileCount: result.rootFileCount
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get folder tree error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get folders',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get a folder with breadcrumbs and sub-folders
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFolder(req, res) {
+    try {
+      const result = await FolderService.getFolder(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Folder retrieved successfully',
+        data: {
+          folder: result.folder,
+          access: result.access,
+          breadcrumbs: result.breadcrumbs,
+          children: result.children
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get folder error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get folder',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Rename or move a folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateFolder(req, res) {
+    try {
+      const result = await FolderService.updateFolder(req.params.id, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          folder: result.folder
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update folder error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update folder',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Delete a folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteFolder(req, res) {
+    try {
+      const result = await FolderService.deleteFolder(req.params.id, req.user.id, {
+        force: req.query.force === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          deletedFolders: result.deletedFolders,
+          movedFiles: result.movedFiles
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete folder error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete folder',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = FolderController;
@@ -0,0 +1,182 @@
+const GroupService = require('../services/GroupService');
+const BaseController = require('./BaseController');
+
+/**
+ * GroupController - Handles group endpoints
+ * Uses GroupService for groups and their members
+ */
+class GroupController extends BaseController {
+
+  /**
+   * Create a group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createGroup(req, res) {
+    try {
+      const result = await GroupService.createGroup(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          group: result.group
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create group error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create group',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List groups the user owns or belongs to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getGroups(req, res) {
+    try {
+      const result = await GroupService.getGroups(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Groups retrieved successfully',
+        data: {
+          groups: result.groups
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get groups error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get groups',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Rename a group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateGroup(req, res) {
+    try {
+      const result = await GroupService.updateGroup(req.params.id, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          group: result.group
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update group error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update group',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Delete a group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteGroup(req, res) {
+    try {
+      const result = await GroupService.deleteGroup(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete group error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete group',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Add a member by email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addMember(req, res) {
+    try {
+      const result = await GroupService.addMember(req.params.id, req.user.id, req.body.email);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          group: result.group
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add group member error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to add member',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Remove a member (or leave the group)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeMember(req, res) {
+    try {
+      const result = await GroupService.removeMember(req.params.id, req.user.id, req.params.memberId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          group: result.group
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Remove group member error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to remove member',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = GroupController;
@@ -0,0 +1,99 @@
+const JobQueueService = require('../services/JobQueueService');
+const BaseController = require('./BaseController');
+
+/**
+ * JobController - Handles background job endpoints
+ * Uses JobQueueService to report on and retry the processing jobs of the user's files
+ */
+class JobController extends BaseController {
+
+  /**
+   * List the user's jobs, most recent first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getJobs(req, res) {
+    try {
+      const result = await JobQueueService.getJobs(req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Jobs retrieved successfully',
+        data: {
+          jobs: result.jobs,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get jobs error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get jobs',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get a job's status, attempts and errors
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getJob(req, res) {
+    try {
+      const result = await JobQueueService.getJob(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job retrieved successfully',
+        data: {
+          job: result.job
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get job error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get job',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Queue a dead-lettered job again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async retryJob(req, res) {
+    try {
+      const result = await JobQueueService.retryJob(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          job: result.job
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Retry job error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to retry job',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = JobController;
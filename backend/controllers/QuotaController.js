@@ -0,0 +1,69 @@
+const QuotaService = require('../services/QuotaService');
+const BaseController = require('./BaseController');
+
+/**
+ * QuotaController - Handles storage quota endpoints
+ * Uses QuotaService for plan limits and usage
+ */
+class QuotaController extends BaseController {
+
+  /**
+   * Get the current user's quota and usage
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuota(req, res) {
+    try {
+      const result = await QuotaService.getQuota(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quota retrieved successfully',
+        data: {
+          quota: result.quota
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get quota error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get quota',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Set a user's plan and limits (admins only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateUserQuota(req, res) {
+    try {
+      const result = await QuotaService.updateUserQuota(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          quota: result.quota
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update quota error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update quota',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = QuotaController;
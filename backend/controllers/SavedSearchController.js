@@ -0,0 +1,155 @@
+const SavedSearchService = require('../services/SavedSearchService');
+const BaseController = require('./BaseController');
+
+/**
+ * SavedSearchController - Handles saved search (smart collection) endpoints
+ * Uses SavedSearchService for saved searches and their live results
+ */
+class SavedSearchController extends BaseController {
+
+  /**
+   * Save a search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createSavedSearch(req, res) {
+    try {
+      const result = await SavedSearchService.createSavedSearch(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          savedSearch: result.savedSearch
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create saved search error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to save search',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List the user's saved searches
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSavedSearches(req, res) {
+    try {
+      const result = await SavedSearchService.getSavedSearches(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved searches retrieved successfully',
+        data: {
+          savedSearches: result.savedSearches
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get saved searches error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get saved searches',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Update a saved search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateSavedSearch(req, res) {
+    try {
+      const result = await SavedSearchService.updateSavedSearch(req.params.id, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          savedSearch: result.savedSearch
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Update saved search error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update saved search',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Delete a saved search
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteSavedSearch(req, res) {
+    try {
+      const result = await SavedSearchService.deleteSavedSearch(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete saved search error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete saved search',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the files a saved search currently matches
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSavedSearchFiles(req, res) {
+    try {
+      const result = await SavedSearchService.getSavedSearchFiles(req.params.id, req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Saved search files retrieved successfully',
+        data: {
+          savedSearch: result.savedSearch,
+          files: result.files,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get saved search files error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to run saved search',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = SavedSearchController;
@@ -0,0 +1,129 @@
+const SearchAnalyticsService = require('../services/SearchAnalyticsService');
+const BaseController = require('./BaseController');
+
+/**
+ * SearchController - Handles search analytics endpoints
+ * Searching itself is served by FileController; this records result clicks
+ * and reports on logged searches
+ */
+class SearchController extends BaseController {
+
+  /**
+   * Record that the user opened a search result
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async recordClick(req, res) {
+    try {
+      const result = await SearchAnalyticsService.recordClick(req.params.searchId, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Record search click error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to record click',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the search analytics summary
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAnalytics(req, res) {
+    try {
+      const result = await SearchAnalyticsService.getAnalytics(req.user.id, req.user.role, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Search analytics retrieved successfully',
+        data: {
+          analytics: result.analytics
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get search analytics error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get search analytics',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get the most searched terms
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPopularTerms(req, res) {
+    try {
+      const result = await SearchAnalyticsService.getPopularTerms(req.user.id, req.user.role, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Popular search terms retrieved successfully',
+        data: {
+          scope: result.scope,
+          days: result.days,
+          terms: result.terms
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get popular search terms error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get popular search terms',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get queries that returned no results
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getZeroResultQueries(req, res) {
+    try {
+      const result = await SearchAnalyticsService.getZeroResultQueries(req.user.id, req.user.role, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Zero-result queries retrieved successfully',
+        data: {
+          scope: result.scope,
+          days: result.days,
+          queries: result.queries
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get zero-result queries error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get zero-result queries',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = SearchController;
@@ -0,0 +1,183 @@
+const SharingService = require('../services/SharingService');
+const BaseController = require('./BaseController');
+
+/**
+ * ShareController - Handles sharing endpoints for files and folders
+ * Uses SharingService for grants and the "shared with me" listing
+ */
+class ShareController extends BaseController {
+
+  /**
+   * List who a file is shared with
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFileShares(req, res) {
+    return ShareController.listShares('File', req, res);
+  }
+
+  /**
+   * Share a file with a user or group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addFileShare(req, res) {
+    return ShareController.createShare('File', req, res);
+  }
+
+  /**
+   * Revoke a grant on a file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeFileShare(req, res) {
+    return ShareController.deleteShare('File', req, res);
+  }
+
+  /**
+   * List who a folder is shared with
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFolderShares(req, res) {
+    return ShareController.listShares('Folder', req, res);
+  }
+
+  /**
+   * Share a folder with a user or group
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addFolderShare(req, res) {
+    return ShareController.createShare('Folder', req, res);
+  }
+
+  /**
+   * Revoke a grant on a folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeFolderShare(req, res) {
+    return ShareController.deleteShare('Folder', req, res);
+  }
+
+  /**
+   * Files and folders shared with the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSharedWithMe(req, res) {
+    try {
+      const result = await SharingService.getSharedWithMe(req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shared items retrieved successfully',
+        data: {
+          folders: result.folders,
+          files: result.files,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get shared with me error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get shared items',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List the grants on a resource
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async listShares(resourceType, req, res) {
+    try {
+      const result = await SharingService.getShares(resourceType, req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Shares retrieved successfully',
+        data: {
+          shares: result.shares
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get shares error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get shares',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Create or update a grant on a resource
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createShare(resourceType, req, res) {
+    try {
+      const result = await SharingService.addShare(resourceType, req.params.id, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          share: result.share
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Add share error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to share',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Revoke a grant on a resource
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteShare(resourceType, req, res) {
+    try {
+      const result = await SharingService.removeShare(resourceType, req.params.id, req.user.id, req.params.shareId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Remove share error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to remove share',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = ShareController;
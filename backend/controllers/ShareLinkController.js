@@ -0,0 +1,211 @@
+const ShareLinkService = require('../services/ShareLinkService');
+const BaseController = require('./BaseController');
+
+/**
+ * ShareLinkController - Handles public share link endpoints
+ * Owners manage links under /api/files/:id/links; recipients open them under /s/:token
+ */
+class ShareLinkController extends BaseController {
+
+  /**
+   * List a file's share links
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getLinks(req, res) {
+    try {
+      const result = await ShareLinkService.getLinks(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Share links retrieved successfully',
+        data: {
+          links: result.links
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get share links error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get share links',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Create a share link for a file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createLink(req, res) {
+    try {
+      const result = await ShareLinkService.createLink(req.params.id, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          link: result.link
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Create share link error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create share link',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeLink(req, res) {
+    try {
+      const result = await ShareLinkService.revokeLink(req.params.id, req.user.id, req.params.linkId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          link: result.link
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to revoke share link',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Describe a share link for its landing page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPublicLink(req, res) {
+    try {
+      const result = await ShareLinkService.getPublicLink(req.params.token, ShareLinkController.getContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Share link retrieved successfully',
+        data: {
+          link: result.link
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get public share link error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to open share link',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Unlock a password-protected share link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unlockLink(req, res) {
+    try {
+      const result = await ShareLinkService.unlockLink(req.params.token, req.body.password);
+
+      res.status(200).json({
+        success: true,
+        message: 'Share link unlocked',
+        data: {
+          accessToken: result.accessToken,
+          expiresIn: result.expiresIn
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Unlock share link error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to unlock share link',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Stream the file behind a share link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadLink(req, res) {
+    try {
+      const { file, content } = await ShareLinkService.openLink(req.params.token, ShareLinkController.getContext(req));
+
+      const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+      const asciiName = file.originalName.replace(/[^\x20-\x7e]|"/g, '_');
+
+      res.set({
+        'Content-Type': content.contentType || 'application/octet-stream',
+        'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(file.originalName)}`,
+        'Cache-Control': 'private, no-store',
+        // The landing page lives on the frontend origin
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      if (content.size) res.set('Content-Length', String(content.size));
+
+      content.stream.on('error', (streamError) => {
+        console.error('Share link stream error:', streamError);
+        res.destroy(streamError);
+      });
+      content.stream.pipe(res);
+
+    } catch (error) {
+      console.error('Download share link error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to download file',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Requester context for public link requests
+   * The access token comes from the X-Share-Access header, or the access query
+   * parameter so plain download links work in a browser
+   * @param {Object} req - Express request object
+   * @returns {Object} Access token, signed-in user (if any), IP address and user agent
+   */
+  static getContext(req) {
+    return {
+      accessToken: req.get('X-Share-Access') || req.query.access,
+      userId: req.user?.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+  }
+}
+
+module.exports = ShareLinkController;
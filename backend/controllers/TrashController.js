@@ -0,0 +1,127 @@
+const TrashService = require('../services/TrashService');
+const BaseController = require('./BaseController');
+
+/**
+ * TrashController - Handles trash endpoints
+ * Uses TrashService to list, restore and permanently delete trashed files
+ */
+class TrashController extends BaseController {
+
+  /**
+   * List the files in the user's trash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTrash(req, res) {
+    try {
+      const result = await TrashService.getTrash(req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        message: 'Trash retrieved successfully',
+        data: {
+          files: result.files,
+          totalSize: result.totalSize,
+          retentionDays: result.retentionDays,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get trash error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get trash',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Restore a file from the trash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async restoreFile(req, res) {
+    try {
+      const result = await TrashService.restoreFile(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          file: result.file
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Restore file error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to restore file',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Permanently delete a file from the trash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteForever(req, res) {
+    try {
+      const result = await TrashService.deleteForever(req.params.id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Delete file forever error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete file',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Permanently delete every file in the trash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async emptyTrash(req, res) {
+    try {
+      const result = await TrashService.emptyTrash(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          deletedCount: result.deletedCount
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Empty trash error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to empty trash',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = TrashController;
@@ -0,0 +1,199 @@
+const UploadSessionService = require('../services/UploadSessionService');
+const BaseController = require('./BaseController');
+
+/**
+ * UploadController - Handles resumable chunked upload endpoints
+ * Uses UploadSessionService for session tracking and part storage
+ */
+class UploadController extends BaseController {
+
+  /**
+   * Start a resumable upload session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async initUpload(req, res) {
+    try {
+      const result = await UploadSessionService.createSession(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          session: result.session
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Init upload error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to start upload',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * List the user's pending upload sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPendingUploads(req, res) {
+    try {
+      const result = await UploadSessionService.getPendingSessions(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Upload sessions retrieved successfully',
+        data: {
+          sessions: result.sessions
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get pending uploads error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get upload sessions',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get upload session status (used to resume)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUpload(req, res) {
+    try {
+      const result = await UploadSessionService.getSession(req.params.sessionId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Upload session retrieved successfully',
+        data: {
+          session: result.session
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Get upload error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to get upload session',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Upload one part; the request body is the raw part content
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async uploadPart(req, res) {
+    try {
+      const contentLength = parseInt(req.headers['content-length']);
+
+      if (!contentLength) {
+        return res.status(411).json({
+          success: false,
+          message: 'Content-Length header is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await UploadSessionService.uploadPart(
+        req.params.sessionId,
+        req.user.id,
+        parseInt(req.params.partNumber),
+        req,
+        contentLength
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: {
+          session: result.session
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Upload part error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to upload part',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Complete an upload session and create the file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async completeUpload(req, res) {
+    try {
+      const result = await UploadSessionService.completeSession(req.params.sessionId, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          file: result.file,
+          duplicates: result.duplicates
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Complete upload error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to complete upload',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Abort an upload session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async abortUpload(req, res) {
+    try {
+      const result = await UploadSessionService.abortSession(req.params.sessionId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Abort upload error:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to abort upload',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = UploadController;
@@ -149,13 +149,18 @@ const swaggerOptions = {
               type: 'number',
               description: 'File size in bytes'
             },
-            url: {
+            storageProvider: {
               type: 'string',
-              description: 'File URL'
+              enum: ['cloudinary', 'local', 's3'],
+              description: 'Storage backend holding the file content'
+            },
+            storageKey: {
+              type: 'string',
+              description: 'Provider specific key of the stored content'
             },
-            secureUrl: {
+            url: {
               type: 'string',
-              description: 'Secure file URL'
+              description: 'File URL'
             },
             tags: {
               type: 'array',
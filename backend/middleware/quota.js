@@ -0,0 +1,31 @@
+const QuotaService = require('../services/QuotaService');
+const AppConfig = require('../config/app');
+
+/**
+ * Reject uploads that cannot fit in the user's quota before the request body is read
+ * The size comes from Content-Length (less an allowance for multipart overhead); the
+ * exact per-file checks run again once the files are parsed, before they are stored
+ */
+const checkUploadQuota = async (req, res, next) => {
+  try {
+    const contentLength = parseInt(req.headers['content-length']) || 0;
+    const { requestOverheadBytes } = AppConfig.getQuotaConfig();
+
+    await QuotaService.assertCanStore(req.user.id, {
+      bytes: Math.max(0, contentLength - requestOverheadBytes)
+    });
+    next();
+  } catch (error) {
+    // The rest of the body is not wanted; close the connection instead of draining it
+    res.set('Connection', 'close');
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to check storage quota',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  checkUploadQuota
+};
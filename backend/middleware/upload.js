@@ -1,5 +1,7 @@
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const AppConfig = require('../config/app');
 
 /**
  * Multer configuration for file uploads
@@ -9,46 +11,46 @@ const path = require('path');
 // Configure storage
 const storage = multer.memoryStorage();
 
+// Allowed MIME types for uploads
+const ALLOWED_MIME_TYPES = [
+  // Images
+  'image/jpeg',
+  'image/jpg', 
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/bmp',
+  'image/svg+xml',
+  // Videos
+  'video/mp4',
+  'video/avi',
+  'video/mov',
+  'video/wmv',
+  'video/flv',
+  'video/webm',
+  'video/mkv',
+  // Audio
+  'audio/mp3',
+  'audio/wav',
+  'audio/ogg',
+  'audio/m4a',
+  'audio/aac',
+  'audio/flac',
+  // Documents
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/csv'
+];
+
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = [
-    // Images
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'image/bmp',
-    'image/svg+xml',
-    // Videos
-    'video/mp4',
-    'video/avi',
-    'video/mov',
-    'video/wmv',
-    'video/flv',
-    'video/webm',
-    'video/mkv',
-    // Audio
-    'audio/mp3',
-    'audio/wav',
-    'audio/ogg',
-    'audio/m4a',
-    'audio/aac',
-    'audio/flac',
-    // Documents
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'text/plain',
-    'text/csv'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error(`File type ${file.mimetype} is not allowed`), false);
@@ -116,7 +118,71 @@ const uploadMiddleware = (req, res, next) => {
   });
 };
 
+// Batch uploads are written to temp files instead of memory so many files
+// in one request do not exhaust server RAM
+const batchStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(AppConfig.getFileUploadConfig().tempDir, 'batch');
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  }
+});
+
+// Batch file filter: skip disallowed files and report them instead of failing the batch
+const batchFileFilter = (req, file, cb) => {
+  // Remember the position in the request so per-file overrides stay aligned
+  req.batchFileCount = (req.batchFileCount || 0) + 1;
+  file.batchIndex = req.batchFileCount - 1;
+
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    return cb(null, true);
+  }
+  req.rejectedFiles = req.rejectedFiles || [];
+  req.rejectedFiles.push({
+    index: file.batchIndex,
+    originalName: file.originalname,
+    error: `File type ${file.mimetype} is not allowed`
+  });
+  cb(null, false);
+};
+
+const batchUpload = multer({
+  storage: batchStorage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit per file
+    files: AppConfig.getFileUploadConfig().maxBatchFiles
+  }
+});
+
+const uploadArray = batchUpload.array('files');
+
+// Wrapper function to handle multer errors for batch uploads
+const batchUploadMiddleware = (req, res, next) => {
+  uploadArray(req, res, (error) => {
+    if (error) {
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({
+          success: false,
+          message: `Too many files. Maximum is ${AppConfig.getFileUploadConfig().maxBatchFiles} files per batch.`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Unexpected file field. Please use "files" field name.',
+          timestamp: new Date().toISOString()
+        });
+      }
+      return handleUploadError(error, req, res, next);
+    }
+    next();
+  });
+};
+
 module.exports = {
+  ALLOWED_MIME_TYPES,
   uploadMiddleware,
+  batchUploadMiddleware,
   handleUploadError
 };
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const AppConfig = require('../config/app');
+
+const bulkResultSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  // Why the operation failed for this file
+  message: String
+}, {
+  _id: false
+});
+
+// One operation applied to many files, with a result per file
+const bulkOperationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['addTags', 'removeTags', 'setCategory', 'setVisibility', 'move', 'delete'],
+    required: true
+  },
+  // Operation arguments: tags, category, isPublic or folder
+  params: {
+    tags: [String],
+    category: String,
+    isPublic: Boolean,
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: undefined
+    }
+  },
+  // Search filter the files were selected with, if they were not picked by ID
+  filter: {
+    type: Object,
+    default: null
+  },
+  // Files selected when the operation was created, in processing order
+  fileIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: [bulkResultSchema],
+  // Why the whole operation stopped, when status is failed
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+bulkOperationSchema.index({ user: 1, createdAt: -1 });
+// MongoDB removes operations once they are older than the retention period
+bulkOperationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AppConfig.getBulkOperationConfig().retentionDays * 24 * 60 * 60 }
+);
+
+// Files processed so far
+bulkOperationSchema.virtual('processed').get(function() {
+  return this.succeeded + this.failed;
+});
+
+module.exports = mongoose.model('BulkOperation', bulkOperationSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a collection name'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  coverFile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ owner: 1, name: 1 });
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const AppConfig = require('../config/app');
+
+// One entry per counted download of a file, for the owner's download history
+const downloadLogSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // Owner of the file when it was downloaded
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null for anonymous downloads through a public share link
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  shareLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink',
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+downloadLogSchema.index({ file: 1, createdAt: -1 });
+downloadLogSchema.index({ user: 1, createdAt: -1 });
+// MongoDB removes logs once they are older than the retention period
+downloadLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AppConfig.getDownloadConfig().logRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('DownloadLog', downloadLogSchema);
@@ -20,15 +20,17 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  cloudinaryId: {
+  storageProvider: {
     type: String,
-    required: true
+    required: true,
+    enum: ['cloudinary', 'local', 's3'],
+    default: 'cloudinary'
   },
-  url: {
+  storageKey: {
     type: String,
     required: true
   },
-  secureUrl: {
+  url: {
     type: String,
     required: true
   },
@@ -72,35 +74,262 @@ const fileSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
   metadata: {
     width: Number,
     height: Number,
     duration: Number,
     bitrate: Number,
-    format: String
+    format: String,
+    resourceType: String,
+    // Audio and video streams
+    videoCodec: String,
+    audioCodec: String,
+    frameRate: Number,
+    sampleRate: Number,
+    channels: Number,
+    // Embedded tags (ID3, PDF document info, Office core properties)
+    title: String,
+    author: String,
+    album: String,
+    pageCount: Number,
+    createdAt: Date,
+    // Image EXIF
+    camera: {
+      make: String,
+      model: String,
+      lens: String,
+      exposureTime: Number,
+      fNumber: Number,
+      iso: Number,
+      focalLength: Number,
+      orientation: Number
+    },
+    takenAt: Date,
+    location: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  metadataStatus: {
+    type: String,
+    enum: ['pending', 'ready', 'failed', 'unsupported'],
+    default: 'pending'
+  },
+  // Text extracted from documents for full-text search; large, so never loaded by default
+  content: {
+    type: String,
+    select: false
+  },
+  contentStatus: {
+    type: String,
+    enum: ['pending', 'ready', 'failed', 'unsupported'],
+    default: 'pending'
   },
   searchKeywords: [{
     type: String,
     lowercase: true
-  }]
+  }],
+  // Preview images generated after upload: image thumbnails, video posters,
+  // audio waveforms and first-page previews of PDFs, one entry per size
+  thumbnails: [{
+    _id: false,
+    size: {
+      type: String,
+      enum: ['small', 'medium', 'large'],
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['thumbnail', 'poster', 'waveform', 'preview'],
+      required: true
+    },
+    // Only set when the derivative is stored separately (rendered derivatives);
+    // Cloudinary derivatives are transformation URLs of the original asset
+    storageKey: String,
+    url: {
+      type: String,
+      required: true
+    },
+    mimeType: {
+      type: String,
+      required: true
+    }
+  }],
+  thumbnailStatus: {
+    type: String,
+    enum: ['pending', 'ready', 'failed', 'unsupported'],
+    default: 'pending'
+  },
+  // Perceptual hash of images (64-bit dHash as 16 hex digits) for finding
+  // duplicates and visually similar images
+  perceptualHash: {
+    type: String,
+    default: null
+  },
+  perceptualHashStatus: {
+    type: String,
+    enum: ['pending', 'ready', 'failed', 'unsupported'],
+    default: 'pending'
+  },
+  // ClamAV scan of the content; infected files cannot be downloaded
+  scanStatus: {
+    type: String,
+    enum: ['unscanned', 'pending', 'clean', 'infected', 'failed'],
+    default: 'unscanned'
+  },
+  virusName: {
+    type: String,
+    default: null
+  },
+  // Background processing of the current content (thumbnails, metadata, text, virus scan),
+  // one queued job each; see JobQueueService
+  jobStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed']
+  },
+  jobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+  // SHA-256 of the content (hex); files with the same hash share one StoredObject
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Current version; superseded versions are kept as FileVersion documents
+  version: {
+    type: Number,
+    default: 1
+  },
+  versionComment: String,
+  versionCreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  versionCreatedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the file is moved to the trash; the purge job deletes it for good
+  // once the retention window has passed
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Progress of a permanent deletion (see FileService.purgeFile), so a purge that
+  // failed part-way is finished by the next attempt
+  purge: {
+    startedAt: Date,
+    // The file's reference to its stored content was dropped
+    contentReleased: Boolean,
+    // Nothing uses the content any more, but its provider has not deleted it yet
+    contentPending: Boolean
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Storage URLs bypass authorization (and are public for Cloudinary); clients
+    // read content through the download and thumbnail endpoints instead
+    transform: (doc, ret) => {
+      delete ret.url;
+      (ret.thumbnails || []).forEach(thumbnail => { delete thumbnail.url; });
+      return ret;
+    }
+  }
 });
 
 // Index for search functionality
+// MongoDB allows one text index per collection; `npm run search:reindex` replaces
+// the earlier unweighted index (without content) on existing databases
 fileSchema.index({
   title: 'text',
   description: 'text',
   tags: 'text',
   originalName: 'text',
-  searchKeywords: 'text'
+  searchKeywords: 'text',
+  content: 'text'
+}, {
+  name: 'file_text_search',
+  weights: {
+    title: 10,
+    tags: 8,
+    originalName: 5,
+    description: 3,
+    searchKeywords: 3,
+    content: 1
+  }
 });
 
 fileSchema.index({ uploadedBy: 1 });
+fileSchema.index({ uploadedBy: 1, folder: 1 });
+fileSchema.index({ collections: 1 });
+// Prefix lookups for search suggestions
+fileSchema.index({ tags: 1 });
+fileSchema.index({ searchKeywords: 1 });
+fileSchema.index({ storageProvider: 1, storageKey: 1 });
 fileSchema.index({ fileType: 1 });
+fileSchema.index({ thumbnailStatus: 1 });
+fileSchema.index({ metadataStatus: 1 });
+fileSchema.index({ contentStatus: 1 });
+fileSchema.index({ perceptualHashStatus: 1 });
+fileSchema.index({ scanStatus: 1 });
+fileSchema.index({ uploadedBy: 1, perceptualHash: 1 });
+fileSchema.index({ uploadedBy: 1, contentHash: 1 });
+fileSchema.index({ 'metadata.takenAt': -1 });
+fileSchema.index({ 'metadata.author': 1 });
+fileSchema.index({ 'metadata.camera.model': 1 });
 fileSchema.index({ category: 1 });
 fileSchema.index({ createdAt: -1 });
 fileSchema.index({ viewCount: -1 });
+fileSchema.index({ uploadedBy: 1, deletedAt: -1 });
+fileSchema.index({ uploadedBy: 1, updatedAt: 1 });
+fileSchema.index({ deletedAt: 1 });
+
+// Trashed files are left out of every query and aggregation unless the filter (or the
+// first $match stage) mentions deletedAt, or the query runs with { withDeleted: true }
+fileSchema.pre(['countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate'], function() {
+  if (this.getOptions().withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+});
+
+fileSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) {
+    delete this.options.withDeleted;
+    return;
+  }
+
+  // $text has to stay in the first stage, so the condition is merged into it
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  if (first && first.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      first.$match = { ...first.$match, deletedAt: null };
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
 
 // Pre-save middleware to generate search keywords
 fileSchema.pre('save', function(next) {
@@ -128,22 +357,53 @@ fileSchema.pre('save', function(next) {
       keywords.push(...nameWithoutExt.split(/[\s_-]+/));
     }
     
+    // Add extracted metadata words (author, camera, codecs...)
+    keywords.push(...this.getMetadataKeywords());
+    
     // Remove duplicates and filter out empty strings
     this.searchKeywords = [...new Set(keywords)].filter(keyword => keyword.length > 0);
   }
   next();
 });
 
+// Method to list searchable words from extracted metadata
+fileSchema.methods.getMetadataKeywords = function() {
+  const metadata = this.metadata || {};
+  const values = [
+    metadata.title,
+    metadata.author,
+    metadata.album,
+    metadata.videoCodec,
+    metadata.audioCodec,
+    metadata.camera?.make,
+    metadata.camera?.model,
+    metadata.camera?.lens
+  ];
+
+  return values
+    .filter(Boolean)
+    .flatMap(value => String(value).toLowerCase().split(/[\s,;]+/))
+    .filter(keyword => /[a-z0-9]/.test(keyword));
+};
+
+// Query for writing a processing job's results to its file. Queueing jobs for new
+// content (a new version) replaces the file's jobs, so once the job no longer belongs
+// to the file nothing matches and results from the earlier content are discarded.
+// Without a job (maintenance scripts) the file always matches
+fileSchema.statics.jobResultFilter = function(fileId, jobId) {
+  return jobId ? { _id: fileId, jobs: jobId } : { _id: fileId };
+};
+
 // Method to increment view count
 fileSchema.methods.incrementViewCount = function() {
   this.viewCount += 1;
   return this.save();
 };
 
-// Method to increment download count
+// Method to increment download count; $inc so concurrent downloads are all counted
 fileSchema.methods.incrementDownloadCount = function() {
   this.downloadCount += 1;
-  return this.save();
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { downloadCount: 1 } });
 };
 
 // Static method to get file statistics
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A superseded version of a file: its content and a snapshot of its metadata at
+// the time it was replaced. The current version lives on the File itself
+const fileVersionSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // Owner of the file; retained versions count against their storage
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  versionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // User who uploaded or restored the content of this version
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Comment cannot exceed 200 characters']
+  },
+  // Content, as stored on the File when this version was current
+  originalName: String,
+  fileName: String,
+  storageProvider: String,
+  storageKey: String,
+  url: String,
+  mimeType: String,
+  size: Number,
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Virus scan result of the content (versions archived before scanning have none)
+  scanStatus: {
+    type: String,
+    enum: ['unscanned', 'pending', 'clean', 'infected', 'failed']
+  },
+  virusName: {
+    type: String,
+    default: null
+  },
+  // Metadata snapshot
+  title: String,
+  description: String,
+  tags: [String],
+  category: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // When this version became current (the File's createdAt for version 1)
+  versionCreatedAt: Date
+}, {
+  timestamps: true
+});
+
+fileVersionSchema.index({ file: 1, versionNumber: -1 }, { unique: true });
+fileVersionSchema.index({ owner: 1, contentHash: 1 });
+fileVersionSchema.index({ owner: 1, createdAt: 1 });
+
+module.exports = mongoose.model('FileVersion', fileVersionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a folder name'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // Materialized path of ancestor IDs (root first) for subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  }]
+}, {
+  timestamps: true
+});
+
+// Sibling folders must have distinct names
+folderSchema.index({ owner: 1, parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+folderSchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const jobFailureSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// One unit of background work, claimed and run by a job queue worker
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['thumbnails', 'metadata', 'contentIndex', 'virusScan'],
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  // Owner of the file, who can follow the job
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // queued jobs wait for runAt; dead jobs failed every attempt and are kept for inspection and retry
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  // Worker running the job and when it claimed it
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // Outcome reported by the job, e.g. { status: 'ready' }
+  result: {
+    type: Object,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [jobFailureSchema],
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Finished jobs are removed after the retention period (longer for dead jobs)
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ file: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+// MongoDB removes finished jobs once they expire
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
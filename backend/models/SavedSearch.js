@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { FILE_TYPES, CATEGORIES } = require('../utils/searchQuery');
+
+// A named search (query, filters and sort) that can be re-run as a smart collection
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the saved search'],
+    trim: true,
+    maxlength: [100, 'Saved search name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  query: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Search query cannot exceed 500 characters'],
+    default: ''
+  },
+  fileType: {
+    type: String,
+    enum: [...FILE_TYPES, null],
+    default: null
+  },
+  category: {
+    type: String,
+    enum: [...CATEGORIES, null],
+    default: null
+  },
+  sortBy: {
+    type: String,
+    enum: ['relevance', 'date', 'name', 'size', 'views'],
+    default: 'relevance'
+  },
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  // Pinned searches are shown as smart collections in the sidebar
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  // Report files that started matching since the search was last opened
+  notify: {
+    type: Boolean,
+    default: false
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ owner: 1, name: 1 });
+
+/**
+ * Search parameters in the form FileService.searchFiles() accepts
+ * @returns {Object} Search filters
+ */
+savedSearchSchema.methods.toSearchFilters = function() {
+  return {
+    q: this.query,
+    fileType: this.fileType || undefined,
+    category: this.category || undefined,
+    sortBy: this.sortBy,
+    sortOrder: this.sortOrder
+  };
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const AppConfig = require('../config/app');
+
+// One entry per search request, used for search analytics
+const searchLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  query: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Lower-case, whitespace-collapsed query used for grouping
+  normalizedQuery: {
+    type: String,
+    default: ''
+  },
+  // Positive text words and phrases of the query
+  terms: [{
+    type: String
+  }],
+  filters: {
+    fileType: String,
+    category: String,
+    sortBy: String,
+    sortOrder: String
+  },
+  page: {
+    type: Number,
+    default: 1
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  // Results the user opened from this page of results
+  clicks: [{
+    _id: false,
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File'
+    },
+    // 1-based rank of the file in the full result list
+    position: Number,
+    clickedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+searchLogSchema.index({ user: 1, createdAt: -1 });
+// MongoDB removes logs once they are older than the retention period
+searchLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AppConfig.getSearchConfig().analyticsRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('SearchLog', searchLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Grants a user or group a role on a file or a folder (and everything below it)
+const shareSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true,
+    enum: ['File', 'Folder']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'resourceType'
+  },
+  // Owner of the shared resource, used for cleanup and "shared by" listings
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  principalType: {
+    type: String,
+    required: true,
+    enum: ['User', 'Group']
+  },
+  principal: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'principalType'
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['viewer', 'commenter', 'editor']
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+shareSchema.index({ resource: 1, principal: 1 }, { unique: true });
+shareSchema.index({ principal: 1, resourceType: 1 });
+
+module.exports = mongoose.model('Share', shareSchema);
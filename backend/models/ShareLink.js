@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const AppConfig = require('../config/app');
+
+// Tokenized public link to a single file; anyone holding the token can open it
+// until it expires, runs out of downloads or is revoked
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // bcrypt hash; never returned by queries unless explicitly selected
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxDownloads: {
+    type: Number,
+    default: null,
+    min: [1, 'maxDownloads must be at least 1']
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ file: 1, createdAt: -1 });
+
+// Hash password before saving
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  this.hasPassword = !!this.password;
+  if (this.password) {
+    this.password = await bcrypt.hash(this.password, AppConfig.getSecurityConfig().bcryptSaltRounds);
+  }
+  next();
+});
+
+/**
+ * Compare a candidate password (document must be loaded with +password)
+ * @param {string} candidatePassword - Password to check
+ * @returns {Promise<boolean>} True if it matches
+ */
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return true;
+  return bcrypt.compare(String(candidatePassword || ''), this.password);
+};
+
+/**
+ * Why the link can no longer be used
+ * @returns {string|null} revoked, expired, exhausted, or null while the link is active
+ */
+shareLinkSchema.methods.getInactiveReason = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'exhausted';
+  return null;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Content stored with a provider, shared by every File with the same SHA-256 hash
+// in its dedup scope. The content is deleted when the last referencing File goes
+const storedObjectSchema = new mongoose.Schema({
+  contentHash: {
+    type: String,
+    required: true
+  },
+  // Owner for per-user deduplication; null for content shared between users
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Stored object details as returned by StorageService
+  storageProvider: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  url: String,
+  fileName: String,
+  width: Number,
+  height: Number,
+  format: String,
+  resourceType: String,
+  // Number of File records using the content
+  refCount: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+storedObjectSchema.index({ owner: 1, contentHash: 1 }, { unique: true });
+storedObjectSchema.index({ storageProvider: 1, storageKey: 1 });
+
+/**
+ * Stored object details in the shape StorageService returns them
+ * @returns {Object} Stored object details ({ provider, key, url, ... })
+ */
+storedObjectSchema.methods.toStored = function() {
+  return {
+    provider: this.storageProvider,
+    key: this.storageKey,
+    url: this.url,
+    fileName: this.fileName,
+    size: this.size,
+    width: this.width,
+    height: this.height,
+    format: this.format,
+    resourceType: this.resourceType
+  };
+};
+
+module.exports = mongoose.model('StoredObject', storedObjectSchema);
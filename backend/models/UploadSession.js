@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const uploadPartSchema = new mongoose.Schema({
+  partNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  etag: String
+}, {
+  _id: false
+});
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    required: true,
+    enum: ['image', 'video', 'audio', 'document']
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalParts: {
+    type: Number,
+    required: true
+  },
+  parts: [uploadPartSchema],
+  storageProvider: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  providerUploadId: {
+    type: String,
+    required: true
+  },
+  // Metadata applied to the File record on completion
+  fileData: {
+    title: String,
+    description: String,
+    tags: [String],
+    category: String,
+    isPublic: Boolean,
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder'
+    }
+  },
+  // completing: claimed by a completion request; failed: the assembled upload could not be
+  // stored; expired: claimed by the expiry sweep
+  status: {
+    type: String,
+    enum: ['pending', 'completing', 'completed', 'failed', 'aborted', 'expired'],
+    default: 'pending'
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  // Moved forward with every part; the expiry sweep aborts and removes sessions past it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ user: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1, status: 1 });
+
+// Bytes received so far
+uploadSessionSchema.virtual('uploadedBytes').get(function() {
+  return this.parts.reduce((total, part) => total + part.size, 0);
+});
+
+/**
+ * Expected byte length of a part
+ * @param {number} partNumber - 1-based part number
+ * @returns {number} Part size in bytes
+ */
+uploadSessionSchema.methods.getPartSize = function(partNumber) {
+  if (partNumber < this.totalParts) return this.chunkSize;
+  return this.size - this.chunkSize * (this.totalParts - 1);
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -49,6 +49,35 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Retention of superseded file versions; unset values use the server defaults
+  versionRetention: {
+    maxVersions: {
+      type: Number,
+      default: null,
+      min: [0, 'maxVersions cannot be negative']
+    },
+    maxAgeDays: {
+      type: Number,
+      default: null,
+      min: [0, 'maxAgeDays cannot be negative']
+    }
+  },
+  // Quota plan (see AppConfig.getQuotaConfig); null uses the default plan
+  plan: {
+    type: String,
+    default: null
+  },
+  // Per-user limits set by an admin; unset values come from the plan
+  quota: {
+    storageBytes: { type: Number, default: null, min: 0 },
+    maxFiles: { type: Number, default: null, min: 0 },
+    maxFileSize: {
+      image: { type: Number, default: null, min: 0 },
+      video: { type: Number, default: null, min: 0 },
+      audio: { type: Number, default: null, min: 0 },
+      document: { type: Number, default: null, min: 0 }
+    }
   }
 }, {
   timestamps: true
@@ -1,6 +1,7 @@
 const express = require('express');
 const AuthController = require('../controllers/AuthController');
-const { authenticate } = require('../middleware/auth');
+const QuotaController = require('../controllers/QuotaController');
+const { authenticate, requireAdmin } = require('../middleware/auth');
 const { validateRegistration, validateLogin } = require('../middleware/validation');
 
 const router = express.Router();
@@ -186,6 +187,20 @@ router.get('/profile', authenticate, AuthController.getProfile);
  *                 maxLength: 50
  *               avatar:
  *                 type: string
+ *               versionRetention:
+ *                 type: object
+ *                 description: |
+ *                   How many versions are kept per file and for how many days (0 days: no age limit).
+ *                   null resets a limit to the server default. Lowering a limit prunes existing versions.
+ *                 properties:
+ *                   maxVersions:
+ *                     type: integer
+ *                     minimum: 0
+ *                     nullable: true
+ *                   maxAgeDays:
+ *                     type: integer
+ *                     minimum: 0
+ *                     nullable: true
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -198,4 +213,98 @@ router.get('/profile', authenticate, AuthController.getProfile);
  */
 router.put('/profile', authenticate, AuthController.updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/quota:
+ *   get:
+ *     summary: Get the storage quota and usage
+ *     description: |
+ *       Limits of the user's plan (with per-user overrides) and current usage. Trashed files,
+ *       kept versions and pending chunked uploads count as used. null limits mean no limit.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quota retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quota:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         plan:
+ *                           type: string
+ *                         limits:
+ *                           type: object
+ *                           description: storageBytes, maxFiles and maxFileSize per file type
+ *                         usage:
+ *                           type: object
+ *                           description: storageUsed, totalFiles and reservedBytes (pending chunked uploads)
+ *                         remaining:
+ *                           type: object
+ *                           description: storageBytes and files left
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/quota', authenticate, QuotaController.getQuota);
+
+/**
+ * @swagger
+ * /api/auth/users/{id}/quota:
+ *   put:
+ *     summary: Set a user's plan and limits (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [free, pro, unlimited]
+ *                 nullable: true
+ *                 description: null moves the user to the default plan
+ *               quota:
+ *                 type: object
+ *                 description: Per-user limits that replace the plan's; null clears an override
+ *                 properties:
+ *                   storageBytes:
+ *                     type: integer
+ *                     nullable: true
+ *                   maxFiles:
+ *                     type: integer
+ *                     nullable: true
+ *                   maxFileSize:
+ *                     type: object
+ *                     description: Bytes per file type (image, video, audio, document)
+ *     responses:
+ *       200:
+ *         description: Quota updated successfully
+ *       400:
+ *         description: Unknown plan or invalid limit
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/quota', authenticate, requireAdmin, QuotaController.updateUserQuota);
+
 module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const BulkOperationController = require('../controllers/BulkOperationController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkOperation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         operation:
+ *           type: string
+ *           enum: [addTags, removeTags, setCategory, setVisibility, move, delete]
+ *         params:
+ *           type: object
+ *           properties:
+ *             tags:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             category:
+ *               type: string
+ *             isPublic:
+ *               type: boolean
+ *             folder:
+ *               type: string
+ *               nullable: true
+ *         filter:
+ *           type: object
+ *           nullable: true
+ *           description: Search filter the files were selected with
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, failed]
+ *         total:
+ *           type: number
+ *         processed:
+ *           type: number
+ *         succeeded:
+ *           type: number
+ *         failed:
+ *           type: number
+ *         error:
+ *           type: string
+ *           description: Why the operation stopped, when status is failed
+ *         results:
+ *           type: array
+ *           description: Result for each processed file (GET /api/files/bulk/{id} only)
+ *           items:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [succeeded, failed]
+ *               message:
+ *                 type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/files/bulk:
+ *   post:
+ *     summary: Start a bulk operation
+ *     description: |
+ *       Applies one operation to files picked by ID (fileIds) or selected with a search filter,
+ *       in the background, with the same permission checks as the single-file endpoints.
+ *       Tags and category need editor access; visibility, move and delete need ownership,
+ *       and a filter for them only selects the user's own files. Follow progress with
+ *       GET /api/files/bulk/{id}. At most BULK_MAX_FILES (default 1000) files.
+ *     tags: [Bulk Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operation
+ *             properties:
+ *               operation:
+ *                 type: string
+ *                 enum: [addTags, removeTags, setCategory, setVisibility, move, delete]
+ *               fileIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 description: Search filter (instead of fileIds)
+ *                 properties:
+ *                   q:
+ *                     type: string
+ *                     description: Search query, with the same syntax as GET /api/files/search
+ *                   fileType:
+ *                     type: string
+ *                   category:
+ *                     type: string
+ *                   uploadedBy:
+ *                     type: string
+ *               tags:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                     description: Comma-separated tags
+ *                 description: Tags to add or remove (addTags, removeTags)
+ *               category:
+ *                 type: string
+ *                 enum: [personal, work, education, entertainment, other]
+ *                 description: New category (setCategory)
+ *               isPublic:
+ *                 type: boolean
+ *                 description: New visibility (setVisibility)
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Target folder ID, or null for the top level (move)
+ *     responses:
+ *       202:
+ *         description: Operation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     operation:
+ *                       $ref: '#/components/schemas/BulkOperation'
+ *       400:
+ *         description: Invalid operation, arguments, file IDs or filter
+ *       404:
+ *         description: Target folder not found, or no files match the filter
+ *       413:
+ *         description: Too many files for one operation
+ */
+router.post('/', authenticate, BulkOperationController.createOperation);
+
+/**
+ * @swagger
+ * /api/files/bulk:
+ *   get:
+ *     summary: List recent bulk operations, most recent first
+ *     description: Operations are kept for BULK_OPERATION_RETENTION_DAYS (default 7). Per-file results are left out.
+ *     tags: [Bulk Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bulk operations and pagination
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, BulkOperationController.getOperations);
+
+/**
+ * @swagger
+ * /api/files/bulk/{id}:
+ *   get:
+ *     summary: Get a bulk operation's progress and per-file results
+ *     tags: [Bulk Operations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bulk operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     operation:
+ *                       $ref: '#/components/schemas/BulkOperation'
+ *       404:
+ *         description: Bulk operation not found
+ */
+router.get('/:id', authenticate, BulkOperationController.getOperation);
+
+module.exports = router;
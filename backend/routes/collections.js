@@ -0,0 +1,233 @@
+const express = require('express');
+const CollectionController = require('../controllers/CollectionController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Collection:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         coverFile:
+ *           $ref: '#/components/schemas/File'
+ *         fileCount:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/collections:
+ *   post:
+ *     summary: Create a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Collection created successfully
+ *       400:
+ *         description: Invalid collection data
+ */
+router.post('/', authenticate, CollectionController.createCollection);
+
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: List collections with file counts
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully
+ */
+router.get('/', authenticate, CollectionController.getCollections);
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   get:
+ *     summary: Get a collection
+ *     description: List its files with GET /api/files?collection={id}
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection retrieved successfully
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/:id', authenticate, CollectionController.getCollection);
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   put:
+ *     summary: Update a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               coverFile:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Collection updated successfully
+ *       400:
+ *         description: Invalid collection data
+ *       404:
+ *         description: Collection not found
+ */
+router.put('/:id', authenticate, CollectionController.updateCollection);
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   delete:
+ *     summary: Delete a collection (files are kept)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection deleted successfully
+ *       404:
+ *         description: Collection not found
+ */
+router.delete('/:id', authenticate, CollectionController.deleteCollection);
+
+/**
+ * @swagger
+ * /api/collections/{id}/files:
+ *   post:
+ *     summary: Add files to a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Files added
+ *       400:
+ *         description: Invalid file IDs
+ *       404:
+ *         description: Collection not found
+ */
+router.post('/:id/files', authenticate, CollectionController.addFiles);
+
+/**
+ * @swagger
+ * /api/collections/{id}/files:
+ *   delete:
+ *     summary: Remove files from a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Files removed
+ *       400:
+ *         description: Invalid file IDs
+ *       404:
+ *         description: Collection not found
+ */
+router.delete('/:id/files', authenticate, CollectionController.removeFiles);
+
+module.exports = router;
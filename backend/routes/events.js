@@ -0,0 +1,105 @@
+const express = require('express');
+const FileEventController = require('../controllers/FileEventController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FileEvent:
+ *       type: object
+ *       description: Data of a "file" event
+ *       properties:
+ *         stage:
+ *           type: string
+ *           enum: [stored, thumbnailed, indexed, processed, failed]
+ *           description: |
+ *             stored: content saved, no processing finished yet; thumbnailed / indexed: previews
+ *             or searchable text are ready while other jobs still run; processed: every job
+ *             finished; failed: a job gave up (see GET /api/jobs)
+ *         file:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             jobStatus:
+ *               type: string
+ *               enum: [pending, processing, completed, failed]
+ *             thumbnailStatus:
+ *               type: string
+ *             thumbnails:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             metadataStatus:
+ *               type: string
+ *             contentStatus:
+ *               type: string
+ *             scanStatus:
+ *               type: string
+ *             virusName:
+ *               type: string
+ *               nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/events/token:
+ *   post:
+ *     summary: Create a token for opening the event stream
+ *     description: EventSource cannot send an Authorization header; pass this token as ?token= instead. It expires after DOWNLOAD_TOKEN_EXPIRY (default 5m), so get a new one to reconnect.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/token', authenticate, FileEventController.createStreamToken);
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Stream the processing progress of the user's files
+ *     description: |
+ *       Server-sent events (text/event-stream). Each time one of the user's files changes
+ *       processing state (upload stored, thumbnails ready, text indexed, all jobs finished
+ *       or failed) a "file" event carries its new state. Authenticate with a bearer token or
+ *       with ?token= from POST /api/events/token.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Token from POST /api/events/token
+ *     responses:
+ *       200:
+ *         description: Event stream of "file" events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/FileEvent'
+ *       401:
+ *         description: Missing, invalid or expired token
+ */
+router.get('/', optionalAuth, FileEventController.streamEvents);
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const FileController = require('../controllers/FileController');
-const { authenticate } = require('../middleware/auth');
-const { uploadMiddleware } = require('../middleware/upload');
+const ShareController = require('../controllers/ShareController');
+const ShareLinkController = require('../controllers/ShareLinkController');
+const FileVersionController = require('../controllers/FileVersionController');
+const DownloadController = require('../controllers/DownloadController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { uploadMiddleware, batchUploadMiddleware } = require('../middleware/upload');
 const { validateFileType } = require('../middleware/validation');
+const { checkUploadQuota } = require('../middleware/quota');
 
 const router = express.Router();
 
@@ -17,7 +22,6 @@ const router = express.Router();
  *         - originalName
  *         - fileType
  *         - size
- *         - url
  *       properties:
  *         id:
  *           type: string
@@ -36,9 +40,10 @@ const router = express.Router();
  *           type: string
  *         size:
  *           type: number
- *         url:
+ *         storageProvider:
  *           type: string
- *         secureUrl:
+ *           enum: [cloudinary, local, s3]
+ *         storageKey:
  *           type: string
  *         tags:
  *           type: array
@@ -55,14 +60,83 @@ const router = express.Router();
  *           type: number
  *         uploadedBy:
  *           type: string
+ *         folder:
+ *           type: string
+ *           nullable: true
+ *         collections:
+ *           type: array
+ *           items:
+ *             type: string
  *         metadata:
  *           type: object
+ *           description: |
+ *             Provider details (width, height, format) plus extracted metadata: duration, bitrate,
+ *             videoCodec, audioCodec, frameRate, sampleRate, channels, title, author, album,
+ *             pageCount, createdAt, camera (EXIF), takenAt and location (GPS)
+ *         metadataStatus:
+ *           type: string
+ *           enum: [pending, ready, failed, unsupported]
+ *         thumbnails:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 enum: [small, medium, large]
+ *               kind:
+ *                 type: string
+ *                 enum: [thumbnail, poster, waveform, preview]
+ *               mimeType:
+ *                 type: string
+ *         thumbnailStatus:
+ *           type: string
+ *           enum: [pending, ready, failed, unsupported]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Share:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         resourceType:
+ *           type: string
+ *           enum: [File, Folder]
+ *         resource:
+ *           type: string
+ *         principalType:
+ *           type: string
+ *           enum: [User, Group]
+ *         principal:
+ *           type: object
+ *           description: The user (name, email) or group (name) the item is shared with
+ *         role:
+ *           type: string
+ *           enum: [viewer, commenter, editor]
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ShareRequest:
+ *       type: object
+ *       required:
+ *         - role
+ *       properties:
+ *         email:
+ *           type: string
+ *           description: Email of the user to share with
+ *         groupId:
+ *           type: string
+ *           description: Group to share with (instead of email)
+ *         role:
+ *           type: string
+ *           enum: [viewer, commenter, editor]
  */
 
 /**
@@ -98,17 +172,69 @@ const router = express.Router();
  *                 enum: [personal, work, education, entertainment, other]
  *               isPublic:
  *                 type: boolean
+ *               folder:
+ *                 type: string
+ *                 description: Folder ID to upload into (top level when omitted)
  *     responses:
  *       201:
- *         description: File uploaded successfully
+ *         description: |
+ *           File uploaded successfully. For images, duplicates lists up to 5 of the user's images
+ *           that look the same (with distance and similarity); the message warns when it is not empty.
  *       400:
  *         description: Invalid file or validation error
  *       401:
  *         description: Unauthorized
+ *       413:
+ *         description: Storage quota, file limit or the plan's size limit for this file type exceeded
+ *       500:
+ *         description: Server error
+ */
+router.post('/upload', authenticate, checkUploadQuota, uploadMiddleware, validateFileType, FileController.uploadFile);
+
+/**
+ * @swagger
+ * /api/files/batch:
+ *   post:
+ *     summary: Upload many files or a folder in one request
+ *     description: Each file is uploaded independently and reported in a per-file result list.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               defaults:
+ *                 type: string
+ *                 description: JSON object with title, description, tags, category, isPublic and folder applied to every file
+ *               items:
+ *                 type: string
+ *                 description: JSON array aligned with files; each entry may set relativePath and override any default
+ *     responses:
+ *       201:
+ *         description: All files uploaded successfully
+ *       207:
+ *         description: Some files failed; see per-file results
+ *       400:
+ *         description: No file could be uploaded
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: The request is larger than the remaining storage quota, or the file limit is reached
  *       500:
  *         description: Server error
  */
-router.post('/upload', authenticate, uploadMiddleware, validateFileType, FileController.uploadFile);
+router.post('/batch', authenticate, checkUploadQuota, batchUploadMiddleware, FileController.uploadBatch);
 
 /**
  * @swagger
@@ -143,11 +269,27 @@ router.post('/upload', authenticate, uploadMiddleware, validateFileType, FileCon
  *           type: string
  *           enum: [personal, work, education, entertainment, other]
  *       - in: query
+ *         name: folder
+ *         description: Folder ID, or "root" for top-level files; all files when omitted
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeSubfolders
+ *         description: Also list files in sub-folders of the given folder
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: collection
+ *         description: Only list files in this collection
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [date, name, size, views]
- *           default: date
+ *           enum: [relevance, date, name, size, views]
+ *           default: relevance
+ *         description: Relevance applies to text queries; other queries fall back to date
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -159,11 +301,183 @@ router.post('/upload', authenticate, uploadMiddleware, validateFileType, FileCon
  *         description: Files retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Folder or collection not found
  *       500:
  *         description: Server error
  */
 router.get('/', authenticate, FileController.getUserFiles);
 
+/**
+ * @swagger
+ * /api/files/move:
+ *   post:
+ *     summary: Move files into a folder
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Target folder ID, or null for the top level
+ *     responses:
+ *       200:
+ *         description: Files moved
+ *       400:
+ *         description: Invalid file IDs
+ *       404:
+ *         description: File or folder not found
+ */
+router.post('/move', authenticate, FileController.moveFiles);
+
+/**
+ * @swagger
+ * /api/files/copy:
+ *   post:
+ *     summary: Copy files into a folder
+ *     description: Each copy gets its own stored content
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Target folder ID, or null for the top level
+ *     responses:
+ *       201:
+ *         description: Files copied
+ *       400:
+ *         description: Invalid file IDs
+ *       404:
+ *         description: File or folder not found
+ *       413:
+ *         description: The copies would exceed the storage quota or file limit
+ */
+router.post('/copy', authenticate, FileController.copyFiles);
+
+/**
+ * @swagger
+ * /api/files/archive/token:
+ *   post:
+ *     summary: Check a selection of files and create a ZIP download token
+ *     description: |
+ *       Checks access and the archive limits (ARCHIVE_MAX_FILES, ARCHIVE_MAX_SIZE_GB) and returns a
+ *       token for POST /api/files/archive, valid for DOWNLOAD_TOKEN_EXPIRY (default 5 minutes).
+ *       Provide exactly one of ids, folder or savedSearch.
+ *     tags: [File Downloads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ArchiveSelection'
+ *     responses:
+ *       201:
+ *         description: Archive token, its lifetime, and the number and total size of the files
+ *       400:
+ *         description: Invalid selection
+ *       404:
+ *         description: File, folder or saved search not found, or no files to download
+ *       413:
+ *         description: Too many files, or the files are too large for one archive
+ *
+ * components:
+ *   schemas:
+ *     ArchiveSelection:
+ *       type: object
+ *       properties:
+ *         ids:
+ *           oneOf:
+ *             - type: array
+ *               items:
+ *                 type: string
+ *             - type: string
+ *               description: Comma-separated file IDs
+ *         folder:
+ *           type: string
+ *           description: Folder ID
+ *         includeSubfolders:
+ *           type: boolean
+ *           default: true
+ *           description: Include the folder's sub-folders as directories
+ *         savedSearch:
+ *           type: string
+ *           description: Saved search ID
+ */
+router.post('/archive/token', authenticate, DownloadController.createArchiveToken);
+
+/**
+ * @swagger
+ * /api/files/archive:
+ *   post:
+ *     summary: Download files as a ZIP archive
+ *     description: |
+ *       Streams a ZIP archive of the selected files, built on the fly, with manifest.json and
+ *       manifest.csv describing every file. Folders keep their sub-folders as directories.
+ *       Browsers post the selection as a form with the token from POST /api/files/archive/token.
+ *     tags: [File Downloads]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ArchiveSelection'
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ArchiveSelection'
+ *               - type: object
+ *                 properties:
+ *                   token:
+ *                     type: string
+ *                     description: Archive token (alternative to the Authorization header)
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip: {}
+ *       400:
+ *         description: Invalid selection
+ *       401:
+ *         description: No token, or the archive token is invalid or expired
+ *       404:
+ *         description: File, folder or saved search not found, or no files to download
+ *       413:
+ *         description: Too many files, or the files are too large for one archive
+ */
+router.post('/archive', optionalAuth, DownloadController.downloadArchive);
+
 /**
  * @swagger
  * /api/files/search:
@@ -177,7 +491,10 @@ router.get('/', authenticate, FileController.getUserFiles);
  *         name: q
  *         schema:
  *           type: string
- *         description: Search query
+ *         description: |
+ *           Search query (also matches the text inside PDF, Word, Excel, PowerPoint, CSV and text files).
+ *           Supports "phrases", -exclusions, tag:, type:, category:, size:>10mb, size:1mb..5mb,
+ *           before:/after: (YYYY, YYYY-MM or YYYY-MM-DD) and OR.
  *       - in: query
  *         name: page
  *         schema:
@@ -202,6 +519,11 @@ router.get('/', authenticate, FileController.getUserFiles);
  *           type: string
  *           enum: [personal, work, education, entertainment, other]
  *       - in: query
+ *         name: uploadedBy
+ *         schema:
+ *           type: string
+ *         description: Only files uploaded by this user
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -215,7 +537,16 @@ router.get('/', authenticate, FileController.getUserFiles);
  *           default: desc
  *     responses:
  *       200:
- *         description: Search completed successfully
+ *         description: |
+ *           Search completed successfully. Each file carries a contentSnippet ({ text, highlights })
+ *           when the query occurs in its document text; highlights are [start, end) offsets into text.
+ *           When nothing matches, didYouMean holds a spelling-corrected query ({ query, corrections })
+ *           if one is found. The first page includes facets: result counts by fileType, category,
+ *           uploader, tags, size and uploadYear ({ value, count }, with a label and the narrowing
+ *           query syntax where useful). fileType, category and uploader counts ignore their own
+ *           filter. Later pages return facets: null.
+ *       400:
+ *         description: Invalid query syntax
  *       401:
  *         description: Unauthorized
  *       500:
@@ -225,107 +556,102 @@ router.get('/search', authenticate, FileController.searchFiles);
 
 /**
  * @swagger
- * /api/files/{id}:
+ * /api/files/search/suggest:
  *   get:
- *     summary: Get file by ID
+ *     summary: Suggest completions for a search query
+ *     description: |
+ *       Completes the last word of the query from the titles, tags and keywords of files the
+ *       user can access. A trailing tag: completes tags only. Each suggestion carries the full
+ *       query to search for.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: q
  *         schema:
  *           type: string
+ *         description: Query typed so far (the last word needs at least 2 characters)
  *     responses:
  *       200:
- *         description: File retrieved successfully
- *       404:
- *         description: File not found
+ *         description: Suggestions ({ text, type, count, query }) with type title, tag or keyword
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, FileController.getFileById);
+router.get('/search/suggest', authenticate, FileController.getSearchSuggestions);
 
 /**
  * @swagger
- * /api/files/{id}:
- *   put:
- *     summary: Update file metadata
- *     tags: [Files]
+ * /api/files/shared:
+ *   get:
+ *     summary: Files and folders shared with the current user
+ *     description: Includes items shared with any group the user belongs to; each item carries the user's access role
+ *     tags: [Sharing]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: page
  *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *               category:
- *                 type: string
- *                 enum: [personal, work, education, entertainment, other]
- *               isPublic:
- *                 type: boolean
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: File updated successfully
- *       404:
- *         description: File not found
+ *         description: Shared items retrieved successfully
  *       401:
  *         description: Unauthorized
- *       500:
- *         description: Server error
  */
-router.put('/:id', authenticate, FileController.updateFile);
+router.get('/shared', authenticate, ShareController.getSharedWithMe);
 
 /**
  * @swagger
- * /api/files/{id}/view:
- *   put:
- *     summary: Increment view count
+ * /api/files/duplicates:
+ *   get:
+ *     summary: Find duplicate images in the user's library
+ *     description: |
+ *       Groups the user's own images whose perceptual hashes differ in at most maxDistance of 64 bits,
+ *       largest reclaimable space first. Files in a group are listed oldest first; reclaimableBytes
+ *       is the space freed by keeping only the first.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: maxDistance
  *         schema:
- *           type: string
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 64
+ *           default: 4
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of groups listed
  *     responses:
  *       200:
- *         description: View count updated successfully
- *       404:
- *         description: File not found
+ *         description: Duplicate groups and summary
+ *       400:
+ *         description: Invalid maxDistance
  *       401:
  *         description: Unauthorized
- *       500:
- *         description: Server error
  */
-router.put('/:id/view', authenticate, FileController.updateViewCount);
+router.get('/duplicates', authenticate, FileController.getDuplicateReport);
 
 /**
  * @swagger
  * /api/files/{id}:
- *   delete:
- *     summary: Delete a file
+ *   get:
+ *     summary: Get file by ID
+ *     description: Available to the owner, users the file (or its folder) is shared with, and anyone for public files
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -337,7 +663,7 @@ router.put('/:id/view', authenticate, FileController.updateViewCount);
  *           type: string
  *     responses:
  *       200:
- *         description: File deleted successfully
+ *         description: File retrieved successfully
  *       404:
  *         description: File not found
  *       401:
@@ -345,7 +671,686 @@ router.put('/:id/view', authenticate, FileController.updateViewCount);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, FileController.deleteFile);
+router.get('/:id', authenticate, FileController.getFileById);
+
+/**
+ * @swagger
+ * /api/files/{id}/thumbnail:
+ *   get:
+ *     summary: Get a file's thumbnail
+ *     description: |
+ *       Image thumbnail, video poster frame, audio waveform (PNG) or first-page preview of a PDF.
+ *       Generated in the background after upload; check thumbnailStatus on the file.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [small, medium, large]
+ *           default: medium
+ *     responses:
+ *       200:
+ *         description: Thumbnail image
+ *         content:
+ *           image/jpeg: {}
+ *           image/png: {}
+ *       400:
+ *         description: Unknown size
+ *       404:
+ *         description: File not found or no thumbnail available
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/thumbnail', authenticate, FileController.getThumbnail);
+
+/**
+ * @swagger
+ * /api/files/{id}/similar:
+ *   get:
+ *     summary: Find images that look like an image
+ *     description: |
+ *       Compares perceptual hashes with every image the user can access. Each match carries its
+ *       distance (differing bits out of 64) and similarity (percent), closest first.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 64
+ *           default: 12
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Similar images
+ *       400:
+ *         description: The file is not an image, or invalid maxDistance
+ *       404:
+ *         description: File not found
+ *       409:
+ *         description: The image has not been analyzed (yet)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/similar', authenticate, FileController.getSimilarFiles);
+
+/**
+ * @swagger
+ * /api/files/{id}/download:
+ *   get:
+ *     summary: Download a file
+ *     description: |
+ *       Streams the content of a file the caller can view. Authenticate with a bearer token, or pass a
+ *       download token (see POST /api/files/{id}/download-token) in the token query parameter for plain
+ *       links and media elements. Single byte ranges are supported for seeking and resumed downloads.
+ *       Each download is counted on the file (downloadCount) and logged for its owner; requests for a
+ *       range that does not start at the first byte continue a counted download and are not counted again.
+ *     tags: [File Downloads]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Download token (alternative to the Authorization header)
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *         description: Send inline instead of as an attachment
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1048575
+ *     responses:
+ *       200:
+ *         description: File content
+ *       206:
+ *         description: Requested range of the file content
+ *       401:
+ *         description: No token, or the download token is invalid or expired
+ *       404:
+ *         description: File not found or access denied
+ *       416:
+ *         description: Requested range not satisfiable
+ */
+router.get('/:id/download', optionalAuth, DownloadController.downloadFile);
+
+/**
+ * @swagger
+ * /api/files/{id}/download-token:
+ *   post:
+ *     summary: Create a short-lived download token
+ *     description: |
+ *       The token downloads this file only, for DOWNLOAD_TOKEN_EXPIRY (default 5 minutes), as
+ *       GET /api/files/{id}/download?token=...
+ *     tags: [File Downloads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Download token and its lifetime
+ *       404:
+ *         description: File not found or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/download-token', authenticate, DownloadController.createDownloadToken);
+
+/**
+ * @swagger
+ * /api/files/{id}/downloads:
+ *   get:
+ *     summary: Get a file's download history (owner only)
+ *     description: Who downloaded the file and when, most recent first. Kept for DOWNLOAD_LOG_RETENTION_DAYS.
+ *     tags: [File Downloads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Downloads (user is null for anonymous share link downloads) and pagination
+ *       403:
+ *         description: Only the owner can see the download history
+ *       404:
+ *         description: File not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/downloads', authenticate, DownloadController.getDownloads);
+
+/**
+ * @swagger
+ * /api/files/{id}:
+ *   put:
+ *     summary: Update file metadata
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
+ *                 enum: [personal, work, education, entertainment, other]
+ *               isPublic:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: File updated successfully
+ *       404:
+ *         description: File not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authenticate, FileController.updateFile);
+
+/**
+ * @swagger
+ * /api/files/{id}/view:
+ *   put:
+ *     summary: Increment view count
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: View count updated successfully
+ *       404:
+ *         description: File not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/view', authenticate, FileController.updateViewCount);
+
+/**
+ * @swagger
+ * /api/files/{id}:
+ *   delete:
+ *     summary: Move a file to the trash
+ *     description: |
+ *       The file is hidden from listings, search, shares and links until it is restored from
+ *       the trash (see /api/trash) or purged after the retention window (purgeAt).
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File moved to trash
+ *       404:
+ *         description: File not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticate, FileController.deleteFile);
+
+/**
+ * @swagger
+ * /api/files/{id}/shares:
+ *   get:
+ *     summary: List who a file is shared with
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *       404:
+ *         description: File not found or you are not its owner
+ */
+router.get('/:id/shares', authenticate, ShareController.getFileShares);
+
+/**
+ * @swagger
+ * /api/files/{id}/shares:
+ *   post:
+ *     summary: Share a file with a user or group
+ *     description: Sharing again with the same user or group changes their role
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareRequest'
+ *     responses:
+ *       200:
+ *         description: File shared successfully
+ *       400:
+ *         description: Invalid role or recipient
+ *       404:
+ *         description: File, user or group not found
+ */
+router.post('/:id/shares', authenticate, ShareController.addFileShare);
+
+/**
+ * @swagger
+ * /api/files/{id}/shares/{shareId}:
+ *   delete:
+ *     summary: Revoke access to a file
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access removed
+ *       404:
+ *         description: File or share not found
+ */
+router.delete('/:id/shares/:shareId', authenticate, ShareController.removeFileShare);
+
+/**
+ * @swagger
+ * /api/files/{id}/links:
+ *   get:
+ *     summary: List a file's public share links
+ *     tags: [Share Links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share links retrieved successfully
+ *       404:
+ *         description: File not found or you are not its owner
+ */
+router.get('/:id/links', authenticate, ShareLinkController.getLinks);
+
+/**
+ * @swagger
+ * /api/files/{id}/links:
+ *   post:
+ *     summary: Create a public share link
+ *     tags: [Share Links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresInHours:
+ *                 type: number
+ *                 description: Alternative to expiresAt
+ *               password:
+ *                 type: string
+ *                 minLength: 4
+ *               maxDownloads:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Share link created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     link:
+ *                       $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiry, password or download limit
+ *       404:
+ *         description: File not found or you are not its owner
+ */
+router.post('/:id/links', authenticate, ShareLinkController.createLink);
+
+/**
+ * @swagger
+ * /api/files/{id}/links/{linkId}:
+ *   delete:
+ *     summary: Revoke a public share link
+ *     tags: [Share Links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       404:
+ *         description: File or share link not found
+ */
+router.delete('/:id/links/:linkId', authenticate, ShareLinkController.revokeLink);
+
+/**
+ * @swagger
+ * /api/files/{id}/versions:
+ *   get:
+ *     summary: List a file's versions
+ *     description: The current version comes first, followed by archived versions newest first.
+ *     tags: [File Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions and the owner's retention policy (maxVersions, maxAgeDays)
+ *       404:
+ *         description: File not found
+ */
+router.get('/:id/versions', authenticate, FileVersionController.getVersions);
+
+/**
+ * @swagger
+ * /api/files/{id}/versions:
+ *   post:
+ *     summary: Upload a new version of a file
+ *     description: |
+ *       Replaces the file's content (editors). The current content and metadata are kept as a version;
+ *       views, tags, shares and links stay with the file. Versions beyond the owner's retention policy are pruned.
+ *     tags: [File Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               comment:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Version uploaded; prunedVersions counts versions removed by retention
+ *       400:
+ *         description: No file, or not the same kind of file (image, video, audio, document)
+ *       403:
+ *         description: Not an editor of the file
+ *       404:
+ *         description: File not found
+ *       409:
+ *         description: Another version was saved at the same time
+ *       413:
+ *         description: The owner's storage quota or the plan's size limit for this file type is exceeded
+ */
+router.post('/:id/versions', authenticate, uploadMiddleware, validateFileType, FileVersionController.uploadVersion);
+
+/**
+ * @swagger
+ * /api/files/{id}/versions/{versionNumber}/content:
+ *   get:
+ *     summary: Download the content of a version
+ *     tags: [File Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: versionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version content
+ *       404:
+ *         description: File or version not found
+ */
+router.get('/:id/versions/:versionNumber/content', authenticate, FileVersionController.downloadVersion);
+
+/**
+ * @swagger
+ * /api/files/{id}/versions/{versionNumber}/diff:
+ *   get:
+ *     summary: Compare a version's metadata with another version
+ *     description: Lists the fields that differ ({ field, from, to }); extracted metadata is compared per field, e.g. metadata.duration.
+ *     tags: [File Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: versionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: against
+ *         schema:
+ *           type: string
+ *           default: current
+ *         description: Version number to compare with, or current
+ *     responses:
+ *       200:
+ *         description: Changed fields
+ *       404:
+ *         description: File or version not found
+ */
+router.get('/:id/versions/:versionNumber/diff', authenticate, FileVersionController.getVersionDiff);
+
+/**
+ * @swagger
+ * /api/files/{id}/versions/{versionNumber}/restore:
+ *   post:
+ *     summary: Restore a version as the current version
+ *     description: Adds a new version with the restored content (editors), so the replaced content is kept too.
+ *     tags: [File Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: versionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restoreMetadata:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also restore the version's title, description, tags and category
+ *     responses:
+ *       200:
+ *         description: Version restored
+ *       403:
+ *         description: Not an editor of the file
+ *       404:
+ *         description: File or version not found
+ */
+router.post('/:id/versions/:versionNumber/restore', authenticate, FileVersionController.restoreVersion);
+
+/**
+ * @swagger
+ * /api/files/{id}/versions/{versionNumber}:
+ *   delete:
+ *     summary: Delete an archived version
+ *     tags: [File Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: versionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version deleted
+ *       400:
+ *         description: The current version cannot be deleted
+ *       403:
+ *         description: Not the owner of the file
+ *       404:
+ *         description: File or version not found
+ */
+router.delete('/:id/versions/:versionNumber', authenticate, FileVersionController.deleteVersion);
 
 /**
  * @swagger
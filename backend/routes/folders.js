@@ -0,0 +1,256 @@
+const express = require('express');
+const FolderController = require('../controllers/FolderController');
+const ShareController = require('../controllers/ShareController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Folder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *         ancestors:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/folders:
+ *   post:
+ *     summary: Create a folder
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: Parent folder ID (omit for a top-level folder)
+ *     responses:
+ *       201:
+ *         description: Folder created successfully
+ *       400:
+ *         description: Invalid folder name
+ *       404:
+ *         description: Parent folder not found
+ *       409:
+ *         description: A folder with this name already exists here
+ */
+router.post('/', authenticate, FolderController.createFolder);
+
+/**
+ * @swagger
+ * /api/folders:
+ *   get:
+ *     summary: Get the folder tree with file counts
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Folders retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, FolderController.getFolderTree);
+
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   get:
+ *     summary: Get a folder with its breadcrumbs and sub-folders
+ *     description: Available to the owner and to users the folder or a parent folder is shared with
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Folder retrieved successfully
+ *       404:
+ *         description: Folder not found
+ */
+router.get('/:id', authenticate, FolderController.getFolder);
+
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   put:
+ *     summary: Rename a folder or move it under another parent
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New parent folder ID, or null for the top level
+ *     responses:
+ *       200:
+ *         description: Folder updated successfully
+ *       400:
+ *         description: Invalid name or move into own sub-folder
+ *       404:
+ *         description: Folder not found
+ *       409:
+ *         description: A folder with this name already exists here
+ */
+router.put('/:id', authenticate, FolderController.updateFolder);
+
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   delete:
+ *     summary: Delete a folder
+ *     description: Non-empty folders require force=true; contained files move to the parent folder
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Folder deleted successfully
+ *       404:
+ *         description: Folder not found
+ *       409:
+ *         description: Folder is not empty
+ */
+router.delete('/:id', authenticate, FolderController.deleteFolder);
+
+/**
+ * @swagger
+ * /api/folders/{id}/shares:
+ *   get:
+ *     summary: List who a folder is shared with
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *       404:
+ *         description: Folder not found or you are not its owner
+ */
+router.get('/:id/shares', authenticate, ShareController.getFolderShares);
+
+/**
+ * @swagger
+ * /api/folders/{id}/shares:
+ *   post:
+ *     summary: Share a folder with a user or group
+ *     description: The grant covers every file and sub-folder inside the folder
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareRequest'
+ *     responses:
+ *       200:
+ *         description: Folder shared successfully
+ *       400:
+ *         description: Invalid role or recipient
+ *       404:
+ *         description: Folder, user or group not found
+ */
+router.post('/:id/shares', authenticate, ShareController.addFolderShare);
+
+/**
+ * @swagger
+ * /api/folders/{id}/shares/{shareId}:
+ *   delete:
+ *     summary: Revoke access to a folder
+ *     tags: [Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access removed
+ *       404:
+ *         description: Folder or share not found
+ */
+router.delete('/:id/shares/:shareId', authenticate, ShareController.removeFolderShare);
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const express = require('express');
+const GroupController = require('../controllers/GroupController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Group:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/groups:
+ *   post:
+ *     summary: Create a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Emails of the initial members
+ *     responses:
+ *       201:
+ *         description: Group created successfully
+ *       400:
+ *         description: Invalid group data
+ *       404:
+ *         description: A member email does not belong to any user
+ */
+router.post('/', authenticate, GroupController.createGroup);
+
+/**
+ * @swagger
+ * /api/groups:
+ *   get:
+ *     summary: List groups the user owns or belongs to
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, GroupController.getGroups);
+
+/**
+ * @swagger
+ * /api/groups/{id}:
+ *   put:
+ *     summary: Rename a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Group updated successfully
+ *       404:
+ *         description: Group not found or you are not its owner
+ */
+router.put('/:id', authenticate, GroupController.updateGroup);
+
+/**
+ * @swagger
+ * /api/groups/{id}:
+ *   delete:
+ *     summary: Delete a group and everything shared with it
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group deleted successfully
+ *       404:
+ *         description: Group not found or you are not its owner
+ */
+router.delete('/:id', authenticate, GroupController.deleteGroup);
+
+/**
+ * @swagger
+ * /api/groups/{id}/members:
+ *   post:
+ *     summary: Add a member by email
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Member added
+ *       400:
+ *         description: Missing email
+ *       404:
+ *         description: Group or user not found
+ */
+router.post('/:id/members', authenticate, GroupController.addMember);
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: The owner can remove anyone; members can remove themselves to leave the group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Only the group owner can remove other members
+ *       404:
+ *         description: Group not found
+ */
+router.delete('/:id/members/:memberId', authenticate, GroupController.removeMember);
+
+module.exports = router;
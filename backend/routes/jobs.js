@@ -0,0 +1,160 @@
+const express = require('express');
+const JobController = require('../controllers/JobController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [thumbnails, metadata, contentIndex, virusScan]
+ *         file:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *           description: Dead jobs failed every attempt (or cannot succeed) and can be retried
+ *         attempts:
+ *           type: number
+ *         maxAttempts:
+ *           type: number
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a queued job runs next
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Outcome reported by the job, e.g. the status of a virus scan (`superseded` when the file got new content while it ran and the outcome was discarded)
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         failures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List the processing jobs of the user's files, most recent first
+ *     description: |
+ *       Finished jobs are kept for JOB_RETENTION_DAYS (default 7), dead jobs for
+ *       JOB_DEAD_LETTER_RETENTION_DAYS (default 30).
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *       - in: query
+ *         name: file
+ *         schema:
+ *           type: string
+ *         description: Only the jobs of this file
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Jobs and pagination
+ *       400:
+ *         description: Invalid status or file ID
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, JobController.getJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a job's status, attempts and errors
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', authenticate, JobController.getJob);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Queue a dead job again with a fresh set of attempts
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued again
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job is not dead
+ */
+router.post('/:id/retry', authenticate, JobController.retryJob);
+
+module.exports = router;
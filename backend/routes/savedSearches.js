@@ -0,0 +1,215 @@
+const express = require('express');
+const SavedSearchController = require('../controllers/SavedSearchController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         query:
+ *           type: string
+ *           description: Query in the search syntax of GET /api/files/search
+ *         fileType:
+ *           type: string
+ *           enum: [image, video, audio, document]
+ *           nullable: true
+ *         category:
+ *           type: string
+ *           enum: [personal, work, education, entertainment, other]
+ *           nullable: true
+ *         sortBy:
+ *           type: string
+ *           enum: [relevance, date, name, size, views]
+ *         sortOrder:
+ *           type: string
+ *           enum: [asc, desc]
+ *         pinned:
+ *           type: boolean
+ *           description: Shown as a smart collection in the sidebar
+ *         notify:
+ *           type: boolean
+ *           description: Count files that started matching since the search was last opened
+ *         lastViewedAt:
+ *           type: string
+ *           format: date-time
+ *         newMatchCount:
+ *           type: number
+ *           nullable: true
+ *           description: New matching files (listings only, when notify is on)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   post:
+ *     summary: Save a search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               query:
+ *                 type: string
+ *               fileType:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               sortBy:
+ *                 type: string
+ *               sortOrder:
+ *                 type: string
+ *               pinned:
+ *                 type: boolean
+ *               notify:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Search saved successfully
+ *       400:
+ *         description: Missing name, invalid query syntax, or no query, file type or category
+ */
+router.post('/', authenticate, SavedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List saved searches, pinned first
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedSearch'
+ */
+router.get('/', authenticate, SavedSearchController.getSavedSearches);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved search (rename, change criteria, pin, toggle notifications)
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearch'
+ *     responses:
+ *       200:
+ *         description: Saved search updated successfully
+ *       400:
+ *         description: Invalid saved search data
+ *       404:
+ *         description: Saved search not found
+ */
+router.put('/:id', authenticate, SavedSearchController.updateSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted successfully
+ *       404:
+ *         description: Saved search not found
+ */
+router.delete('/:id', authenticate, SavedSearchController.deleteSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/files:
+ *   get:
+ *     summary: Run a saved search
+ *     description: |
+ *       Returns the files the search matches now, in the same shape as GET /api/files/search.
+ *       Opening the first page resets the saved search's new match count.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Saved search files retrieved successfully
+ *       404:
+ *         description: Saved search not found
+ */
+router.get('/:id/files', authenticate, SavedSearchController.getSavedSearchFiles);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const SearchController = require('../controllers/SearchController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnalyticsScope:
+ *       in: query
+ *       name: scope
+ *       schema:
+ *         type: string
+ *         enum: [user, global]
+ *         default: user
+ *       description: The user's own searches, or everyone's (admins only)
+ *     AnalyticsDays:
+ *       in: query
+ *       name: days
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *       description: Reporting period in days (defaults to SEARCH_ANALYTICS_WINDOW_DAYS)
+ *     AnalyticsLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 50
+ *       description: Entries per list (defaults to SEARCH_POPULAR_TERMS_LIMIT)
+ */
+
+/**
+ * @swagger
+ * /api/search/analytics:
+ *   get:
+ *     summary: Search analytics summary
+ *     description: |
+ *       Search volume, zero-result rate, click-through rate (searches with a click out of
+ *       searches with results), average clicked position, popular terms, top queries and
+ *       queries that found nothing.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsScope'
+ *       - $ref: '#/components/parameters/AnalyticsDays'
+ *       - $ref: '#/components/parameters/AnalyticsLimit'
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *       400:
+ *         description: Invalid scope
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Global analytics require the admin role
+ *       404:
+ *         description: Search analytics are disabled
+ */
+router.get('/analytics', authenticate, SearchController.getAnalytics);
+
+/**
+ * @swagger
+ * /api/search/popular:
+ *   get:
+ *     summary: Most searched terms
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsScope'
+ *       - $ref: '#/components/parameters/AnalyticsDays'
+ *       - $ref: '#/components/parameters/AnalyticsLimit'
+ *     responses:
+ *       200:
+ *         description: Terms ({ term, searches, zeroResultSearches, lastSearchedAt })
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Global analytics require the admin role
+ *       404:
+ *         description: Search analytics are disabled
+ */
+router.get('/popular', authenticate, SearchController.getPopularTerms);
+
+/**
+ * @swagger
+ * /api/search/zero-results:
+ *   get:
+ *     summary: Queries that returned no results
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsScope'
+ *       - $ref: '#/components/parameters/AnalyticsDays'
+ *       - $ref: '#/components/parameters/AnalyticsLimit'
+ *     responses:
+ *       200:
+ *         description: Queries ({ query, searches, lastSearchedAt }), most frequent first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Global analytics require the admin role
+ *       404:
+ *         description: Search analytics are disabled
+ */
+router.get('/zero-results', authenticate, SearchController.getZeroResultQueries);
+
+/**
+ * @swagger
+ * /api/search/{searchId}/clicks:
+ *   post:
+ *     summary: Record that a search result was opened
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: searchId returned by GET /api/files/search
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileId
+ *             properties:
+ *               fileId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Rank of the file in the full result list
+ *     responses:
+ *       200:
+ *         description: Click recorded
+ *       400:
+ *         description: Missing fileId
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Search not found, or search analytics are disabled
+ */
+router.post('/:searchId/clicks', authenticate, SearchController.recordClick);
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const ShareLinkController = require('../controllers/ShareLinkController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShareLink:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         file:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Public URL of the link (/s/:token on the frontend)
+ *         token:
+ *           type: string
+ *         hasPassword:
+ *           type: boolean
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         maxDownloads:
+ *           type: integer
+ *           nullable: true
+ *         downloadCount:
+ *           type: integer
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, revoked, expired, exhausted]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /s/{token}:
+ *   get:
+ *     summary: Describe a share link
+ *     description: |
+ *       No account needed. File details are only included once a password-protected link is
+ *       unlocked (X-Share-Access header) or when the file owner is signed in.
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-Access
+ *         schema:
+ *           type: string
+ *         description: Access token from POST /s/{token}/access
+ *     responses:
+ *       200:
+ *         description: Share link retrieved successfully
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Link revoked, expired or out of downloads
+ */
+router.get('/:token', optionalAuth, ShareLinkController.getPublicLink);
+
+/**
+ * @swagger
+ * /s/{token}/access:
+ *   post:
+ *     summary: Unlock a password-protected share link
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Short-lived access token for the link
+ *       401:
+ *         description: Incorrect password
+ *       410:
+ *         description: Link revoked, expired or out of downloads
+ */
+router.post('/:token/access', ShareLinkController.unlockLink);
+
+/**
+ * @swagger
+ * /s/{token}/content:
+ *   get:
+ *     summary: Download the file behind a share link
+ *     description: Each request counts as one download unless it comes from the signed-in file owner
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: access
+ *         schema:
+ *           type: string
+ *         description: Access token (alternative to the X-Share-Access header)
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Send as an attachment instead of inline
+ *     responses:
+ *       200:
+ *         description: File content
+ *       401:
+ *         description: This link is password protected
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Link revoked, expired or out of downloads
+ */
+router.get('/:token/content', optionalAuth, ShareLinkController.downloadLink);
+
+module.exports = router;
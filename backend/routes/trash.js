@@ -0,0 +1,98 @@
+const express = require('express');
+const TrashController = require('../controllers/TrashController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List the files in the trash, most recently deleted first
+ *     description: Each file has a purgeAt date, after which it is deleted for good.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trashed files, their total size and the retention window in days
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, TrashController.getTrash);
+
+/**
+ * @swagger
+ * /api/trash:
+ *   delete:
+ *     summary: Empty the trash
+ *     description: Permanently deletes every trashed file and frees its storage.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trash emptied (deletedCount)
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/', authenticate, TrashController.emptyTrash);
+
+/**
+ * @swagger
+ * /api/trash/{id}/restore:
+ *   post:
+ *     summary: Restore a file from the trash
+ *     description: The file returns to its folder (or to the top level if the folder was deleted) with its shares and links.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File restored
+ *       404:
+ *         description: File not found in trash
+ *       409:
+ *         description: The file is being deleted permanently
+ */
+router.post('/:id/restore', authenticate, TrashController.restoreFile);
+
+/**
+ * @swagger
+ * /api/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a file from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File permanently deleted
+ *       404:
+ *         description: File not found in trash
+ */
+router.delete('/:id', authenticate, TrashController.deleteForever);
+
+module.exports = router;
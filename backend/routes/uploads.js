@@ -0,0 +1,226 @@
+const express = require('express');
+const UploadController = require('../controllers/UploadController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UploadSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         originalName:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: number
+ *         chunkSize:
+ *           type: number
+ *         totalParts:
+ *           type: number
+ *         uploadedParts:
+ *           type: array
+ *           items:
+ *             type: number
+ *         uploadedBytes:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, completed, aborted]
+ *         file:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/files/uploads:
+ *   post:
+ *     summary: Start a resumable chunked upload
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - mimeType
+ *               - size
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *               size:
+ *                 type: number
+ *               chunkSize:
+ *                 type: number
+ *                 description: Requested part size in bytes (minimum 5MB)
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [personal, work, education, entertainment, other]
+ *               isPublic:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Upload session created
+ *       400:
+ *         description: Invalid file type or size
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: The file does not fit in the remaining storage quota (pending uploads included) or exceeds the plan's size limit
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, UploadController.initUpload);
+
+/**
+ * @swagger
+ * /api/files/uploads:
+ *   get:
+ *     summary: List pending upload sessions
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Upload sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, UploadController.getPendingUploads);
+
+/**
+ * @swagger
+ * /api/files/uploads/{sessionId}:
+ *   get:
+ *     summary: Get upload session status and received parts
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Upload session retrieved successfully
+ *       404:
+ *         description: Upload session not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:sessionId', authenticate, UploadController.getUpload);
+
+/**
+ * @swagger
+ * /api/files/uploads/{sessionId}/parts/{partNumber}:
+ *   put:
+ *     summary: Upload one part of a chunked upload
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Part uploaded
+ *       400:
+ *         description: Invalid part number or size
+ *       404:
+ *         description: Upload session not found
+ *       409:
+ *         description: Upload session is no longer pending
+ *       411:
+ *         description: Content-Length header missing
+ */
+router.put('/:sessionId/parts/:partNumber', authenticate, UploadController.uploadPart);
+
+/**
+ * @swagger
+ * /api/files/uploads/{sessionId}/complete:
+ *   post:
+ *     summary: Complete a chunked upload and create the file
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: File uploaded successfully
+ *       400:
+ *         description: Upload is missing parts
+ *       404:
+ *         description: Upload session not found
+ *       413:
+ *         description: Storage quota exceeded since the upload started; free space and complete again
+ */
+router.post('/:sessionId/complete', authenticate, UploadController.completeUpload);
+
+/**
+ * @swagger
+ * /api/files/uploads/{sessionId}:
+ *   delete:
+ *     summary: Abort a chunked upload
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Upload aborted
+ *       404:
+ *         description: Upload session not found
+ */
+router.delete('/:sessionId', authenticate, UploadController.abortUpload);
+
+module.exports = router;
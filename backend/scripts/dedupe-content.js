@@ -0,0 +1,65 @@
+/**
+ * Backfill: hash existing files and merge byte-identical content
+ *
+ * Files uploaded before deduplication existed have no contentHash. Each one is
+ * hashed and registered; a file whose content is already stored (in the configured
+ * DEDUP_SCOPE) is pointed at that copy and its own copy is deleted. Storage used is
+ * then recalculated for the affected users. Files are processed one at a time.
+ *
+ * Usage: node scripts/dedupe-content.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const User = require('../models/User');
+const ContentStoreService = require('../services/ContentStoreService');
+const AppConfig = require('../config/app');
+const { formatBytes } = require('../utils/helpers');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const backfill = async () => {
+  if (!AppConfig.getDedupConfig().enabled) {
+    console.log('ℹ️  Deduplication is off (DEDUP_SCOPE=off) - nothing to do');
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const filter = { $or: [{ contentHash: { $exists: false } }, { contentHash: null }] };
+
+  const pending = await File.countDocuments(filter).setOptions({ withDeleted: true });
+  console.log(`🔑 ${pending} file(s) need a content hash`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no files were hashed');
+  } else {
+    const counts = { unique: 0, merged: 0, failed: 0 };
+    const users = new Set();
+    let freedBytes = 0;
+    const cursor = File.find(filter).setOptions({ withDeleted: true }).select('_id uploadedBy').lean().cursor();
+
+    for await (const { _id, uploadedBy } of cursor) {
+      const result = await ContentStoreService.dedupeStoredFile(_id);
+      counts[result.status] += 1;
+      freedBytes += result.freedBytes || 0;
+      if (result.status !== 'failed') users.add(String(uploadedBy));
+    }
+
+    for (const userId of users) {
+      await User.updateOne({ _id: userId }, { $set: await ContentStoreService.calculateUsage(userId) });
+    }
+
+    console.log(`✅ ${counts.unique} unique, ${counts.merged} merged (${formatBytes(freedBytes)} freed), ${counts.failed} failed`);
+    console.log(`✅ Storage used recalculated for ${users.size} user(s)`);
+  }
+
+  await mongoose.connection.close();
+};
+
+backfill().catch(async (error) => {
+  console.error('❌ Content deduplication failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
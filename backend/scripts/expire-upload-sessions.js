@@ -0,0 +1,52 @@
+/**
+ * Maintenance: abort and remove upload sessions past their expiry date
+ *
+ * The API server runs the same sweep every UPLOAD_SESSION_SWEEP_INTERVAL_MINUTES. Run
+ * this script from cron instead when the server runs with UPLOAD_SESSION_SWEEP_ENABLED=false.
+ * Staged parts and unfinished provider multipart uploads are discarded before each
+ * session is removed.
+ *
+ * Usage: node scripts/expire-upload-sessions.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const UploadSessionService = require('../services/UploadSessionService');
+const { formatBytes } = require('../utils/helpers');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const sweep = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const [expired] = await UploadSession.aggregate([
+    { $match: { expiresAt: { $lte: new Date() } } },
+    { $group: { _id: null, count: { $sum: 1 }, size: { $sum: '$size' } } }
+  ]);
+  console.log(`⏳ ${expired ? expired.count : 0} expired upload session(s) (${formatBytes(expired ? expired.size : 0)} declared)`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no sessions were removed');
+  } else {
+    const totals = { expired: 0, failed: 0 };
+
+    // Sessions that fail stay expired; stop once a batch removes nothing
+    for (;;) {
+      const { expired: removed, failed } = await UploadSessionService.expireSessions();
+      totals.expired += removed;
+      totals.failed += failed;
+      if (removed === 0) break;
+    }
+
+    console.log(`✅ ${totals.expired} session(s) removed, ${totals.failed} failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+sweep().catch(async (error) => {
+  console.error('❌ Upload session sweep failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
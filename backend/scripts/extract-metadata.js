@@ -0,0 +1,54 @@
+/**
+ * Backfill: extract metadata for existing files
+ *
+ * Files uploaded before metadata extraction existed have no metadataStatus;
+ * files whose extraction failed (e.g. ffprobe was missing) are retried with --failed.
+ * Files are processed one at a time to keep ffprobe load predictable.
+ *
+ * Usage: node scripts/extract-metadata.js [--failed] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const MetadataService = require('../services/MetadataService');
+
+const dryRun = process.argv.includes('--dry-run');
+const retryFailed = process.argv.includes('--failed');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const statuses = retryFailed ? ['pending', 'failed'] : ['pending'];
+  const filter = {
+    $or: [
+      { metadataStatus: { $exists: false } },
+      { metadataStatus: { $in: statuses } }
+    ]
+  };
+
+  const pending = await File.countDocuments(filter);
+  console.log(`🏷️  ${pending} file(s) need metadata`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no metadata was extracted');
+  } else {
+    const counts = { ready: 0, failed: 0, unsupported: 0 };
+    const cursor = File.find(filter).select('_id').lean().cursor();
+
+    for await (const { _id } of cursor) {
+      const { status } = await MetadataService.extractMetadata(_id);
+      counts[status] += 1;
+    }
+
+    console.log(`✅ ${counts.ready} ready, ${counts.unsupported} unsupported, ${counts.failed} failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+backfill().catch(async (error) => {
+  console.error('❌ Metadata backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Backfill: generate thumbnails for existing files
+ *
+ * Files uploaded before the thumbnail pipeline existed have no thumbnailStatus;
+ * files whose generation failed (e.g. ffmpeg was missing) are retried with --failed.
+ * Files are processed one at a time to keep ffmpeg load predictable.
+ *
+ * Usage: node scripts/generate-thumbnails.js [--failed] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ThumbnailService = require('../services/ThumbnailService');
+
+const dryRun = process.argv.includes('--dry-run');
+const retryFailed = process.argv.includes('--failed');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const statuses = retryFailed ? ['pending', 'failed'] : ['pending'];
+  const filter = {
+    $or: [
+      { thumbnailStatus: { $exists: false } },
+      { thumbnailStatus: { $in: statuses } }
+    ]
+  };
+
+  const pending = await File.countDocuments(filter);
+  console.log(`🖼️  ${pending} file(s) need thumbnails`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no thumbnails were generated');
+  } else {
+    const counts = { ready: 0, failed: 0, unsupported: 0 };
+    const cursor = File.find(filter).select('_id').lean().cursor();
+
+    for await (const { _id } of cursor) {
+      const { status } = await ThumbnailService.generateThumbnails(_id);
+      counts[status] += 1;
+    }
+
+    console.log(`✅ ${counts.ready} ready, ${counts.unsupported} unsupported, ${counts.failed} failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+backfill().catch(async (error) => {
+  console.error('❌ Thumbnail backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+/**
+ * Backfill: compute perceptual hashes for existing images
+ *
+ * Images uploaded before duplicate detection existed have no perceptualHashStatus;
+ * images whose hashing failed (e.g. ffmpeg was missing) are retried with --failed.
+ * Images are processed one at a time to keep ffmpeg load predictable.
+ *
+ * Usage: node scripts/hash-images.js [--failed] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ImageHashService = require('../services/ImageHashService');
+
+const dryRun = process.argv.includes('--dry-run');
+const retryFailed = process.argv.includes('--failed');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const statuses = retryFailed ? ['pending', 'failed'] : ['pending'];
+  const filter = {
+    fileType: 'image',
+    $or: [
+      { perceptualHashStatus: { $exists: false } },
+      { perceptualHashStatus: { $in: statuses } }
+    ]
+  };
+
+  const pending = await File.countDocuments(filter);
+  console.log(`🧬 ${pending} image(s) need a perceptual hash`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no images were hashed');
+  } else {
+    const counts = { ready: 0, failed: 0, unsupported: 0 };
+    const cursor = File.find(filter).select('_id').lean().cursor();
+
+    for await (const { _id } of cursor) {
+      const { status } = await ImageHashService.hashFile(_id);
+      counts[status] += 1;
+    }
+
+    console.log(`✅ ${counts.ready} ready, ${counts.failed} failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+backfill().catch(async (error) => {
+  console.error('❌ Image hash backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
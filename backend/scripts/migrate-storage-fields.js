@@ -0,0 +1,52 @@
+/**
+ * Migration: provider-neutral storage fields
+ *
+ * Converts File records created before storage providers were introduced:
+ *   cloudinaryId -> storageKey
+ *   secureUrl    -> url
+ *   (new)        -> storageProvider: 'cloudinary'
+ *
+ * Usage: node scripts/migrate-storage-fields.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const files = mongoose.connection.collection('files');
+  const legacyFilter = {
+    cloudinaryId: { $exists: true },
+    storageKey: { $exists: false }
+  };
+
+  const pending = await files.countDocuments(legacyFilter);
+  console.log(`📦 ${pending} file record(s) need migration`);
+
+  if (pending > 0 && !dryRun) {
+    const result = await files.updateMany(legacyFilter, [
+      {
+        $set: {
+          storageProvider: 'cloudinary',
+          storageKey: '$cloudinaryId',
+          url: { $ifNull: ['$secureUrl', '$url'] }
+        }
+      },
+      { $unset: ['cloudinaryId', 'secureUrl'] }
+    ]);
+    console.log(`✅ Migrated ${result.modifiedCount} file record(s)`);
+  } else if (dryRun) {
+    console.log('ℹ️  Dry run - no records were changed');
+  }
+
+  await mongoose.connection.close();
+};
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Maintenance: prune archived file versions by retention policy
+ *
+ * Versions are pruned when a new version is uploaded, but versions that age past
+ * a maxAgeDays limit are only removed by this script - run it periodically (e.g.
+ * daily from cron). Each user's own policy applies, falling back to the
+ * FILE_VERSION_MAX_VERSIONS / FILE_VERSION_MAX_AGE_DAYS defaults.
+ *
+ * Usage: node scripts/prune-versions.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const FileVersion = require('../models/FileVersion');
+const FileVersionService = require('../services/FileVersionService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const prune = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const owners = await FileVersion.distinct('owner');
+  console.log(`🗂️  ${await FileVersion.estimatedDocumentCount()} archived version(s) across ${owners.length} user(s)`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no versions were removed');
+  } else {
+    let removed = 0;
+    let failed = 0;
+
+    for (const owner of owners) {
+      try {
+        removed += await FileVersionService.applyRetentionForUser(owner);
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ Failed to prune versions of user ${owner}:`, error.message);
+      }
+    }
+
+    console.log(`✅ ${removed} version(s) removed, ${failed} user(s) failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+prune().catch(async (error) => {
+  console.error('❌ Version pruning failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
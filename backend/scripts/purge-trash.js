@@ -0,0 +1,55 @@
+/**
+ * Maintenance: purge files whose trash retention window has passed
+ *
+ * The API server runs the same purge every TRASH_PURGE_INTERVAL_MINUTES. Run this
+ * script from cron instead when the server runs with TRASH_PURGE_ENABLED=false
+ * (e.g. with several API instances). Files are purged in batches of
+ * TRASH_PURGE_BATCH_SIZE until none are left.
+ *
+ * Usage: node scripts/purge-trash.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const TrashService = require('../services/TrashService');
+const AppConfig = require('../config/app');
+const { formatBytes } = require('../utils/helpers');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const purge = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const { retentionDays } = AppConfig.getTrashConfig();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const [expired] = await File.aggregate([
+    { $match: { deletedAt: { $ne: null, $lte: cutoff } } },
+    { $group: { _id: null, count: { $sum: 1 }, size: { $sum: '$size' } } }
+  ]);
+  console.log(`🗑️  ${expired ? expired.count : 0} file(s) (${formatBytes(expired ? expired.size : 0)}) in the trash for more than ${retentionDays} days`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no files were purged');
+  } else {
+    const totals = { purged: 0, failed: 0 };
+
+    // Files that fail stay in the trash; stop once a batch purges nothing
+    for (;;) {
+      const { purged, failed } = await TrashService.purgeExpired();
+      totals.purged += purged;
+      totals.failed += failed;
+      if (purged === 0) break;
+    }
+
+    console.log(`✅ ${totals.purged} file(s) purged, ${totals.failed} failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+purge().catch(async (error) => {
+  console.error('❌ Trash purge failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Maintenance: reconcile users' storage used and file counts
+ *
+ * Each user's totals are recomputed from their files (including trashed files) and
+ * retained versions, counting shared content once, and compared with the totals
+ * stored on the user. Discrepancies are reported and corrected; a user whose totals
+ * change while they are being recomputed is left alone and reported, run the script
+ * again to reconcile them. Use --user=<id> to reconcile a single user.
+ *
+ * Usage: node scripts/reconcile-storage.js [--dry-run] [--user=<id>]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const StorageAccountingService = require('../services/StorageAccountingService');
+const { formatBytes } = require('../utils/helpers');
+
+const dryRun = process.argv.includes('--dry-run');
+const userArg = process.argv.find(arg => arg.startsWith('--user='));
+
+const formatChange = (bytes) => `${bytes > 0 ? '+' : '-'}${formatBytes(Math.abs(bytes))}`;
+
+const reconcile = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const filter = userArg ? { _id: userArg.slice('--user='.length) } : {};
+  const counts = { ok: 0, fixed: 0, mismatch: 0, changed: 0 };
+  const cursor = User.find(filter).select('_id email').lean().cursor();
+
+  for await (const { _id, email } of cursor) {
+    const result = await StorageAccountingService.reconcileUser(_id, { fix: !dryRun });
+    if (!result) continue;
+
+    counts[result.status] += 1;
+    if (result.status === 'ok') continue;
+
+    const { recorded, actual, difference } = result;
+    const label = { fixed: 'fixed', mismatch: 'mismatch', changed: 'changed during reconciliation, skipped' }[result.status];
+    console.log(
+      `⚠️  ${email} (${_id}): storage ${formatBytes(recorded.storageUsed)} → ${formatBytes(actual.storageUsed)}` +
+      ` (${formatChange(difference.storageUsed)}), files ${recorded.totalFiles} → ${actual.totalFiles} - ${label}`
+    );
+  }
+
+  const checked = counts.ok + counts.fixed + counts.mismatch + counts.changed;
+  console.log(`📊 ${checked} user(s) checked, ${checked - counts.ok} with discrepancies`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - no totals were changed');
+  } else {
+    console.log(`✅ ${counts.fixed} user(s) corrected, ${counts.changed} changed during reconciliation`);
+  }
+
+  await mongoose.connection.close();
+};
+
+reconcile().catch(async (error) => {
+  console.error('❌ Storage reconciliation failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Reindex: full-text index and document contents
+ *
+ * 1. Replaces the earlier text index (title, description, tags, names and keywords
+ *    only) with the weighted index that includes document content. MongoDB allows
+ *    a single text index per collection, so the old one has to be dropped first.
+ * 2. Extracts the text of documents that have not been indexed yet. Use --failed to
+ *    retry failed extractions (e.g. pdftotext was missing) or --all to re-extract
+ *    every supported document.
+ *
+ * Usage: node scripts/reindex-content.js [--failed | --all] [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ContentIndexService = require('../services/ContentIndexService');
+
+const dryRun = process.argv.includes('--dry-run');
+const retryFailed = process.argv.includes('--failed');
+const reindexAll = process.argv.includes('--all');
+
+const TEXT_INDEX_NAME = 'file_text_search';
+
+const ensureTextIndex = async () => {
+  const indexes = await File.collection.indexes();
+  const staleTextIndexes = indexes.filter(index =>
+    index.name !== TEXT_INDEX_NAME && Object.values(index.key).includes('text')
+  );
+
+  for (const index of staleTextIndexes) {
+    console.log(`🗑️  Dropping text index ${index.name}`);
+    if (!dryRun) await File.collection.dropIndex(index.name);
+  }
+
+  if (!indexes.some(index => index.name === TEXT_INDEX_NAME)) {
+    console.log(`🔎 Creating text index ${TEXT_INDEX_NAME}`);
+    if (!dryRun) await File.createIndexes();
+  }
+};
+
+const reindex = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+  console.log('✅ MongoDB connected successfully');
+
+  await ensureTextIndex();
+
+  const statuses = ['pending'];
+  if (retryFailed || reindexAll) statuses.push('failed');
+  if (reindexAll) statuses.push('ready');
+
+  const filter = {
+    $or: [
+      { contentStatus: { $exists: false } },
+      { contentStatus: { $in: statuses } }
+    ]
+  };
+
+  const pending = await File.countDocuments(filter);
+  console.log(`📄 ${pending} file(s) to index`);
+
+  if (dryRun) {
+    console.log('ℹ️  Dry run - nothing was changed');
+  } else {
+    const counts = { ready: 0, failed: 0, unsupported: 0 };
+    const cursor = File.find(filter).select('_id').lean().cursor();
+
+    for await (const { _id } of cursor) {
+      const { status } = await ContentIndexService.indexFile(_id);
+      counts[status] += 1;
+    }
+
+    console.log(`✅ ${counts.ready} indexed, ${counts.unsupported} unsupported, ${counts.failed} failed`);
+  }
+
+  await mongoose.connection.close();
+};
+
+reindex().catch(async (error) => {
+  console.error('❌ Reindex failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * Worker: run background jobs (thumbnails, metadata, text extraction, virus scans)
+ *
+ * The API server runs JOB_CONCURRENCY workers itself unless JOB_WORKERS_ENABLED=false.
+ * Run this script instead (as many copies as needed) to keep processing out of
+ * the API processes. With --once it stops when no job is ready, e.g. from cron.
+ * SIGINT/SIGTERM stop it once the jobs in progress finish.
+ *
+ * Usage: node scripts/run-jobs.js [--once]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobQueueService = require('../services/JobQueueService');
+const AppConfig = require('../config/app');
+
+const once = process.argv.includes('--once');
+
+const work = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  const [queued, dead] = await Promise.all([
+    Job.countDocuments({ status: 'queued' }),
+    Job.countDocuments({ status: 'dead' })
+  ]);
+  console.log(`📋 ${queued} job(s) queued, ${dead} dead`);
+
+  const workers = JobQueueService.startWorkers({ exitWhenIdle: once });
+  console.log(`⚙️  ${AppConfig.getJobQueueConfig().concurrency} worker(s) started as ${workers.id}`);
+
+  const stop = (signal) => {
+    console.log(`👋 ${signal} received. Stopping once the current jobs finish`);
+    JobQueueService.stopWorkers();
+  };
+  process.once('SIGINT', () => stop('SIGINT'));
+  process.once('SIGTERM', () => stop('SIGTERM'));
+
+  await workers.done;
+  console.log('✅ Workers stopped');
+
+  await mongoose.connection.close();
+};
+
+work().catch(async (error) => {
+  console.error('❌ Job worker failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -1,4 +1,8 @@
 const app = require('./app');
+const TrashService = require('./services/TrashService');
+const UploadSessionService = require('./services/UploadSessionService');
+const JobQueueService = require('./services/JobQueueService');
+const FileEventService = require('./services/FileEventService');
 
 const PORT = process.env.PORT || 8000;
 
@@ -10,6 +14,15 @@ const server = app.listen(PORT, () => {
   console.log(`⏰ Server started at: ${new Date().toISOString()}`);
 });
 
+// Purge files whose trash retention window has passed
+TrashService.schedulePurge();
+
+// Abort upload sessions that were abandoned
+UploadSessionService.scheduleExpirySweep();
+
+// Process uploads in the background (thumbnails, metadata, text extraction, virus scans)
+JobQueueService.scheduleWorkers();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`❌ Unhandled Promise Rejection: ${err.message}`);
@@ -28,7 +41,10 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully');
-  server.close(() => {
+  // Open event streams would keep the server from closing; browsers reconnect elsewhere
+  FileEventService.closeStreams();
+  server.close(async () => {
+    await JobQueueService.stopWorkers();
     console.log('💤 Process terminated');
   });
 });
@@ -0,0 +1,363 @@
+const path = require('path');
+const yazl = require('yazl');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const FileService = require('./FileService');
+const FolderService = require('./FolderService');
+const SavedSearchService = require('./SavedSearchService');
+const PermissionService = require('./PermissionService');
+const StorageService = require('./StorageService');
+const DownloadService = require('./DownloadService');
+const VirusScanService = require('./VirusScanService');
+const AppConfig = require('../config/app');
+const { formatBytes, createHttpError, parseIdList } = require('../utils/helpers');
+
+// Names at the top of every archive, kept free for the manifests
+const MANIFEST_NAMES = ['manifest.json', 'manifest.csv'];
+const CSV_COLUMNS = [
+  'path', 'id', 'title', 'originalName', 'mimeType', 'fileType', 'size', 'category',
+  'tags', 'description', 'owner', 'version', 'contentHash', 'createdAt', 'updatedAt'
+];
+
+/**
+ * ArchiveService - Several files downloaded as one ZIP archive
+ * The archive holds a list of files, a folder (with its sub-folders as directories)
+ * or the matches of a saved search, with the same access checks as single files
+ * (see FileService.getFileById). It is streamed while it is built: each file's content
+ * is read from its storage provider when its turn comes, and manifest.json and
+ * manifest.csv describing every file are added at the end
+ */
+class ArchiveService {
+
+  /**
+   * Check a selection and issue a short-lived token to download it as a form post
+   * Browsers cannot add an Authorization header to a download they handle themselves,
+   * and checking first lets the app show errors (access, limits) before the download starts
+   * @param {Object} selection - ids, folder (with includeSubfolders) or savedSearch
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Token, its lifetime, and the number and total size of the files
+   */
+  static async createArchiveToken(selection, userId) {
+    try {
+      const { entries, totalSize } = await this.resolveArchive(selection, userId);
+
+      return {
+        success: true,
+        ...DownloadService.signToken(userId, { scope: 'archive' }),
+        fileCount: entries.length,
+        totalSize
+      };
+
+    } catch (error) {
+      console.error('Create archive token service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to prepare download',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve the files of an archive for the requester
+   * @param {Object} selection - ids, folder (with includeSubfolders) or savedSearch
+   * @param {Object} context - Requester context (userId from the bearer token, or an archive token)
+   * @returns {Promise<Object>} Downloading user's ID, archive file name and entries ({ file, path })
+   */
+  static async prepareArchive(selection, context = {}) {
+    try {
+      const userId = context.userId || await DownloadService.verifyToken(context.token, { scope: 'archive' });
+      const { name, entries } = await this.resolveArchive(selection, userId);
+
+      return {
+        success: true,
+        userId,
+        fileName: `${name}.zip`,
+        entries
+      };
+
+    } catch (error) {
+      console.error('Prepare archive service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to prepare download',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Start building an archive
+   * Entries are read one at a time as the output is consumed; each file read counts as a
+   * download of it. A file whose content cannot be read makes the ZipFile emit an error
+   * @param {Array} entries - Entries from prepareArchive()
+   * @param {Object} context - Requester context for the download log (userId, ipAddress, userAgent)
+   * @returns {Object} yazl ZipFile; pipe its outputStream to the response
+   */
+  static createArchive(entries, context = {}) {
+    const zip = new yazl.ZipFile();
+
+    for (const { file, path: entryPath } of entries) {
+      zip.addReadStreamLazy(entryPath, {
+        mtime: file.updatedAt || file.createdAt || new Date(),
+        compress: this.isCompressible(file)
+      }, (callback) => {
+        StorageService.downloadFile(file)
+          .then(({ stream }) => {
+            DownloadService.recordDownload(file, context);
+            callback(null, stream);
+          })
+          .catch(callback);
+      });
+    }
+
+    const manifest = entries.map(entry => this.toManifestEntry(entry));
+    zip.addBuffer(Buffer.from(JSON.stringify({ generatedAt: new Date(), files: manifest }, null, 2)), 'manifest.json');
+    zip.addBuffer(Buffer.from(this.toCsv(manifest)), 'manifest.csv');
+    zip.end();
+
+    return zip;
+  }
+
+  /**
+   * Find the files of a selection, check the archive limits and lay out their paths
+   * @param {Object} selection - ids, folder (with includeSubfolders) or savedSearch
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Archive name, entries and their total size
+   */
+  static async resolveArchive(selection = {}, userId) {
+    const { ids, folder, savedSearch } = selection;
+    const sources = [ids, folder, savedSearch].filter(source => source !== undefined && source !== null && source !== '');
+    if (sources.length !== 1) {
+      throw createHttpError('Provide exactly one of ids, folder or savedSearch', 400);
+    }
+
+    const { archiveMaxFiles, archiveMaxBytes } = AppConfig.getDownloadConfig();
+    let found;
+    if (ids !== undefined && ids !== null && ids !== '') {
+      found = await this.findSelectedFiles(typeof ids === 'string' ? ids.split(',') : ids, userId);
+    } else if (folder) {
+      found = await this.findFolderFiles(folder, userId, selection.includeSubfolders, archiveMaxFiles + 1);
+    } else {
+      found = await this.findSavedSearchFiles(savedSearch, userId, archiveMaxFiles + 1);
+    }
+
+    // Picked files must all be downloadable; infected files are left out of folders and searches
+    const { name, folderPaths = new Map() } = found;
+    let { files } = found;
+    if (ids !== undefined && ids !== null && ids !== '') {
+      files.forEach(file => VirusScanService.assertNotInfected(file));
+    } else {
+      files = files.filter(file => file.scanStatus !== 'infected');
+    }
+    if (files.length === 0) {
+      throw createHttpError('There are no files to download', 404);
+    }
+    if (files.length > archiveMaxFiles) {
+      throw createHttpError(`Too many files: an archive can hold up to ${archiveMaxFiles} files`, 413);
+    }
+
+    const totalSize = files.reduce((total, file) => total + (file.size || 0), 0);
+    if (totalSize > archiveMaxBytes) {
+      throw createHttpError(
+        `Too large: an archive can hold up to ${formatBytes(archiveMaxBytes)} and these files take ${formatBytes(totalSize)}`,
+        413
+      );
+    }
+
+    const taken = new Set(MANIFEST_NAMES);
+    const entries = files.map(file => ({
+      file,
+      path: this.uniquePath(folderPaths.get(String(file.folder)) || '', file.originalName, taken)
+    }));
+
+    return {
+      name: this.sanitizeName(name) || 'files',
+      entries,
+      totalSize
+    };
+  }
+
+  /**
+   * Files picked by ID; every one of them must be accessible
+   * @param {Array} ids - File IDs
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Files and archive name
+   */
+  static async findSelectedFiles(ids, userId) {
+    const fileIds = parseIdList(Array.isArray(ids) ? ids.map(id => String(id).trim()).filter(Boolean) : ids, 'ids');
+    const { archiveMaxFiles } = AppConfig.getDownloadConfig();
+    if (fileIds.length > archiveMaxFiles) {
+      throw createHttpError(`Too many files: an archive can hold up to ${archiveMaxFiles} files`, 413);
+    }
+
+    const accessFilter = await PermissionService.buildFileAccessFilter(userId);
+    const files = await File.find({ $and: [accessFilter, { _id: { $in: fileIds } }] })
+      .populate('uploadedBy', 'name email');
+
+    if (files.length !== fileIds.length) {
+      throw createHttpError('One or more files were not found or access denied', 404);
+    }
+
+    // Keep the order the files were picked in
+    const order = new Map(fileIds.map((id, index) => [id, index]));
+    files.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+
+    return {
+      files,
+      name: `files-${new Date().toISOString().slice(0, 10)}`
+    };
+  }
+
+  /**
+   * Files in a folder, and by default its sub-folders, which become directories in the archive
+   * As in FileService.getUserFiles, a folder shared with the user holds its owner's files
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @param {boolean|string} includeSubfolders - Include sub-folders (default true)
+   * @param {number} limit - Maximum number of files to load
+   * @returns {Promise<Object>} Files, archive name and the archive directory of each folder
+   */
+  static async findFolderFiles(folderId, userId, includeSubfolders, limit) {
+    const { folder: target, role } = await PermissionService.findAccessibleFolder(folderId, userId);
+    const withSubfolders = includeSubfolders !== false && includeSubfolders !== 'false';
+    const folderIds = withSubfolders ? await FolderService.getSubtreeIds(target) : [target._id];
+
+    const query = { folder: { $in: folderIds } };
+    if (role === 'owner') query.uploadedBy = userId;
+
+    const [files, folders] = await Promise.all([
+      File.find(query).sort({ folder: 1, originalName: 1 }).limit(limit).populate('uploadedBy', 'name email'),
+      Folder.find({ _id: { $in: folderIds } }).select('name ancestors').lean()
+    ]);
+
+    const names = new Map(folders.map(folder => [String(folder._id), this.sanitizeName(folder.name) || 'folder']));
+    const folderPaths = new Map(folders.map(folder => {
+      if (String(folder._id) === String(target._id)) return [String(folder._id), ''];
+
+      const ancestors = folder.ancestors.map(String);
+      const below = ancestors.slice(ancestors.indexOf(String(target._id)) + 1);
+      return [String(folder._id), [...below, String(folder._id)].map(id => names.get(id)).join('/')];
+    }));
+
+    return {
+      files,
+      name: target.name,
+      folderPaths
+    };
+  }
+
+  /**
+   * Files matching a saved search
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of files to load
+   * @returns {Promise<Object>} Files and archive name
+   */
+  static async findSavedSearchFiles(savedSearchId, userId, limit) {
+    const savedSearch = await SavedSearchService.findSavedSearch(savedSearchId, userId);
+    const { query } = await FileService.buildSearchQuery(userId, savedSearch.toSearchFilters());
+
+    const files = await File.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('uploadedBy', 'name email');
+
+    return {
+      files,
+      name: savedSearch.name
+    };
+  }
+
+  /**
+   * Path of a file in the archive, numbered when the name is already taken in its directory
+   * @param {string} directory - Directory in the archive ('' for the top level)
+   * @param {string} originalName - Original file name
+   * @param {Set} taken - Paths already used (lower case)
+   * @returns {string} Archive path
+   */
+  static uniquePath(directory, originalName, taken) {
+    const name = this.sanitizeName(originalName) || 'file';
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    const prefix = directory ? `${directory}/` : '';
+
+    let candidate = `${prefix}${name}`;
+    for (let copy = 2; taken.has(candidate.toLowerCase()); copy += 1) {
+      candidate = `${prefix}${base} (${copy})${extension}`;
+    }
+    taken.add(candidate.toLowerCase());
+
+    return candidate;
+  }
+
+  /**
+   * Make a file or folder name safe to use as one archive path segment
+   * @param {string} name - Name
+   * @returns {string} Safe name (may be empty)
+   */
+  static sanitizeName(name) {
+    return String(name || '')
+      .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_')
+      .replace(/^[\s.]+|[\s.]+$/g, '')
+      .slice(0, 200);
+  }
+
+  /**
+   * Whether deflating a file is worthwhile; media and zip-based formats are already compressed
+   * @param {Object} file - File document
+   * @returns {boolean} True to compress
+   */
+  static isCompressible(file) {
+    return /^text\/|\/(json|xml|csv|rtf|msword|x-yaml)$|vnd\.ms-(excel|powerpoint)$/.test(file.mimeType || '');
+  }
+
+  /**
+   * Describe an archive entry for the manifests
+   * @param {Object} entry - Entry ({ file, path })
+   * @returns {Object} Manifest entry
+   */
+  static toManifestEntry({ file, path: entryPath }) {
+    const owner = file.uploadedBy;
+
+    return {
+      path: entryPath,
+      id: String(file._id),
+      title: file.title,
+      originalName: file.originalName,
+      mimeType: file.mimeType,
+      fileType: file.fileType,
+      size: file.size,
+      category: file.category,
+      tags: file.tags || [],
+      description: file.description || '',
+      owner: owner ? owner.email || String(owner._id || owner) : null,
+      version: file.version || 1,
+      contentHash: file.contentHash || null,
+      createdAt: file.createdAt,
+      updatedAt: file.updatedAt,
+      metadata: file.metadata || {}
+    };
+  }
+
+  /**
+   * Render manifest entries as CSV (extracted metadata is only in manifest.json)
+   * Cells that a spreadsheet would run as a formula are prefixed with a quote
+   * @param {Array} manifest - Manifest entries
+   * @returns {string} CSV text
+   */
+  static toCsv(manifest) {
+    const cell = (value) => {
+      let text = Array.isArray(value) ? value.join(';') : value instanceof Date ? value.toISOString() : String(value ?? '');
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = manifest.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = ArchiveService;
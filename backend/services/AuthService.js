@@ -1,6 +1,9 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const FileVersionService = require('./FileVersionService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
 
 /**
  * AuthService - Handles all authentication-related operations
@@ -152,8 +155,18 @@ class AuthService {
           user[field] = updates[field];
         }
       });
+
+      const retentionChanged = updates.versionRetention !== undefined;
+      if (retentionChanged) {
+        user.versionRetention = this.validateVersionRetention(updates.versionRetention, user.versionRetention);
+      }
       
       await user.save();
+
+      // Prune versions that fall outside a tightened retention policy
+      if (retentionChanged) {
+        await FileVersionService.applyRetentionForUser(user._id);
+      }
       
       return {
         success: true,
@@ -166,11 +179,57 @@ class AuthService {
       throw {
         success: false,
         message: error.message || 'Failed to update profile',
+        statusCode: error.statusCode,
         error: error.message
       };
     }
   }
 
+  /**
+   * Validate a version retention update
+   * Each limit is a whole number; null resets it to the server default
+   * @param {Object} retention - Requested { maxVersions, maxAgeDays }
+   * @param {Object} current - Current retention settings
+   * @returns {Object} Retention settings to save
+   */
+  static validateVersionRetention(retention, current = {}) {
+    if (!retention || typeof retention !== 'object' || Array.isArray(retention)) {
+      throw createHttpError('versionRetention must be an object', 400);
+    }
+
+    const { maxVersionsLimit } = AppConfig.getVersionConfig();
+    const limits = {
+      maxVersions: maxVersionsLimit,
+      maxAgeDays: Infinity
+    };
+
+    const result = {
+      maxVersions: current.maxVersions ?? null,
+      maxAgeDays: current.maxAgeDays ?? null
+    };
+
+    Object.entries(limits).forEach(([field, max]) => {
+      if (retention[field] === undefined) return;
+      if (retention[field] === null) {
+        result[field] = null;
+        return;
+      }
+
+      const value = Number(retention[field]);
+      if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw createHttpError(
+          max === Infinity
+            ? `versionRetention.${field} must be a whole number of 0 or more`
+            : `versionRetention.${field} must be a whole number between 0 and ${max}`,
+          400
+        );
+      }
+      result[field] = value;
+    });
+
+    return result;
+  }
+
   /**
    * Change user password
    * @param {string} userId - User ID
@@ -374,6 +433,10 @@ class AuthService {
       avatar: user.avatar,
       totalFiles: user.totalFiles,
       storageUsed: user.storageUsed,
+      versionRetention: {
+        maxVersions: user.versionRetention?.maxVersions ?? null,
+        maxAgeDays: user.versionRetention?.maxAgeDays ?? null
+      },
       isActive: user.isActive,
       createdAt: user.createdAt,
       lastLogin: user.lastLogin
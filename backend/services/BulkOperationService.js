@@ -0,0 +1,395 @@
+const BulkOperation = require('../models/BulkOperation');
+const File = require('../models/File');
+const FileService = require('./FileService');
+const FolderService = require('./FolderService');
+const AppConfig = require('../config/app');
+const { CATEGORIES } = require('../utils/searchQuery');
+const { createHttpError, parseIdList } = require('../utils/helpers');
+
+// Operations that only the owner of a file may apply (see FileService.updateFile)
+const OWNER_OPERATIONS = ['setVisibility', 'move', 'delete'];
+const OPERATIONS = ['addTags', 'removeTags', 'setCategory', ...OWNER_OPERATIONS];
+// Per-file results are saved in groups of this many, which is how often progress moves
+const PROGRESS_BATCH_SIZE = 20;
+
+/**
+ * BulkOperationService - One operation applied to many files
+ * Files are picked by ID or selected with a search filter. The operation is recorded
+ * and answered straight away, then applied one file at a time in the background with
+ * the same permission checks as the single-file endpoints; a file the user may not
+ * change fails on its own without stopping the rest. The requester follows progress
+ * and reads the result for each file from the recorded operation
+ */
+class BulkOperationService {
+
+  /**
+   * Record a bulk operation and start applying it
+   * @param {string} userId - User ID
+   * @param {Object} data - operation, fileIds or filter, and the operation's arguments
+   *   (tags, category, isPublic or folderId)
+   * @returns {Promise<Object>} Created operation
+   */
+  static async createOperation(userId, data = {}) {
+    try {
+      const { operation, fileIds, filter } = data;
+      if (!OPERATIONS.includes(operation)) {
+        throw createHttpError(`operation must be one of: ${OPERATIONS.join(', ')}`, 400);
+      }
+
+      const params = await this.parseParams(operation, data, userId);
+
+      const { maxFiles } = AppConfig.getBulkOperationConfig();
+      let ids;
+      if ((fileIds === undefined) === (filter === undefined)) {
+        throw createHttpError('Provide either fileIds or filter', 400);
+      } else if (fileIds !== undefined) {
+        ids = parseIdList(fileIds, 'fileIds');
+      } else {
+        ids = await this.findFilteredFileIds(filter, operation, userId, maxFiles + 1);
+        if (ids.length === 0) {
+          throw createHttpError('No files match the filter', 404);
+        }
+      }
+
+      if (ids.length > maxFiles) {
+        throw createHttpError(`Too many files: a bulk operation can change up to ${maxFiles} files`, 413);
+      }
+
+      const created = await BulkOperation.create({
+        user: userId,
+        operation,
+        params,
+        filter: filter !== undefined ? this.pickFilter(filter) : null,
+        fileIds: ids,
+        total: ids.length
+      });
+
+      setImmediate(() => {
+        this.runOperation(created._id).catch(error => {
+          console.error('Bulk operation error:', error);
+        });
+      });
+
+      return {
+        success: true,
+        operation: this.formatOperation(created),
+        message: `Bulk operation started for ${ids.length} file(s)`
+      };
+
+    } catch (error) {
+      console.error('Create bulk operation service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to start bulk operation',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a user's bulk operations, most recent first (without per-file results)
+   * @param {string} userId - User ID
+   * @param {Object} params - page, limit
+   * @returns {Promise<Object>} Operations and pagination
+   */
+  static async getOperations(userId, params = {}) {
+    try {
+      await this.failStaleOperations(userId);
+
+      const { defaultLimit, maxLimit } = AppConfig.getPaginationConfig();
+      const page = Math.max(parseInt(params.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+
+      const [operations, total] = await Promise.all([
+        BulkOperation.find({ user: userId })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-results -fileIds'),
+        BulkOperation.countDocuments({ user: userId })
+      ]);
+
+      return {
+        success: true,
+        operations: operations.map(operation => this.formatOperation(operation)),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalOperations: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+          limit
+        }
+      };
+
+    } catch (error) {
+      console.error('Get bulk operations service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get bulk operations',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a bulk operation with its progress and per-file results
+   * @param {string} operationId - Bulk operation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Operation
+   */
+  static async getOperation(operationId, userId) {
+    try {
+      await this.failStaleOperations(userId);
+
+      const operation = await BulkOperation.findOne({ _id: operationId, user: userId })
+        .select('-fileIds')
+        .catch(() => null);
+      if (!operation) {
+        throw createHttpError('Bulk operation not found', 404);
+      }
+
+      return {
+        success: true,
+        operation: this.formatOperation(operation, { includeResults: true })
+      };
+
+    } catch (error) {
+      console.error('Get bulk operation service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get bulk operation',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Apply a recorded operation to its files
+   * The pending operation is claimed first, so it runs once even if started twice
+   * @param {string} operationId - Bulk operation ID
+   */
+  static async runOperation(operationId) {
+    const operation = await BulkOperation.findOneAndUpdate(
+      { _id: operationId, status: 'pending' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!operation) return;
+
+    let batch = [];
+    const saveProgress = async () => {
+      if (batch.length === 0) return;
+      const succeeded = batch.filter(result => result.status === 'succeeded').length;
+
+      await BulkOperation.updateOne({ _id: operation._id }, {
+        $push: { results: { $each: batch } },
+        $inc: { succeeded, failed: batch.length - succeeded }
+      });
+      batch = [];
+    };
+
+    try {
+      for (const fileId of operation.fileIds) {
+        try {
+          await this.applyToFile(operation, fileId);
+          batch.push({ file: fileId, status: 'succeeded' });
+        } catch (error) {
+          batch.push({ file: fileId, status: 'failed', message: error.message || 'Failed to update file' });
+        }
+
+        if (batch.length >= PROGRESS_BATCH_SIZE) await saveProgress();
+      }
+      await saveProgress();
+
+      await BulkOperation.updateOne(
+        { _id: operation._id },
+        { $set: { status: 'completed', completedAt: new Date() } }
+      );
+
+    } catch (error) {
+      console.error('Run bulk operation error:', error);
+      await BulkOperation.updateOne(
+        { _id: operation._id },
+        { $set: { status: 'failed', error: 'The operation stopped before every file was processed', completedAt: new Date() } }
+      ).catch(() => {});
+    }
+  }
+
+  /**
+   * Apply an operation to one file through the single-file service methods
+   * @param {Object} operation - BulkOperation document
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Service result
+   */
+  static async applyToFile(operation, fileId) {
+    const { user: userId, params } = operation;
+
+    switch (operation.operation) {
+      case 'addTags':
+      case 'removeTags': {
+        const file = await File.findById(fileId).select('tags').lean();
+        const current = file ? file.tags : [];
+        const tags = operation.operation === 'addTags'
+          ? [...new Set([...current, ...params.tags])]
+          : current.filter(tag => !params.tags.includes(tag));
+        return FileService.updateFile(fileId, userId, { tags });
+      }
+      case 'setCategory':
+        return FileService.updateFile(fileId, userId, { category: params.category });
+      case 'setVisibility':
+        return FileService.updateFile(fileId, userId, { isPublic: params.isPublic });
+      case 'move':
+        return FileService.moveFiles([fileId], params.folder || null, userId);
+      case 'delete':
+        return FileService.deleteFile(fileId, userId);
+      default:
+        throw createHttpError('Unknown operation', 400);
+    }
+  }
+
+  /**
+   * Check and normalize an operation's arguments
+   * @param {string} operation - Operation name
+   * @param {Object} data - Request data
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Operation arguments to store
+   */
+  static async parseParams(operation, data, userId) {
+    switch (operation) {
+      case 'addTags':
+      case 'removeTags': {
+        const tags = this.parseTags(data.tags);
+        if (tags.length === 0) {
+          throw createHttpError('tags must list at least one tag', 400);
+        }
+        return { tags };
+      }
+      case 'setCategory':
+        if (!CATEGORIES.includes(data.category)) {
+          throw createHttpError(`category must be one of: ${CATEGORIES.join(', ')}`, 400);
+        }
+        return { category: data.category };
+      case 'setVisibility':
+        if (![true, false, 'true', 'false'].includes(data.isPublic)) {
+          throw createHttpError('isPublic must be true or false', 400);
+        }
+        return { isPublic: data.isPublic === true || data.isPublic === 'true' };
+      case 'move': {
+        const folder = await FolderService.resolveFolder(data.folderId, userId);
+        return { folder: folder ? folder._id : null };
+      }
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * IDs of the files a search filter selects
+   * Owner-only operations are narrowed to the user's own files, so files shared with
+   * them are not listed just to fail
+   * @param {Object} filter - Search filter (q, fileType, category, uploadedBy)
+   * @param {string} operation - Operation name
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of IDs to return
+   * @returns {Promise<Array>} File IDs, oldest first
+   */
+  static async findFilteredFileIds(filter, operation, userId, limit) {
+    const criteria = this.pickFilter(filter);
+    if (Object.keys(criteria).length === 0) {
+      throw createHttpError('filter needs a query (q) or at least one of fileType, category or uploadedBy', 400);
+    }
+
+    const { query } = await FileService.buildSearchQuery(userId, criteria);
+    if (OWNER_OPERATIONS.includes(operation)) {
+      query.$and = [...query.$and, { uploadedBy: userId }];
+    }
+
+    const files = await File.find(query).sort({ createdAt: 1 }).limit(limit).select('_id').lean();
+    return files.map(file => String(file._id));
+  }
+
+  /**
+   * Keep the search criteria of a filter
+   * @param {Object} filter - Search filter from the request
+   * @returns {Object} Non-empty criteria (q, fileType, category, uploadedBy)
+   */
+  static pickFilter(filter) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw createHttpError('filter must be an object', 400);
+    }
+
+    return ['q', 'fileType', 'category', 'uploadedBy'].reduce((criteria, key) => {
+      if (typeof filter[key] === 'string' && filter[key].trim()) criteria[key] = filter[key].trim();
+      return criteria;
+    }, {});
+  }
+
+  /**
+   * Parse a tag list given as an array or a comma-separated string
+   * Tags are stored trimmed and lower case (see the File model)
+   * @param {Array|string} value - Tags
+   * @returns {Array} Unique tags
+   */
+  static parseTags(value) {
+    const tags = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Mark a user's operations that stopped making progress as failed
+   * Operations run inside the API server, so a restart interrupts them
+   * @param {string} userId - User ID
+   */
+  static async failStaleOperations(userId) {
+    const { staleMinutes } = AppConfig.getBulkOperationConfig();
+
+    await BulkOperation.updateMany({
+      user: userId,
+      status: { $in: ['pending', 'running'] },
+      updatedAt: { $lt: new Date(Date.now() - staleMinutes * 60 * 1000) }
+    }, {
+      $set: { status: 'failed', error: 'The operation was interrupted before every file was processed', completedAt: new Date() }
+    });
+  }
+
+  /**
+   * Format an operation for API responses
+   * @param {Object} operation - BulkOperation document
+   * @param {Object} options - includeResults to list the result for each file
+   * @returns {Object} Operation response
+   */
+  static formatOperation(operation, { includeResults = false } = {}) {
+    const formatted = {
+      id: operation._id,
+      operation: operation.operation,
+      params: {
+        tags: operation.params?.tags?.length ? operation.params.tags : undefined,
+        category: operation.params?.category,
+        isPublic: operation.params?.isPublic,
+        folder: operation.operation === 'move' ? operation.params?.folder || null : undefined
+      },
+      filter: operation.filter,
+      status: operation.status,
+      total: operation.total,
+      processed: operation.processed,
+      succeeded: operation.succeeded,
+      failed: operation.failed,
+      error: operation.error,
+      createdAt: operation.createdAt,
+      startedAt: operation.startedAt,
+      completedAt: operation.completedAt
+    };
+
+    if (includeResults) {
+      formatted.results = operation.results;
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = BulkOperationService;
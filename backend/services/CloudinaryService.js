@@ -1,5 +1,6 @@
 const cloudinary = require('cloudinary').v2;
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 
 /**
@@ -89,6 +90,49 @@ class CloudinaryService {
     }
   }
 
+  /**
+   * Upload a copy of an existing asset from its URL
+   * @param {string} sourceUrl - Delivery URL of the existing asset
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Upload result
+   */
+  static async copyFile(sourceUrl, options = {}) {
+    try {
+      const { folder = 'multimedia-app', originalName = 'unnamed' } = options;
+      const uniqueFilename = `${Date.now()}-${crypto.randomUUID()}-${originalName}`;
+
+      const result = await cloudinary.uploader.upload(sourceUrl, {
+        folder: folder,
+        resource_type: 'auto',
+        public_id: uniqueFilename,
+        use_filename: true,
+        unique_filename: false
+      });
+
+      return {
+        success: true,
+        cloudinaryId: result.public_id,
+        url: result.url,
+        secureUrl: result.secure_url,
+        format: result.format,
+        resourceType: result.resource_type,
+        bytes: result.bytes,
+        width: result.width,
+        height: result.height,
+        fileName: uniqueFilename,
+        originalName: originalName
+      };
+
+    } catch (error) {
+      console.error('Cloudinary copy error:', error);
+      throw {
+        success: false,
+        message: 'Failed to copy file in cloud storage',
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Delete a file from Cloudinary
    * @param {string} cloudinaryId - Cloudinary public ID
@@ -195,6 +239,8 @@ class CloudinaryService {
 
   /**
    * Generate transformation URL for images
+   * Video and audio assets use resourceType 'video'; page picks a PDF page,
+   * startOffset a video frame and flags e.g. 'waveform' for audio
    * @param {string} cloudinaryId - Cloudinary public ID
    * @param {Object} transformations - Transformation options
    * @returns {string} Transformed URL
@@ -206,7 +252,11 @@ class CloudinaryService {
         height,
         crop = 'fit',
         quality = 'auto',
-        format = 'auto'
+        format = 'auto',
+        resourceType = 'image',
+        page,
+        startOffset,
+        flags
       } = transformations;
 
       const transformOptions = {
@@ -214,7 +264,11 @@ class CloudinaryService {
         height,
         crop,
         quality,
-        format
+        format,
+        resource_type: resourceType,
+        page,
+        start_offset: startOffset,
+        flags
       };
 
       return cloudinary.url(cloudinaryId, transformOptions);
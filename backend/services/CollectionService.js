@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const File = require('../models/File');
+const { createHttpError, parseIdList } = require('../utils/helpers');
+
+/**
+ * CollectionService - User-owned albums
+ * A file can belong to any number of collections; membership is stored on the
+ * file itself (File.collections) so collection listings reuse the file queries
+ */
+class CollectionService {
+
+  /**
+   * Create a collection
+   * @param {string} userId - User ID
+   * @param {Object} data - Collection data (name, description)
+   * @returns {Promise<Object>} Created collection
+   */
+  static async createCollection(userId, data) {
+    try {
+      if (!data.name || !String(data.name).trim()) {
+        throw createHttpError('Collection name is required', 400);
+      }
+
+      const collection = await Collection.create({
+        name: data.name,
+        description: data.description,
+        owner: userId
+      });
+
+      return {
+        success: true,
+        collection,
+        message: 'Collection created successfully'
+      };
+
+    } catch (error) {
+      console.error('Create collection service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to create collection',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a user's collections with file counts
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Collections
+   */
+  static async getCollections(userId) {
+    try {
+      const collections = await Collection.find({ owner: userId })
+        .sort({ name: 1 })
+        .populate('coverFile', 'title fileType')
+        .lean();
+
+      const counts = await File.aggregate([
+        { $match: { uploadedBy: new mongoose.Types.ObjectId(userId), collections: { $in: collections.map(c => c._id) } } },
+        { $unwind: '$collections' },
+        { $group: { _id: '$collections', count: { $sum: 1 } } }
+      ]);
+      const fileCounts = new Map(counts.map(count => [String(count._id), count.count]));
+
+      return {
+        success: true,
+        collections: collections.map(collection => ({
+          ...collection,
+          fileCount: fileCounts.get(String(collection._id)) || 0
+        }))
+      };
+
+    } catch (error) {
+      console.error('Get collections service error:', error);
+      throw {
+        success: false,
+        message: 'Failed to get collections',
+        statusCode: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a collection
+   * @param {string} collectionId - Collection ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Collection
+   */
+  static async getCollection(collectionId, userId) {
+    try {
+      const collection = await this.findCollection(collectionId, userId);
+      await collection.populate('coverFile', 'title fileType');
+      const fileCount = await File.countDocuments({ uploadedBy: userId, collections: collection._id });
+
+      return {
+        success: true,
+        collection: { ...collection.toObject(), fileCount }
+      };
+
+    } catch (error) {
+      console.error('Get collection service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to get collection',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update collection details
+   * @param {string} collectionId - Collection ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Update data (name, description, coverFile)
+   * @returns {Promise<Object>} Updated collection
+   */
+  static async updateCollection(collectionId, userId, updates) {
+    try {
+      const collection = await this.findCollection(collectionId, userId);
+
+      if (updates.name !== undefined) collection.name = updates.name;
+      if (updates.description !== undefined) collection.description = updates.description;
+
+      if (updates.coverFile !== undefined) {
+        if (updates.coverFile) {
+          const cover = await File.exists({ _id: updates.coverFile, uploadedBy: userId, collections: collection._id })
+            .catch(() => null);
+          if (!cover) {
+            throw createHttpError('Cover file must be a file in this collection', 400);
+          }
+        }
+        collection.coverFile = updates.coverFile || null;
+      }
+
+      await collection.save();
+
+      return {
+        success: true,
+        collection,
+        message: 'Collection updated successfully'
+      };
+
+    } catch (error) {
+      console.error('Update collection service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to update collection',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a collection (its files are kept)
+   * @param {string} collectionId - Collection ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteCollection(collectionId, userId) {
+    try {
+      const collection = await this.findCollection(collectionId, userId);
+
+      await File.updateMany(
+        { collections: collection._id },
+        { $pull: { collections: collection._id } }
+      );
+      await Collection.deleteOne({ _id: collection._id });
+
+      return {
+        success: true,
+        message: 'Collection deleted successfully'
+      };
+
+    } catch (error) {
+      console.error('Delete collection service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to delete collection',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Add files to a collection
+   * @param {string} collectionId - Collection ID
+   * @param {string} userId - User ID
+   * @param {Array} fileIds - File IDs
+   * @returns {Promise<Object>} Number of files added
+   */
+  static async addFiles(collectionId, userId, fileIds) {
+    try {
+      const ids = parseIdList(fileIds, 'fileIds');
+      const collection = await this.findCollection(collectionId, userId);
+
+      const result = await File.updateMany(
+        { _id: { $in: ids }, uploadedBy: userId },
+        { $addToSet: { collections: collection._id } }
+      );
+
+      return {
+        success: true,
+        matched: result.matchedCount,
+        added: result.modifiedCount,
+        message: `${result.modifiedCount} file(s) added to collection`
+      };
+
+    } catch (error) {
+      console.error('Add files to collection service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to add files to collection',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove files from a collection
+   * @param {string} collectionId - Collection ID
+   * @param {string} userId - User ID
+   * @param {Array} fileIds - File IDs
+   * @returns {Promise<Object>} Number of files removed
+   */
+  static async removeFiles(collectionId, userId, fileIds) {
+    try {
+      const ids = parseIdList(fileIds, 'fileIds');
+      const collection = await this.findCollection(collectionId, userId);
+
+      const result = await File.updateMany(
+        { _id: { $in: ids }, uploadedBy: userId },
+        { $pull: { collections: collection._id } }
+      );
+
+      if (collection.coverFile && ids.includes(String(collection.coverFile))) {
+        collection.coverFile = null;
+        await collection.save();
+      }
+
+      return {
+        success: true,
+        removed: result.modifiedCount,
+        message: `${result.modifiedCount} file(s) removed from collection`
+      };
+
+    } catch (error) {
+      console.error('Remove files from collection service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to remove files from collection',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find a collection owned by a user
+   * @param {string} collectionId - Collection ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Collection document
+   */
+  static async findCollection(collectionId, userId) {
+    const collection = await Collection.findOne({ _id: collectionId, owner: userId })
+      .catch(() => null);
+
+    if (!collection) {
+      throw createHttpError('Collection not found', 404);
+    }
+
+    return collection;
+  }
+}
+
+module.exports = CollectionService;
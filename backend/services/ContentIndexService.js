@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const File = require('../models/File');
+const StorageService = require('./StorageService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+const { runTool } = require('../utils/mediaTools');
+const { OFFICE_MIME_TYPES, readZipEntries, readXmlTags, decodeXmlEntities } = require('../utils/officeDocuments');
+
+const TEXT_MIME_TYPES = ['text/plain', 'text/csv'];
+
+/**
+ * ContentIndexService - Makes the text inside documents searchable
+ * Extracts text from PDFs, Word, Excel and PowerPoint files, CSV and plain text
+ * after upload, stores it in File.content (part of the full-text index) and
+ * builds highlighted snippets of content hits for search results
+ */
+class ContentIndexService {
+
+  /**
+   * Pick the text extractor for a file
+   * @param {Object} file - File document
+   * @returns {string|null} Extractor name (pdf, docx, xlsx, pptx, text)
+   */
+  static getExtractor(file) {
+    if (file.mimeType === 'application/pdf') return 'pdf';
+    if (TEXT_MIME_TYPES.includes(file.mimeType)) return 'text';
+
+    const officeType = Object.keys(OFFICE_MIME_TYPES).find(type => OFFICE_MIME_TYPES[type] === file.mimeType);
+    return officeType || null;
+  }
+
+  /**
+   * Extract a file's text and store it in the full-text index
+   * Runs as a background job after upload (see JobQueueService)
+   * @param {string} fileId - File ID
+   * @param {Object} options - jobId of the job indexing it
+   * @returns {Promise<Object>} Content status and number of indexed characters
+   */
+  static async indexFile(fileId, options = {}) {
+    const file = await File.findById(fileId).select('mimeType storageProvider storageKey url size');
+    if (!file) {
+      throw createHttpError('File not found', 404);
+    }
+    const filter = File.jobResultFilter(file._id, options.jobId);
+
+    const extractor = this.getExtractor(file);
+    if (!extractor) {
+      await File.updateOne(filter, { $set: { contentStatus: 'unsupported' }, $unset: { content: 1 } });
+      return { status: 'unsupported', length: 0 };
+    }
+
+    let content;
+    let dir;
+
+    try {
+      const download = await StorageService.downloadToTempDir(file, 'content-');
+      dir = download.dir;
+      content = this.normalizeText(await this.extractText(download.path, extractor, dir));
+    } catch (error) {
+      console.error(`Content extraction failed for file ${file._id}:`, error.message || error);
+      await File.updateOne(filter, { $set: { contentStatus: 'failed' } });
+      return { status: 'failed', length: 0, error: error.message };
+    } finally {
+      if (dir) await StorageService.removeTempDir(dir);
+    }
+
+    const { matchedCount } = await File.updateOne(filter, { $set: { content, contentStatus: 'ready' } });
+    if (matchedCount === 0) {
+      return { status: 'superseded', length: 0 };
+    }
+
+    return { status: 'ready', length: content.length };
+  }
+
+  /**
+   * Extract the text of a document
+   * @param {string} sourcePath - Path of the document
+   * @param {string} extractor - Extractor name from getExtractor()
+   * @param {string} workDir - Directory for intermediate files
+   * @returns {Promise<string>} Raw text
+   */
+  static async extractText(sourcePath, extractor, workDir) {
+    switch (extractor) {
+      case 'pdf':
+        return this.readPdfText(sourcePath, workDir);
+      case 'text':
+        return this.readPlainText(sourcePath);
+      case 'docx':
+        return this.readWordText(sourcePath);
+      case 'xlsx':
+        return this.readSpreadsheetText(sourcePath);
+      case 'pptx':
+        return this.readPresentationText(sourcePath);
+      default:
+        throw new Error(`Unknown content extractor: ${extractor}`);
+    }
+  }
+
+  /**
+   * Extract the text layer of a PDF with pdftotext
+   * Scanned PDFs without a text layer produce no text
+   * @param {string} sourcePath - Path of the PDF
+   * @param {string} workDir - Directory for the text output
+   * @returns {Promise<string>} Text
+   */
+  static async readPdfText(sourcePath, workDir) {
+    const config = AppConfig.getContentIndexConfig();
+    const outputPath = path.join(workDir, 'content.txt');
+
+    await runTool(config.pdftotextPath, ['-enc', 'UTF-8', '-q', sourcePath, outputPath], {
+      timeoutMs: config.timeoutMs
+    });
+
+    return this.readPlainText(outputPath);
+  }
+
+  /**
+   * Read the beginning of a text file, enough to fill the content limit
+   * @param {string} sourcePath - Path of the text file
+   * @returns {Promise<string>} Text
+   */
+  static async readPlainText(sourcePath) {
+    // UTF-8 uses at most 4 bytes per character
+    const maxBytes = AppConfig.getContentIndexConfig().maxContentLength * 4;
+    const handle = await fs.promises.open(sourcePath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(Math.min(maxBytes, (await handle.stat()).size));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+
+      return buffer.subarray(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Extract the body text of a Word document
+   * @param {string} sourcePath - Path of the .docx file
+   * @returns {Promise<string>} Text
+   */
+  static async readWordText(sourcePath) {
+    const entries = await readZipEntries(sourcePath, name => name === 'word/document.xml');
+    const xml = entries['word/document.xml'] || '';
+
+    return decodeXmlEntities(
+      xml
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>|<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+    );
+  }
+
+  /**
+   * Extract the cell text of a spreadsheet
+   * Text cells are stored once in the shared strings table or inline in the sheets
+   * @param {string} sourcePath - Path of the .xlsx file
+   * @returns {Promise<string>} Text
+   */
+  static async readSpreadsheetText(sourcePath) {
+    const entries = await readZipEntries(sourcePath, name =>
+      name === 'xl/sharedStrings.xml' || /^xl\/worksheets\/sheet\d+\.xml$/.test(name)
+    );
+
+    return Object.keys(entries)
+      .sort(this.compareNumberedParts)
+      .flatMap(name => readXmlTags(entries[name], 't'))
+      .join('\n');
+  }
+
+  /**
+   * Extract the slide text of a presentation
+   * @param {string} sourcePath - Path of the .pptx file
+   * @returns {Promise<string>} Text
+   */
+  static async readPresentationText(sourcePath) {
+    const entries = await readZipEntries(sourcePath, name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+
+    return Object.keys(entries)
+      .sort(this.compareNumberedParts)
+      .map(name => readXmlTags(entries[name], 'a:t').join(' '))
+      .join('\n');
+  }
+
+  /**
+   * Order archive parts such as slide2.xml before slide10.xml
+   * @param {string} a - Part name
+   * @param {string} b - Part name
+   * @returns {number} Sort order
+   */
+  static compareNumberedParts(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+  }
+
+  /**
+   * Collapse whitespace and cap the text at the configured length
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  static normalizeText(text) {
+    return (text || '')
+      .replace(/\0/g, '')
+      .replace(/[ \t\f\v\u00a0]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n')
+      .trim()
+      .slice(0, AppConfig.getContentIndexConfig().maxContentLength);
+  }
+
+  /**
+   * Build highlighted content snippets for search results
+   * @param {Array} fileIds - IDs of the files on the current result page
+   * @param {Array<string>} terms - Lower-case words and phrases from the query
+   * @returns {Promise<Map>} Map of file ID to snippet ({ text, highlights })
+   */
+  static async getSnippets(fileIds, terms) {
+    const snippets = new Map();
+    if (fileIds.length === 0 || terms.length === 0) return snippets;
+
+    const files = await File.find({ _id: { $in: fileIds }, contentStatus: 'ready' })
+      .select('+content')
+      .lean();
+
+    for (const file of files) {
+      const snippet = this.buildSnippet(file.content, terms);
+      if (snippet) snippets.set(file._id.toString(), snippet);
+    }
+
+    return snippets;
+  }
+
+  /**
+   * Cut a snippet around the first term found in a document's content
+   * Highlights are [start, end) character offsets into the snippet text, so the
+   * client can mark them without rendering any HTML from the document
+   * @param {string} content - Indexed content
+   * @param {Array<string>} terms - Lower-case search terms
+   * @returns {Object|null} Snippet ({ text, highlights }) or null without a hit
+   */
+  static buildSnippet(content, terms) {
+    if (!content) return null;
+
+    const lowerContent = content.toLowerCase();
+    const positions = terms
+      .map(term => lowerContent.indexOf(term))
+      .filter(position => position >= 0);
+    if (positions.length === 0) return null;
+
+    const length = AppConfig.getContentIndexConfig().snippetLength;
+    const firstHit = Math.min(...positions);
+    let start = Math.max(0, firstHit - Math.floor(length / 3));
+    let end = Math.min(content.length, start + length);
+
+    // Don't cut words in half
+    if (start > 0) {
+      const space = content.indexOf(' ', start);
+      if (space >= 0 && space < firstHit) start = space + 1;
+    }
+    if (end < content.length) {
+      const space = content.lastIndexOf(' ', end);
+      if (space > firstHit) end = space;
+    }
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < content.length ? ' …' : '';
+    const body = content.slice(start, end).replace(/\n/g, ' ');
+    const lowerBody = body.toLowerCase();
+
+    const highlights = [];
+    for (const term of terms) {
+      let position = lowerBody.indexOf(term);
+      while (position >= 0) {
+        highlights.push([prefix.length + position, prefix.length + position + term.length]);
+        position = lowerBody.indexOf(term, position + term.length);
+      }
+    }
+
+    return {
+      text: `${prefix}${body}${suffix}`,
+      highlights: this.mergeRanges(highlights)
+    };
+  }
+
+  /**
+   * Sort and merge overlapping highlight ranges
+   * @param {Array} ranges - [start, end) ranges
+   * @returns {Array} Merged ranges
+   */
+  static mergeRanges(ranges) {
+    const merged = [];
+
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    return merged;
+  }
+}
+
+module.exports = ContentIndexService;
@@ -0,0 +1,381 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('util');
+const stream = require('stream');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const StoredObject = require('../models/StoredObject');
+const StorageService = require('./StorageService');
+const ThumbnailService = require('./ThumbnailService');
+const AppConfig = require('../config/app');
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * ContentStoreService - Content-addressed deduplication on top of StorageService
+ * Uploads are identified by their SHA-256 hash. Byte-identical content is stored
+ * once per dedup scope (see AppConfig.getDedupConfig()) as a StoredObject that counts
+ * the File records using it; the content is deleted when the last of them goes.
+ * Files without a StoredObject (uploaded before deduplication, or with it turned off)
+ * own their content outright
+ */
+class ContentStoreService {
+
+  /**
+   * Store an incoming file, reusing identical content already in the dedup scope
+   * @param {Object} file - File object from multer (buffer) or express-fileupload (tempFilePath)
+   * @param {Object} options - Upload options
+   * @param {string} options.userId - Owner user ID
+   * @param {string} options.fileType - File type (image, video, audio, document)
+   * @returns {Promise<Object>} Stored object details with contentHash and deduplicated
+   */
+  static async storeFile(file, { userId, fileType }) {
+    if (!AppConfig.getDedupConfig().enabled) {
+      const stored = await StorageService.uploadFile(file, { userId, fileType });
+      return { ...stored, contentHash: null, deduplicated: false };
+    }
+
+    const contentHash = await this.hashSource(file);
+    const existing = await this.acquire(contentHash, userId);
+    if (existing) {
+      await this.cleanupSource(file);
+      return { ...existing.toStored(), contentHash, deduplicated: true };
+    }
+
+    const stored = await StorageService.uploadFile(file, { userId, fileType });
+    return this.register(stored, contentHash, userId);
+  }
+
+  /**
+   * Deduplicate content that has already been stored (completed chunked uploads)
+   * The content is read back from storage to hash it; when identical content already
+   * exists, the new copy is deleted and the existing one is used instead
+   * @param {Object} stored - Stored object details from StorageService
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - Content options
+   * @param {string} options.mimeType - MIME type
+   * @param {number} options.size - Size in bytes
+   * @returns {Promise<Object>} Stored object details with contentHash and deduplicated
+   */
+  static async adoptStored(stored, userId, { mimeType, size }) {
+    if (!AppConfig.getDedupConfig().enabled) {
+      return { ...stored, contentHash: null, deduplicated: false };
+    }
+
+    const storedFile = this.toStoredFile(stored, { mimeType, size });
+    const contentHash = await this.hashStoredFile(storedFile);
+
+    const existing = await this.acquire(contentHash, userId);
+    if (existing) {
+      await this.deleteContent(storedFile);
+      return { ...existing.toStored(), contentHash, deduplicated: true };
+    }
+
+    return this.register(stored, contentHash, userId);
+  }
+
+  /**
+   * Add a reference to a file's content for a copy of it
+   * @param {Object} file - File document being copied
+   * @returns {Promise<Object|null>} Stored object details, or null when the content is not shared
+   */
+  static async addReference(file) {
+    if (!file.contentHash) return null;
+
+    const storedObject = await StoredObject.findOneAndUpdate(
+      { storageProvider: file.storageProvider, storageKey: file.storageKey, refCount: { $gt: 0 } },
+      { $inc: { refCount: 1 } },
+      { new: true }
+    );
+    if (!storedObject) return null;
+
+    return { ...storedObject.toStored(), contentHash: file.contentHash, deduplicated: true };
+  }
+
+  /**
+   * Drop a file's reference to its content, deleting the content when it was the last one
+   * @param {Object} file - File document being deleted
+   * @returns {Promise<boolean>} True when the content was deleted
+   */
+  static async releaseFile(file) {
+    if (!await this.dropReference(file)) return false;
+
+    await StorageService.deleteFile(file);
+    return true;
+  }
+
+  /**
+   * Drop a file's reference to its content without deleting the content
+   * @param {Object} file - File document being deleted
+   * @param {Object} session - Transaction session, if any
+   * @returns {Promise<boolean>} True when nothing uses the content any more (the caller deletes it)
+   */
+  static async dropReference(file, session = null) {
+    const storedObject = await StoredObject.findOneAndUpdate(
+      { storageProvider: file.storageProvider, storageKey: file.storageKey },
+      { $inc: { refCount: -1 } },
+      { new: true, session }
+    );
+    if (!storedObject) return true;
+    if (storedObject.refCount > 0) return false;
+
+    // An upload may have picked the content up again in the meantime
+    const { deletedCount } = await StoredObject.deleteOne({ _id: storedObject._id, refCount: { $lte: 0 } }, { session });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Hash a file stored before deduplication and merge it with identical content
+   * When the content already exists in the dedup scope, the file is pointed at it,
+   * its thumbnails are regenerated from it and its own copy is deleted
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Outcome ({ status: 'unique' | 'merged' | 'failed', ... })
+   */
+  static async dedupeStoredFile(fileId) {
+    const file = await File.findById(fileId).setOptions({ withDeleted: true });
+    if (!file || file.contentHash) return { status: 'unique' };
+
+    try {
+      const contentHash = await this.hashStoredFile(file);
+      const existing = await this.acquire(contentHash, file.uploadedBy);
+
+      if (!existing) {
+        await StoredObject.create({
+          contentHash,
+          owner: this.getScopeOwner(file.uploadedBy),
+          size: file.size,
+          storageProvider: file.storageProvider,
+          storageKey: file.storageKey,
+          url: file.url,
+          fileName: file.fileName,
+          width: file.metadata?.width,
+          height: file.metadata?.height,
+          format: file.metadata?.format,
+          resourceType: file.metadata?.resourceType
+        });
+        await File.updateOne({ _id: file._id }, { $set: { contentHash } });
+        return { status: 'unique', contentHash };
+      }
+
+      await File.updateOne({ _id: file._id }, {
+        $set: {
+          contentHash,
+          storageProvider: existing.storageProvider,
+          storageKey: existing.storageKey,
+          url: existing.url,
+          fileName: existing.fileName
+        }
+      });
+      // Provider derivative URLs point at the content that is about to go
+      await ThumbnailService.generateThumbnails(file._id);
+      await this.deleteContent(file);
+
+      return { status: 'merged', contentHash, freedBytes: file.size };
+
+    } catch (error) {
+      console.error(`Content hashing failed for file ${file._id}:`, error.message || error);
+      return { status: 'failed' };
+    }
+  }
+
+  /**
+   * Bytes a file or retained version adds to (or frees from) its owner's storage
+   * A user is charged once for content however many of their files and versions share it;
+   * trashed files stay charged until they are purged
+   * @param {Object} item - File or FileVersion document
+   * @param {Object} session - Transaction session the item is being written in
+   * @returns {Promise<number>} Size, or 0 when another of the owner's files or versions has the same content
+   */
+  static async getChargeableSize(item, session = null) {
+    if (!item.contentHash) return item.size;
+
+    const owner = item.uploadedBy || item.owner;
+    const shared = await File.exists({ uploadedBy: owner, contentHash: item.contentHash, _id: { $ne: item._id } })
+      .setOptions({ withDeleted: true })
+      .session(session)
+      || await FileVersion.exists({ owner, contentHash: item.contentHash, _id: { $ne: item._id } }).session(session);
+
+    return shared ? 0 : item.size;
+  }
+
+  /**
+   * Calculate a user's storage use from their files (including trashed files) and retained versions,
+   * counting shared content once
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Storage used in bytes and number of files
+   */
+  static async calculateUsage(userId) {
+    const owner = new mongoose.Types.ObjectId(String(userId));
+    const [usage] = await File.aggregate([
+      { $match: { uploadedBy: owner } },
+      { $project: { contentHash: 1, size: 1, isFile: { $literal: 1 } } },
+      {
+        $unionWith: {
+          coll: FileVersion.collection.name,
+          pipeline: [
+            { $match: { owner } },
+            { $project: { contentHash: 1, size: 1, isFile: { $literal: 0 } } }
+          ]
+        }
+      },
+      { $group: { _id: { $ifNull: ['$contentHash', '$_id'] }, size: { $max: '$size' }, files: { $sum: '$isFile' } } },
+      { $group: { _id: null, storageUsed: { $sum: '$size' }, totalFiles: { $sum: '$files' } } }
+    ]).option({ withDeleted: true });
+
+    return {
+      storageUsed: usage ? usage.storageUsed : 0,
+      totalFiles: usage ? usage.totalFiles : 0
+    };
+  }
+
+  /**
+   * Take a reference to existing content with a hash
+   * @param {string} contentHash - SHA-256 hash
+   * @param {string} userId - Uploading user ID
+   * @returns {Promise<Object|null>} StoredObject document, or null when the content is new
+   */
+  static async acquire(contentHash, userId) {
+    return StoredObject.findOneAndUpdate(
+      { owner: this.getScopeOwner(userId), contentHash, refCount: { $gt: 0 } },
+      { $inc: { refCount: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record newly stored content so later uploads can reuse it
+   * When a concurrent upload of the same content registered first, the new copy is
+   * dropped in favour of it; if that copy is itself being deleted, the content stays
+   * unshared
+   * @param {Object} stored - Stored object details from StorageService
+   * @param {string} contentHash - SHA-256 hash
+   * @param {string} userId - Uploading user ID
+   * @returns {Promise<Object>} Stored object details with contentHash and deduplicated
+   */
+  static async register(stored, contentHash, userId) {
+    try {
+      await StoredObject.create({
+        contentHash,
+        owner: this.getScopeOwner(userId),
+        size: stored.size,
+        storageProvider: stored.provider,
+        storageKey: stored.key,
+        url: stored.url,
+        fileName: stored.fileName,
+        width: stored.width,
+        height: stored.height,
+        format: stored.format,
+        resourceType: stored.resourceType
+      });
+
+      return { ...stored, contentHash, deduplicated: false };
+
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await this.acquire(contentHash, userId);
+      if (!existing) {
+        return { ...stored, contentHash, deduplicated: false };
+      }
+
+      await this.deleteContent(this.toStoredFile(stored));
+      return { ...existing.toStored(), contentHash, deduplicated: true };
+    }
+  }
+
+  /**
+   * Owner of StoredObjects in the configured dedup scope
+   * @param {string} userId - User ID
+   * @returns {string|null} User ID, or null for global deduplication
+   */
+  static getScopeOwner(userId) {
+    return AppConfig.getDedupConfig().scope === 'global' ? null : userId;
+  }
+
+  /**
+   * Hash an incoming file
+   * @param {Object} file - File object from multer or express-fileupload
+   * @returns {Promise<string>} SHA-256 hash (hex)
+   */
+  static async hashSource(file) {
+    if (file.buffer) {
+      return crypto.createHash('sha256').update(file.buffer).digest('hex');
+    }
+
+    const sourcePath = file.tempFilePath || file.path;
+    if (!sourcePath) {
+      throw new Error('Invalid file format - missing buffer or file path');
+    }
+
+    return this.hashStream(fs.createReadStream(sourcePath));
+  }
+
+  /**
+   * Hash content stored with a provider
+   * @param {Object} file - File document (or toStoredFile() result)
+   * @returns {Promise<string>} SHA-256 hash (hex)
+   */
+  static async hashStoredFile(file) {
+    const { stream: content } = await StorageService.downloadFile(file);
+    return this.hashStream(content);
+  }
+
+  /**
+   * Hash a stream
+   * @param {Readable} content - Content stream
+   * @returns {Promise<string>} SHA-256 hash (hex)
+   */
+  static async hashStream(content) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(content, hash);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Describe stored content the way StorageService expects a File document
+   * @param {Object} stored - Stored object details
+   * @param {Object} details - MIME type and size of the content
+   * @returns {Object} File-like object
+   */
+  static toStoredFile(stored, { mimeType, size } = {}) {
+    return {
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      url: stored.url,
+      mimeType,
+      size: size || stored.size,
+      metadata: { resourceType: stored.resourceType }
+    };
+  }
+
+  /**
+   * Delete content that turned out to be a duplicate
+   * @param {Object} file - File-like object from toStoredFile()
+   */
+  static async deleteContent(file) {
+    try {
+      await StorageService.deleteFile(file);
+    } catch (error) {
+      console.error('Duplicate content cleanup error:', error);
+      // Don't throw error for cleanup issues
+    }
+  }
+
+  /**
+   * Remove the temporary file of an upload that was not stored
+   * @param {Object} file - File object from multer or express-fileupload
+   */
+  static async cleanupSource(file) {
+    if (!file.tempFilePath) return;
+
+    try {
+      await fs.promises.rm(file.tempFilePath, { force: true });
+    } catch (error) {
+      console.error('Temp file cleanup error:', error);
+      // Don't throw error for cleanup issues
+    }
+  }
+}
+
+module.exports = ContentStoreService;
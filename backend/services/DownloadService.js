@@ -0,0 +1,240 @@
+const jwt = require('jsonwebtoken');
+const File = require('../models/File');
+const User = require('../models/User');
+const DownloadLog = require('../models/DownloadLog');
+const StorageService = require('./StorageService');
+const PermissionService = require('./PermissionService');
+const VirusScanService = require('./VirusScanService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+
+/**
+ * DownloadService - Authorized file downloads
+ * Content is streamed through the API instead of handing out provider URLs, so
+ * access is checked on every download. Signed-in requests use the usual bearer
+ * token; plain links and media elements, which cannot send headers, use a
+ * short-lived download token for one file. Downloads are counted on the file and
+ * logged for its owner
+ */
+class DownloadService {
+
+  /**
+   * Issue a short-lived token that downloads a file without an Authorization header (viewers only)
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Download token and its lifetime
+   */
+  static async createDownloadToken(fileId, userId) {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer', 'download');
+
+      return {
+        success: true,
+        ...this.signToken(userId, { scope: 'download', file: String(file._id) })
+      };
+
+    } catch (error) {
+      console.error('Create download token service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to create download link',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check that the requester may download a file
+   * Permissions are checked again on every request, so a download token stops
+   * working as soon as the file is deleted or unshared
+   * @param {string} fileId - File ID
+   * @param {Object} context - Requester context (userId from the bearer token, or a download token)
+   * @returns {Promise<Object>} File document and the downloading user's ID
+   */
+  static async authorizeDownload(fileId, context = {}) {
+    try {
+      const userId = context.userId || await this.verifyToken(context.token, { scope: 'download', file: String(fileId) });
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer', 'download');
+      VirusScanService.assertNotInfected(file);
+
+      return {
+        success: true,
+        file,
+        userId
+      };
+
+    } catch (error) {
+      console.error('Authorize download service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to download file',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Open an authorized file's content, counting the download
+   * Seeking and resumed downloads request later ranges of a download that was
+   * already counted, so only requests starting at the first byte are counted
+   * @param {Object} file - File document from authorizeDownload()
+   * @param {Object|null} range - Inclusive byte range ({ start, end }), or null for the whole content
+   * @param {Object} context - Requester context (userId, ipAddress, userAgent)
+   * @returns {Promise<Object>} Content ({ stream, size, contentType })
+   */
+  static async openContent(file, range, context = {}) {
+    try {
+      const content = await StorageService.downloadFile(file, { range });
+
+      if (!range || range.start === 0) {
+        this.recordDownload(file, context);
+      }
+
+      return {
+        success: true,
+        content
+      };
+
+    } catch (error) {
+      console.error('Open download service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to download file',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a file's download history, most recent first (owner only)
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @param {Object} params - page, limit
+   * @returns {Promise<Object>} Downloads, total download count and pagination
+   */
+  static async getDownloads(fileId, userId, params = {}) {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'owner', 'see downloads of');
+
+      const { defaultLimit, maxLimit } = AppConfig.getPaginationConfig();
+      const page = Math.max(parseInt(params.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+
+      const [downloads, total] = await Promise.all([
+        DownloadLog.find({ file: file._id })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'name email')
+          .select('-file -owner')
+          .lean(),
+        DownloadLog.countDocuments({ file: file._id })
+      ]);
+
+      return {
+        success: true,
+        downloads,
+        downloadCount: file.downloadCount,
+        retentionDays: AppConfig.getDownloadConfig().logRetentionDays,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDownloads: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+          limit
+        }
+      };
+
+    } catch (error) {
+      console.error('Get downloads service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get downloads',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Count a download and log who made it, without delaying the response
+   * @param {Object} file - File document
+   * @param {Object} context - userId, shareLinkId, ipAddress and userAgent of the download
+   */
+  static recordDownload(file, context = {}) {
+    Promise.all([
+      file.incrementDownloadCount(),
+      DownloadLog.create({
+        file: file._id,
+        owner: file.uploadedBy,
+        user: context.userId || null,
+        shareLink: context.shareLinkId || null,
+        version: file.version || 1,
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent ? String(context.userAgent).slice(0, 500) : null
+      })
+    ]).catch(error => {
+      console.error('Download log error:', error);
+    });
+  }
+
+  /**
+   * Remove the download history of files (after they are deleted)
+   * @param {Array} fileIds - File IDs
+   */
+  static async removeLogsFor(fileIds) {
+    await DownloadLog.deleteMany({ file: { $in: fileIds } });
+  }
+
+  /**
+   * Sign a short-lived token standing in for a user's bearer token on one kind of download
+   * @param {string} userId - User the token is issued to
+   * @param {Object} claims - What the token is good for (scope, and e.g. the file)
+   * @returns {Object} Token and its lifetime ({ token, expiresIn })
+   */
+  static signToken(userId, claims) {
+    const { tokenExpiry } = AppConfig.getDownloadConfig();
+
+    return {
+      token: jwt.sign({ ...claims, user: String(userId) }, AppConfig.getJWTConfig().secret, { expiresIn: tokenExpiry }),
+      expiresIn: tokenExpiry
+    };
+  }
+
+  /**
+   * Check a token from signToken()
+   * @param {string} token - Download token
+   * @param {Object} claims - Claims the token must carry (scope, and e.g. the file)
+   * @returns {Promise<string>} ID of the user the token was issued to
+   */
+  static async verifyToken(token, claims) {
+    if (!token) {
+      throw createHttpError('Access denied. No token provided.', 401);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(String(token), AppConfig.getJWTConfig().secret);
+    } catch (error) {
+      throw createHttpError('Download link is invalid or has expired', 401);
+    }
+
+    if (Object.entries(claims).some(([claim, value]) => payload[claim] !== value)) {
+      throw createHttpError('Download link is invalid or has expired', 401);
+    }
+    if (!await User.exists({ _id: payload.user, isActive: true })) {
+      throw createHttpError('Account is deactivated', 401);
+    }
+
+    return payload.user;
+  }
+}
+
+module.exports = DownloadService;
@@ -0,0 +1,213 @@
+const File = require('../models/File');
+const DownloadService = require('./DownloadService');
+const AppConfig = require('../config/app');
+
+// File fields streamed when they change
+const EVENT_FIELDS = ['jobStatus', 'thumbnailStatus', 'thumbnails', 'metadataStatus', 'contentStatus', 'scanStatus', 'virusName'];
+// Other processes (job workers) may write updatedAt with a clock slightly behind this one
+const CLOCK_SKEW_MS = 5000;
+
+// Streams open in this process, and the poll feeding them while there are any
+const listeners = new Set();
+let poll = null;
+
+/**
+ * FileEventService - Live processing progress for the owners of files
+ * Streams (GET /api/events) subscribe here. While any are open, the process looks
+ * for its listeners' files that changed since the last check and sends each file's
+ * new processing state once. Reading the changes from MongoDB means progress made
+ * by job workers in other processes reaches every API instance
+ */
+class FileEventService {
+
+  /**
+   * Create a short-lived token to open an event stream without an Authorization header
+   * (EventSource cannot send one)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Token and its lifetime
+   */
+  static async createStreamToken(userId) {
+    try {
+      return {
+        success: true,
+        ...DownloadService.signToken(userId, { scope: 'events' })
+      };
+
+    } catch (error) {
+      console.error('Create event stream token service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to create event stream token',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve the user opening an event stream
+   * @param {Object} context - Requester context (userId from the bearer token, or a stream token)
+   * @returns {Promise<Object>} User ID
+   */
+  static async authorizeStream(context = {}) {
+    try {
+      const userId = context.userId || await DownloadService.verifyToken(context.token, { scope: 'events' });
+
+      return {
+        success: true,
+        userId: String(userId)
+      };
+
+    } catch (error) {
+      console.error('Authorize event stream service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to open event stream',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send a user's file events to a stream until it unsubscribes
+   * @param {string} userId - User ID
+   * @param {Object} stream - send(event, data), ping() for heartbeats and close()
+   * @returns {Function} Unsubscribe
+   */
+  static subscribe(userId, stream) {
+    const { heartbeatSeconds } = AppConfig.getFileEventConfig();
+    const listener = {
+      userId: String(userId),
+      stream,
+      // Last state sent for each recently changed file, so each change is sent once
+      sent: new Map(),
+      heartbeat: setInterval(() => stream.ping(), heartbeatSeconds * 1000)
+    };
+
+    listeners.add(listener);
+    this.startPolling();
+
+    return () => {
+      clearInterval(listener.heartbeat);
+      listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Close every open stream, e.g. before the server shuts down
+   */
+  static closeStreams() {
+    [...listeners].forEach(listener => {
+      clearInterval(listener.heartbeat);
+      listeners.delete(listener);
+      listener.stream.close();
+    });
+  }
+
+  /**
+   * Check for changed files every FILE_EVENTS_POLL_INTERVAL_MS while streams are open
+   */
+  static startPolling() {
+    if (poll) return;
+
+    const { pollIntervalMs } = AppConfig.getFileEventConfig();
+    const state = { since: new Date() };
+
+    const check = async () => {
+      if (listeners.size === 0) {
+        poll = null;
+        return;
+      }
+
+      await this.sendChanges(state).catch(error => {
+        console.error('File event error:', error.message || error);
+      });
+      state.timer = setTimeout(check, pollIntervalMs);
+    };
+
+    state.timer = setTimeout(check, pollIntervalMs);
+    poll = state;
+  }
+
+  /**
+   * Send the listeners the files of theirs that changed since the last check
+   * @param {Object} state - Poll state (since: when the last check started)
+   */
+  static async sendChanges(state) {
+    const startedAt = new Date();
+    const userIds = [...new Set([...listeners].map(listener => listener.userId))];
+
+    const files = await File.find({
+      uploadedBy: { $in: userIds },
+      updatedAt: { $gt: new Date(state.since.getTime() - CLOCK_SKEW_MS) }
+    })
+      .select(['uploadedBy', 'updatedAt', ...EVENT_FIELDS].join(' '))
+      .lean();
+    state.since = startedAt;
+
+    const filesByUser = new Map();
+    files.forEach(file => {
+      const owner = String(file.uploadedBy);
+      if (!filesByUser.has(owner)) filesByUser.set(owner, []);
+      filesByUser.get(owner).push(file);
+    });
+
+    // Files last changed before the next check's window are not seen again
+    const forgetBefore = startedAt.getTime() - CLOCK_SKEW_MS;
+
+    listeners.forEach(listener => {
+      (filesByUser.get(listener.userId) || []).forEach(file => {
+        const event = this.formatEvent(file);
+        const signature = JSON.stringify(event);
+        const fileId = String(file._id);
+
+        if (listener.sent.get(fileId)?.signature === signature) return;
+        listener.sent.set(fileId, { signature, updatedAt: file.updatedAt });
+        listener.stream.send('file', event);
+      });
+
+      listener.sent.forEach((entry, fileId) => {
+        if (entry.updatedAt.getTime() <= forgetBefore) listener.sent.delete(fileId);
+      });
+    });
+  }
+
+  /**
+   * Where a file is in its processing after upload
+   * stored: content saved, nothing finished yet; thumbnailed / indexed: previews or
+   * searchable text are ready while other jobs still run; processed: every job finished;
+   * failed: a job gave up (see GET /api/jobs)
+   * @param {Object} file - File with its processing statuses
+   * @returns {string} Processing stage
+   */
+  static getStage(file) {
+    if (file.jobStatus === 'failed') return 'failed';
+    // Files uploaded before the job queue have no job status
+    if (!file.jobStatus || file.jobStatus === 'completed') return 'processed';
+    if (file.contentStatus === 'ready') return 'indexed';
+    if (file.thumbnailStatus === 'ready') return 'thumbnailed';
+    return 'stored';
+  }
+
+  /**
+   * Format a file event
+   * @param {Object} file - File with its processing statuses
+   * @returns {Object} Event data ({ file, stage })
+   */
+  static formatEvent(file) {
+    const fields = { _id: file._id };
+    EVENT_FIELDS.forEach(field => {
+      if (file[field] !== undefined) fields[field] = file[field];
+    });
+    // Thumbnails are read through GET /api/files/{id}/thumbnail, not their storage URLs
+    if (fields.thumbnails) fields.thumbnails = fields.thumbnails.map(({ url, ...thumbnail }) => thumbnail);
+
+    return {
+      file: fields,
+      stage: this.getStage(file)
+    };
+  }
+}
+
+module.exports = FileEventService;
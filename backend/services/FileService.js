@@ -1,7 +1,26 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
 const File = require('../models/File');
-const User = require('../models/User');
-const CloudinaryService = require('./CloudinaryService');
-const { formatBytes } = require('../utils/helpers');
+const StorageService = require('./StorageService');
+const ContentStoreService = require('./ContentStoreService');
+const StorageAccountingService = require('./StorageAccountingService');
+const FileVersionService = require('./FileVersionService');
+const FolderService = require('./FolderService');
+const CollectionService = require('./CollectionService');
+const PermissionService = require('./PermissionService');
+const SharingService = require('./SharingService');
+const ShareLinkService = require('./ShareLinkService');
+const DownloadService = require('./DownloadService');
+const ThumbnailService = require('./ThumbnailService');
+const ContentIndexService = require('./ContentIndexService');
+const JobQueueService = require('./JobQueueService');
+const ImageHashService = require('./ImageHashService');
+const QuotaService = require('./QuotaService');
+const SearchService = require('./SearchService');
+const SearchAnalyticsService = require('./SearchAnalyticsService');
+const AppConfig = require('../config/app');
+const { formatBytes, createHttpError, parseIdList } = require('../utils/helpers');
+const { parseSearchQuery } = require('../utils/searchQuery');
 
 /**
  * FileService - Handles all file-related operations
@@ -11,76 +30,215 @@ class FileService {
   
   /**
    * Upload a file with metadata
+   * Images that look like ones the user already has are listed in duplicates
    * @param {Object} fileData - File data and metadata
    * @param {string} userId - User ID
    * @returns {Promise<Object>} Upload result
    */
   static async uploadFile(fileData, userId) {
     try {
-      const { file, title, description, tags, category, isPublic } = fileData;
-      
-      // Upload to Cloudinary
-      const cloudinaryResult = await CloudinaryService.uploadFile(file, {
-        folder: 'multimedia-app',
-        resource_type: 'auto'
-      });
-      
-      if (!cloudinaryResult.success) {
-        throw new Error(cloudinaryResult.message);
-      }
+      const { file } = fileData;
       
       // Determine file type
       const fileType = this.determineFileType(file.mimetype);
+
+      // Check the target folder and the user's quota before storing anything
+      const folder = await FolderService.resolveFolder(fileData.folder, userId);
+      await QuotaService.assertCanStore(userId, { fileType, size: file.size });
       
-      // Create file record
-      const originalName = file.originalname || file.name || 'unnamed';
-      const fileRecord = new File({
-        title: title || originalName,
-        description,
-        originalName: originalName,
-        fileName: cloudinaryResult.fileName,
-        cloudinaryId: cloudinaryResult.cloudinaryId,
-        url: cloudinaryResult.url,
-        secureUrl: cloudinaryResult.secureUrl,
-        fileType,
-        mimeType: file.mimetype,
-        size: file.size,
-        tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
-        category: category || 'other',
-        isPublic: isPublic === 'true' || isPublic === true,
-        uploadedBy: userId,
-        metadata: {
-          width: cloudinaryResult.width,
-          height: cloudinaryResult.height,
-          format: cloudinaryResult.format,
-          resourceType: cloudinaryResult.resourceType
-        }
-      });
-      
-      // Generate search keywords
-      fileRecord.searchKeywords = this.generateSearchKeywords(fileRecord);
-      
-      await fileRecord.save();
+      // Store content with the configured storage provider (once per identical content)
+      const stored = await ContentStoreService.storeFile(file, { userId, fileType });
       
-      // Update user statistics
-      await this.updateUserStats(userId, file.size);
+      const fileRecord = await this.createFileRecord(stored, {
+        ...fileData,
+        folder: folder ? folder._id : null,
+        originalName: file.originalname || file.name || 'unnamed',
+        mimeType: file.mimetype,
+        size: file.size
+      }, userId);
+
+      const duplicates = await ImageHashService.findUploadDuplicates(fileRecord, userId);
       
       return {
         success: true,
         file: fileRecord,
-        message: 'File uploaded successfully'
+        duplicates,
+        message: this.getUploadMessage(duplicates)
       };
       
     } catch (error) {
       console.error('File upload service error:', error);
       throw {
         success: false,
-        message: 'File upload failed',
+        message: error.statusCode ? error.message : 'File upload failed',
+        statusCode: error.statusCode || 500,
         error: error.message
       };
     }
   }
 
+  /**
+   * Upload many files with shared default metadata and per-file overrides
+   * Every file is processed independently; one failure does not stop the batch
+   * @param {Array} files - File objects from multer (batchIndex is the position in the request)
+   * @param {Object} options - Batch options
+   * @param {Object} options.defaults - Metadata applied to every file
+   * @param {Array} options.items - Per-file overrides in request order ({ relativePath, title, ... })
+   * @param {Array} options.rejected - Files rejected before upload ({ index, originalName, error })
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Per-file results and summary
+   */
+  static async uploadBatch(files, options, userId) {
+    const { defaults = {}, items = [], rejected = [] } = options;
+    const { maxFileSize } = AppConfig.getFileUploadConfig();
+    const metadataFields = ['title', 'description', 'tags', 'category', 'isPublic', 'folder'];
+    const results = [];
+
+    for (const file of files) {
+      const index = file.batchIndex !== undefined ? file.batchIndex : results.length;
+      const item = items[index] || {};
+      const result = {
+        index,
+        originalName: file.originalname,
+        relativePath: item.relativePath || file.originalname,
+        success: false
+      };
+
+      try {
+        if (file.size > maxFileSize) {
+          throw new Error(`File size exceeds maximum limit of ${maxFileSize / 1024 / 1024}MB`);
+        }
+
+        const metadata = {};
+        metadataFields.forEach(field => {
+          const value = item[field] !== undefined && item[field] !== '' ? item[field] : defaults[field];
+          if (value !== undefined) metadata[field] = value;
+        });
+
+        // Disk-stored multer files are handed to providers as temp files so they get cleaned up
+        const uploaded = await this.uploadFile({
+          ...metadata,
+          file: { ...file, tempFilePath: file.path }
+        }, userId);
+
+        result.success = true;
+        result.file = uploaded.file;
+        result.duplicates = uploaded.duplicates;
+      } catch (error) {
+        result.error = error.error || error.message || 'File upload failed';
+        if (error.statusCode === 413) result.quotaExceeded = true;
+        await fs.promises.rm(file.path, { force: true }).catch(() => {});
+      }
+
+      results.push(result);
+    }
+
+    rejected.forEach(entry => {
+      results.push({
+        index: entry.index,
+        originalName: entry.originalName,
+        relativePath: (items[entry.index] || {}).relativePath || entry.originalName,
+        success: false,
+        error: entry.error
+      });
+    });
+    results.sort((a, b) => a.index - b.index);
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      success: succeeded > 0,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      message: `${succeeded} of ${results.length} file(s) uploaded successfully`
+    };
+  }
+
+  /**
+   * Success message of an upload, mentioning images it duplicates
+   * @param {Array} duplicates - Matching files from ImageHashService.findUploadDuplicates()
+   * @returns {string} Message
+   */
+  static getUploadMessage(duplicates) {
+    if (duplicates.length === 0) return 'File uploaded successfully';
+
+    return `File uploaded successfully, but it looks like ${duplicates.length === 1 ? 'an image' : `${duplicates.length} images`} you already have`;
+  }
+
+  /**
+   * Create the File record for content that has been stored
+   * Images are hashed before the record is saved (see ImageHashService). When the record
+   * cannot be saved, the reference to the stored content is released
+   * @param {Object} stored - Stored object details from StorageService or ContentStoreService
+   * @param {Object} fileData - File metadata (originalName, mimeType, size, title, description, tags, category, isPublic, folder,
+   *   perceptualHash when the content is a copy of an already hashed image)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Saved file document
+   */
+  static async createFileRecord(stored, fileData, userId) {
+    const { originalName, mimeType, title, description, tags, category, isPublic, folder } = fileData;
+    const size = fileData.size || stored.size;
+    
+    const fileRecord = new File({
+      title: title || originalName,
+      description,
+      originalName,
+      fileName: stored.fileName,
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      url: stored.url,
+      fileType: this.determineFileType(mimeType),
+      mimeType,
+      size,
+      tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
+      category: category || 'other',
+      isPublic: isPublic === 'true' || isPublic === true,
+      uploadedBy: userId,
+      folder: folder || null,
+      contentHash: stored.contentHash || null,
+      metadata: {
+        width: stored.width,
+        height: stored.height,
+        format: stored.format,
+        resourceType: stored.resourceType
+      }
+    });
+    
+    // Generate search keywords
+    fileRecord.searchKeywords = this.generateSearchKeywords(fileRecord);
+
+    try {
+      if (fileData.perceptualHash) {
+        fileRecord.perceptualHash = fileData.perceptualHash;
+        fileRecord.perceptualHashStatus = 'ready';
+      } else {
+        await ImageHashService.hashNewFile(fileRecord);
+      }
+
+      // The record and the user's totals are written together; content the user already has is not charged again
+      await StorageAccountingService.runInTransaction(async (session) => {
+        await fileRecord.save({ session });
+        await StorageAccountingService.recordChange(userId, {
+          files: 1,
+          storage: await ContentStoreService.getChargeableSize(fileRecord, session)
+        }, session);
+      });
+    } catch (error) {
+      // Nothing refers to the stored content yet: drop its reference (and the content when unshared)
+      await ContentStoreService.releaseFile(ContentStoreService.toStoredFile(stored, { mimeType, size }));
+      throw error;
+    }
+    
+    // Background processing; the upload response does not wait for it
+    await JobQueueService.enqueueFileProcessing(fileRecord);
+    
+    return fileRecord;
+  }
+
   /**
    * Get user's files with pagination and filtering
    * @param {string} userId - User ID
@@ -94,6 +252,9 @@ class FileService {
         limit = 10,
         fileType,
         category,
+        folder,
+        includeSubfolders,
+        collection,
         sortBy = 'date',
         sortOrder = 'desc'
       } = filters;
@@ -104,6 +265,20 @@ class FileService {
       const query = { uploadedBy: userId };
       if (fileType) query.fileType = fileType;
       if (category) query.category = category;
+      if (collection) query.collections = (await CollectionService.findCollection(collection, userId))._id;
+
+      // Folder scope: 'root' lists top-level files; without a folder every file is listed
+      if (folder === 'root') {
+        query.folder = null;
+      } else if (folder) {
+        const { folder: target, role } = await PermissionService.findAccessibleFolder(folder, userId);
+        query.folder = includeSubfolders === 'true'
+          ? { $in: await FolderService.getSubtreeIds(target) }
+          : target._id;
+
+        // A folder shared with the user lists the owner's files in it
+        if (role !== 'owner') delete query.uploadedBy;
+      }
       
       // Build sort
       const sortDirection = sortOrder === 'asc' ? 1 : -1;
@@ -131,6 +306,7 @@ class FileService {
         .sort(sortOptions)
         .skip(skip)
         .limit(parseInt(limit))
+        .select('-url -thumbnails.url')
         .lean();
       
       // Get total count
@@ -153,7 +329,116 @@ class FileService {
       console.error('Get user files service error:', error);
       throw {
         success: false,
-        message: 'Failed to get user files',
+        message: error.statusCode ? error.message : 'Failed to get user files',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Move files into a folder
+   * @param {Array} fileIds - File IDs
+   * @param {string|null} folderId - Target folder ID, or null / 'root' for the top level
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Number of files moved
+   */
+  static async moveFiles(fileIds, folderId, userId) {
+    try {
+      const ids = parseIdList(fileIds, 'fileIds');
+      const folder = await FolderService.resolveFolder(folderId, userId);
+
+      const owned = await File.countDocuments({ _id: { $in: ids }, uploadedBy: userId });
+      if (owned !== ids.length) {
+        throw createHttpError('File not found or access denied', 404);
+      }
+
+      const result = await File.updateMany(
+        { _id: { $in: ids }, uploadedBy: userId },
+        { $set: { folder: folder ? folder._id : null } }
+      );
+
+      return {
+        success: true,
+        moved: result.modifiedCount,
+        message: `${ids.length} file(s) moved`
+      };
+
+    } catch (error) {
+      console.error('Move files service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to move files',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Copy files into a folder
+   * Copies share deduplicated content with the original (see ContentStoreService);
+   * other files get their content copied. Either way each can be deleted independently
+   * @param {Array} fileIds - File IDs
+   * @param {string|null} folderId - Target folder ID, or null / 'root' for the top level
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Created copies
+   */
+  static async copyFiles(fileIds, folderId, userId) {
+    try {
+      const ids = parseIdList(fileIds, 'fileIds');
+      const folder = await FolderService.resolveFolder(folderId, userId);
+
+      const files = await File.find({ _id: { $in: ids }, uploadedBy: userId });
+      if (files.length !== ids.length) {
+        throw createHttpError('File not found or access denied', 404);
+      }
+
+      // Each type's largest copy must fit the plan's per-file limit for that type
+      const largestByType = {};
+      files.forEach(file => {
+        largestByType[file.fileType] = Math.max(largestByType[file.fileType] || 0, file.size);
+      });
+      for (const [fileType, size] of Object.entries(largestByType)) {
+        await QuotaService.assertCanStore(userId, { fileType, size, bytes: 0, files: 0 });
+      }
+
+      // Copies share hashed content; only unhashed content is stored again
+      await QuotaService.assertCanStore(userId, {
+        files: files.length,
+        bytes: files.filter(file => !file.contentHash).reduce((total, file) => total + file.size, 0)
+      });
+
+      const copies = [];
+      for (const file of files) {
+        const stored = await ContentStoreService.addReference(file) || await StorageService.copyFile(file, { userId });
+
+        copies.push(await this.createFileRecord(stored, {
+          originalName: file.originalName,
+          mimeType: file.mimeType,
+          size: file.size,
+          title: file.title,
+          description: file.description,
+          tags: file.tags,
+          category: file.category,
+          isPublic: file.isPublic,
+          folder: folder ? folder._id : null,
+          perceptualHash: file.perceptualHash
+        }, userId));
+      }
+
+      return {
+        success: true,
+        files: copies,
+        message: `${copies.length} file(s) copied`
+      };
+
+    } catch (error) {
+      console.error('Copy files service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to copy files',
+        statusCode: error.statusCode || 500,
         error: error.message
       };
     }
@@ -163,32 +448,28 @@ class FileService {
    * Get file by ID with permission check
    * @param {string} fileId - File ID
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} File details
+   * @returns {Promise<Object>} File details and the user's role on it
    */
   static async getFileById(fileId, userId) {
     try {
-      const file = await File.findOne({
-        _id: fileId,
-        $or: [
-          { uploadedBy: userId },
-          { isPublic: true }
-        ]
-      }).populate('uploadedBy', 'name email');
-      
-      if (!file) {
-        throw new Error('File not found or access denied');
-      }
+      const file = await File.findById(fileId)
+        .populate('uploadedBy', 'name email')
+        .catch(() => null);
+
+      const access = await PermissionService.assertFileRole(file, userId, 'viewer');
       
       return {
         success: true,
-        file
+        file,
+        access
       };
       
     } catch (error) {
       console.error('Get file by ID service error:', error);
       throw {
         success: false,
-        message: 'Failed to get file details',
+        message: error.statusCode ? error.message : 'Failed to get file details',
+        statusCode: error.statusCode || 500,
         error: error.message
       };
     }
@@ -196,6 +477,7 @@ class FileService {
 
   /**
    * Update file metadata
+   * Editors can change the descriptive fields; only the owner can change visibility
    * @param {string} fileId - File ID
    * @param {string} userId - User ID
    * @param {Object} updates - Update data
@@ -203,13 +485,11 @@ class FileService {
    */
   static async updateFile(fileId, userId, updates) {
     try {
-      const file = await File.findOne({
-        _id: fileId,
-        uploadedBy: userId
-      });
-      
-      if (!file) {
-        throw new Error('File not found or access denied');
+      const file = await File.findById(fileId).catch(() => null);
+      const role = await PermissionService.assertFileRole(file, userId, 'editor', 'edit');
+
+      if (updates.isPublic !== undefined && role !== 'owner') {
+        throw createHttpError('Only the owner can change who can see this file', 403);
       }
       
       // Update allowed fields
@@ -241,53 +521,296 @@ class FileService {
       console.error('Update file service error:', error);
       throw {
         success: false,
-        message: 'Failed to update file',
+        message: error.statusCode ? error.message : 'Failed to update file',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
         error: error.message
       };
     }
   }
 
   /**
-   * Delete file with cleanup
+   * Upload new content for a file (editors)
+   * The current content and metadata are kept as a version; views, tags, shares and
+   * links stay with the file. The new content counts against the owner's storage
    * @param {string} fileId - File ID
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} Deletion result
+   * @param {Object} versionData - Uploaded file and optional comment
+   * @returns {Promise<Object>} Updated file and number of versions pruned by retention
    */
-  static async deleteFile(fileId, userId) {
+  static async uploadVersion(fileId, userId, versionData) {
     try {
-      const file = await File.findOne({
-        _id: fileId,
-        uploadedBy: userId
+      const { file: upload, comment } = versionData;
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'editor', 'upload new versions of');
+
+      if (this.determineFileType(upload.mimetype) !== file.fileType) {
+        throw createHttpError(`New versions of this file must be ${file.fileType} files`, 400);
+      }
+
+      // The owner is charged for the new content; the previous content stays charged through its version
+      await QuotaService.assertCanStore(file.uploadedBy, { fileType: file.fileType, size: upload.size, files: 0 });
+
+      const stored = await ContentStoreService.storeFile(upload, { userId: file.uploadedBy, fileType: file.fileType });
+      const prunedVersions = await this.replaceContent(file, stored, {
+        originalName: upload.originalname || upload.name || 'unnamed',
+        mimeType: upload.mimetype,
+        size: upload.size,
+        comment,
+        userId
       });
-      
-      if (!file) {
-        throw new Error('File not found or access denied');
+
+      return {
+        success: true,
+        file,
+        prunedVersions,
+        message: `Version ${file.version} uploaded successfully`
+      };
+
+    } catch (error) {
+      console.error('Upload file version service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to upload new version',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Make an earlier version current again (editors)
+   * Restoring adds a new version with the old content, so nothing is lost
+   * @param {string} fileId - File ID
+   * @param {string|number} versionNumber - Version to restore
+   * @param {string} userId - User ID
+   * @param {Object} options - Restore options
+   * @param {boolean} options.restoreMetadata - Also restore title, description, tags and category
+   * @returns {Promise<Object>} Updated file and number of versions pruned by retention
+   */
+  static async restoreVersion(fileId, versionNumber, userId, options = {}) {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'editor', 'restore versions of');
+
+      const version = await FileVersionService.findVersion(file, versionNumber);
+
+      // Shared content gets another reference; content that is not shared is copied
+      const stored = await ContentStoreService.addReference(version)
+        || { ...await StorageService.copyFile({ ...version.toObject(), fileType: file.fileType }, { userId: file.uploadedBy }), contentHash: null };
+
+      const restoreMetadata = options.restoreMetadata === true || options.restoreMetadata === 'true';
+      const prunedVersions = await this.replaceContent(file, stored, {
+        originalName: version.originalName,
+        mimeType: version.mimeType,
+        size: version.size,
+        comment: `Restored from version ${version.versionNumber}`,
+        userId,
+        updates: restoreMetadata ? {
+          title: version.title,
+          description: version.description,
+          tags: version.tags,
+          category: version.category
+        } : {}
+      });
+
+      return {
+        success: true,
+        file,
+        prunedVersions,
+        message: `Version ${version.versionNumber} restored as version ${file.version}`
+      };
+
+    } catch (error) {
+      console.error('Restore file version service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to restore version',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Archive a file's current version and switch it to stored content
+   * Everything derived from the content (metadata, thumbnails, text, hashes) is
+   * reset and regenerated. The version, the file and the owner's storage used are
+   * written together; if that fails the stored content is released again
+   * @param {Object} file - File document
+   * @param {Object} stored - Stored object details from StorageService or ContentStoreService
+   * @param {Object} details - originalName, mimeType, size, comment, userId and extra field updates
+   * @returns {Promise<number>} Number of versions pruned by retention
+   */
+  static async replaceContent(file, stored, details) {
+    const { originalName, mimeType, size, comment, userId, updates = {} } = details;
+    const current = file.toObject();
+
+    file.set({
+      ...updates,
+      originalName,
+      fileName: stored.fileName,
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      url: stored.url,
+      mimeType,
+      size: size || stored.size,
+      contentHash: stored.contentHash || null,
+      version: (file.version || 1) + 1,
+      versionComment: comment,
+      versionCreatedBy: userId,
+      versionCreatedAt: new Date(),
+      metadata: {
+        width: stored.width,
+        height: stored.height,
+        format: stored.format,
+        resourceType: stored.resourceType
+      },
+      metadataStatus: 'pending',
+      thumbnailStatus: 'pending',
+      contentStatus: 'pending',
+      content: undefined,
+      perceptualHash: null,
+      perceptualHashStatus: 'pending'
+    });
+    file.searchKeywords = this.generateSearchKeywords(file);
+    await ImageHashService.hashNewFile(file);
+
+    try {
+      await StorageAccountingService.runInTransaction(async (session) => {
+        await FileVersionService.archiveCurrent(current, session);
+        await file.save({ session });
+
+        // The previous content stays charged through its version
+        await StorageAccountingService.recordChange(file.uploadedBy, {
+          storage: await ContentStoreService.getChargeableSize(file, session)
+        }, session);
+      });
+    } catch (error) {
+      await ContentStoreService.releaseFile(ContentStoreService.toStoredFile(stored));
+      if (error.code === 11000) {
+        throw createHttpError('Another version was saved at the same time, please try again', 409);
       }
-      
-      // Delete from Cloudinary
-      await CloudinaryService.deleteFile(file.cloudinaryId, file.metadata.resourceType);
-      
-      // Delete from database
-      await File.findByIdAndDelete(fileId);
-      
-      // Update user statistics
-      await this.updateUserStats(userId, -file.size);
+      throw error;
+    }
+
+    await JobQueueService.enqueueFileProcessing(file);
+
+    return FileVersionService.applyRetention(file);
+  }
+
+  /**
+   * Move a file to its owner's trash (owner only)
+   * The file is hidden everywhere but keeps its content, shares and links (and stays
+   * charged to the owner) until it is restored or purged
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteFile(fileId, userId) {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'owner', 'delete');
+
+      const deletedAt = new Date();
+      await File.updateOne({ _id: file._id }, { $set: { deletedAt, deletedBy: userId } });
       
       return {
         success: true,
-        message: 'File deleted successfully'
+        message: 'File moved to trash',
+        purgeAt: new Date(deletedAt.getTime() + AppConfig.getTrashConfig().retentionDays * 24 * 60 * 60 * 1000)
       };
       
     } catch (error) {
       console.error('Delete file service error:', error);
       throw {
         success: false,
-        message: 'Failed to delete file',
+        message: error.statusCode ? error.message : 'Failed to delete file',
+        statusCode: error.statusCode || 500,
         error: error.message
       };
     }
   }
 
+  /**
+   * Permanently delete a trashed file with cleanup
+   * The file is marked as purging (it can no longer be restored) and its content,
+   * thumbnails, shares, links, download logs, versions and jobs are removed before the
+   * record itself (together with the owner's totals). Every step can run again, so a
+   * purge that failed part-way is finished by the next attempt and a file purged by
+   * two processes at once is cleaned up once
+   * @param {Object} file - Trashed File document
+   * @returns {Promise<boolean>} Whether the file was purged by this call
+   */
+  static async purgeFile(file) {
+    const purging = await File.findOneAndUpdate(
+      { _id: file._id, deletedAt: { $ne: null } },
+      { $min: { 'purge.startedAt': new Date() } },
+      { new: true }
+    );
+    if (!purging) return false;
+
+    // Every step runs even when an earlier one fails; the record stays for the retry
+    const steps = [
+      () => this.releasePurgedContent(purging),
+      () => ThumbnailService.deleteStoredThumbnails(purging),
+      () => SharingService.removeSharesFor([purging._id]),
+      () => ShareLinkService.removeLinksFor([purging._id]),
+      () => DownloadService.removeLogsFor([purging._id]),
+      () => FileVersionService.removeVersionsFor(purging),
+      () => JobQueueService.removeJobsFor([purging._id])
+    ];
+    let failure = null;
+    for (const step of steps) {
+      try {
+        await step();
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+    if (failure) throw failure;
+
+    return StorageAccountingService.runInTransaction(async (session) => {
+      const deleted = await File.findOneAndDelete({ _id: purging._id, deletedAt: { $ne: null } }, { session });
+      if (!deleted) return false;
+
+      // Shared content stays charged while another of the user's files or versions uses it
+      await StorageAccountingService.recordChange(deleted.uploadedBy, {
+        files: -1,
+        storage: -(await ContentStoreService.getChargeableSize(deleted, session))
+      }, session);
+      return true;
+    });
+  }
+
+  /**
+   * Release the content of a file being purged
+   * The reference is dropped once, even when the purge is retried; content nothing else
+   * uses stays marked on the file until the provider it was stored with has deleted it
+   * @param {Object} file - File document being purged
+   */
+  static async releasePurgedContent(file) {
+    if (!file.purge?.contentReleased) {
+      await StorageAccountingService.runInTransaction(async (session) => {
+        const claimed = await File.findOneAndUpdate(
+          { _id: file._id, deletedAt: { $ne: null }, 'purge.contentReleased': { $ne: true } },
+          { $set: { 'purge.contentReleased': true } },
+          { session }
+        );
+        if (!claimed) return;
+
+        if (await ContentStoreService.dropReference(file, session)) {
+          await File.updateOne({ _id: file._id }, { $set: { 'purge.contentPending': true } }, { session });
+        }
+      });
+    }
+
+    const current = await File.findById(file._id).setOptions({ withDeleted: true }).select('purge').lean();
+    if (!current?.purge?.contentPending) return;
+
+    await StorageService.deleteFile(file);
+    await File.updateOne({ _id: file._id }, { $unset: { 'purge.contentPending': 1 } });
+  }
+
   /**
    * Increment view count
    * @param {string} fileId - File ID
@@ -296,22 +819,15 @@ class FileService {
    */
   static async incrementViewCount(fileId, userId) {
     try {
-      const file = await File.findOneAndUpdate(
-        {
-          _id: fileId,
-          $or: [
-            { uploadedBy: userId },
-            { isPublic: true }
-          ]
-        },
+      const existing = await File.findById(fileId).select('uploadedBy folder isPublic').catch(() => null);
+      await PermissionService.assertFileRole(existing, userId, 'viewer');
+
+      const file = await File.findByIdAndUpdate(
+        fileId,
         { $inc: { viewCount: 1 } },
         { new: true }
       );
       
-      if (!file) {
-        throw new Error('File not found or access denied');
-      }
-      
       return {
         success: true,
         viewCount: file.viewCount,
@@ -322,7 +838,8 @@ class FileService {
       console.error('Increment view count service error:', error);
       throw {
         success: false,
-        message: 'Failed to update view count',
+        message: error.statusCode ? error.message : 'Failed to update view count',
+        statusCode: error.statusCode || 500,
         error: error.message
       };
     }
@@ -390,134 +907,117 @@ class FileService {
     }
   }
 
+  /**
+   * Build the MongoDB query for a search
+   * Matches the user's own files plus files shared with them, narrowed by the
+   * parsed query and the fileType, category and uploadedBy filters
+   * @param {string} userId - User ID
+   * @param {Object} filters - Search filters (q, fileType, category, uploadedBy)
+   * @returns {Promise<Object>} Query, the query without the filter parameters
+   *   (baseQuery) and their conditions by name (filterConditions), parsed query,
+   *   text search string and access filter
+   */
+  static async buildSearchQuery(userId, filters = {}) {
+    const { q: searchQuery = '', fileType, category, uploadedBy } = filters;
+    
+    const parsed = parseSearchQuery(String(searchQuery));
+    const { textSearch, condition } = SearchService.buildQuery(parsed);
+    
+    const filterConditions = {};
+    if (fileType) filterConditions.fileType = { fileType };
+    if (category) filterConditions.category = { category };
+    if (uploadedBy) {
+      if (!mongoose.Types.ObjectId.isValid(uploadedBy)) {
+        throw createHttpError('Invalid uploadedBy user ID', 400);
+      }
+      filterConditions.uploadedBy = { uploadedBy: new mongoose.Types.ObjectId(String(uploadedBy)) };
+    }
+    
+    const accessFilter = await PermissionService.buildFileAccessFilter(userId);
+    const baseQuery = { $and: condition ? [accessFilter, condition] : [accessFilter] };
+    if (textSearch) baseQuery.$text = { $search: textSearch };
+    
+    const query = { ...baseQuery, $and: [...baseQuery.$and, ...Object.values(filterConditions)] };
+    
+    return { query, baseQuery, filterConditions, parsed, textSearch, accessFilter };
+  }
+
   /**
    * Search files by query with relevance ranking
    * @param {string} userId - User ID
    * @param {Object} filters - Search filters
+   * @param {Object} options - Search options
+   * @param {boolean} options.recordAnalytics - Log the search for analytics (default true)
+   * @param {boolean} options.includeFacets - Count results per facet (default: first page only)
    * @returns {Promise<Object>} Search results
    */
-  static async searchFiles(userId, filters = {}) {
+  static async searchFiles(userId, filters = {}, options = {}) {
     try {
       const {
         q: searchQuery = '',
-        page = 1,
-        limit = 10,
         fileType,
         category,
         sortBy = 'relevance',
         sortOrder = 'desc'
       } = filters;
+      const { page, limit, skip } = SearchService.getPagination(filters);
+      const { recordAnalytics = true, includeFacets = page === 1 } = options;
+      const {
+        query,
+        baseQuery,
+        filterConditions,
+        parsed,
+        textSearch,
+        accessFilter
+      } = await this.buildSearchQuery(userId, filters);
       
-      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [files, totalFiles, facets] = await Promise.all([
+        textSearch && sortBy === 'relevance'
+          ? SearchService.findByRelevance(query, skip, limit)
+          : File.find(query)
+            .sort(SearchService.getSortOptions(sortBy, sortOrder))
+            .skip(skip)
+            .limit(limit)
+            .select('-url -thumbnails.url')
+            .lean(),
+        File.countDocuments(query),
+        includeFacets ? SearchService.getFacets(baseQuery, filterConditions) : null
+      ]);
       
-      // Build base query
-      const query = { uploadedBy: userId };
+      // Show where the query occurs inside each document
+      const snippets = await ContentIndexService.getSnippets(files.map(file => file._id), parsed.terms);
+      files.forEach(file => {
+        file.contentSnippet = snippets.get(file._id.toString()) || null;
+      });
       
-      // Add filters
-      if (fileType) query.fileType = fileType;
-      if (category) query.category = category;
+      // Offer a spelling correction when nothing matched
+      const didYouMean = totalFiles === 0 && parsed.terms.length > 0
+        ? await SearchService.getCorrection(accessFilter, String(searchQuery))
+        : null;
       
-      let files;
-      let totalFiles;
-      
-      if (searchQuery.trim()) {
-        // Search with relevance scoring
-        const searchRegex = new RegExp(searchQuery.trim(), 'i');
-        
-        // Use regular find with manual scoring
-        const searchFilter = {
-          ...query,
-          $or: [
-            { title: searchRegex },
-            { description: searchRegex },
-            { originalName: searchRegex },
-            { tags: searchRegex },
-            { searchKeywords: searchRegex }
-          ]
-        };
-        
-        const searchResults = await File.find(searchFilter).lean();
-        
-        // Calculate relevance scores manually
-        const scoredResults = searchResults.map(file => {
-          let score = 0;
-          const queryLower = searchQuery.toLowerCase();
-          const titleLower = (file.title || '').toLowerCase();
-          
-          // Title exact match bonus
-          if (titleLower === queryLower) score += 20;
-          // Title contains match
-          else if (titleLower.includes(queryLower)) score += 10;
-          
-          // Description contains match
-          if ((file.description || '').toLowerCase().includes(queryLower)) score += 5;
-          
-          // Tags exact match
-          if (file.tags && file.tags.some(tag => tag.toLowerCase() === queryLower)) score += 15;
-          // Tags partial match
-          else if (file.tags && file.tags.some(tag => tag.toLowerCase().includes(queryLower))) score += 7;
-          
-          // SearchKeywords match
-          if (file.searchKeywords && file.searchKeywords.some(keyword => keyword.toLowerCase().includes(queryLower))) score += 3;
-          
-          // View count bonus
-          score += Math.log(file.viewCount + 1) * 1;
-          
-          // Recency bonus (newer files get slight boost)
-          const daysSinceUpload = (new Date() - new Date(file.createdAt)) / (1000 * 60 * 60 * 24);
-          if (daysSinceUpload < 30) score += (30 - daysSinceUpload) * 0.1;
-          
-          return { ...file, relevanceScore: score };
-        });
-        
-        // Sort by relevance score
-        scoredResults.sort((a, b) => b.relevanceScore - a.relevanceScore);
-        
-        // Apply pagination
-        files = scoredResults.slice(skip, skip + parseInt(limit));
-        totalFiles = searchResults.length;
-        
-      } else {
-        // Regular query without search term
-        const sortDirection = sortOrder === 'asc' ? 1 : -1;
-        let sortOptions = {};
-        
-        switch (sortBy) {
-          case 'date':
-            sortOptions = { createdAt: sortDirection };
-            break;
-          case 'name':
-            sortOptions = { title: sortDirection };
-            break;
-          case 'size':
-            sortOptions = { size: sortDirection };
-            break;
-          case 'views':
-            sortOptions = { viewCount: sortDirection };
-            break;
-          default:
-            sortOptions = { createdAt: sortDirection };
-        }
-        
-        files = await File.find(query)
-          .sort(sortOptions)
-          .skip(skip)
-          .limit(parseInt(limit))
-          .lean();
-        
-        totalFiles = await File.countDocuments(query);
-      }
+      const searchId = recordAnalytics
+        ? SearchAnalyticsService.recordSearch(userId, {
+          query: String(searchQuery),
+          terms: parsed.terms,
+          filters: { fileType, category, sortBy, sortOrder },
+          page,
+          resultCount: totalFiles
+        })
+        : null;
       
       return {
         success: true,
+        searchId,
         files,
+        facets,
+        didYouMean,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(totalFiles / parseInt(limit)),
+          currentPage: page,
+          totalPages: Math.ceil(totalFiles / limit),
           totalFiles,
-          hasNext: skip + parseInt(limit) < totalFiles,
-          hasPrev: parseInt(page) > 1,
-          limit: parseInt(limit)
+          hasNext: skip + limit < totalFiles,
+          hasPrev: page > 1,
+          limit
         }
       };
       
@@ -525,12 +1025,41 @@ class FileService {
       console.error('Search files error:', error);
       throw {
         success: false,
-        message: 'Search failed',
+        message: error.statusCode ? error.message : 'Search failed',
+        statusCode: error.statusCode || 500,
         error: error.message
       };
     }
   }
 
+  /**
+   * Suggest completions for a partially typed search query
+   * @param {string} userId - User ID
+   * @param {string} query - Query typed so far
+   * @returns {Promise<Object>} Suggestions
+   */
+  static async getSearchSuggestions(userId, query = '') {
+    try {
+      const accessFilter = await PermissionService.buildFileAccessFilter(userId);
+      const suggestions = await SearchService.getSuggestions(accessFilter, String(query));
+      
+      return {
+        success: true,
+        suggestions
+      };
+      
+    } catch (error) {
+      console.error('Search suggestions error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to load search suggestions',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+
   /**
    * Determine file type from MIME type
    * @param {string} mimeType - MIME type
@@ -574,33 +1103,14 @@ class FileService {
     // Add file type and category
     keywords.push(file.fileType, file.category);
     
+    // Add extracted metadata (author, camera, codecs...)
+    if (typeof file.getMetadataKeywords === 'function') {
+      keywords.push(...file.getMetadataKeywords());
+    }
+    
     // Remove duplicates and empty strings
     return [...new Set(keywords.filter(keyword => keyword && keyword.length > 2))];
   }
-
-  /**
-   * Update user statistics
-   * @param {string} userId - User ID
-   * @param {number} sizeChange - Size change (positive for upload, negative for delete)
-   */
-  static async updateUserStats(userId, sizeChange) {
-    try {
-      const user = await User.findById(userId);
-      if (user) {
-        if (sizeChange > 0) {
-          user.totalFiles += 1;
-          user.storageUsed += sizeChange;
-        } else {
-          user.totalFiles = Math.max(0, user.totalFiles - 1);
-          user.storageUsed = Math.max(0, user.storageUsed + sizeChange); // sizeChange is negative
-        }
-        await user.save();
-      }
-    } catch (error) {
-      console.error('Update user stats error:', error);
-      // Don't throw error for stats update failure
-    }
-  }
 }
 
 module.exports = FileService;
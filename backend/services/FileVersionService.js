@@ -0,0 +1,395 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const User = require('../models/User');
+const StorageService = require('./StorageService');
+const ContentStoreService = require('./ContentStoreService');
+const StorageAccountingService = require('./StorageAccountingService');
+const PermissionService = require('./PermissionService');
+const VirusScanService = require('./VirusScanService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+
+// Fields compared between versions, besides the extracted metadata
+const DIFF_FIELDS = ['originalName', 'mimeType', 'size', 'contentHash', 'title', 'description', 'tags', 'category'];
+
+/**
+ * FileVersionService - History of a file's content
+ * Uploading a new version (see FileService.uploadVersion) archives the current
+ * content and metadata as a FileVersion. Archived versions keep their reference to
+ * the stored content and count against the owner's storage until the owner's
+ * retention policy prunes them
+ */
+class FileVersionService {
+
+  /**
+   * Archive a file's current content and metadata as a version
+   * The file's reference to its content passes to the version
+   * @param {Object} current - File snapshot (toObject()) taken before its content is replaced
+   * @param {Object} session - Transaction session the new content is saved in
+   * @returns {Promise<Object>} Created FileVersion document
+   */
+  static async archiveCurrent(current, session = null) {
+    const [version] = await FileVersion.create([{
+      file: current._id,
+      owner: current.uploadedBy,
+      versionNumber: current.version || 1,
+      createdBy: current.versionCreatedBy || current.uploadedBy,
+      comment: current.versionComment,
+      originalName: current.originalName,
+      fileName: current.fileName,
+      storageProvider: current.storageProvider,
+      storageKey: current.storageKey,
+      url: current.url,
+      mimeType: current.mimeType,
+      size: current.size,
+      contentHash: current.contentHash || null,
+      scanStatus: current.scanStatus,
+      virusName: current.virusName || null,
+      title: current.title,
+      description: current.description,
+      tags: current.tags,
+      category: current.category,
+      metadata: current.metadata || {},
+      versionCreatedAt: current.versionCreatedAt || current.createdAt
+    }], { session });
+
+    return version;
+  }
+
+  /**
+   * List a file's versions, newest first (viewers only)
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Current version, archived versions and the retention policy
+   */
+  static async getVersions(fileId, userId) {
+    try {
+      const file = await File.findById(fileId).populate('versionCreatedBy', 'name email').catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer');
+
+      const versions = await FileVersion.find({ file: file._id })
+        .sort({ versionNumber: -1 })
+        .populate('createdBy', 'name email');
+
+      return {
+        success: true,
+        versions: [this.formatCurrent(file), ...versions.map(version => this.formatVersion(version))],
+        retention: await this.getRetentionPolicy(file.uploadedBy)
+      };
+
+    } catch (error) {
+      console.error('Get file versions service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get file versions',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Compare the metadata of a version with the current version or another version (viewers only)
+   * @param {string} fileId - File ID
+   * @param {string|number} versionNumber - Version to compare
+   * @param {string} userId - User ID
+   * @param {string|number} against - Version to compare with, or 'current'
+   * @returns {Promise<Object>} Changed fields ({ field, from, to })
+   */
+  static async getVersionDiff(fileId, versionNumber, userId, against = 'current') {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer');
+
+      const from = this.formatVersion(await this.findVersion(file, versionNumber));
+      const to = !against || against === 'current' || Number(against) === file.version
+        ? this.formatCurrent(file)
+        : this.formatVersion(await this.findVersion(file, against));
+
+      return {
+        success: true,
+        from: from.versionNumber,
+        to: to.versionNumber,
+        changes: this.diffSnapshots(from, to)
+      };
+
+    } catch (error) {
+      console.error('Version diff service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to compare versions',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Open the content of an archived version for reading (viewers only)
+   * @param {string} fileId - File ID
+   * @param {string|number} versionNumber - Version number
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Version and content stream ({ stream, size, contentType })
+   */
+  static async openVersionContent(fileId, versionNumber, userId) {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer');
+
+      const version = Number(versionNumber) === file.version ? file : await this.findVersion(file, versionNumber);
+      VirusScanService.assertNotInfected(version);
+      const content = await StorageService.downloadFile(version);
+
+      return {
+        success: true,
+        version,
+        content
+      };
+
+    } catch (error) {
+      console.error('Open file version service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to download version',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete an archived version (owner only)
+   * @param {string} fileId - File ID
+   * @param {string|number} versionNumber - Version number
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteVersion(fileId, versionNumber, userId) {
+    try {
+      const file = await File.findById(fileId).catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'owner', 'delete versions of');
+
+      if (Number(versionNumber) === file.version) {
+        throw createHttpError('The current version cannot be deleted', 400);
+      }
+
+      await this.removeVersion(await this.findVersion(file, versionNumber));
+
+      return {
+        success: true,
+        message: `Version ${versionNumber} deleted`
+      };
+
+    } catch (error) {
+      console.error('Delete file version service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to delete version',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find an archived version of a file
+   * @param {Object} file - File document
+   * @param {string|number} versionNumber - Version number
+   * @returns {Promise<Object>} FileVersion document
+   */
+  static async findVersion(file, versionNumber) {
+    const number = Number(versionNumber);
+    const version = Number.isInteger(number)
+      ? await FileVersion.findOne({ file: file._id, versionNumber: number }).populate('createdBy', 'name email')
+      : null;
+
+    if (!version) {
+      throw createHttpError('Version not found', 404);
+    }
+
+    return version;
+  }
+
+  /**
+   * Prune a file's archived versions according to its owner's retention policy
+   * @param {Object} file - File document (or { _id, uploadedBy })
+   * @param {Object} policy - Retention policy (defaults to the owner's)
+   * @returns {Promise<number>} Number of versions removed
+   */
+  static async applyRetention(file, policy) {
+    const { maxVersions, maxAgeDays } = policy || await this.getRetentionPolicy(file.uploadedBy);
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const versions = await FileVersion.find({ file: file._id }).sort({ versionNumber: -1 });
+    const expired = versions.filter((version, index) =>
+      index >= maxVersions || (cutoff !== null && version.createdAt.getTime() < cutoff)
+    );
+
+    for (const version of expired) {
+      await this.removeVersion(version);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Prune the archived versions of all of a user's files
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of versions removed
+   */
+  static async applyRetentionForUser(userId) {
+    const policy = await this.getRetentionPolicy(userId);
+    const fileIds = await FileVersion.distinct('file', { owner: userId });
+
+    let removed = 0;
+    for (const fileId of fileIds) {
+      removed += await this.applyRetention({ _id: fileId, uploadedBy: userId }, policy);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Delete every archived version of a file (after the file is deleted)
+   * @param {Object} file - File document
+   */
+  static async removeVersionsFor(file) {
+    const versions = await FileVersion.find({ file: file._id });
+
+    for (const version of versions) {
+      await this.removeVersion(version);
+    }
+  }
+
+  /**
+   * Delete an archived version, free its storage and release its content
+   * @param {Object} version - FileVersion document
+   * @returns {Promise<boolean>} Whether the version was removed by this call
+   */
+  static async removeVersion(version) {
+    const removed = await StorageAccountingService.runInTransaction(async (session) => {
+      const { deletedCount } = await FileVersion.deleteOne({ _id: version._id }, { session });
+      if (deletedCount === 0) return false;
+
+      await StorageAccountingService.recordChange(version.owner, {
+        storage: -(await ContentStoreService.getChargeableSize(version, session))
+      }, session);
+      return true;
+    });
+
+    if (removed) await ContentStoreService.releaseFile(version);
+    return removed;
+  }
+
+  /**
+   * Effective retention policy of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Versions kept per file and their maximum age in days (0: no limit)
+   */
+  static async getRetentionPolicy(userId) {
+    const config = AppConfig.getVersionConfig();
+    const user = await User.findById(userId).select('versionRetention').lean();
+    const retention = (user && user.versionRetention) || {};
+
+    return {
+      maxVersions: Math.min(
+        retention.maxVersions ?? config.defaultMaxVersions,
+        config.maxVersionsLimit
+      ),
+      maxAgeDays: retention.maxAgeDays ?? config.defaultMaxAgeDays
+    };
+  }
+
+  /**
+   * Compare two formatted versions
+   * Extracted metadata is compared field by field (e.g. metadata.duration)
+   * @param {Object} from - Formatted version
+   * @param {Object} to - Formatted version
+   * @returns {Array} Changed fields ({ field, from, to })
+   */
+  static diffSnapshots(from, to) {
+    const flatten = (version) => {
+      const values = {};
+      DIFF_FIELDS.forEach(field => { values[field] = version[field]; });
+
+      const walk = (object, prefix) => {
+        Object.entries(object || {}).forEach(([key, value]) => {
+          if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            walk(value, `${prefix}${key}.`);
+          } else {
+            values[`${prefix}${key}`] = value;
+          }
+        });
+      };
+      walk(version.metadata, 'metadata.');
+
+      return values;
+    };
+
+    const fromValues = flatten(from);
+    const toValues = flatten(to);
+    const normalize = (value) => (value === undefined || value === '' ? null : JSON.stringify(value));
+
+    return [...new Set([...Object.keys(fromValues), ...Object.keys(toValues)])]
+      .filter(field => normalize(fromValues[field]) !== normalize(toValues[field]))
+      .map(field => ({
+        field,
+        from: fromValues[field] ?? null,
+        to: toValues[field] ?? null
+      }));
+  }
+
+  /**
+   * Format an archived version for API responses
+   * @param {Object} version - FileVersion document
+   * @returns {Object} Version response
+   */
+  static formatVersion(version) {
+    return {
+      versionNumber: version.versionNumber,
+      current: false,
+      originalName: version.originalName,
+      mimeType: version.mimeType,
+      size: version.size,
+      contentHash: version.contentHash,
+      title: version.title,
+      description: version.description,
+      tags: version.tags,
+      category: version.category,
+      metadata: version.metadata || {},
+      comment: version.comment,
+      createdBy: version.createdBy,
+      createdAt: version.versionCreatedAt,
+      archivedAt: version.createdAt
+    };
+  }
+
+  /**
+   * Format a file's current version for API responses
+   * @param {Object} file - File document
+   * @returns {Object} Version response
+   */
+  static formatCurrent(file) {
+    const current = file.toObject();
+
+    return {
+      versionNumber: current.version || 1,
+      current: true,
+      originalName: current.originalName,
+      mimeType: current.mimeType,
+      size: current.size,
+      contentHash: current.contentHash,
+      title: current.title,
+      description: current.description,
+      tags: current.tags,
+      category: current.category,
+      metadata: current.metadata || {},
+      comment: current.versionComment,
+      createdBy: current.versionCreatedBy || current.uploadedBy,
+      createdAt: current.versionCreatedAt || current.createdAt,
+      archivedAt: null
+    };
+  }
+}
+
+module.exports = FileVersionService;
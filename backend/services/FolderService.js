@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const Share = require('../models/Share');
+const PermissionService = require('./PermissionService');
+const { createHttpError } = require('../utils/helpers');
+
+/**
+ * FolderService - Nested, user-owned folders
+ * Each folder stores the IDs of its ancestors so whole subtrees can be
+ * queried, moved and removed without walking the tree recursively
+ */
+class FolderService {
+
+  /**
+   * Create a folder
+   * @param {string} userId - User ID
+   * @param {Object} data - Folder data
+   * @param {string} data.name - Folder name
+   * @param {string} data.parent - Parent folder ID (omit for a top-level folder)
+   * @returns {Promise<Object>} Created folder
+   */
+  static async createFolder(userId, data) {
+    try {
+      const name = this.validateName(data.name);
+      const parent = await this.resolveFolder(data.parent, userId);
+
+      const folder = await Folder.create({
+        name,
+        owner: userId,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : []
+      }).catch(this.handleDuplicateName);
+
+      return {
+        success: true,
+        folder,
+        message: 'Folder created successfully'
+      };
+
+    } catch (error) {
+      console.error('Create folder service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to create folder',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all of a user's folders as a tree with file counts
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Folder tree and number of files at the root
+   */
+  static async getFolderTree(userId) {
+    try {
+      const [folders, counts] = await Promise.all([
+        Folder.find({ owner: userId }).sort({ name: 1 }).lean(),
+        File.aggregate([
+          { $match: { uploadedBy: new mongoose.Types.ObjectId(userId) } },
+          { $group: { _id: '$folder', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const fileCounts = new Map(counts.map(count => [String(count._id), count.count]));
+      const nodes = new Map(folders.map(folder => [String(folder._id), {
+        _id: folder._id,
+        name: folder.name,
+        parent: folder.parent,
+        fileCount: fileCounts.get(String(folder._id)) || 0,
+        children: []
+      }]));
+
+      const tree = [];
+      nodes.forEach(node => {
+        const parentNode = node.parent && nodes.get(String(node.parent));
+        if (parentNode) {
+          parentNode.children.push(node);
+        } else {
+          tree.push(node);
+        }
+      });
+
+      return {
+        success: true,
+        tree,
+        rootFileCount: fileCounts.get('null') || 0
+      };
+
+    } catch (error) {
+      console.error('Get folder tree service error:', error);
+      throw {
+        success: false,
+        message: 'Failed to get folders',
+        statusCode: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a folder with its breadcrumb path and direct sub-folders
+   * Works for the owner and for anyone the folder (or a parent) is shared with
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Folder details and the user's role on it
+   */
+  static async getFolder(folderId, userId) {
+    try {
+      const { folder, role } = await PermissionService.findAccessibleFolder(folderId, userId);
+
+      const [ancestors, children] = await Promise.all([
+        Folder.find({ _id: { $in: folder.ancestors } }).select('name').lean(),
+        Folder.find({ parent: folder._id }).sort({ name: 1 }).lean()
+      ]);
+
+      // $in does not preserve order; rebuild the path from the stored ancestor list
+      const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+      const breadcrumbs = folder.ancestors
+        .map(id => byId.get(String(id)))
+        .filter(Boolean)
+        .map(ancestor => ({ _id: ancestor._id, name: ancestor.name }));
+
+      return {
+        success: true,
+        folder,
+        access: role,
+        breadcrumbs,
+        children
+      };
+
+    } catch (error) {
+      console.error('Get folder service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to get folder',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Rename a folder and/or move it under another parent
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Update data
+   * @param {string} updates.name - New folder name
+   * @param {string|null} updates.parent - New parent folder ID, or null / 'root' for the top level
+   * @returns {Promise<Object>} Updated folder
+   */
+  static async updateFolder(folderId, userId, updates) {
+    try {
+      const folder = await this.findFolder(folderId, userId);
+
+      if (updates.name !== undefined) {
+        folder.name = this.validateName(updates.name);
+      }
+
+      let moved = false;
+      if (updates.parent !== undefined) {
+        const parent = await this.resolveFolder(updates.parent, userId);
+
+        if (parent && (parent._id.equals(folder._id) || parent.ancestors.some(id => id.equals(folder._id)))) {
+          throw createHttpError('A folder cannot be moved into itself or one of its sub-folders', 400);
+        }
+
+        const newParentId = parent ? parent._id : null;
+        moved = String(newParentId) !== String(folder.parent);
+        folder.parent = newParentId;
+        folder.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+      }
+
+      await folder.save().catch(this.handleDuplicateName);
+
+      if (moved) {
+        await this.rebaseDescendants(folder);
+      }
+
+      return {
+        success: true,
+        folder,
+        message: 'Folder updated successfully'
+      };
+
+    } catch (error) {
+      console.error('Update folder service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to update folder',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a folder
+   * Non-empty folders are only removed with force; their sub-folders are
+   * deleted too and every contained file moves to the deleted folder's parent
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Delete options
+   * @param {boolean} options.force - Delete even when the folder has content
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteFolder(folderId, userId, options = {}) {
+    try {
+      const folder = await this.findFolder(folderId, userId);
+      const descendants = await Folder.find({ owner: userId, ancestors: folder._id }).select('_id').lean();
+      const folderIds = [folder._id, ...descendants.map(descendant => descendant._id)];
+
+      const fileCount = await File.countDocuments({ uploadedBy: userId, folder: { $in: folderIds } });
+      if (!options.force && (descendants.length > 0 || fileCount > 0)) {
+        throw createHttpError('Folder is not empty', 409);
+      }
+
+      await File.updateMany(
+        { uploadedBy: userId, folder: { $in: folderIds } },
+        { $set: { folder: folder.parent } }
+      );
+      await Folder.deleteMany({ _id: { $in: folderIds } });
+      await Share.deleteMany({ resource: { $in: folderIds } });
+
+      return {
+        success: true,
+        deletedFolders: folderIds.length,
+        movedFiles: fileCount,
+        message: 'Folder deleted successfully'
+      };
+
+    } catch (error) {
+      console.error('Delete folder service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to delete folder',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve a folder reference from a request to an owned folder
+   * @param {string|null} folderId - Folder ID; empty, null or 'root' mean the top level
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Folder document, or null for the top level
+   */
+  static async resolveFolder(folderId, userId) {
+    if (this.isRoot(folderId)) return null;
+    return this.findFolder(folderId, userId);
+  }
+
+  /**
+   * IDs of a folder and all folders below it
+   * @param {Object} folder - Folder document
+   * @returns {Promise<Array>} Folder IDs
+   */
+  static async getSubtreeIds(folder) {
+    const descendants = await Folder.find({ ancestors: folder._id }).select('_id').lean();
+
+    return [folder._id, ...descendants.map(descendant => descendant._id)];
+  }
+
+  /**
+   * Whether a folder reference points at the top level
+   * @param {string|null} folderId - Folder ID
+   * @returns {boolean} True for the top level
+   */
+  static isRoot(folderId) {
+    return folderId === undefined || folderId === null || folderId === '' || folderId === 'root';
+  }
+
+  /**
+   * Find a folder owned by a user
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Folder document
+   */
+  static async findFolder(folderId, userId) {
+    const folder = await Folder.findOne({ _id: folderId, owner: userId })
+      .catch(() => null);
+
+    if (!folder) {
+      throw createHttpError('Folder not found', 404);
+    }
+
+    return folder;
+  }
+
+  /**
+   * Rewrite the ancestor path of every folder below a moved folder
+   * @param {Object} folder - Moved folder document
+   */
+  static async rebaseDescendants(folder) {
+    const descendants = await Folder.find({ ancestors: folder._id }).select('ancestors').lean();
+    if (descendants.length === 0) return;
+
+    await Folder.bulkWrite(descendants.map(descendant => {
+      const index = descendant.ancestors.findIndex(id => id.equals(folder._id));
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors: [...folder.ancestors, ...descendant.ancestors.slice(index)] } }
+        }
+      };
+    }));
+  }
+
+  /**
+   * Validate a folder name
+   * @param {string} name - Folder name
+   * @returns {string} Trimmed name
+   */
+  static validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmed) {
+      throw createHttpError('Folder name is required', 400);
+    }
+    if (trimmed.includes('/')) {
+      throw createHttpError('Folder name cannot contain "/"', 400);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Translate a duplicate key error into a conflict
+   * @param {Error} error - Error from save/create
+   */
+  static handleDuplicateName(error) {
+    if (error.code === 11000) {
+      throw createHttpError('A folder with this name already exists here', 409);
+    }
+    throw error;
+  }
+}
+
+module.exports = FolderService;
@@ -0,0 +1,261 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Share = require('../models/Share');
+const { createHttpError } = require('../utils/helpers');
+
+/**
+ * GroupService - Teams that files and folders can be shared with
+ * The owner manages a group's name and members; members may leave
+ */
+class GroupService {
+
+  /**
+   * Create a group
+   * @param {string} userId - User ID
+   * @param {Object} data - Group data
+   * @param {string} data.name - Group name
+   * @param {Array} data.members - Emails of initial members
+   * @returns {Promise<Object>} Created group
+   */
+  static async createGroup(userId, data) {
+    try {
+      if (!data.name || !String(data.name).trim()) {
+        throw createHttpError('Group name is required', 400);
+      }
+
+      const members = await this.findUsersByEmail(data.members || []);
+
+      const group = await Group.create({
+        name: data.name,
+        owner: userId,
+        members: members.map(member => member._id).filter(id => String(id) !== String(userId))
+      });
+      await group.populate('owner members', 'name email');
+
+      return {
+        success: true,
+        group,
+        message: 'Group created successfully'
+      };
+
+    } catch (error) {
+      console.error('Create group service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to create group',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List groups the user owns or belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Groups
+   */
+  static async getGroups(userId) {
+    try {
+      const groups = await Group.find({ $or: [{ owner: userId }, { members: userId }] })
+        .populate('owner', 'name email')
+        .populate('members', 'name email')
+        .sort({ name: 1 });
+
+      return {
+        success: true,
+        groups
+      };
+
+    } catch (error) {
+      console.error('Get groups service error:', error);
+      throw {
+        success: false,
+        message: 'Failed to get groups',
+        statusCode: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Rename a group
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID (must be the owner)
+   * @param {Object} updates - Update data (name)
+   * @returns {Promise<Object>} Updated group
+   */
+  static async updateGroup(groupId, userId, updates) {
+    try {
+      const group = await this.findOwnedGroup(groupId, userId);
+
+      if (updates.name !== undefined) group.name = updates.name;
+      await group.save();
+      await group.populate('owner members', 'name email');
+
+      return {
+        success: true,
+        group,
+        message: 'Group updated successfully'
+      };
+
+    } catch (error) {
+      console.error('Update group service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to update group',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a group and every grant made to it
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID (must be the owner)
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteGroup(groupId, userId) {
+    try {
+      const group = await this.findOwnedGroup(groupId, userId);
+
+      await Share.deleteMany({ principal: group._id });
+      await Group.deleteOne({ _id: group._id });
+
+      return {
+        success: true,
+        message: 'Group deleted successfully'
+      };
+
+    } catch (error) {
+      console.error('Delete group service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to delete group',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Add a member by email
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID (must be the owner)
+   * @param {string} email - Email of the user to add
+   * @returns {Promise<Object>} Updated group
+   */
+  static async addMember(groupId, userId, email) {
+    try {
+      if (!email) {
+        throw createHttpError('email is required', 400);
+      }
+
+      const group = await this.findOwnedGroup(groupId, userId);
+      const [member] = await this.findUsersByEmail([email]);
+
+      if (String(member._id) === String(userId)) {
+        throw createHttpError('The owner is already part of the group', 400);
+      }
+
+      group.members.addToSet(member._id);
+      await group.save();
+      await group.populate('owner members', 'name email');
+
+      return {
+        success: true,
+        group,
+        message: 'Member added'
+      };
+
+    } catch (error) {
+      console.error('Add group member service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to add member',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove a member; the owner can remove anyone and members can remove themselves
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @param {string} memberId - User ID of the member to remove
+   * @returns {Promise<Object>} Updated group
+   */
+  static async removeMember(groupId, userId, memberId) {
+    try {
+      const group = await Group.findOne({ _id: groupId, $or: [{ owner: userId }, { members: userId }] })
+        .catch(() => null);
+
+      if (!group) {
+        throw createHttpError('Group not found', 404);
+      }
+      if (String(group.owner) !== String(userId) && String(memberId) !== String(userId)) {
+        throw createHttpError('Only the group owner can remove other members', 403);
+      }
+
+      group.members.pull(memberId);
+      await group.save();
+      await group.populate('owner members', 'name email');
+
+      return {
+        success: true,
+        group,
+        message: 'Member removed'
+      };
+
+    } catch (error) {
+      console.error('Remove group member service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to remove member',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find a group owned by the user
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Group document
+   */
+  static async findOwnedGroup(groupId, userId) {
+    const group = await Group.findOne({ _id: groupId, owner: userId })
+      .catch(() => null);
+
+    if (!group) {
+      throw createHttpError('Group not found or you are not its owner', 404);
+    }
+
+    return group;
+  }
+
+  /**
+   * Resolve emails to users, failing on the first unknown address
+   * @param {Array} emails - Emails
+   * @returns {Promise<Array>} User documents
+   */
+  static async findUsersByEmail(emails) {
+    if (!Array.isArray(emails)) {
+      throw createHttpError('members must be an array of emails', 400);
+    }
+
+    const normalized = [...new Set(emails.map(email => String(email).toLowerCase().trim()).filter(Boolean))];
+    const users = await User.find({ email: { $in: normalized } }).select('name email');
+
+    const missing = normalized.filter(email => !users.some(user => user.email === email));
+    if (missing.length > 0) {
+      throw createHttpError(`No user with email: ${missing.join(', ')}`, 404);
+    }
+
+    return users;
+  }
+}
+
+module.exports = GroupService;
@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const File = require('../models/File');
+const StorageService = require('./StorageService');
+const PermissionService = require('./PermissionService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+const { runTool } = require('../utils/mediaTools');
+
+// dHash compares neighbouring pixels of a 9x8 grayscale image: 8 x 8 = 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = 64;
+
+// Listed with each match so clients can render it without another request
+const MATCH_FIELDS = 'title originalName fileType mimeType size thumbnails.size thumbnails.kind thumbnails.mimeType uploadedBy folder isPublic createdAt';
+
+/**
+ * ImageHashService - Finds duplicate and visually similar images
+ * Every uploaded image gets a perceptual difference hash (dHash). Resized,
+ * recompressed or slightly edited copies of a picture hash to nearly the same
+ * value, so the number of differing bits (Hamming distance) measures how alike
+ * two images look regardless of their names or bytes
+ */
+class ImageHashService {
+
+  /**
+   * Hash a new image before its record is saved
+   * Hashing runs during the upload so the response can warn about duplicates;
+   * a failure is recorded on the file and never fails the upload
+   * @param {Object} file - Unsaved File document with stored content
+   */
+  static async hashNewFile(file) {
+    if (file.fileType !== 'image') {
+      file.perceptualHashStatus = 'unsupported';
+      return;
+    }
+    if (!AppConfig.getImageHashConfig().enabled) return;
+
+    try {
+      file.perceptualHash = await this.computeHash(file);
+      file.perceptualHashStatus = 'ready';
+    } catch (error) {
+      console.error(`Image hashing failed for ${file.originalName}:`, error.message || error);
+      file.perceptualHashStatus = 'failed';
+    }
+  }
+
+  /**
+   * Hash a stored image and record the hash on the file
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Hash status and hash
+   */
+  static async hashFile(fileId) {
+    const file = await File.findById(fileId).select('fileType storageProvider storageKey url size');
+    if (!file) {
+      throw createHttpError('File not found', 404);
+    }
+
+    if (file.fileType !== 'image') {
+      await File.updateOne({ _id: file._id }, { $set: { perceptualHashStatus: 'unsupported', perceptualHash: null } });
+      return { status: 'unsupported', hash: null };
+    }
+
+    try {
+      const hash = await this.computeHash(file);
+      await File.updateOne({ _id: file._id }, { $set: { perceptualHashStatus: 'ready', perceptualHash: hash } });
+      return { status: 'ready', hash };
+    } catch (error) {
+      console.error(`Image hashing failed for file ${file._id}:`, error.message || error);
+      await File.updateOne({ _id: file._id }, { $set: { perceptualHashStatus: 'failed' } });
+      return { status: 'failed', hash: null };
+    }
+  }
+
+  /**
+   * Compute the difference hash of an image
+   * ffmpeg shrinks the image to 9x8 grayscale pixels; each bit records whether a
+   * pixel is brighter than its right-hand neighbour
+   * @param {Object} file - File document
+   * @returns {Promise<string>} 64-bit hash as 16 hex digits
+   */
+  static async computeHash(file) {
+    const config = AppConfig.getImageHashConfig();
+    const { dir, path: sourcePath } = await StorageService.downloadToTempDir(file, 'image-hash-');
+
+    try {
+      const outputPath = path.join(dir, 'pixels.gray');
+      await runTool(config.ffmpegPath, [
+        '-y', '-i', sourcePath,
+        '-vf', `scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`,
+        '-frames:v', '1',
+        '-f', 'rawvideo',
+        outputPath
+      ], { timeoutMs: config.timeoutMs });
+
+      return this.hashPixels(await fs.promises.readFile(outputPath));
+    } finally {
+      await StorageService.removeTempDir(dir);
+    }
+  }
+
+  /**
+   * Build the difference hash from 9x8 grayscale pixels
+   * @param {Buffer} pixels - Row-major pixel values
+   * @returns {string} Hash as 16 hex digits
+   */
+  static hashPixels(pixels) {
+    if (pixels.length < HASH_WIDTH * HASH_HEIGHT) {
+      throw new Error('ffmpeg returned too few pixels to hash');
+    }
+
+    const words = [0, 0];
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      for (let x = 0; x < HASH_WIDTH - 1; x++) {
+        const bit = y * (HASH_WIDTH - 1) + x;
+        const offset = y * HASH_WIDTH + x;
+        if (pixels[offset] > pixels[offset + 1]) {
+          words[bit >> 5] |= 1 << (31 - (bit & 31));
+        }
+      }
+    }
+
+    return words.map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+
+  /**
+   * Split a hash into two 32-bit words for fast comparison
+   * @param {string} hash - Hash as 16 hex digits
+   * @returns {Array<number>} High and low word
+   */
+  static toWords(hash) {
+    return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8, 16), 16)];
+  }
+
+  /**
+   * Count the set bits of a 32-bit word
+   * @param {number} word - 32-bit integer
+   * @returns {number} Number of set bits
+   */
+  static popcount(word) {
+    let value = word - ((word >>> 1) & 0x55555555);
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  /**
+   * Number of differing bits between two hashes
+   * @param {Array<number>} a - Words of the first hash
+   * @param {Array<number>} b - Words of the second hash
+   * @returns {number} Hamming distance (0 - 64)
+   */
+  static distance(a, b) {
+    return this.popcount(a[0] ^ b[0]) + this.popcount(a[1] ^ b[1]);
+  }
+
+  /**
+   * Express a distance as a similarity percentage
+   * @param {number} distance - Hamming distance
+   * @returns {number} Similarity (100 for identical hashes)
+   */
+  static toSimilarity(distance) {
+    return Math.round((1 - distance / HASH_BITS) * 100);
+  }
+
+  /**
+   * Find hashed images close to a hash
+   * @param {string} hash - Hash to compare with
+   * @param {Object} filter - Candidate filter
+   * @param {number} maxDistance - Largest distance that counts as a match
+   * @param {number} limit - Maximum number of matches
+   * @returns {Promise<Array>} Files with distance and similarity, closest first
+   */
+  static async findMatches(hash, filter, maxDistance, limit) {
+    const target = this.toWords(hash);
+    const candidates = await File.find({ ...filter, fileType: 'image', perceptualHash: { $ne: null } })
+      .select('perceptualHash')
+      .lean();
+
+    const matches = candidates
+      .map(candidate => ({ _id: candidate._id, distance: this.distance(target, this.toWords(candidate.perceptualHash)) }))
+      .filter(match => match.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+
+    const files = await File.find({ _id: { $in: matches.map(match => match._id) } })
+      .select(MATCH_FIELDS)
+      .lean();
+    const filesById = new Map(files.map(file => [String(file._id), file]));
+
+    return matches
+      .filter(match => filesById.has(String(match._id)))
+      .map(match => ({
+        ...filesById.get(String(match._id)),
+        distance: match.distance,
+        similarity: this.toSimilarity(match.distance)
+      }));
+  }
+
+  /**
+   * Images of a user that a newly uploaded image duplicates
+   * @param {Object} file - Saved File document
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Matching files, closest first
+   */
+  static async findUploadDuplicates(file, userId) {
+    if (!file.perceptualHash) return [];
+
+    try {
+      return await this.findMatches(
+        file.perceptualHash,
+        { uploadedBy: userId, _id: { $ne: file._id } },
+        AppConfig.getImageHashConfig().duplicateThreshold,
+        5
+      );
+    } catch (error) {
+      console.error('Duplicate check error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find images that look like a given image (viewers only)
+   * Candidates are the images the user can access
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @param {Object} params - maxDistance (0 - 64) and limit
+   * @returns {Promise<Object>} Similar files
+   */
+  static async getSimilarFiles(fileId, userId, params = {}) {
+    try {
+      const config = AppConfig.getImageHashConfig();
+      const { maxLimit } = AppConfig.getPaginationConfig();
+      const maxDistance = this.parseMaxDistance(params.maxDistance, config.similarThreshold);
+      const limit = Math.min(parseInt(params.limit) || 20, maxLimit);
+
+      const file = await File.findById(fileId)
+        .select('uploadedBy folder isPublic fileType perceptualHash perceptualHashStatus')
+        .catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer');
+
+      if (file.fileType !== 'image') {
+        throw createHttpError('Only images can be compared', 400);
+      }
+      if (!file.perceptualHash) {
+        throw createHttpError(
+          file.perceptualHashStatus === 'failed' ? 'This image could not be analyzed' : 'This image has not been analyzed yet',
+          409
+        );
+      }
+
+      const accessFilter = await PermissionService.buildFileAccessFilter(userId);
+      const files = await this.findMatches(
+        file.perceptualHash,
+        { $and: [accessFilter, { _id: { $ne: file._id } }] },
+        maxDistance,
+        limit
+      );
+
+      return {
+        success: true,
+        files,
+        maxDistance
+      };
+
+    } catch (error) {
+      console.error('Get similar files service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to find similar images',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Group a user's own images into sets of duplicates
+   * Each group lists its files oldest first; reclaimableBytes is the space freed
+   * by keeping only the first file of every group
+   * @param {string} userId - User ID
+   * @param {Object} params - maxDistance (0 - 64) and limit (groups)
+   * @returns {Promise<Object>} Duplicate groups and summary
+   */
+  static async getDuplicateReport(userId, params = {}) {
+    try {
+      const config = AppConfig.getImageHashConfig();
+      const { maxLimit } = AppConfig.getPaginationConfig();
+      const maxDistance = this.parseMaxDistance(params.maxDistance, config.duplicateThreshold);
+      const limit = Math.min(parseInt(params.limit) || 50, maxLimit);
+
+      const images = await File.find({ uploadedBy: userId, fileType: 'image', perceptualHash: { $ne: null } })
+        .select('perceptualHash size createdAt')
+        .sort({ createdAt: 1 })
+        .limit(config.maxReportImages + 1)
+        .lean();
+
+      const truncated = images.length > config.maxReportImages;
+      if (truncated) images.pop();
+
+      const groups = this.groupByDistance(images, maxDistance)
+        .map(members => ({
+          members,
+          reclaimableBytes: members.slice(1).reduce((total, member) => total + (member.size || 0), 0)
+        }))
+        .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes || b.members.length - a.members.length);
+
+      const listed = groups.slice(0, limit);
+      const files = await File.find({ _id: { $in: listed.flatMap(group => group.members.map(member => member._id)) } })
+        .select(MATCH_FIELDS)
+        .lean();
+      const filesById = new Map(files.map(file => [String(file._id), file]));
+
+      return {
+        success: true,
+        groups: listed.map(group => ({
+          files: group.members
+            .filter(member => filesById.has(String(member._id)))
+            .map(member => filesById.get(String(member._id))),
+          reclaimableBytes: group.reclaimableBytes
+        })),
+        summary: {
+          groups: groups.length,
+          duplicateFiles: groups.reduce((total, group) => total + group.members.length - 1, 0),
+          reclaimableBytes: groups.reduce((total, group) => total + group.reclaimableBytes, 0),
+          imagesCompared: images.length,
+          truncated,
+          maxDistance
+        }
+      };
+
+    } catch (error) {
+      console.error('Duplicate report service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to build duplicate report',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Group images whose hashes are within a distance of each other
+   * Grouping is transitive: A~B and B~C puts A, B and C in one group
+   * @param {Array} images - Images ({ _id, perceptualHash, ... }) in the order to keep
+   * @param {number} maxDistance - Largest distance that counts as a duplicate
+   * @returns {Array<Array>} Groups of two or more images
+   */
+  static groupByDistance(images, maxDistance) {
+    const words = images.map(image => this.toWords(image.perceptualHash));
+    const parents = images.map((image, index) => index);
+
+    const findRoot = (index) => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+      }
+      return index;
+    };
+
+    for (let i = 0; i < images.length; i++) {
+      for (let j = i + 1; j < images.length; j++) {
+        if (this.distance(words[i], words[j]) <= maxDistance) {
+          const rootI = findRoot(i);
+          const rootJ = findRoot(j);
+          // The earlier image stays the root so groups keep their order
+          if (rootI !== rootJ) parents[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+        }
+      }
+    }
+
+    const groups = new Map();
+    images.forEach((image, index) => {
+      const root = findRoot(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(image);
+    });
+
+    return [...groups.values()].filter(group => group.length > 1);
+  }
+
+  /**
+   * Validate the maxDistance parameter
+   * @param {string|number} value - Submitted value
+   * @param {number} defaultValue - Value when none was submitted
+   * @returns {number} Distance in bits
+   */
+  static parseMaxDistance(value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+
+    const distance = Number(value);
+    if (!Number.isInteger(distance) || distance < 0 || distance > HASH_BITS) {
+      throw createHttpError(`maxDistance must be a whole number from 0 to ${HASH_BITS}`, 400);
+    }
+
+    return distance;
+  }
+}
+
+module.exports = ImageHashService;
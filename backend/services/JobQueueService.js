@@ -0,0 +1,518 @@
+const os = require('os');
+const Job = require('../models/Job');
+const File = require('../models/File');
+const ThumbnailService = require('./ThumbnailService');
+const MetadataService = require('./MetadataService');
+const ContentIndexService = require('./ContentIndexService');
+const VirusScanService = require('./VirusScanService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Failures kept on a job; older ones are dropped
+const MAX_RECORDED_FAILURES = 20;
+
+// What each job type does with its file. Each reports { status } and, when the
+// work failed, { status: 'failed', error }, which makes the job retry. Results are
+// only written while the job still belongs to the file (see File.jobResultFilter)
+const JOB_TYPES = {
+  thumbnails: {
+    isEnabled: () => AppConfig.getThumbnailConfig().enabled,
+    run: (fileId, job) => ThumbnailService.generateThumbnails(fileId, { jobId: job._id })
+  },
+  metadata: {
+    isEnabled: () => AppConfig.getMetadataConfig().enabled,
+    run: (fileId, job) => MetadataService.extractMetadata(fileId, { jobId: job._id })
+  },
+  contentIndex: {
+    isEnabled: () => AppConfig.getContentIndexConfig().enabled,
+    run: (fileId, job) => ContentIndexService.indexFile(fileId, { jobId: job._id })
+  },
+  virusScan: {
+    isEnabled: () => AppConfig.getVirusScanConfig().enabled,
+    run: (fileId, job) => VirusScanService.scanFile(fileId, { jobId: job._id })
+  }
+};
+
+// Workers running in this process, if any
+let workers = null;
+
+/**
+ * JobQueueService - Background processing queue stored in MongoDB
+ * Jobs are documents that workers claim atomically, so any number of workers, in
+ * the API server or in separate processes (npm run jobs:work), share the queue.
+ * A failed job is retried with exponential backoff; after JOB_MAX_ATTEMPTS it is
+ * dead-lettered and kept until it is retried by hand or expires. A job whose
+ * worker disappears is claimed again once its lock times out
+ */
+class JobQueueService {
+
+  /**
+   * Queue the processing of a file's current content (after upload or a new version)
+   * Jobs still waiting from earlier content are dropped; running ones finish without
+   * writing their results. Failing to queue never fails the upload; the maintenance
+   * scripts can process the file later
+   * @param {Object} file - Saved File document (its jobs and jobStatus are updated)
+   * @returns {Promise<Array>} Queued jobs
+   */
+  static async enqueueFileProcessing(file) {
+    try {
+      const { maxAttempts } = AppConfig.getJobQueueConfig();
+      const types = Object.keys(JOB_TYPES).filter(type => JOB_TYPES[type].isEnabled());
+
+      await Job.deleteMany({ file: file._id, status: 'queued' });
+      const jobs = types.length > 0
+        ? await Job.insertMany(types.map(type => ({ type, file: file._id, user: file.uploadedBy, maxAttempts })))
+        : [];
+
+      const updates = {
+        jobs: jobs.map(job => job._id),
+        jobStatus: jobs.length > 0 ? 'pending' : 'completed'
+      };
+      if (types.includes('virusScan')) {
+        updates.scanStatus = 'pending';
+        updates.virusName = null;
+      }
+      await File.updateOne({ _id: file._id }, { $set: updates });
+      file.set(updates);
+
+      this.wake();
+      return jobs;
+
+    } catch (error) {
+      console.error(`Job enqueue error (file ${file._id}):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a job with its attempts and errors (owner of the file only)
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Job
+   */
+  static async getJob(jobId, userId) {
+    try {
+      const job = await this.findJob(jobId, userId);
+
+      return {
+        success: true,
+        job: this.formatJob(job)
+      };
+
+    } catch (error) {
+      console.error('Get job service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get job',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a user's jobs, most recent first
+   * @param {string} userId - User ID
+   * @param {Object} params - status, file, page, limit
+   * @returns {Promise<Object>} Jobs and pagination
+   */
+  static async getJobs(userId, params = {}) {
+    try {
+      const { defaultLimit, maxLimit } = AppConfig.getPaginationConfig();
+      const page = Math.max(parseInt(params.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+
+      const query = { user: userId };
+      if (params.status) {
+        if (!Job.schema.path('status').enumValues.includes(params.status)) {
+          throw createHttpError('Invalid job status', 400);
+        }
+        query.status = params.status;
+      }
+      if (params.file) {
+        if (!/^[a-f0-9]{24}$/i.test(String(params.file))) {
+          throw createHttpError('Invalid file ID', 400);
+        }
+        query.file = params.file;
+      }
+
+      const [jobs, total] = await Promise.all([
+        Job.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Job.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        jobs: jobs.map(job => this.formatJob(job)),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalJobs: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+          limit
+        }
+      };
+
+    } catch (error) {
+      console.error('Get jobs service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get jobs',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Queue a dead-lettered job again with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Queued job
+   */
+  static async retryJob(jobId, userId) {
+    try {
+      await this.findJob(jobId, userId);
+
+      const job = await Job.findOneAndUpdate(
+        { _id: jobId, status: 'dead' },
+        {
+          $set: {
+            status: 'queued',
+            runAt: new Date(),
+            attempts: 0,
+            maxAttempts: AppConfig.getJobQueueConfig().maxAttempts,
+            completedAt: null,
+            expiresAt: null
+          }
+        },
+        { new: true }
+      );
+      if (!job) {
+        throw createHttpError('Only jobs that failed every attempt can be retried', 409);
+      }
+
+      await this.updateFileStatus(job.file);
+      this.wake();
+
+      return {
+        success: true,
+        job: this.formatJob(job),
+        message: 'Job queued again'
+      };
+
+    } catch (error) {
+      console.error('Retry job service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to retry job',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove the jobs of files (after they are deleted)
+   * @param {Array} fileIds - File IDs
+   */
+  static async removeJobsFor(fileIds) {
+    await Job.deleteMany({ file: { $in: fileIds } });
+  }
+
+  /**
+   * Start the workers inside the API server
+   * Does nothing when JOB_WORKERS_ENABLED=false (workers run as separate processes)
+   * @returns {Object|null} Worker state
+   */
+  static scheduleWorkers() {
+    if (!AppConfig.getJobQueueConfig().workersEnabled) return null;
+    return this.startWorkers();
+  }
+
+  /**
+   * Start JOB_CONCURRENCY workers in this process
+   * @param {Object} options - exitWhenIdle to stop each worker once no job is ready
+   * @returns {Object} Worker state; wait for state.done to know when the workers stopped
+   */
+  static startWorkers(options = {}) {
+    if (workers) return workers;
+
+    const { concurrency, pollIntervalMs } = AppConfig.getJobQueueConfig();
+    const state = {
+      id: `${os.hostname()}:${process.pid}`,
+      stopping: false,
+      wakers: new Set()
+    };
+    const loops = Array.from({ length: concurrency }, () => this.runWorker(state, pollIntervalMs, options));
+
+    state.done = Promise.all(loops).then(() => {
+      if (workers === state) workers = null;
+    });
+    workers = state;
+
+    return state;
+  }
+
+  /**
+   * Stop this process's workers once their current jobs finish
+   * @returns {Promise<void>} Resolves when the workers have stopped
+   */
+  static async stopWorkers() {
+    if (!workers) return;
+
+    const state = workers;
+    state.stopping = true;
+    this.wake();
+    await state.done;
+  }
+
+  /**
+   * Wake this process's idle workers, e.g. after queueing jobs
+   */
+  static wake() {
+    if (!workers) return;
+    [...workers.wakers].forEach(wake => wake());
+  }
+
+  /**
+   * Run jobs until the workers are stopped
+   * @param {Object} state - Worker state from startWorkers()
+   * @param {number} pollIntervalMs - How long an idle worker waits before looking again
+   * @param {Object} options - exitWhenIdle to return once no job is ready
+   */
+  static async runWorker(state, pollIntervalMs, options = {}) {
+    while (!state.stopping) {
+      let job = null;
+      try {
+        job = await this.claimNext(state.id);
+      } catch (error) {
+        console.error('Job queue error:', error.message || error);
+      }
+
+      if (job) {
+        await this.processJob(job, state.id);
+        continue;
+      }
+      if (options.exitWhenIdle) return;
+
+      await new Promise((resolve) => {
+        const wake = () => {
+          clearTimeout(timer);
+          state.wakers.delete(wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, pollIntervalMs);
+        state.wakers.add(wake);
+      });
+    }
+  }
+
+  /**
+   * Claim the next job that is due, or one whose worker stopped answering
+   * @param {string} workerId - Worker claiming the job
+   * @returns {Promise<Object|null>} Claimed job
+   */
+  static async claimNext(workerId) {
+    const now = new Date();
+    const { lockTimeoutMinutes } = AppConfig.getJobQueueConfig();
+
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMinutes * 60 * 1000) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedBy: workerId, lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @param {Object} job - Claimed Job document
+   * @param {string} workerId - Worker running the job
+   */
+  static async processJob(job, workerId) {
+    try {
+      let result;
+      try {
+        // A job that was claimed again after its worker stopped may be what stops workers
+        if (job.attempts > job.maxAttempts) {
+          throw Object.assign(new Error('The worker running the job stopped before it finished'), { permanent: true });
+        }
+
+        // The file's content was replaced since the job was queued; its own jobs process it
+        if (await this.isSuperseded(job)) {
+          result = { status: 'superseded' };
+        } else {
+          result = await JOB_TYPES[job.type].run(job.file, job);
+        }
+        if (result.status === 'failed') {
+          throw new Error(result.error || `${job.type} failed`);
+        }
+      } catch (error) {
+        await this.failJob(job, workerId, error);
+        return;
+      }
+
+      await this.completeJob(job, workerId, result);
+
+    } catch (error) {
+      console.error(`Job queue error (job ${job._id}):`, error);
+    } finally {
+      await this.updateFileStatus(job.file).catch(error => {
+        console.error(`Job status update error (file ${job.file}):`, error);
+      });
+    }
+  }
+
+  /**
+   * Whether a job no longer belongs to its file because newer content was queued
+   * @param {Object} job - Job document
+   * @returns {Promise<boolean>} Whether the job is superseded
+   */
+  static async isSuperseded(job) {
+    const file = await File.findById(job.file).setOptions({ withDeleted: true }).select('jobs').lean();
+    return Boolean(file) && !(file.jobs || []).some(jobId => String(jobId) === String(job._id));
+  }
+
+  /**
+   * Record a job's success
+   * @param {Object} job - Job document
+   * @param {string} workerId - Worker that ran the job
+   * @param {Object} result - Outcome reported by the job
+   */
+  static async completeJob(job, workerId, result) {
+    const now = new Date();
+    const { retentionDays } = AppConfig.getJobQueueConfig();
+
+    // The worker may have lost the job to another after its lock timed out
+    await Job.updateOne({ _id: job._id, lockedBy: workerId, status: 'running' }, {
+      $set: {
+        status: 'completed',
+        result,
+        lockedBy: null,
+        lockedAt: null,
+        completedAt: now,
+        expiresAt: new Date(now.getTime() + retentionDays * DAY_MS)
+      }
+    });
+  }
+
+  /**
+   * Record a job's failure and retry it later, or dead-letter it after its last attempt
+   * A job whose file no longer exists is dead-lettered straight away
+   * @param {Object} job - Job document
+   * @param {string} workerId - Worker that ran the job
+   * @param {Error} error - Failure
+   */
+  static async failJob(job, workerId, error) {
+    const now = new Date();
+    const { deadLetterRetentionDays } = AppConfig.getJobQueueConfig();
+    const message = error.message || 'Job failed';
+    const dead = error.permanent || error.statusCode === 404 || job.attempts >= job.maxAttempts;
+
+    if (dead) {
+      console.error(`☠️  Job ${job._id} (${job.type}, file ${job.file}) failed after ${job.attempts} attempt(s): ${message}`);
+    } else {
+      console.warn(`⚠️  Job ${job._id} (${job.type}, file ${job.file}) failed, attempt ${job.attempts} of ${job.maxAttempts}: ${message}`);
+    }
+
+    await Job.updateOne({ _id: job._id, lockedBy: workerId, status: 'running' }, {
+      $set: {
+        lockedBy: null,
+        lockedAt: null,
+        lastError: message,
+        ...(dead
+          ? { status: 'dead', completedAt: now, expiresAt: new Date(now.getTime() + deadLetterRetentionDays * DAY_MS) }
+          : { status: 'queued', runAt: new Date(now.getTime() + this.getBackoffDelay(job.attempts)) })
+      },
+      $push: {
+        failures: { $each: [{ attempt: job.attempts, message, at: now }], $slice: -MAX_RECORDED_FAILURES }
+      }
+    });
+  }
+
+  /**
+   * Delay before the next attempt: doubles with every attempt, up to the maximum,
+   * with some jitter so jobs that failed together do not all retry together
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  static getBackoffDelay(attempts) {
+    const { backoffBaseSeconds, backoffMaxMinutes } = AppConfig.getJobQueueConfig();
+    const delay = Math.min(backoffBaseSeconds * 1000 * 2 ** Math.max(attempts - 1, 0), backoffMaxMinutes * 60 * 1000);
+
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+  }
+
+  /**
+   * Recompute a file's job status from the jobs of its current content
+   * @param {string} fileId - File ID
+   */
+  static async updateFileStatus(fileId) {
+    const file = await File.findById(fileId).setOptions({ withDeleted: true }).select('jobs').lean();
+    if (!file || !file.jobs || file.jobs.length === 0) return;
+
+    const statuses = (await Job.find({ _id: { $in: file.jobs } }).select('status').lean()).map(job => job.status);
+    let jobStatus = 'completed';
+    if (statuses.some(status => status === 'queued' || status === 'running')) {
+      jobStatus = statuses.every(status => status === 'queued') ? 'pending' : 'processing';
+    } else if (statuses.includes('dead')) {
+      jobStatus = 'failed';
+    }
+
+    await File.updateOne({ _id: file._id }, { $set: { jobStatus } });
+  }
+
+  /**
+   * Find a job belonging to a user's file
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Job document
+   */
+  static async findJob(jobId, userId) {
+    const job = await Job.findOne({ _id: jobId, user: userId }).catch(() => null);
+
+    if (!job) {
+      throw createHttpError('Job not found', 404);
+    }
+
+    return job;
+  }
+
+  /**
+   * Format a job for API responses
+   * @param {Object} job - Job document
+   * @returns {Object} Job response
+   */
+  static formatJob(job) {
+    return {
+      id: job._id,
+      type: job.type,
+      file: job.file,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.status === 'queued' ? job.runAt : undefined,
+      result: job.result,
+      lastError: job.lastError,
+      failures: job.failures,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+module.exports = JobQueueService;
@@ -0,0 +1,313 @@
+const exifr = require('exifr');
+const File = require('../models/File');
+const StorageService = require('./StorageService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+const { runTool } = require('../utils/mediaTools');
+const { OFFICE_MIME_TYPES, readZipEntries, readXmlTag } = require('../utils/officeDocuments');
+
+/**
+ * MetadataService - Extracts technical and descriptive metadata from stored files
+ * EXIF and GPS for images, duration, bitrate, codecs and frame rate for audio and
+ * video, and page count, author and title for PDFs and Office documents. Runs in
+ * the background after upload and stores the results in File.metadata
+ */
+class MetadataService {
+
+  /**
+   * Pick the extractor for a file
+   * @param {Object} file - File document
+   * @returns {string|null} Extractor name (image, media, pdf, office)
+   */
+  static getExtractor(file) {
+    switch (file.fileType) {
+      case 'image':
+        return 'image';
+      case 'video':
+      case 'audio':
+        return 'media';
+      case 'document':
+        if (file.mimeType === 'application/pdf') return 'pdf';
+        if (Object.values(OFFICE_MIME_TYPES).includes(file.mimeType)) return 'office';
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Extract a file's metadata and store it on the file
+   * Extracted values are merged into the existing metadata and their searchable
+   * words are added to the file's search keywords. Runs as a background job after upload
+   * @param {string} fileId - File ID
+   * @param {Object} options - jobId of the job extracting it
+   * @returns {Promise<Object>} Metadata status and extracted values
+   */
+  static async extractMetadata(fileId, options = {}) {
+    const file = await File.findById(fileId);
+    if (!file) {
+      throw createHttpError('File not found', 404);
+    }
+    const filter = File.jobResultFilter(file._id, options.jobId);
+
+    const extractor = this.getExtractor(file);
+    if (!extractor) {
+      await File.updateOne(filter, { $set: { metadataStatus: 'unsupported' } });
+      return { status: 'unsupported', metadata: {} };
+    }
+
+    let extracted;
+    let dir;
+
+    try {
+      const download = await StorageService.downloadToTempDir(file, 'metadata-');
+      dir = download.dir;
+      const sourcePath = download.path;
+
+      switch (extractor) {
+        case 'image':
+          extracted = await this.readImage(sourcePath);
+          break;
+        case 'media':
+          extracted = await this.readMedia(sourcePath);
+          break;
+        case 'pdf':
+          extracted = await this.readPdf(sourcePath);
+          break;
+        case 'office':
+          extracted = await this.readOfficeDocument(sourcePath);
+          break;
+      }
+    } catch (error) {
+      console.error(`Metadata extraction failed for file ${file._id}:`, error.message || error);
+      await File.updateOne(filter, { $set: { metadataStatus: 'failed' } });
+      return { status: 'failed', metadata: {}, error: error.message };
+    } finally {
+      if (dir) await StorageService.removeTempDir(dir);
+    }
+
+    const updates = this.toUpdatePaths(extracted);
+    file.set(updates);
+    const keywords = file.getMetadataKeywords();
+
+    const { matchedCount } = await File.updateOne(filter, {
+      $set: { ...updates, metadataStatus: 'ready' },
+      ...(keywords.length > 0 && { $addToSet: { searchKeywords: { $each: keywords } } })
+    });
+    if (matchedCount === 0) {
+      return { status: 'superseded', metadata: {} };
+    }
+
+    return { status: 'ready', metadata: extracted };
+  }
+
+  /**
+   * Read image dimensions and EXIF/GPS data
+   * EXIF is optional (PNG, GIF and SVG rarely carry it) and ffprobe is only used
+   * for dimensions, so a failure of either one does not fail the extraction
+   * @param {string} sourcePath - Path of the image
+   * @returns {Promise<Object>} Extracted metadata
+   */
+  static async readImage(sourcePath) {
+    const metadata = {};
+
+    try {
+      const { width, height } = await this.readMedia(sourcePath);
+      Object.assign(metadata, { width, height });
+    } catch (error) {
+      console.error('Image dimension probe error:', error.message);
+    }
+
+    let exif = null;
+    try {
+      exif = await exifr.parse(sourcePath, {
+        tiff: true,
+        exif: true,
+        gps: true,
+        xmp: false,
+        icc: false,
+        iptc: false,
+        // Keep numeric values (e.g. orientation 6) rather than descriptions
+        translateValues: false
+      });
+    } catch (error) {
+      // Formats without EXIF support throw; there is simply no EXIF to read
+    }
+
+    if (exif) {
+      metadata.camera = {
+        make: this.cleanString(exif.Make),
+        model: this.cleanString(exif.Model),
+        lens: this.cleanString(exif.LensModel),
+        exposureTime: exif.ExposureTime,
+        fNumber: exif.FNumber,
+        iso: exif.ISO,
+        focalLength: exif.FocalLength,
+        orientation: exif.Orientation
+      };
+      metadata.takenAt = this.parseDate(exif.DateTimeOriginal || exif.CreateDate);
+      metadata.width = metadata.width || exif.ExifImageWidth || exif.ImageWidth;
+      metadata.height = metadata.height || exif.ExifImageHeight || exif.ImageHeight;
+
+      if (Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude)) {
+        metadata.location = { latitude: exif.latitude, longitude: exif.longitude };
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Read audio and video properties and embedded tags with ffprobe
+   * @param {string} sourcePath - Path of the media file
+   * @returns {Promise<Object>} Extracted metadata
+   */
+  static async readMedia(sourcePath) {
+    const config = AppConfig.getMetadataConfig();
+    const output = await runTool(config.ffprobePath, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      sourcePath
+    ], { timeoutMs: config.timeoutMs });
+
+    const { format = {}, streams = [] } = JSON.parse(output);
+    // Cover art in audio files is reported as a video stream
+    const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const tags = this.lowerCaseKeys(format.tags);
+
+    return {
+      width: video?.width,
+      height: video?.height,
+      duration: parseFloat(format.duration) || undefined,
+      bitrate: parseInt(format.bit_rate) || undefined,
+      videoCodec: video?.codec_name,
+      frameRate: this.parseFrameRate(video?.avg_frame_rate) || this.parseFrameRate(video?.r_frame_rate),
+      audioCodec: audio?.codec_name,
+      sampleRate: parseInt(audio?.sample_rate) || undefined,
+      channels: audio?.channels,
+      title: this.cleanString(tags.title),
+      author: this.cleanString(tags.artist || tags.album_artist || tags.author),
+      album: this.cleanString(tags.album),
+      createdAt: this.parseDate(tags.creation_time)
+    };
+  }
+
+  /**
+   * Read PDF document info with pdfinfo
+   * @param {string} sourcePath - Path of the PDF
+   * @returns {Promise<Object>} Extracted metadata
+   */
+  static async readPdf(sourcePath) {
+    const config = AppConfig.getMetadataConfig();
+    const output = await runTool(config.pdfinfoPath, ['-isodates', sourcePath], { timeoutMs: config.timeoutMs });
+
+    const info = {};
+    for (const line of output.split('\n')) {
+      const match = line.match(/^([^:]+):\s*(.*)$/);
+      if (match) info[match[1].trim()] = match[2].trim();
+    }
+
+    return {
+      title: this.cleanString(info.Title),
+      author: this.cleanString(info.Author),
+      pageCount: parseInt(info.Pages) || undefined,
+      createdAt: this.parseDate(info.CreationDate)
+    };
+  }
+
+  /**
+   * Read the core and application properties of an Office Open XML document
+   * @param {string} sourcePath - Path of the .docx, .xlsx or .pptx file
+   * @returns {Promise<Object>} Extracted metadata
+   */
+  static async readOfficeDocument(sourcePath) {
+    // Office Open XML formats keep their document properties in docProps/*.xml
+    const entries = await readZipEntries(sourcePath, name => name === 'docProps/core.xml' || name === 'docProps/app.xml');
+    const core = entries['docProps/core.xml'] || '';
+    const app = entries['docProps/app.xml'] || '';
+
+    return {
+      title: this.cleanString(readXmlTag(core, 'dc:title')),
+      author: this.cleanString(readXmlTag(core, 'dc:creator')),
+      createdAt: this.parseDate(readXmlTag(core, 'dcterms:created')),
+      // Word records pages, PowerPoint slides; spreadsheets have neither
+      pageCount: parseInt(readXmlTag(app, 'Pages') || readXmlTag(app, 'Slides')) || undefined
+    };
+  }
+
+  /**
+   * Convert extracted values to dotted update paths below metadata
+   * Missing values are skipped so they never overwrite what the provider reported
+   * @param {Object} values - Extracted metadata
+   * @param {string} prefix - Path prefix
+   * @returns {Object} Update paths
+   */
+  static toUpdatePaths(values, prefix = 'metadata') {
+    const updates = {};
+
+    for (const [key, value] of Object.entries(values || {})) {
+      if (value === undefined || value === null || Number.isNaN(value)) continue;
+
+      if (typeof value === 'object' && !(value instanceof Date)) {
+        Object.assign(updates, this.toUpdatePaths(value, `${prefix}.${key}`));
+      } else {
+        updates[`${prefix}.${key}`] = value;
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Parse an ffprobe frame rate such as "30000/1001"
+   * @param {string} rate - Frame rate fraction
+   * @returns {number|undefined} Frames per second, rounded to 3 decimals
+   */
+  static parseFrameRate(rate) {
+    if (!rate) return undefined;
+
+    const [numerator, denominator = 1] = rate.split('/').map(Number);
+    if (!numerator || !denominator) return undefined;
+
+    return Math.round((numerator / denominator) * 1000) / 1000;
+  }
+
+  /**
+   * Parse a date value, ignoring invalid ones
+   * @param {Date|string} value - Date or date string
+   * @returns {Date|undefined} Date
+   */
+  static parseDate(value) {
+    if (!value) return undefined;
+
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  /**
+   * Trim a string value, dropping empty ones
+   * @param {*} value - Raw value
+   * @returns {string|undefined} Trimmed string
+   */
+  static cleanString(value) {
+    if (typeof value !== 'string') return undefined;
+
+    // EXIF strings are often NUL-padded
+    const cleaned = value.replace(/\0/g, '').trim();
+    return cleaned.length > 0 ? cleaned.slice(0, 200) : undefined;
+  }
+
+  /**
+   * Lower-case the keys of a tag object (tag names vary in case between containers)
+   * @param {Object} tags - Tags
+   * @returns {Object} Tags with lower-case keys
+   */
+  static lowerCaseKeys(tags = {}) {
+    return Object.fromEntries(Object.entries(tags).map(([key, value]) => [key.toLowerCase(), value]));
+  }
+}
+
+module.exports = MetadataService;
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Share = require('../models/Share');
+const Group = require('../models/Group');
+const Folder = require('../models/Folder');
+const { createHttpError } = require('../utils/helpers');
+
+// Higher levels include everything the lower levels allow
+const ROLE_LEVELS = {
+  viewer: 1,
+  commenter: 2,
+  editor: 3,
+  owner: 4
+};
+
+/**
+ * PermissionService - Resolves what a user may do with files and folders
+ * Access comes from ownership, public files, and shares granted to the user
+ * or one of their groups; a folder share covers every file and folder below it
+ */
+class PermissionService {
+
+  static ROLES = ['viewer', 'commenter', 'editor'];
+
+  /**
+   * Whether a role satisfies a required minimum role
+   * @param {string|null} role - Effective role
+   * @param {string} minRole - Required role
+   * @returns {boolean} True if allowed
+   */
+  static hasRole(role, minRole) {
+    return !!role && ROLE_LEVELS[role] >= ROLE_LEVELS[minRole];
+  }
+
+  /**
+   * Pick the strongest of several roles
+   * @param {Array} roles - Roles
+   * @returns {string|null} Strongest role, or null for none
+   */
+  static highestRole(roles) {
+    return roles.reduce((best, role) => (
+      !best || ROLE_LEVELS[role] > ROLE_LEVELS[best] ? role : best
+    ), null);
+  }
+
+  /**
+   * IDs a share can be granted to on behalf of a user: the user and their groups
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Principal IDs
+   */
+  static async getPrincipalIds(userId) {
+    const groups = await Group.find({ $or: [{ owner: userId }, { members: userId }] })
+      .select('_id')
+      .lean();
+
+    return [new mongoose.Types.ObjectId(userId), ...groups.map(group => group._id)];
+  }
+
+  /**
+   * Files and folders shared with a user at or above a role
+   * @param {string} userId - User ID
+   * @param {string} minRole - Required role
+   * @returns {Promise<Object>} Shared file IDs and folder IDs (including sub-folders of shared folders)
+   */
+  static async getSharedScope(userId, minRole = 'viewer') {
+    const principals = await this.getPrincipalIds(userId);
+    const roles = this.ROLES.filter(role => this.hasRole(role, minRole));
+
+    const shares = await Share.find({ principal: { $in: principals }, role: { $in: roles } })
+      .select('resourceType resource')
+      .lean();
+
+    const fileIds = shares.filter(share => share.resourceType === 'File').map(share => share.resource);
+    const sharedFolderIds = shares.filter(share => share.resourceType === 'Folder').map(share => share.resource);
+
+    const descendants = sharedFolderIds.length > 0
+      ? await Folder.find({ ancestors: { $in: sharedFolderIds } }).select('_id').lean()
+      : [];
+
+    return {
+      fileIds,
+      folderIds: [...sharedFolderIds, ...descendants.map(folder => folder._id)]
+    };
+  }
+
+  /**
+   * Build a File query condition matching every file a user can access
+   * @param {string} userId - User ID
+   * @param {Object} options - Filter options
+   * @param {string} options.minRole - Required role (defaults to viewer)
+   * @returns {Promise<Object>} MongoDB condition
+   */
+  static async buildFileAccessFilter(userId, options = {}) {
+    const { fileIds, folderIds } = await this.getSharedScope(userId, options.minRole || 'viewer');
+    const conditions = [{ uploadedBy: new mongoose.Types.ObjectId(userId) }];
+
+    if (fileIds.length > 0) conditions.push({ _id: { $in: fileIds } });
+    if (folderIds.length > 0) conditions.push({ folder: { $in: folderIds } });
+
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+  }
+
+  /**
+   * Effective role of a user on a file
+   * @param {Object} file - File document
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} owner, editor, commenter, viewer, or null for no access
+   */
+  static async getFileRole(file, userId) {
+    const ownerId = file.uploadedBy._id || file.uploadedBy;
+    if (String(ownerId) === String(userId)) return 'owner';
+
+    const resources = [file._id];
+    if (file.folder) {
+      const folder = await Folder.findById(file.folder._id || file.folder).select('ancestors').lean();
+      if (folder) resources.push(folder._id, ...folder.ancestors);
+    }
+
+    const role = await this.getSharedRole(resources, userId);
+    if (!role && file.isPublic) return 'viewer';
+
+    return role;
+  }
+
+  /**
+   * Effective role of a user on a folder
+   * @param {Object} folder - Folder document
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} owner, editor, commenter, viewer, or null for no access
+   */
+  static async getFolderRole(folder, userId) {
+    if (String(folder.owner) === String(userId)) return 'owner';
+
+    return this.getSharedRole([folder._id, ...folder.ancestors], userId);
+  }
+
+  /**
+   * Strongest role granted to a user on any of the given resources
+   * @param {Array} resourceIds - File and folder IDs
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Role, or null when nothing is shared
+   */
+  static async getSharedRole(resourceIds, userId) {
+    const principals = await this.getPrincipalIds(userId);
+    const shares = await Share.find({ resource: { $in: resourceIds }, principal: { $in: principals } })
+      .select('role')
+      .lean();
+
+    return this.highestRole(shares.map(share => share.role));
+  }
+
+  /**
+   * Require a minimum role on a file
+   * @param {Object|null} file - File document (null when it does not exist)
+   * @param {string} userId - User ID
+   * @param {string} minRole - Required role
+   * @param {string} action - Action name used in the error message
+   * @returns {Promise<string>} Effective role
+   */
+  static async assertFileRole(file, userId, minRole, action = 'access') {
+    const role = file ? await this.getFileRole(file, userId) : null;
+
+    if (!role) {
+      throw createHttpError('File not found or access denied', 404);
+    }
+    if (!this.hasRole(role, minRole)) {
+      throw createHttpError(`You do not have permission to ${action} this file`, 403);
+    }
+
+    return role;
+  }
+
+  /**
+   * Find a folder the user can access with a minimum role
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @param {string} minRole - Required role
+   * @returns {Promise<Object>} Folder document and effective role
+   */
+  static async findAccessibleFolder(folderId, userId, minRole = 'viewer') {
+    const folder = await Folder.findById(folderId).catch(() => null);
+    const role = folder ? await this.getFolderRole(folder, userId) : null;
+
+    if (!role) {
+      throw createHttpError('Folder not found', 404);
+    }
+    if (!this.hasRole(role, minRole)) {
+      throw createHttpError('You do not have permission to change this folder', 403);
+    }
+
+    return { folder, role };
+  }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const AppConfig = require('../config/app');
+const { formatBytes, createHttpError } = require('../utils/helpers');
+
+const FILE_TYPES = ['image', 'video', 'audio', 'document'];
+
+/**
+ * QuotaService - Storage quotas and plan limits
+ * Limits come from the user's plan, overridden per user by an admin. Uploads are
+ * checked before their content is sent to the storage provider; exceeding a limit
+ * is reported as 413 Payload Too Large
+ */
+class QuotaService {
+
+  /**
+   * Get a user's limits and usage
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Plan, limits, usage and remaining capacity
+   */
+  static async getQuota(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createHttpError('User not found', 404);
+      }
+
+      return {
+        success: true,
+        quota: await this.formatQuota(user)
+      };
+
+    } catch (error) {
+      console.error('Get quota service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get quota',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Set a user's plan and per-user limits (admins only)
+   * @param {string} userId - User ID
+   * @param {Object} updates - plan (null for the default plan) and quota overrides (null clears one)
+   * @returns {Promise<Object>} Updated quota
+   */
+  static async updateUserQuota(userId, updates = {}) {
+    try {
+      const user = await User.findById(userId).catch(() => null);
+      if (!user) {
+        throw createHttpError('User not found', 404);
+      }
+
+      const { plans } = AppConfig.getQuotaConfig();
+      if (updates.plan !== undefined) {
+        if (updates.plan !== null && !plans[updates.plan]) {
+          throw createHttpError(`plan must be one of: ${Object.keys(plans).join(', ')}`, 400);
+        }
+        user.plan = updates.plan;
+      }
+
+      const quota = updates.quota || {};
+      ['storageBytes', 'maxFiles'].forEach(field => {
+        if (quota[field] !== undefined) user.quota[field] = this.parseLimit(quota[field], `quota.${field}`);
+      });
+      FILE_TYPES.forEach(fileType => {
+        const value = (quota.maxFileSize || {})[fileType];
+        if (value !== undefined) user.quota.maxFileSize[fileType] = this.parseLimit(value, `quota.maxFileSize.${fileType}`);
+      });
+
+      await user.save();
+
+      return {
+        success: true,
+        quota: await this.formatQuota(user),
+        message: 'Quota updated successfully'
+      };
+
+    } catch (error) {
+      console.error('Update quota service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to update quota',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check that a user can store new files before their content is stored
+   * Content the user already has may end up not being charged (see ContentStoreService),
+   * but is checked at its full size since it has not been hashed yet
+   * @param {string} userId - User ID
+   * @param {Object} upload - What is about to be stored
+   * @param {string} upload.fileType - File type, to check the per-type size limit
+   * @param {number} upload.size - Size of the largest file, for the per-type limit
+   * @param {number} upload.bytes - Bytes added to storage (defaults to size)
+   * @param {number} upload.files - Files added (0 for new versions of a file)
+   * @param {string} upload.excludeSession - Upload session whose reserved size is being stored
+   */
+  static async assertCanStore(userId, upload) {
+    if (!AppConfig.getQuotaConfig().enabled) return;
+
+    const { fileType, size = 0, files = 1, excludeSession } = upload;
+    const bytes = upload.bytes !== undefined ? upload.bytes : size;
+
+    const user = await User.findById(userId).select('plan quota storageUsed totalFiles').lean();
+    if (!user) {
+      throw createHttpError('User not found', 404);
+    }
+    const limits = this.getLimits(user);
+
+    const maxFileSize = fileType ? limits.maxFileSize[fileType] : null;
+    if (maxFileSize !== null && size > maxFileSize) {
+      throw createHttpError(
+        `File too large: ${fileType} files can be up to ${formatBytes(maxFileSize)} on the ${limits.plan} plan`,
+        413
+      );
+    }
+
+    if (limits.maxFiles !== null && files > 0 && user.totalFiles + files > limits.maxFiles) {
+      throw createHttpError(
+        `File limit reached: the ${limits.plan} plan allows ${limits.maxFiles} files and you have ${user.totalFiles}. Empty the trash or delete files to upload more`,
+        413
+      );
+    }
+
+    if (limits.storageBytes !== null && bytes > 0) {
+      const used = user.storageUsed + await this.getReservedBytes(userId, excludeSession);
+      const remaining = Math.max(0, limits.storageBytes - used);
+
+      if (bytes > remaining) {
+        throw createHttpError(
+          `Storage quota exceeded: this upload needs ${formatBytes(bytes)} but only ${formatBytes(remaining)} of your ${formatBytes(limits.storageBytes)} is left. Empty the trash or delete files to free space`,
+          413
+        );
+      }
+    }
+  }
+
+  /**
+   * Effective limits of a user
+   * @param {Object} user - User document (plan and quota)
+   * @returns {Object} Plan name and limits (null: no limit)
+   */
+  static getLimits(user) {
+    const { defaultPlan, plans } = AppConfig.getQuotaConfig();
+    const plan = plans[user.plan] ? user.plan : defaultPlan;
+    const planLimits = plans[plan];
+    const overrides = user.quota || {};
+    const sizeOverrides = overrides.maxFileSize || {};
+
+    const maxFileSize = {};
+    FILE_TYPES.forEach(fileType => {
+      maxFileSize[fileType] = sizeOverrides[fileType] ?? planLimits.maxFileSize[fileType];
+    });
+
+    return {
+      plan,
+      storageBytes: overrides.storageBytes ?? planLimits.storageBytes,
+      maxFiles: overrides.maxFiles ?? planLimits.maxFiles,
+      maxFileSize
+    };
+  }
+
+  /**
+   * Bytes promised to a user's pending chunked uploads
+   * Only sessions that received a part within UPLOAD_SESSION_TTL_HOURS count; abandoned
+   * ones stop reserving space once they expire and are then aborted by the expiry sweep
+   * @param {string} userId - User ID
+   * @param {string} excludeSession - Session to leave out
+   * @returns {Promise<number>} Reserved bytes
+   */
+  static async getReservedBytes(userId, excludeSession) {
+    const match = {
+      user: new mongoose.Types.ObjectId(String(userId)),
+      status: { $in: ['pending', 'completing'] },
+      expiresAt: { $gt: new Date() }
+    };
+    if (excludeSession) match._id = { $ne: new mongoose.Types.ObjectId(String(excludeSession)) };
+
+    const [reserved] = await UploadSession.aggregate([
+      { $match: match },
+      { $group: { _id: null, bytes: { $sum: '$size' } } }
+    ]);
+
+    return reserved ? reserved.bytes : 0;
+  }
+
+  /**
+   * Validate a limit from an admin update
+   * @param {*} value - Whole number of bytes or files, or null to use the plan's limit
+   * @param {string} field - Field name for the error message
+   * @returns {number|null} Limit
+   */
+  static parseLimit(value, field) {
+    if (value === null) return null;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw createHttpError(`${field} must be a whole number of 0 or more, or null`, 400);
+    }
+
+    return limit;
+  }
+
+  /**
+   * Format a user's quota for API responses
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Plan, limits, usage and remaining capacity
+   */
+  static async formatQuota(user) {
+    const limits = this.getLimits(user);
+    const reserved = await this.getReservedBytes(user._id);
+
+    return {
+      enabled: AppConfig.getQuotaConfig().enabled,
+      plan: limits.plan,
+      limits: {
+        storageBytes: limits.storageBytes,
+        maxFiles: limits.maxFiles,
+        maxFileSize: limits.maxFileSize
+      },
+      usage: {
+        storageUsed: user.storageUsed,
+        totalFiles: user.totalFiles,
+        reservedBytes: reserved
+      },
+      remaining: {
+        storageBytes: limits.storageBytes === null
+          ? null
+          : Math.max(0, limits.storageBytes - user.storageUsed - reserved),
+        files: limits.maxFiles === null ? null : Math.max(0, limits.maxFiles - user.totalFiles)
+      }
+    };
+  }
+}
+
+module.exports = QuotaService;
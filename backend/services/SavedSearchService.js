@@ -0,0 +1,252 @@
+const SavedSearch = require('../models/SavedSearch');
+const File = require('../models/File');
+const FileService = require('./FileService');
+const { createHttpError } = require('../utils/helpers');
+const { parseSearchQuery } = require('../utils/searchQuery');
+
+const EDITABLE_FIELDS = ['name', 'query', 'fileType', 'category', 'sortBy', 'sortOrder', 'pinned', 'notify'];
+
+/**
+ * SavedSearchService - Named searches that act as smart collections
+ * A saved search stores a query, filters and sort; its files are whatever the
+ * search matches when it is opened, so the collection stays current by itself.
+ * With notify on, listings report how many files started matching since the
+ * search was last opened
+ */
+class SavedSearchService {
+
+  /**
+   * Save a search
+   * @param {string} userId - User ID
+   * @param {Object} data - name, query, fileType, category, sortBy, sortOrder, pinned, notify
+   * @returns {Promise<Object>} Created saved search
+   */
+  static async createSavedSearch(userId, data) {
+    try {
+      if (!data.name || !String(data.name).trim()) {
+        throw createHttpError('Saved search name is required', 400);
+      }
+
+      const savedSearch = new SavedSearch({ owner: userId });
+      this.applyChanges(savedSearch, data);
+      await savedSearch.save();
+
+      return {
+        success: true,
+        savedSearch,
+        message: 'Search saved successfully'
+      };
+
+    } catch (error) {
+      console.error('Create saved search service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to save search',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a user's saved searches, pinned first
+   * Searches with notify on include the number of new matching files
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Saved searches
+   */
+  static async getSavedSearches(userId) {
+    try {
+      const savedSearches = await SavedSearch.find({ owner: userId })
+        .sort({ pinned: -1, name: 1 });
+
+      const newMatchCounts = await Promise.all(
+        savedSearches.map(savedSearch => (savedSearch.notify ? this.countNewMatches(savedSearch, userId) : null))
+      );
+
+      return {
+        success: true,
+        savedSearches: savedSearches.map((savedSearch, index) => ({
+          ...savedSearch.toObject(),
+          newMatchCount: newMatchCounts[index]
+        }))
+      };
+
+    } catch (error) {
+      console.error('Get saved searches service error:', error);
+      throw {
+        success: false,
+        message: 'Failed to get saved searches',
+        statusCode: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update a saved search
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated saved search
+   */
+  static async updateSavedSearch(savedSearchId, userId, updates) {
+    try {
+      const savedSearch = await this.findSavedSearch(savedSearchId, userId);
+
+      this.applyChanges(savedSearch, updates);
+      // Turning notifications on starts counting from now
+      if (savedSearch.isModified('notify') && savedSearch.notify) {
+        savedSearch.lastViewedAt = new Date();
+      }
+
+      await savedSearch.save();
+
+      return {
+        success: true,
+        savedSearch,
+        message: 'Saved search updated successfully'
+      };
+
+    } catch (error) {
+      console.error('Update saved search service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to update saved search',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a saved search (matching files are not affected)
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteSavedSearch(savedSearchId, userId) {
+    try {
+      const savedSearch = await this.findSavedSearch(savedSearchId, userId);
+      await SavedSearch.deleteOne({ _id: savedSearch._id });
+
+      return {
+        success: true,
+        message: 'Saved search deleted successfully'
+      };
+
+    } catch (error) {
+      console.error('Delete saved search service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to delete saved search',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Run a saved search and return one page of its files
+   * Opening the first page marks the current matches as seen
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - User ID
+   * @param {Object} params - page and limit
+   * @returns {Promise<Object>} Saved search, files and pagination
+   */
+  static async getSavedSearchFiles(savedSearchId, userId, params = {}) {
+    try {
+      const savedSearch = await this.findSavedSearch(savedSearchId, userId);
+
+      const result = await FileService.searchFiles(userId, {
+        ...savedSearch.toSearchFilters(),
+        page: params.page,
+        limit: params.limit
+      }, { recordAnalytics: false });
+
+      if (result.pagination.currentPage === 1) {
+        savedSearch.lastViewedAt = new Date();
+        await savedSearch.save();
+      }
+
+      return {
+        success: true,
+        savedSearch,
+        files: result.files,
+        pagination: result.pagination
+      };
+
+    } catch (error) {
+      console.error('Get saved search files service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to run saved search',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Count files matching a saved search that were uploaded since it was last opened
+   * @param {Object} savedSearch - Saved search document
+   * @param {string} userId - User ID
+   * @returns {Promise<number|null>} New matches, or null if the search can't be run
+   */
+  static async countNewMatches(savedSearch, userId) {
+    try {
+      const { query } = await FileService.buildSearchQuery(userId, savedSearch.toSearchFilters());
+      query.$and.push({ createdAt: { $gt: savedSearch.lastViewedAt } });
+
+      return await File.countDocuments(query);
+    } catch (error) {
+      console.error(`New match count failed for saved search ${savedSearch._id}:`, error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Copy editable fields onto a saved search, validating the query syntax
+   * @param {Object} savedSearch - Saved search document
+   * @param {Object} changes - Submitted fields
+   * @throws {Error} 400 for invalid query syntax or a search without criteria
+   */
+  static applyChanges(savedSearch, changes) {
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] === undefined) continue;
+
+      if (field === 'query') {
+        // Throws a 400 describing the syntax error
+        parseSearchQuery(String(changes.query));
+      }
+      if ((field === 'fileType' || field === 'category') && !changes[field]) {
+        savedSearch[field] = null;
+        continue;
+      }
+
+      savedSearch[field] = changes[field];
+    }
+
+    if (!savedSearch.query && !savedSearch.fileType && !savedSearch.category) {
+      throw createHttpError('A saved search needs a query, file type or category', 400);
+    }
+  }
+
+  /**
+   * Find a saved search owned by a user
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Saved search document
+   */
+  static async findSavedSearch(savedSearchId, userId) {
+    const savedSearch = await SavedSearch.findOne({ _id: savedSearchId, owner: userId })
+      .catch(() => null);
+
+    if (!savedSearch) {
+      throw createHttpError('Saved search not found', 404);
+    }
+
+    return savedSearch;
+  }
+}
+
+module.exports = SavedSearchService;
@@ -0,0 +1,396 @@
+const mongoose = require('mongoose');
+const SearchLog = require('../models/SearchLog');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SearchAnalyticsService - Records searches and reports on them
+ * Every search request is logged with its query, filters, result count and the
+ * results the user then opened. Reports cover popular terms, queries that find
+ * nothing and click-through rate, for one user or (admins only) everyone
+ */
+class SearchAnalyticsService {
+
+  /**
+   * Log a search without delaying the response
+   * The ID is generated up front so the client can report clicks on the results
+   * @param {string} userId - User ID
+   * @param {Object} search - Search details
+   * @param {string} search.query - Query as typed
+   * @param {Array<string>} search.terms - Positive text terms of the parsed query
+   * @param {Object} search.filters - fileType, category, sortBy and sortOrder
+   * @param {number} search.page - Result page
+   * @param {number} search.resultCount - Total number of matching files
+   * @returns {string|null} Search ID, or null when analytics are disabled
+   */
+  static recordSearch(userId, { query, terms, filters, page, resultCount }) {
+    if (!AppConfig.getSearchConfig().enableSearchAnalytics) return null;
+
+    const searchId = new mongoose.Types.ObjectId();
+
+    SearchLog.create({
+      _id: searchId,
+      user: userId,
+      query: String(query || '').slice(0, 500),
+      normalizedQuery: this.normalizeQuery(query),
+      terms,
+      filters,
+      page,
+      resultCount
+    }).catch(error => {
+      console.error('Search log error:', error);
+    });
+
+    return searchId.toString();
+  }
+
+  /**
+   * Record that the user opened a search result
+   * @param {string} searchId - Search ID returned with the results
+   * @param {string} userId - User ID
+   * @param {Object} data - Click details
+   * @param {string} data.fileId - Opened file
+   * @param {number} data.position - 1-based rank of the file in the results
+   * @returns {Promise<Object>} Result
+   */
+  static async recordClick(searchId, userId, data = {}) {
+    try {
+      this.assertEnabled();
+
+      if (!mongoose.Types.ObjectId.isValid(searchId)) {
+        throw createHttpError('Search not found', 404);
+      }
+      if (!mongoose.Types.ObjectId.isValid(data.fileId)) {
+        throw createHttpError('fileId is required', 400);
+      }
+
+      const position = parseInt(data.position);
+      const result = await SearchLog.updateOne(
+        { _id: searchId, user: userId },
+        {
+          $push: {
+            clicks: {
+              $each: [{ file: data.fileId, position: position > 0 ? position : undefined }],
+              // A search page can't produce more clicks than it has results
+              $slice: -AppConfig.getSearchConfig().maxLimit
+            }
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw createHttpError('Search not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Click recorded'
+      };
+
+    } catch (error) {
+      console.error('Record search click error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to record click',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Summary report: volume, zero-result rate, click-through rate, popular terms
+   * and queries, and queries that found nothing
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {Object} params - Report parameters (scope, days, limit)
+   * @returns {Promise<Object>} Report
+   */
+  static async getAnalytics(userId, role, params = {}) {
+    try {
+      const report = this.getReportOptions(userId, role, params);
+
+      const [totals, popularTerms, topQueries, zeroResultQueries] = await Promise.all([
+        this.aggregateTotals(report.match),
+        this.aggregatePopularTerms(report.match, report.limit),
+        this.aggregateTopQueries(report.match, report.limit),
+        this.aggregateZeroResultQueries(report.match, report.limit)
+      ]);
+
+      return {
+        success: true,
+        analytics: {
+          scope: report.scope,
+          days: report.days,
+          since: report.since,
+          ...totals,
+          popularTerms,
+          topQueries,
+          zeroResultQueries
+        }
+      };
+
+    } catch (error) {
+      console.error('Get search analytics error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get search analytics',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Most searched terms
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {Object} params - Report parameters (scope, days, limit)
+   * @returns {Promise<Object>} Popular terms
+   */
+  static async getPopularTerms(userId, role, params = {}) {
+    try {
+      const report = this.getReportOptions(userId, role, params);
+
+      return {
+        success: true,
+        scope: report.scope,
+        days: report.days,
+        terms: await this.aggregatePopularTerms(report.match, report.limit)
+      };
+
+    } catch (error) {
+      console.error('Get popular search terms error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get popular search terms',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Queries that returned no results, most frequent first
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {Object} params - Report parameters (scope, days, limit)
+   * @returns {Promise<Object>} Zero-result queries
+   */
+  static async getZeroResultQueries(userId, role, params = {}) {
+    try {
+      const report = this.getReportOptions(userId, role, params);
+
+      return {
+        success: true,
+        scope: report.scope,
+        days: report.days,
+        queries: await this.aggregateZeroResultQueries(report.match, report.limit)
+      };
+
+    } catch (error) {
+      console.error('Get zero-result queries error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get zero-result queries',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Validate report parameters and build the log filter
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {Object} params - scope (user or global), days and limit
+   * @returns {Object} Scope, period, limit and match condition
+   */
+  static getReportOptions(userId, role, params) {
+    this.assertEnabled();
+
+    const config = AppConfig.getSearchConfig();
+    const scope = params.scope || 'user';
+
+    if (!['user', 'global'].includes(scope)) {
+      throw createHttpError('scope must be user or global', 400);
+    }
+    if (scope === 'global' && role !== 'admin') {
+      throw createHttpError('Access denied. Admin role required.', 403);
+    }
+
+    const days = Math.min(Math.max(parseInt(params.days) || config.analyticsWindowDays, 1), config.analyticsRetentionDays);
+    const limit = Math.min(Math.max(parseInt(params.limit) || config.popularTermsLimit, 1), config.maxLimit);
+    const since = new Date(Date.now() - days * DAY_MS);
+
+    const match = { createdAt: { $gte: since } };
+    if (scope === 'user') match.user = new mongoose.Types.ObjectId(String(userId));
+
+    return { scope, days, since, limit, match };
+  }
+
+  /**
+   * Search volume, zero-result rate and click-through rate
+   * Every result page counts as one search; it counts as clicked when any of
+   * the results on that page was opened
+   * @param {Object} match - Log filter
+   * @returns {Promise<Object>} Totals
+   */
+  static async aggregateTotals(match) {
+    const [totals] = await SearchLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          totalSearches: { $sum: 1 },
+          searchesWithResults: { $sum: { $cond: [{ $gt: ['$resultCount', 0] }, 1, 0] } },
+          zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          totalClicks: { $sum: { $size: '$clicks' } },
+          averageClickPosition: { $avg: { $avg: '$clicks.position' } },
+          users: { $addToSet: '$user' }
+        }
+      }
+    ]);
+
+    if (!totals) {
+      return {
+        totalSearches: 0,
+        uniqueUsers: 0,
+        zeroResultSearches: 0,
+        zeroResultRate: 0,
+        clickedSearches: 0,
+        totalClicks: 0,
+        clickThroughRate: 0,
+        averageClickPosition: null
+      };
+    }
+
+    return {
+      totalSearches: totals.totalSearches,
+      uniqueUsers: totals.users.length,
+      zeroResultSearches: totals.zeroResultSearches,
+      zeroResultRate: this.toRate(totals.zeroResultSearches, totals.totalSearches),
+      clickedSearches: totals.clickedSearches,
+      totalClicks: totals.totalClicks,
+      // Only searches that showed something can be clicked
+      clickThroughRate: this.toRate(totals.clickedSearches, totals.searchesWithResults),
+      averageClickPosition: totals.averageClickPosition === null
+        ? null
+        : Math.round(totals.averageClickPosition * 10) / 10
+    };
+  }
+
+  /**
+   * Most searched terms (first result pages only, so paging doesn't count twice)
+   * @param {Object} match - Log filter
+   * @param {number} limit - Number of terms
+   * @returns {Promise<Array>} Terms ({ term, searches, zeroResultSearches, lastSearchedAt })
+   */
+  static async aggregatePopularTerms(match, limit) {
+    return SearchLog.aggregate([
+      { $match: { ...match, page: 1 } },
+      { $unwind: '$terms' },
+      {
+        $group: {
+          _id: '$terms',
+          searches: { $sum: 1 },
+          zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { searches: -1, lastSearchedAt: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, term: '$_id', searches: 1, zeroResultSearches: 1, lastSearchedAt: 1 } }
+    ]);
+  }
+
+  /**
+   * Most frequent queries with their average result count and click-through rate
+   * @param {Object} match - Log filter
+   * @param {number} limit - Number of queries
+   * @returns {Promise<Array>} Queries ({ query, searches, averageResults, clickThroughRate })
+   */
+  static async aggregateTopQueries(match, limit) {
+    const queries = await SearchLog.aggregate([
+      { $match: { ...match, page: 1, normalizedQuery: { $ne: '' } } },
+      // Show the most recent spelling of each query
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          query: { $last: '$query' },
+          searches: { $sum: 1 },
+          searchesWithResults: { $sum: { $cond: [{ $gt: ['$resultCount', 0] }, 1, 0] } },
+          clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          averageResults: { $avg: '$resultCount' }
+        }
+      },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    return queries.map(entry => ({
+      query: entry.query,
+      searches: entry.searches,
+      averageResults: Math.round(entry.averageResults * 10) / 10,
+      clickThroughRate: this.toRate(entry.clickedSearches, entry.searchesWithResults)
+    }));
+  }
+
+  /**
+   * Queries that found nothing, most frequent first
+   * @param {Object} match - Log filter
+   * @param {number} limit - Number of queries
+   * @returns {Promise<Array>} Queries ({ query, searches, lastSearchedAt })
+   */
+  static async aggregateZeroResultQueries(match, limit) {
+    return SearchLog.aggregate([
+      { $match: { ...match, page: 1, resultCount: 0, normalizedQuery: { $ne: '' } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          query: { $last: '$query' },
+          searches: { $sum: 1 },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { searches: -1, lastSearchedAt: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, query: 1, searches: 1, lastSearchedAt: 1 } }
+    ]);
+  }
+
+  /**
+   * Lower-case a query and collapse its whitespace so variants group together
+   * @param {string} query - Query as typed
+   * @returns {string} Normalized query
+   */
+  static normalizeQuery(query) {
+    return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, 500);
+  }
+
+  /**
+   * Ratio rounded to 3 decimals
+   * @param {number} part - Numerator
+   * @param {number} total - Denominator
+   * @returns {number} Rate between 0 and 1
+   */
+  static toRate(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+  }
+
+  /**
+   * Reject analytics requests when analytics are switched off
+   */
+  static assertEnabled() {
+    if (!AppConfig.getSearchConfig().enableSearchAnalytics) {
+      throw createHttpError('Search analytics are disabled', 404);
+    }
+  }
+}
+
+module.exports = SearchAnalyticsService;
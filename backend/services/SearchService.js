@@ -0,0 +1,438 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const AppConfig = require('../config/app');
+const { escapeRegex } = require('../utils/helpers');
+const { parseSearchQuery } = require('../utils/searchQuery');
+
+// Fields a text term can match when it is evaluated without the text index
+const TEXT_FIELDS = ['title', 'description', 'originalName', 'tags', 'searchKeywords', 'content'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on distinct words compared against a misspelled term
+const MAX_CORRECTION_CANDIDATES = 5000;
+
+const MB = 1024 * 1024;
+
+// Size facet buckets; each runs up to the next one's lower bound
+const SIZE_BUCKETS = [
+  { value: 'under-1mb', label: 'Under 1 MB', min: 0, query: 'size:<1mb' },
+  { value: '1mb-10mb', label: '1 – 10 MB', min: MB, query: 'size:>=1mb size:<10mb' },
+  { value: '10mb-100mb', label: '10 – 100 MB', min: 10 * MB, query: 'size:>=10mb size:<100mb' },
+  { value: '100mb-1gb', label: '100 MB – 1 GB', min: 100 * MB, query: 'size:>=100mb size:<1gb' },
+  { value: 'over-1gb', label: '1 GB and over', min: 1024 * MB, query: 'size:>=1gb' }
+];
+
+/**
+ * SearchService - Turns parsed search queries into indexed MongoDB queries
+ * Text terms go through the full-text index wherever the query shape allows it;
+ * ranking, sorting and pagination all happen in the database
+ */
+class SearchService {
+
+  /**
+   * Build the MongoDB conditions for a parsed query
+   *
+   * A single group of terms maps directly onto $text: every word and phrase is
+   * quoted so all of them must match, and exclusions use $text negation. With OR,
+   * $text (which only appears once per query) selects candidates matching any
+   * group's words and each group is then checked on its own. Groups made only of
+   * filters or exclusions cannot use the text index and fall back to field matching
+   * @param {Object} parsed - Result of parseSearchQuery()
+   * @returns {Object} Text search string (or null) and the remaining condition (or null)
+   */
+  static buildQuery(parsed) {
+    const { groups } = parsed;
+    if (groups.length === 0) {
+      return { textSearch: null, condition: null };
+    }
+
+    const hasPositiveText = group => group.some(term => term.kind === 'text' && !term.negate);
+    const useTextIndex = groups.every(hasPositiveText);
+
+    if (useTextIndex && groups.length === 1) {
+      const [group] = groups;
+      const textSearch = group
+        .filter(term => term.kind === 'text')
+        .map(term => `${term.negate ? '-' : ''}"${term.value.replace(/"/g, '')}"`)
+        .join(' ');
+      const filters = group
+        .filter(term => term.kind === 'filter')
+        .map(term => this.buildTermCondition(term));
+
+      return {
+        textSearch,
+        condition: filters.length > 0 ? { $and: filters } : null
+      };
+    }
+
+    const textSearch = useTextIndex
+      ? [...new Set(groups.flat()
+        .filter(term => term.kind === 'text' && !term.negate)
+        .flatMap(term => term.value.split(/\s+/)))]
+        .join(' ')
+      : null;
+
+    const groupConditions = groups.map(group => ({
+      $and: group.map(term => this.buildTermCondition(term))
+    }));
+
+    return {
+      textSearch,
+      condition: groupConditions.length === 1 ? groupConditions[0] : { $or: groupConditions }
+    };
+  }
+
+  /**
+   * Condition for a single term evaluated without the text index
+   * @param {Object} term - Parsed term
+   * @returns {Object} MongoDB condition
+   */
+  static buildTermCondition(term) {
+    let condition;
+
+    if (term.kind === 'text') {
+      const pattern = new RegExp(escapeRegex(term.value), 'i');
+      condition = { $or: TEXT_FIELDS.map(field => ({ [field]: pattern })) };
+    } else {
+      condition = term.condition;
+    }
+
+    return term.negate ? { $nor: [condition] } : condition;
+  }
+
+  /**
+   * Normalize page and limit parameters
+   * @param {Object} params - Query parameters
+   * @returns {Object} Page, limit and number of documents to skip
+   */
+  static getPagination(params = {}) {
+    const config = AppConfig.getSearchConfig();
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit) || config.defaultLimit, 1), config.maxLimit);
+
+    return { page, limit, skip: (page - 1) * limit };
+  }
+
+  /**
+   * Sort options for non-relevance ordering
+   * _id is appended so pages stay stable when sort values tie
+   * @param {string} sortBy - date, name, size, views or relevance
+   * @param {string} sortOrder - asc or desc
+   * @returns {Object} MongoDB sort
+   */
+  static getSortOptions(sortBy, sortOrder) {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const fields = {
+      date: 'createdAt',
+      name: 'title',
+      size: 'size',
+      views: 'viewCount'
+    };
+
+    const field = fields[sortBy] || 'createdAt';
+    return { [field]: direction, _id: direction };
+  }
+
+  /**
+   * Find one page of text search results ordered by relevance
+   * Relevance combines the weighted text score with popularity (log of views)
+   * and a small boost for files uploaded in the last 30 days
+   * @param {Object} query - MongoDB query including $text
+   * @param {number} skip - Documents to skip
+   * @param {number} limit - Page size
+   * @returns {Promise<Array>} Files with relevanceScore
+   */
+  static async findByRelevance(query, skip, limit) {
+    const daysSinceUpload = { $divide: [{ $subtract: [new Date(), '$createdAt'] }, DAY_MS] };
+
+    return File.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          relevanceScore: {
+            $add: [
+              { $meta: 'textScore' },
+              { $ln: { $add: [{ $ifNull: ['$viewCount', 0] }, 1] } },
+              { $max: [0, { $multiply: [{ $subtract: [30, daysSinceUpload] }, 0.1] }] }
+            ]
+          }
+        }
+      },
+      { $sort: { relevanceScore: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      // Aggregation ignores select: false on the schema and the toJSON transform
+      { $project: { content: 0, url: 0, 'thumbnails.url': 0 } }
+    ]);
+  }
+
+  /**
+   * Count search results per file type, category, tag, uploader, size range and upload year
+   *
+   * The file type, category and uploader facets each ignore their own filter, so
+   * the counts show what selecting another value would return rather than only
+   * the value already selected. Tag, size and year facets carry the query syntax
+   * that narrows the search to them
+   * @param {Object} baseQuery - Search query without the filter parameters
+   * @param {Object} filterConditions - fileType, category and uploadedBy conditions by name
+   * @returns {Promise<Object>} Facets: arrays of { value, count } (plus label and query where useful)
+   */
+  static async getFacets(baseQuery, filterConditions = {}) {
+    const limit = AppConfig.getSearchConfig().facetLimit;
+
+    // Conditions of every filter except the facet's own
+    const otherFilters = (facet) => {
+      const conditions = Object.entries(filterConditions)
+        .filter(([name]) => name !== facet)
+        .map(([, condition]) => condition);
+      return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+    };
+    const allFilters = otherFilters(null);
+    const countBy = (field) => [
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+
+    const [facets] = await File.aggregate([
+      // $text has to be in the first stage; every facet starts from the matched files
+      { $match: baseQuery },
+      {
+        $facet: {
+          fileType: [...otherFilters('fileType'), ...countBy('$fileType')],
+          category: [...otherFilters('category'), ...countBy('$category')],
+          uploader: [...otherFilters('uploadedBy'), ...countBy('$uploadedBy'), { $limit: limit }],
+          tags: [...allFilters, { $unwind: '$tags' }, ...countBy('$tags'), { $limit: limit }],
+          size: [
+            ...allFilters,
+            {
+              $bucket: {
+                groupBy: '$size',
+                boundaries: [...SIZE_BUCKETS.map(bucket => bucket.min), Number.MAX_SAFE_INTEGER],
+                default: 'unknown',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          uploadYear: [
+            ...allFilters,
+            { $group: { _id: { $year: '$createdAt' }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+            { $limit: limit }
+          ]
+        }
+      }
+    ]);
+
+    const uploaders = await User.find({ _id: { $in: facets.uploader.map(entry => entry._id) } })
+      .select('name')
+      .lean();
+    const uploaderNames = new Map(uploaders.map(user => [String(user._id), user.name]));
+    const sizeCounts = new Map(facets.size.map(entry => [entry._id, entry.count]));
+
+    return {
+      fileType: facets.fileType.map(entry => ({ value: entry._id, count: entry.count })),
+      category: facets.category.map(entry => ({ value: entry._id, count: entry.count })),
+      uploader: facets.uploader.map(entry => ({
+        value: String(entry._id),
+        label: uploaderNames.get(String(entry._id)) || 'Unknown user',
+        count: entry.count
+      })),
+      tags: facets.tags.map(entry => ({
+        value: entry._id,
+        count: entry.count,
+        query: /\s/.test(entry._id) ? `tag:"${entry._id}"` : `tag:${entry._id}`
+      })),
+      size: SIZE_BUCKETS
+        .filter(bucket => sizeCounts.has(bucket.min))
+        .map(bucket => ({ value: bucket.value, label: bucket.label, count: sizeCounts.get(bucket.min), query: bucket.query })),
+      uploadYear: facets.uploadYear.map(entry => ({
+        value: String(entry._id),
+        count: entry.count,
+        // after: and before: exclude the named year itself
+        query: `after:${entry._id - 1} before:${entry._id + 1}`
+      }))
+    };
+  }
+
+  /**
+   * Complete the last word of a query from titles, tags and keywords
+   * A trailing "tag:" prefix completes tags only
+   * @param {Object} accessFilter - Condition matching the files the user can access
+   * @param {string} query - Query typed so far
+   * @returns {Promise<Array>} Suggestions ({ text, type, count, query })
+   */
+  static async getSuggestions(accessFilter, query) {
+    const limit = AppConfig.getSearchConfig().suggestionsLimit;
+    const match = String(query || '').match(/^(.*?)(-?)(tags?:)?("?)([^\s"]*)$/i);
+    if (!match) return [];
+
+    const [, head, negation, fieldPrefix, quote, rawPrefix] = match;
+    const prefix = rawPrefix.toLowerCase();
+    if (!fieldPrefix && prefix.length < 2) return [];
+
+    const completeWith = text => `${head}${negation}${fieldPrefix || ''}${quote || /\s/.test(text) ? `"${text}"` : text}`;
+    const prefixPattern = new RegExp(`^${escapeRegex(prefix)}`);
+    const suggestions = [];
+    const seen = new Set();
+
+    const add = (text, type, count) => {
+      const key = text.toLowerCase();
+      if (seen.has(key) || key === prefix) return;
+      seen.add(key);
+      suggestions.push({ text, type, count, query: completeWith(text) });
+    };
+
+    const tags = await this.countValues(accessFilter, 'tags', prefixPattern, limit);
+    tags.forEach(tag => add(tag._id, 'tag', tag.count));
+
+    if (!fieldPrefix) {
+      const titles = await File.find({ $and: [accessFilter, { title: new RegExp(`^${escapeRegex(prefix)}`, 'i') }] })
+        .select('title')
+        .sort({ viewCount: -1 })
+        .limit(limit)
+        .lean();
+      titles.forEach(file => add(file.title, 'title', 1));
+
+      const keywords = await this.countValues(accessFilter, 'searchKeywords', prefixPattern, limit);
+      keywords.forEach(keyword => add(keyword._id, 'keyword', keyword.count));
+    }
+
+    return suggestions.slice(0, limit);
+  }
+
+  /**
+   * Count the values of an array field that match a pattern, most frequent first
+   * @param {Object} accessFilter - Condition matching the files the user can access
+   * @param {string} field - Array field (tags or searchKeywords)
+   * @param {RegExp} pattern - Value pattern (anchored, so the field index is used)
+   * @param {number} limit - Maximum number of values
+   * @returns {Promise<Array>} Values and counts ({ _id, count })
+   */
+  static async countValues(accessFilter, field, pattern, limit) {
+    return File.aggregate([
+      { $match: { $and: [accessFilter, { [field]: pattern }] } },
+      { $unwind: `$${field}` },
+      { $match: { [field]: pattern } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+  }
+
+  /**
+   * Suggest a corrected query for a search that found nothing
+   * Each misspelled word is replaced by the closest word (by edit distance) found
+   * in the titles, tags and keywords of the files the user can access
+   * @param {Object} accessFilter - Condition matching the files the user can access
+   * @param {string} query - Original query
+   * @returns {Promise<Object|null>} Corrected query and corrections, or null
+   */
+  static async getCorrection(accessFilter, query) {
+    const words = parseSearchQuery(query).groups.flat()
+      .filter(term => term.kind === 'text' && !term.negate && !term.phrase)
+      .map(term => term.value.toLowerCase())
+      .filter(word => word.length >= 3 && /^[\p{L}\p{N}]+$/u.test(word));
+    if (words.length === 0) return null;
+
+    const vocabulary = await this.getVocabulary(accessFilter, words);
+    const known = new Set(vocabulary.map(entry => entry._id));
+    const corrections = [];
+
+    for (const word of new Set(words)) {
+      if (known.has(word)) continue;
+
+      const maxDistance = word.length <= 4 ? 1 : 2;
+      let best = null;
+      for (const { _id: candidate, count } of vocabulary) {
+        if (Math.abs(candidate.length - word.length) > maxDistance) continue;
+
+        const distance = this.editDistance(word, candidate, maxDistance);
+        if (distance <= maxDistance && (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+          best = { candidate, distance, count };
+        }
+      }
+
+      if (best) corrections.push({ original: word, correction: best.candidate });
+    }
+
+    if (corrections.length === 0) return null;
+
+    const corrected = corrections.reduce(
+      (text, { original, correction }) => text.replace(
+        new RegExp(`(^|\\s)${escapeRegex(original)}(?=$|\\s)`, 'gi'),
+        (whole, boundary) => `${boundary}${correction}`
+      ),
+      query
+    );
+
+    return { query: corrected, corrections };
+  }
+
+  /**
+   * Distinct words (tags and keywords) of accessible files with lengths close to the given words
+   * @param {Object} accessFilter - Condition matching the files the user can access
+   * @param {Array<string>} words - Words being corrected
+   * @returns {Promise<Array>} Words and how many files use them ({ _id, count })
+   */
+  static async getVocabulary(accessFilter, words) {
+    const lengths = words.map(word => word.length);
+    const minLength = Math.max(1, Math.min(...lengths) - 2);
+    const maxLength = Math.max(...lengths) + 2;
+
+    return File.aggregate([
+      { $match: accessFilter },
+      { $project: { words: { $setUnion: [{ $ifNull: ['$searchKeywords', []] }, { $ifNull: ['$tags', []] }] } } },
+      { $unwind: '$words' },
+      {
+        $match: {
+          $expr: {
+            $and: [
+              { $gte: [{ $strLenCP: '$words' }, minLength] },
+              { $lte: [{ $strLenCP: '$words' }, maxLength] }
+            ]
+          }
+        }
+      },
+      { $group: { _id: '$words', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: MAX_CORRECTION_CANDIDATES }
+    ]);
+  }
+
+  /**
+   * Edit distance with adjacent transpositions (optimal string alignment)
+   * Stops early once every alignment exceeds the maximum
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 when it is larger than max
+   */
+  static editDistance(a, b, max = Infinity) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,456 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ShareLink = require('../models/ShareLink');
+const File = require('../models/File');
+const StorageService = require('./StorageService');
+const DownloadService = require('./DownloadService');
+const SharingService = require('./SharingService');
+const VirusScanService = require('./VirusScanService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+
+const INACTIVE_MESSAGES = {
+  revoked: 'This link has been revoked',
+  expired: 'This link has expired',
+  exhausted: 'This link has reached its download limit'
+};
+
+/**
+ * ShareLinkService - Tokenized public links to files
+ * The owner creates links with an optional expiry, password and download limit;
+ * anyone holding the token can open the file without an account. Content is
+ * streamed through the API so the storage URL is never handed out.
+ */
+class ShareLinkService {
+
+  /**
+   * Create a share link for a file
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (must be the owner)
+   * @param {Object} options - Link options
+   * @param {string} options.expiresAt - Expiry date (ISO string)
+   * @param {number} options.expiresInHours - Expiry relative to now (instead of expiresAt)
+   * @param {string} options.password - Password required to open the link
+   * @param {number} options.maxDownloads - Number of downloads before the link stops working
+   * @returns {Promise<Object>} Created link
+   */
+  static async createLink(fileId, userId, options = {}) {
+    try {
+      const file = await SharingService.findOwnedResource('File', fileId, userId);
+
+      const link = new ShareLink({
+        token: this.generateToken(),
+        file: file._id,
+        createdBy: userId,
+        password: this.parsePassword(options.password),
+        expiresAt: this.parseExpiry(options),
+        maxDownloads: this.parseMaxDownloads(options.maxDownloads)
+      });
+      await link.save();
+
+      return {
+        success: true,
+        link: this.formatLink(link),
+        message: 'Share link created successfully'
+      };
+
+    } catch (error) {
+      console.error('Create share link service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to create share link',
+        statusCode: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List the share links of a file, newest first
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (must be the owner)
+   * @returns {Promise<Object>} Links
+   */
+  static async getLinks(fileId, userId) {
+    try {
+      const file = await SharingService.findOwnedResource('File', fileId, userId);
+      const links = await ShareLink.find({ file: file._id }).sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        links: links.map(link => this.formatLink(link))
+      };
+
+    } catch (error) {
+      console.error('Get share links service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to get share links',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Revoke a share link; revoked links stay listed so their history is kept
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (must be the owner)
+   * @param {string} linkId - Share link ID
+   * @returns {Promise<Object>} Revoked link
+   */
+  static async revokeLink(fileId, userId, linkId) {
+    try {
+      const file = await SharingService.findOwnedResource('File', fileId, userId);
+
+      const link = await ShareLink.findOne({ _id: linkId, file: file._id }).catch(() => null);
+      if (!link) {
+        throw createHttpError('Share link not found', 404);
+      }
+
+      if (!link.revokedAt) {
+        link.revokedAt = new Date();
+        await link.save();
+      }
+
+      return {
+        success: true,
+        link: this.formatLink(link),
+        message: 'Share link revoked'
+      };
+
+    } catch (error) {
+      console.error('Revoke share link service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to revoke share link',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Describe a link for the public landing page
+   * File details are withheld until a password-protected link is unlocked
+   * @param {string} token - Link token
+   * @param {Object} context - Requester context
+   * @param {string} context.accessToken - Access token from unlockLink()
+   * @param {string} context.userId - Signed-in user, if any
+   * @returns {Promise<Object>} Link details
+   */
+  static async getPublicLink(token, context = {}) {
+    try {
+      const link = await this.findActiveLink(token);
+      const unlocked = this.isUnlocked(link, context);
+
+      const details = {
+        requiresPassword: !unlocked,
+        expiresAt: link.expiresAt,
+        remainingDownloads: link.maxDownloads === null ? null : link.maxDownloads - link.downloadCount
+      };
+
+      if (unlocked) {
+        const file = await this.findLinkedFile(link);
+        details.file = {
+          title: file.title,
+          description: file.description,
+          originalName: file.originalName,
+          fileType: file.fileType,
+          mimeType: file.mimeType,
+          size: file.size,
+          createdAt: file.createdAt
+        };
+      }
+
+      return {
+        success: true,
+        link: details
+      };
+
+    } catch (error) {
+      console.error('Get public share link service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to open share link',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Exchange a link password for a short-lived access token
+   * @param {string} token - Link token
+   * @param {string} password - Link password
+   * @returns {Promise<Object>} Access token and its lifetime
+   */
+  static async unlockLink(token, password) {
+    try {
+      const link = await this.findActiveLink(token, { withPassword: true });
+
+      if (!(await link.comparePassword(password))) {
+        throw createHttpError('Incorrect password', 401);
+      }
+
+      const { accessTokenExpiry } = AppConfig.getShareLinkConfig();
+      const accessToken = jwt.sign(
+        { link: String(link._id), scope: 'share-link' },
+        AppConfig.getJWTConfig().secret,
+        { expiresIn: accessTokenExpiry }
+      );
+
+      return {
+        success: true,
+        accessToken,
+        expiresIn: accessTokenExpiry
+      };
+
+    } catch (error) {
+      console.error('Unlock share link service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to unlock share link',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Open the content behind a link, counting the download
+   * Downloads by the file owner are not counted against the limit, but are still
+   * counted on the file and logged (see DownloadService)
+   * @param {string} token - Link token
+   * @param {Object} context - Requester context (accessToken, userId, ipAddress, userAgent)
+   * @returns {Promise<Object>} File document and content ({ stream, size, contentType })
+   */
+  static async openLink(token, context = {}) {
+    try {
+      const link = await this.findActiveLink(token);
+
+      if (!this.isUnlocked(link, context)) {
+        throw createHttpError('This link is password protected', 401);
+      }
+
+      const file = await this.findLinkedFile(link);
+      VirusScanService.assertNotInfected(file);
+      if (!this.isOwner(link, context.userId)) {
+        await this.countDownload(link);
+      }
+
+      const content = await StorageService.downloadFile(file);
+      DownloadService.recordDownload(file, {
+        userId: context.userId,
+        shareLinkId: link._id,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return {
+        success: true,
+        file,
+        content
+      };
+
+    } catch (error) {
+      console.error('Open share link service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to open share link',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove every link to the given files (after they are deleted)
+   * @param {Array} fileIds - File IDs
+   */
+  static async removeLinksFor(fileIds) {
+    await ShareLink.deleteMany({ file: { $in: fileIds } });
+  }
+
+  /**
+   * Atomically count a download, failing if the link ran out in the meantime
+   * @param {Object} link - Share link document
+   */
+  static async countDownload(link) {
+    const now = new Date();
+    const counted = await ShareLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }] }
+        ]
+      },
+      { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: now } },
+      { new: true }
+    );
+
+    if (!counted) {
+      const current = await ShareLink.findById(link._id);
+      throw createHttpError(INACTIVE_MESSAGES[current?.getInactiveReason()] || INACTIVE_MESSAGES.revoked, 410);
+    }
+  }
+
+  /**
+   * Find a link by token that can still be used
+   * @param {string} token - Link token
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.withPassword - Load the password hash
+   * @returns {Promise<Object>} Share link document
+   */
+  static async findActiveLink(token, options = {}) {
+    const query = ShareLink.findOne({ token: String(token) });
+    const link = await (options.withPassword ? query.select('+password') : query);
+
+    if (!link) {
+      throw createHttpError('Share link not found', 404);
+    }
+
+    const reason = link.getInactiveReason();
+    if (reason) {
+      throw createHttpError(INACTIVE_MESSAGES[reason], 410);
+    }
+
+    return link;
+  }
+
+  /**
+   * Load the file a link points at
+   * @param {Object} link - Share link document
+   * @returns {Promise<Object>} File document
+   */
+  static async findLinkedFile(link) {
+    const file = await File.findById(link.file);
+
+    if (!file) {
+      throw createHttpError('The shared file no longer exists', 410);
+    }
+
+    return file;
+  }
+
+  /**
+   * Whether the requester may see a link's file
+   * @param {Object} link - Share link document
+   * @param {Object} context - Requester context (accessToken, userId)
+   * @returns {boolean} True when no password is set, the owner is asking, or the access token is valid
+   */
+  static isUnlocked(link, context) {
+    if (!link.hasPassword || this.isOwner(link, context.userId)) return true;
+    if (!context.accessToken) return false;
+
+    try {
+      const payload = jwt.verify(context.accessToken, AppConfig.getJWTConfig().secret);
+      return payload.scope === 'share-link' && payload.link === String(link._id);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a user created the link
+   * @param {Object} link - Share link document
+   * @param {string} userId - User ID (may be empty for anonymous requests)
+   * @returns {boolean} True for the link's creator
+   */
+  static isOwner(link, userId) {
+    return !!userId && String(link.createdBy) === String(userId);
+  }
+
+  /**
+   * Generate an unguessable URL-safe token
+   * @returns {string} Token
+   */
+  static generateToken() {
+    return crypto.randomBytes(AppConfig.getShareLinkConfig().tokenBytes).toString('base64url');
+  }
+
+  /**
+   * Validate an optional link password
+   * @param {string} password - Password from the request
+   * @returns {string|null} Password, or null for none
+   */
+  static parsePassword(password) {
+    if (password === undefined || password === null || password === '') return null;
+
+    if (typeof password !== 'string' || password.length < 4) {
+      throw createHttpError('Link password must be at least 4 characters', 400);
+    }
+
+    return password;
+  }
+
+  /**
+   * Resolve the expiry of a new link
+   * @param {Object} options - Link options (expiresAt or expiresInHours)
+   * @returns {Date|null} Expiry date, or null for a link that never expires
+   */
+  static parseExpiry({ expiresAt, expiresInHours }) {
+    let expiry = null;
+
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInHours) {
+      expiry = new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000);
+    }
+
+    if (!expiry) return null;
+
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw createHttpError('Expiry must be a date in the future', 400);
+    }
+
+    const { maxExpiryDays } = AppConfig.getShareLinkConfig();
+    if (expiry.getTime() - Date.now() > maxExpiryDays * 24 * 60 * 60 * 1000) {
+      throw createHttpError(`Links can expire at most ${maxExpiryDays} days from now`, 400);
+    }
+
+    return expiry;
+  }
+
+  /**
+   * Validate an optional download limit
+   * @param {number|string} maxDownloads - Limit from the request
+   * @returns {number|null} Limit, or null for unlimited
+   */
+  static parseMaxDownloads(maxDownloads) {
+    if (maxDownloads === undefined || maxDownloads === null || maxDownloads === '') return null;
+
+    const limit = Number(maxDownloads);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw createHttpError('maxDownloads must be a positive integer', 400);
+    }
+
+    return limit;
+  }
+
+  /**
+   * Format a link for its owner
+   * @param {Object} link - Share link document
+   * @returns {Object} Link details
+   */
+  static formatLink(link) {
+    return {
+      id: link._id,
+      file: link.file,
+      url: `${AppConfig.getShareLinkConfig().baseUrl}/s/${link.token}`,
+      token: link.token,
+      hasPassword: link.hasPassword,
+      expiresAt: link.expiresAt,
+      maxDownloads: link.maxDownloads,
+      downloadCount: link.downloadCount,
+      lastAccessedAt: link.lastAccessedAt,
+      revokedAt: link.revokedAt,
+      status: link.getInactiveReason() || 'active',
+      createdAt: link.createdAt
+    };
+  }
+}
+
+module.exports = ShareLinkService;
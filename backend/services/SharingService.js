@@ -0,0 +1,264 @@
+const Share = require('../models/Share');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const PermissionService = require('./PermissionService');
+const { createHttpError } = require('../utils/helpers');
+
+/**
+ * SharingService - Grants on files and folders for users and groups
+ * Only the owner of a file or folder manages who it is shared with
+ */
+class SharingService {
+
+  /**
+   * List the grants on a file or folder
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {string} resourceId - File or folder ID
+   * @param {string} userId - User ID (must be the owner)
+   * @returns {Promise<Object>} Shares
+   */
+  static async getShares(resourceType, resourceId, userId) {
+    try {
+      const resource = await this.findOwnedResource(resourceType, resourceId, userId);
+
+      const shares = await Share.find({ resource: resource._id })
+        .populate('principal', 'name email')
+        .sort({ createdAt: 1 });
+
+      return {
+        success: true,
+        shares: shares.map(share => this.formatShare(share))
+      };
+
+    } catch (error) {
+      console.error('Get shares service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to get shares',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Share a file or folder with a user (by email) or a group, or change an existing grant's role
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {string} resourceId - File or folder ID
+   * @param {string} userId - User ID (must be the owner)
+   * @param {Object} grant - Grant data
+   * @param {string} grant.email - Email of the user to share with
+   * @param {string} grant.groupId - Group to share with (instead of email)
+   * @param {string} grant.role - viewer, commenter or editor
+   * @returns {Promise<Object>} Created or updated share
+   */
+  static async addShare(resourceType, resourceId, userId, grant) {
+    try {
+      const { email, groupId, role } = grant;
+
+      if (!PermissionService.ROLES.includes(role)) {
+        throw createHttpError(`Role must be one of: ${PermissionService.ROLES.join(', ')}`, 400);
+      }
+      if (!email === !groupId) {
+        throw createHttpError('Provide either an email or a groupId', 400);
+      }
+
+      const resource = await this.findOwnedResource(resourceType, resourceId, userId);
+
+      let principalType;
+      let principal;
+      if (email) {
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+        if (!user) {
+          throw createHttpError('No user with this email', 404);
+        }
+        if (String(user._id) === String(userId)) {
+          throw createHttpError('You already own this item', 400);
+        }
+        principalType = 'User';
+        principal = user._id;
+      } else {
+        // Only groups the sharer belongs to can be shared with
+        const group = await Group.findOne({ _id: groupId, $or: [{ owner: userId }, { members: userId }] })
+          .catch(() => null);
+        if (!group) {
+          throw createHttpError('Group not found', 404);
+        }
+        principalType = 'Group';
+        principal = group._id;
+      }
+
+      const share = await Share.findOneAndUpdate(
+        { resource: resource._id, principal },
+        {
+          $set: { role, grantedBy: userId },
+          $setOnInsert: { resourceType, owner: userId, principalType }
+        },
+        { new: true, upsert: true, runValidators: true }
+      ).populate('principal', 'name email');
+
+      return {
+        success: true,
+        share: this.formatShare(share),
+        message: `${resourceType} shared successfully`
+      };
+
+    } catch (error) {
+      console.error('Add share service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to share',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Revoke a grant
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {string} resourceId - File or folder ID
+   * @param {string} userId - User ID (must be the owner)
+   * @param {string} shareId - Share ID
+   * @returns {Promise<Object>} Revocation result
+   */
+  static async removeShare(resourceType, resourceId, userId, shareId) {
+    try {
+      const resource = await this.findOwnedResource(resourceType, resourceId, userId);
+
+      const result = await Share.deleteOne({ _id: shareId, resource: resource._id })
+        .catch(() => ({ deletedCount: 0 }));
+      if (result.deletedCount === 0) {
+        throw createHttpError('Share not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Access removed'
+      };
+
+    } catch (error) {
+      console.error('Remove share service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to remove share',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Files and folders other people shared with the user or their groups
+   * Files inside shared folders are browsed through the folder, not listed here
+   * @param {string} userId - User ID
+   * @param {Object} filters - Pagination options (page, limit)
+   * @returns {Promise<Object>} Shared folders, shared files and pagination
+   */
+  static async getSharedWithMe(userId, filters = {}) {
+    try {
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const principals = await PermissionService.getPrincipalIds(userId);
+      const shares = await Share.find({ principal: { $in: principals }, owner: { $ne: userId } })
+        .select('resourceType resource role')
+        .lean();
+
+      // A resource shared with the user and one of their groups keeps the strongest role
+      const roles = new Map();
+      shares.forEach(share => {
+        const key = String(share.resource);
+        roles.set(key, PermissionService.highestRole([roles.get(key), share.role].filter(Boolean)));
+      });
+
+      const folderIds = shares.filter(share => share.resourceType === 'Folder').map(share => share.resource);
+      const fileIds = shares.filter(share => share.resourceType === 'File').map(share => share.resource);
+
+      const [folders, files, totalFiles] = await Promise.all([
+        Folder.find({ _id: { $in: folderIds } }).populate('owner', 'name email').sort({ name: 1 }).lean(),
+        File.find({ _id: { $in: fileIds } })
+          .populate('uploadedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .select('-url -thumbnails.url')
+          .lean(),
+        File.countDocuments({ _id: { $in: fileIds } })
+      ]);
+
+      return {
+        success: true,
+        folders: folders.map(folder => ({ ...folder, access: roles.get(String(folder._id)) })),
+        files: files.map(file => ({ ...file, access: roles.get(String(file._id)) })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalFiles / limit),
+          totalFiles,
+          hasNext: skip + limit < totalFiles,
+          hasPrev: page > 1,
+          limit
+        }
+      };
+
+    } catch (error) {
+      console.error('Get shared with me service error:', error);
+      throw {
+        success: false,
+        message: 'Failed to get shared items',
+        statusCode: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove every grant on the given resources (after they are deleted)
+   * @param {Array} resourceIds - File or folder IDs
+   */
+  static async removeSharesFor(resourceIds) {
+    await Share.deleteMany({ resource: { $in: resourceIds } });
+  }
+
+  /**
+   * Find a file or folder owned by the user
+   * @param {string} resourceType - 'File' or 'Folder'
+   * @param {string} resourceId - File or folder ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} File or folder document
+   */
+  static async findOwnedResource(resourceType, resourceId, userId) {
+    const resource = resourceType === 'File'
+      ? await File.findOne({ _id: resourceId, uploadedBy: userId }).catch(() => null)
+      : await Folder.findOne({ _id: resourceId, owner: userId }).catch(() => null);
+
+    if (!resource) {
+      throw createHttpError(`${resourceType} not found or you are not its owner`, 404);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Format a share for API responses
+   * @param {Object} share - Share document with populated principal
+   * @returns {Object} Share details
+   */
+  static formatShare(share) {
+    return {
+      id: share._id,
+      resourceType: share.resourceType,
+      resource: share.resource,
+      principalType: share.principalType,
+      principal: share.principal,
+      role: share.role,
+      createdAt: share.createdAt,
+      updatedAt: share.updatedAt
+    };
+  }
+}
+
+module.exports = SharingService;
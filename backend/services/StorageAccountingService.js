@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ContentStoreService = require('./ContentStoreService');
+
+// Whether the connected deployment supports transactions (null: not checked yet)
+let transactionSupport = null;
+
+/**
+ * StorageAccountingService - Per-user storage used and file counts
+ * Totals change with atomic $inc updates in the same transaction as the File or
+ * FileVersion write that causes them, so concurrent uploads and deletes cannot
+ * drift them. A standalone MongoDB server has no transactions; the writes then
+ * run one after the other and reconcileUser() repairs any drift
+ */
+class StorageAccountingService {
+
+  /**
+   * Run database writes in a transaction when the deployment supports them
+   * The work may be retried on transient transaction errors, so it should only
+   * touch the database; storage provider cleanup belongs after it
+   * @param {Function} work - async (session) => result; session is null without transactions
+   * @returns {Promise<*>} Result of the work
+   */
+  static async runInTransaction(work) {
+    if (!await this.supportsTransactions()) {
+      return work(null);
+    }
+
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+
+    return result;
+  }
+
+  /**
+   * Change a user's file count and storage used
+   * @param {string} userId - User ID
+   * @param {Object} change - Changes to apply
+   * @param {number} change.files - Files added (positive) or removed (negative)
+   * @param {number} change.storage - Bytes added (positive) or freed (negative)
+   * @param {Object} session - Transaction session from runInTransaction()
+   */
+  static async recordChange(userId, { files = 0, storage = 0 }, session = null) {
+    if (!files && !storage) return;
+
+    await User.updateOne(
+      { _id: userId },
+      { $inc: { totalFiles: files, storageUsed: storage } },
+      { session }
+    );
+  }
+
+  /**
+   * Recompute a user's totals from their files and versions and compare them with the stored ones
+   * The correction is only written when the stored totals did not change while they were
+   * being recomputed; otherwise the user is reported as changed and can be reconciled again
+   * @param {string} userId - User ID
+   * @param {Object} options - fix (write the recomputed totals when they differ)
+   * @returns {Promise<Object|null>} Stored and recomputed totals and the outcome
+   *   ('ok', 'fixed', 'mismatch' or 'changed'), or null when the user does not exist
+   */
+  static async reconcileUser(userId, options = {}) {
+    const user = await User.findById(userId).select('storageUsed totalFiles').lean();
+    if (!user) return null;
+
+    const recorded = { storageUsed: user.storageUsed || 0, totalFiles: user.totalFiles || 0 };
+    const actual = await ContentStoreService.calculateUsage(userId);
+    const matches = recorded.storageUsed === actual.storageUsed && recorded.totalFiles === actual.totalFiles;
+
+    let status = matches ? 'ok' : 'mismatch';
+    if (!matches && options.fix) {
+      const { modifiedCount } = await User.updateOne(
+        { _id: userId, storageUsed: user.storageUsed, totalFiles: user.totalFiles },
+        { $set: actual }
+      );
+      status = modifiedCount ? 'fixed' : 'changed';
+    }
+
+    return {
+      userId: user._id,
+      status,
+      recorded,
+      actual,
+      difference: {
+        storageUsed: actual.storageUsed - recorded.storageUsed,
+        totalFiles: actual.totalFiles - recorded.totalFiles
+      }
+    };
+  }
+
+  /**
+   * Check once whether the connected deployment supports transactions (replica set or sharded cluster)
+   * @returns {Promise<boolean>} Whether transactions are supported
+   */
+  static async supportsTransactions() {
+    if (transactionSupport === null) {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+
+      if (!transactionSupport) {
+        console.warn('⚠️  MongoDB does not support transactions (standalone server) - storage accounting runs without them; use npm run storage:reconcile to repair drift');
+      }
+    }
+
+    return transactionSupport;
+  }
+}
+
+module.exports = StorageAccountingService;
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const stream = require('stream');
+const AppConfig = require('../config/app');
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * StorageService - Entry point for all file content storage
+ * Resolves the configured storage provider and exposes provider-neutral operations
+ */
+class StorageService {
+
+  /**
+   * Map of provider name to module path, loaded lazily so unused SDKs are never required
+   */
+  static providerModules = {
+    cloudinary: './storage/CloudinaryStorageProvider',
+    local: './storage/LocalStorageProvider',
+    s3: './storage/S3StorageProvider'
+  };
+
+  static providers = {};
+
+  /**
+   * Get a storage provider instance
+   * @param {string} name - Provider name (defaults to the configured provider)
+   * @returns {StorageProvider} Provider instance
+   */
+  static getProvider(name) {
+    const config = AppConfig.getStorageConfig();
+    const providerName = name || config.provider;
+
+    if (!this.providers[providerName]) {
+      const modulePath = this.providerModules[providerName];
+      if (!modulePath) {
+        throw new Error(`Unknown storage provider: ${providerName}`);
+      }
+      const Provider = require(modulePath);
+      this.providers[providerName] = new Provider(config[providerName]);
+    }
+
+    return this.providers[providerName];
+  }
+
+  /**
+   * Generate a storage key for a new upload
+   * @param {Object} file - File object from multer or express-fileupload
+   * @param {Object} options - Key options
+   * @param {string} options.userId - Owner user ID
+   * @param {string} options.fileType - File type (image, video, audio, document)
+   * @returns {string} Storage key
+   */
+  static generateKey(file, { userId, fileType }) {
+    const originalName = file.originalname || file.name || 'unnamed';
+    const safeName = originalName.replace(/[^a-zA-Z0-9._-]+/g, '-');
+
+    // Random part: uploads of the same name by one user can start in the same millisecond
+    return `${fileType}s/${userId}/${Date.now()}-${crypto.randomUUID()}-${safeName}`;
+  }
+
+  /**
+   * Upload a file with the configured provider
+   * @param {Object} file - File object from multer or express-fileupload
+   * @param {Object} options - Upload options
+   * @param {string} options.userId - Owner user ID
+   * @param {string} options.fileType - File type (image, video, audio, document)
+   * @returns {Promise<Object>} Stored object details including provider name and key
+   */
+  static async uploadFile(file, { userId, fileType }) {
+    const provider = this.getProvider();
+
+    return provider.upload(file, {
+      key: this.generateKey(file, { userId, fileType }),
+      mimeType: file.mimetype
+    });
+  }
+
+  /**
+   * Copy a file's content to a new key on the provider it is stored with
+   * @param {Object} file - File document
+   * @param {Object} options - Copy options
+   * @param {string} options.userId - Owner user ID of the copy
+   * @returns {Promise<Object>} Stored object details including provider name and key
+   */
+  static async copyFile(file, { userId }) {
+    const provider = this.getProvider(file.storageProvider);
+
+    return provider.copy(file.storageKey, {
+      key: this.generateKey({ originalname: file.originalName }, { userId, fileType: file.fileType }),
+      mimeType: file.mimeType,
+      url: file.url,
+      size: file.size,
+      originalName: file.originalName
+    });
+  }
+
+  /**
+   * Start a multipart upload with the configured provider
+   * @param {Object} options - Upload options
+   * @param {string} options.originalName - Original filename
+   * @param {string} options.mimeType - MIME type
+   * @param {string} options.userId - Owner user ID
+   * @param {string} options.fileType - File type (image, video, audio, document)
+   * @returns {Promise<Object>} Provider name, storage key and provider upload ID
+   */
+  static async createMultipartUpload({ originalName, mimeType, userId, fileType }) {
+    const provider = this.getProvider();
+    const key = this.generateKey({ originalname: originalName }, { userId, fileType });
+    const { uploadId } = await provider.createMultipartUpload(key, { mimeType });
+
+    return {
+      provider: provider.name,
+      key,
+      uploadId
+    };
+  }
+
+  /**
+   * Store one part of an upload session
+   * @param {Object} session - UploadSession document
+   * @param {number} partNumber - 1-based part number
+   * @param {Readable} body - Part content stream
+   * @param {number} size - Part size in bytes
+   * @returns {Promise<Object>} Stored part details ({ etag })
+   */
+  static async uploadPart(session, partNumber, body, size) {
+    const provider = this.getProvider(session.storageProvider);
+
+    return provider.uploadPart(session.storageKey, session.providerUploadId, partNumber, body, { size });
+  }
+
+  /**
+   * Complete the multipart upload of an upload session
+   * @param {Object} session - UploadSession document
+   * @returns {Promise<Object>} Stored object details
+   */
+  static async completeMultipartUpload(session) {
+    const provider = this.getProvider(session.storageProvider);
+    const parts = [...session.parts].sort((a, b) => a.partNumber - b.partNumber);
+
+    return provider.completeMultipartUpload(session.storageKey, session.providerUploadId, parts, {
+      mimeType: session.mimeType
+    });
+  }
+
+  /**
+   * Abort the multipart upload of an upload session
+   * @param {Object} session - UploadSession document
+   */
+  static async abortMultipartUpload(session) {
+    const provider = this.getProvider(session.storageProvider);
+
+    return provider.abortMultipartUpload(session.storageKey, session.providerUploadId);
+  }
+
+  /**
+   * Open a file's content for reading from the provider it is stored with
+   * @param {Object} file - File document
+   * @param {Object} options - Read options
+   * @param {Object} options.range - Inclusive byte range to read ({ start, end }); the whole content when omitted
+   * @returns {Promise<Object>} Content stream, size and content type ({ stream, size, contentType })
+   */
+  static async downloadFile(file, options = {}) {
+    const provider = this.getProvider(file.storageProvider);
+
+    return provider.download(file.storageKey, {
+      url: file.url,
+      mimeType: file.mimeType,
+      size: file.size,
+      range: options.range
+    });
+  }
+
+  /**
+   * Copy a file's content into a private temporary directory
+   * Used by processing that needs the content on disk (thumbnails, metadata extraction)
+   * @param {Object} file - File document
+   * @param {string} prefix - Directory name prefix
+   * @returns {Promise<Object>} Working directory and path of the copy ({ dir, path })
+   */
+  static async downloadToTempDir(file, prefix = 'processing-') {
+    const tempDir = AppConfig.getFileUploadConfig().tempDir || os.tmpdir();
+    await fs.promises.mkdir(tempDir, { recursive: true });
+    const dir = await fs.promises.mkdtemp(path.join(tempDir, prefix));
+    const sourcePath = path.join(dir, 'source');
+
+    try {
+      const { stream: content } = await this.downloadFile(file);
+      await pipeline(content, fs.createWriteStream(sourcePath));
+    } catch (error) {
+      await this.removeTempDir(dir);
+      throw error;
+    }
+
+    return { dir, path: sourcePath };
+  }
+
+  /**
+   * Remove a directory created by downloadToTempDir()
+   * @param {string} dir - Directory path
+   */
+  static async removeTempDir(dir) {
+    try {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    } catch (error) {
+      console.error('Temp directory cleanup error:', error);
+      // Don't throw error for cleanup issues
+    }
+  }
+
+  /**
+   * Delete a file's content from the provider it was stored with
+   * @param {Object} file - File document
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteFile(file) {
+    const provider = this.getProvider(file.storageProvider);
+
+    return provider.delete(file.storageKey, {
+      resourceType: file.metadata?.resourceType
+    });
+  }
+
+  /**
+   * Get status of the configured provider
+   * @returns {Object} Provider status
+   */
+  static getStatus() {
+    try {
+      return this.getProvider().getStatus();
+    } catch (error) {
+      return {
+        provider: AppConfig.getStorageConfig().provider,
+        configured: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const File = require('../models/File');
+const StorageService = require('./StorageService');
+const PermissionService = require('./PermissionService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+const { runTool } = require('../utils/mediaTools');
+
+// Waveform images are wide strips rather than squares
+const WAVEFORM_ASPECT_RATIO = 4;
+
+/**
+ * ThumbnailService - Generates and serves preview images for stored files
+ * Images get thumbnails, videos poster frames, audio waveforms and PDFs a
+ * first-page preview. Providers with built-in transformations (Cloudinary) render
+ * derivatives on request; for the others they are rendered once with ffmpeg and
+ * pdftoppm and stored next to the original
+ */
+class ThumbnailService {
+
+  /**
+   * Describe the derivative a file gets, if any
+   * @param {Object} file - File document
+   * @returns {Object|null} Derivative kind, format and MIME type
+   */
+  static getDerivativeType(file) {
+    switch (file.fileType) {
+      case 'image':
+        return { kind: 'thumbnail', format: 'jpg', mimeType: 'image/jpeg' };
+      case 'video':
+        return { kind: 'poster', format: 'jpg', mimeType: 'image/jpeg' };
+      case 'audio':
+        return { kind: 'waveform', format: 'png', mimeType: 'image/png' };
+      case 'document':
+        return file.mimeType === 'application/pdf'
+          ? { kind: 'preview', format: 'jpg', mimeType: 'image/jpeg' }
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Generate all thumbnail sizes for a file and record them on the file
+   * Runs as a background job after upload (see JobQueueService)
+   * @param {string} fileId - File ID
+   * @param {Object} options - jobId of the job generating them
+   * @returns {Promise<Object>} Thumbnail status and generated thumbnails
+   */
+  static async generateThumbnails(fileId, options = {}) {
+    const file = await File.findById(fileId);
+    if (!file) {
+      throw createHttpError('File not found', 404);
+    }
+
+    const type = this.getDerivativeType(file);
+    if (!type) {
+      await this.saveResult(file, 'unsupported', [], options.jobId);
+      return { status: 'unsupported', thumbnails: [] };
+    }
+
+    const provider = StorageService.getProvider(file.storageProvider);
+    const previous = file.thumbnails || [];
+    let thumbnails;
+
+    try {
+      thumbnails = this.buildDerivativeUrls(file, type, provider)
+        || await this.renderDerivatives(file, type, provider);
+    } catch (error) {
+      console.error(`Thumbnail rendering failed for file ${file._id}:`, error.message || error);
+      await this.saveResult(file, 'failed', previous, options.jobId);
+      return { status: 'failed', thumbnails: previous, error: error.message };
+    }
+
+    const saved = await this.saveResult(file, 'ready', thumbnails, options.jobId);
+    if (!saved) {
+      // The file was deleted, or its content replaced, while its thumbnails were rendering
+      const current = await File.findById(file._id).setOptions({ withDeleted: true }).select('thumbnails').lean();
+      const currentKeys = new Set((current?.thumbnails || []).map(thumbnail => thumbnail.storageKey));
+      await this.deleteStoredThumbnails(file, thumbnails.filter(thumbnail => !currentKeys.has(thumbnail.storageKey)));
+      return current
+        ? { status: 'superseded', thumbnails: [] }
+        : { status: 'failed', thumbnails: [], error: 'The file was deleted' };
+    }
+
+    // Regenerated derivatives replace any stored under different keys
+    const currentKeys = new Set(thumbnails.map(thumbnail => thumbnail.storageKey));
+    await this.deleteStoredThumbnails(file, previous.filter(thumbnail => !currentKeys.has(thumbnail.storageKey)));
+
+    return { status: 'ready', thumbnails };
+  }
+
+  /**
+   * Build thumbnail entries from provider transformation URLs
+   * @param {Object} file - File document
+   * @param {Object} type - Derivative type from getDerivativeType()
+   * @param {StorageProvider} provider - Provider the file is stored with
+   * @returns {Array|null} Thumbnail entries, or null when the provider cannot transform
+   */
+  static buildDerivativeUrls(file, type, provider) {
+    const thumbnails = [];
+
+    for (const [size, width] of Object.entries(AppConfig.getThumbnailConfig().sizes)) {
+      const url = provider.getDerivativeUrl(file.storageKey, {
+        ...this.getDimensions(type.kind, width),
+        kind: type.kind,
+        format: type.format,
+        resourceType: file.metadata?.resourceType
+      });
+      if (!url) return null;
+
+      thumbnails.push({ size, kind: type.kind, url, mimeType: type.mimeType });
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Render thumbnails locally and store them with the file's provider
+   * The largest size is rendered from the original, smaller sizes are scaled from it
+   * @param {Object} file - File document
+   * @param {Object} type - Derivative type from getDerivativeType()
+   * @param {StorageProvider} provider - Provider the file is stored with
+   * @returns {Promise<Array>} Thumbnail entries
+   */
+  static async renderDerivatives(file, type, provider) {
+    const config = AppConfig.getThumbnailConfig();
+    const sizes = Object.entries(config.sizes).sort((a, b) => b[1] - a[1]);
+    const { dir: workDir, path: sourcePath } = await StorageService.downloadToTempDir(file, 'thumbnails-');
+
+    try {
+      const basePath = await this.renderBase(sourcePath, type, sizes[0][1], workDir);
+      const thumbnails = [];
+
+      for (const [size, width] of sizes) {
+        const outputPath = path.join(workDir, `${size}.${type.format}`);
+        const { width: maxWidth, height: maxHeight } = this.getDimensions(type.kind, width);
+        await this.runTool(config.ffmpegPath, [
+          '-y', '-i', basePath,
+          '-vf', this.scaleFilter(maxWidth, maxHeight),
+          '-frames:v', '1',
+          outputPath
+        ]);
+
+        const stored = await provider.upload({
+          buffer: await fs.promises.readFile(outputPath),
+          originalname: path.basename(outputPath),
+          mimetype: type.mimeType
+        }, {
+          key: this.getStorageKey(file, size, type.format),
+          mimeType: type.mimeType
+        });
+
+        thumbnails.push({
+          size,
+          kind: type.kind,
+          storageKey: stored.key,
+          url: stored.url,
+          mimeType: type.mimeType
+        });
+      }
+
+      return thumbnails;
+
+    } finally {
+      await StorageService.removeTempDir(workDir);
+    }
+  }
+
+  /**
+   * Render the largest derivative from the original content
+   * @param {string} sourcePath - Path of the original content
+   * @param {Object} type - Derivative type from getDerivativeType()
+   * @param {number} width - Largest thumbnail size in pixels
+   * @param {string} workDir - Directory for intermediate files
+   * @returns {Promise<string>} Path of the rendered image
+   */
+  static async renderBase(sourcePath, type, width, workDir) {
+    const config = AppConfig.getThumbnailConfig();
+    const { width: maxWidth, height: maxHeight } = this.getDimensions(type.kind, width);
+    const basePath = path.join(workDir, `base.${type.format}`);
+
+    switch (type.kind) {
+      case 'thumbnail':
+        await this.runTool(config.ffmpegPath, [
+          '-y', '-i', sourcePath,
+          '-vf', this.scaleFilter(maxWidth, maxHeight),
+          '-frames:v', '1',
+          basePath
+        ]);
+        return basePath;
+
+      case 'poster':
+        // The thumbnail filter picks a representative frame, skipping black intros
+        await this.runTool(config.ffmpegPath, [
+          '-y', '-i', sourcePath,
+          '-vf', `thumbnail,${this.scaleFilter(maxWidth, maxHeight)}`,
+          '-frames:v', '1',
+          basePath
+        ]);
+        return basePath;
+
+      case 'waveform':
+        await this.runTool(config.ffmpegPath, [
+          '-y', '-i', sourcePath,
+          '-filter_complex', `showwavespic=s=${maxWidth}x${maxHeight}:colors=0x667eea`,
+          '-frames:v', '1',
+          basePath
+        ]);
+        return basePath;
+
+      case 'preview': {
+        // pdftoppm appends the extension to the output prefix itself
+        const prefix = path.join(workDir, 'base');
+        await this.runTool(config.pdftoppmPath, [
+          '-f', '1', '-l', '1', '-singlefile',
+          '-jpeg', '-scale-to', String(maxWidth),
+          sourcePath, prefix
+        ]);
+        return basePath;
+      }
+
+      default:
+        throw new Error(`Unknown derivative kind: ${type.kind}`);
+    }
+  }
+
+  /**
+   * Run an external rendering tool
+   * @param {string} command - Executable name or path
+   * @param {Array<string>} args - Arguments
+   * @returns {Promise<string>} Standard output
+   */
+  static async runTool(command, args) {
+    return runTool(command, args, { timeoutMs: AppConfig.getThumbnailConfig().timeoutMs });
+  }
+
+  /**
+   * ffmpeg filter that fits an image inside a box without upscaling it
+   * @param {number} width - Maximum width
+   * @param {number} height - Maximum height
+   * @returns {string} Filter expression
+   */
+  static scaleFilter(width, height) {
+    return `scale=w='min(${width},iw)':h='min(${height},ih)':force_original_aspect_ratio=decrease`;
+  }
+
+  /**
+   * Bounding box of a derivative
+   * @param {string} kind - Derivative kind
+   * @param {number} width - Configured size in pixels
+   * @returns {Object} Width and height
+   */
+  static getDimensions(kind, width) {
+    return {
+      width,
+      height: kind === 'waveform' ? Math.round(width / WAVEFORM_ASPECT_RATIO) : width
+    };
+  }
+
+  /**
+   * Storage key of a rendered derivative
+   * @param {Object} file - File document
+   * @param {string} size - Size name
+   * @param {string} format - Output format
+   * @returns {string} Storage key
+   */
+  static getStorageKey(file, size, format) {
+    // Per version, so rendering for replaced content never overwrites the current thumbnails
+    return `thumbnails/${file.uploadedBy}/${file._id}-v${file.version || 1}-${size}.${format}`;
+  }
+
+  /**
+   * Record the outcome of thumbnail generation on the file
+   * @param {Object} file - File document
+   * @param {string} status - Thumbnail status
+   * @param {Array} thumbnails - Thumbnail entries
+   * @param {string} jobId - Job generating them, if any
+   * @returns {Promise<boolean>} Whether the file still exists (and the job still belongs to it)
+   */
+  static async saveResult(file, status, thumbnails, jobId) {
+    const result = await File.updateOne(
+      File.jobResultFilter(file._id, jobId),
+      { $set: { thumbnailStatus: status, thumbnails } }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Open a file's thumbnail for reading (viewers only)
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @param {string} size - Size name (small, medium, large)
+   * @returns {Promise<Object>} Content stream, size and content type
+   */
+  static async getThumbnail(fileId, userId, size) {
+    try {
+      const config = AppConfig.getThumbnailConfig();
+      const sizeName = size || config.defaultSize;
+
+      if (!config.sizes[sizeName]) {
+        throw createHttpError(`size must be one of: ${Object.keys(config.sizes).join(', ')}`, 400);
+      }
+
+      const file = await File.findById(fileId)
+        .select('uploadedBy folder isPublic storageProvider thumbnails thumbnailStatus')
+        .catch(() => null);
+      await PermissionService.assertFileRole(file, userId, 'viewer');
+
+      const thumbnail = file.thumbnails.find(entry => entry.size === sizeName);
+      if (!thumbnail) {
+        throw createHttpError(
+          file.thumbnailStatus === 'pending' ? 'Thumbnail is not ready yet' : 'No thumbnail available for this file',
+          404
+        );
+      }
+
+      const provider = StorageService.getProvider(file.storageProvider);
+      const content = await provider.download(thumbnail.storageKey, {
+        url: thumbnail.url,
+        mimeType: thumbnail.mimeType
+      });
+
+      return {
+        success: true,
+        ...content,
+        thumbnail
+      };
+
+    } catch (error) {
+      console.error('Get thumbnail service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to load thumbnail',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a file's stored thumbnails
+   * @param {Object} file - File document
+   * @param {Array} thumbnails - Thumbnail entries (defaults to the file's own)
+   */
+  static async deleteStoredThumbnails(file, thumbnails = file.thumbnails || []) {
+    const provider = StorageService.getProvider(file.storageProvider);
+
+    for (const thumbnail of thumbnails) {
+      if (!thumbnail.storageKey) continue;
+      try {
+        await provider.delete(thumbnail.storageKey, { resourceType: 'image' });
+      } catch (error) {
+        console.error('Thumbnail cleanup error:', error);
+        // Don't throw error for cleanup issues
+      }
+    }
+  }
+}
+
+module.exports = ThumbnailService;
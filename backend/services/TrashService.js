@@ -0,0 +1,249 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const FileService = require('./FileService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * TrashService - Deleted files waiting to be purged
+ * FileService.deleteFile only marks a file as deleted; the owner can restore it or
+ * delete it for good until the retention window passes, after which the purge job
+ * deletes its content and frees its storage
+ */
+class TrashService {
+
+  /**
+   * List the files in a user's trash, most recently deleted first
+   * @param {string} userId - User ID
+   * @param {Object} params - page, limit
+   * @returns {Promise<Object>} Trashed files, totals and pagination
+   */
+  static async getTrash(userId, params = {}) {
+    try {
+      const { defaultLimit, maxLimit } = AppConfig.getPaginationConfig();
+      const page = Math.max(parseInt(params.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(params.limit) || defaultLimit, 1), maxLimit);
+      const query = { uploadedBy: userId, deletedAt: { $ne: null } };
+
+      const [files, totals] = await Promise.all([
+        File.find(query)
+          .sort({ deletedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-url -thumbnails.url')
+          .lean(),
+        File.aggregate([
+          { $match: query },
+          { $group: { _id: null, totalFiles: { $sum: 1 }, totalSize: { $sum: '$size' } } }
+        ])
+      ]);
+      const { totalFiles = 0, totalSize = 0 } = totals[0] || {};
+
+      return {
+        success: true,
+        files: files.map(file => ({ ...file, purgeAt: this.getPurgeDate(file) })),
+        totalSize,
+        retentionDays: AppConfig.getTrashConfig().retentionDays,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalFiles / limit),
+          totalFiles,
+          hasNext: page * limit < totalFiles,
+          hasPrev: page > 1,
+          limit
+        }
+      };
+
+    } catch (error) {
+      console.error('Get trash service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get trash',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Restore a file from the trash
+   * A file whose folder was deleted meanwhile is restored to the top level
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Restored file
+   */
+  static async restoreFile(fileId, userId) {
+    try {
+      const trashed = await this.findTrashedFile(fileId, userId);
+      if (trashed.purge?.startedAt) {
+        throw createHttpError('This file is being deleted permanently', 409);
+      }
+      const folderExists = !trashed.folder || await Folder.exists({ _id: trashed.folder, owner: userId });
+
+      const file = await File.findOneAndUpdate(
+        { _id: trashed._id, deletedAt: { $ne: null }, 'purge.startedAt': null },
+        { $set: { deletedAt: null, deletedBy: null, ...(folderExists ? {} : { folder: null }) } },
+        { new: true }
+      );
+      if (!file) {
+        throw createHttpError('File not found in trash', 404);
+      }
+
+      return {
+        success: true,
+        file,
+        message: folderExists ? 'File restored' : 'File restored to My Files (its folder no longer exists)'
+      };
+
+    } catch (error) {
+      console.error('Restore file service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to restore file',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Permanently delete a file from the trash
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteForever(fileId, userId) {
+    try {
+      const file = await this.findTrashedFile(fileId, userId);
+      await FileService.purgeFile(file);
+
+      return {
+        success: true,
+        message: 'File permanently deleted'
+      };
+
+    } catch (error) {
+      console.error('Delete file forever service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to delete file',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Permanently delete every file in a user's trash
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Number of files deleted
+   */
+  static async emptyTrash(userId) {
+    try {
+      const files = await File.find({ uploadedBy: userId, deletedAt: { $ne: null } });
+
+      let deletedCount = 0;
+      for (const file of files) {
+        if (await FileService.purgeFile(file)) deletedCount += 1;
+      }
+
+      return {
+        success: true,
+        deletedCount,
+        message: `${deletedCount} file(s) permanently deleted`
+      };
+
+    } catch (error) {
+      console.error('Empty trash service error:', error);
+      throw {
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to empty trash',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Purge files that have been in the trash longer than the retention window
+   * One failing file does not stop the rest; it stays in the trash, marked as purging,
+   * and the next run finishes its cleanup
+   * @param {Object} options - limit (files per run, defaults to TRASH_PURGE_BATCH_SIZE)
+   * @returns {Promise<Object>} Counts ({ purged, failed })
+   */
+  static async purgeExpired(options = {}) {
+    const { retentionDays, purgeBatchSize } = AppConfig.getTrashConfig();
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+
+    const files = await File.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .sort({ deletedAt: 1 })
+      .limit(options.limit || purgeBatchSize);
+
+    const counts = { purged: 0, failed: 0 };
+    for (const file of files) {
+      try {
+        if (await FileService.purgeFile(file)) counts.purged += 1;
+      } catch (error) {
+        counts.failed += 1;
+        console.error(`Trash purge error (file ${file._id}):`, error);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Run the purge job periodically inside the API server
+   * Does nothing when TRASH_PURGE_ENABLED=false (e.g. when cron runs npm run trash:purge)
+   * @returns {Object|null} Interval timer
+   */
+  static schedulePurge() {
+    const { purgeEnabled, purgeIntervalMinutes } = AppConfig.getTrashConfig();
+    if (!purgeEnabled) return null;
+
+    const run = () => {
+      this.purgeExpired()
+        .then(({ purged, failed }) => {
+          if (purged || failed) console.log(`🗑️  Trash purge: ${purged} file(s) purged, ${failed} failed`);
+        })
+        .catch(error => {
+          console.error('Trash purge error:', error);
+        });
+    };
+
+    setImmediate(run);
+    const timer = setInterval(run, purgeIntervalMinutes * 60 * 1000);
+    timer.unref();
+
+    return timer;
+  }
+
+  /**
+   * Find a file in a user's trash
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} File document
+   */
+  static async findTrashedFile(fileId, userId) {
+    const file = await File.findOne({ _id: fileId, uploadedBy: userId, deletedAt: { $ne: null } }).catch(() => null);
+
+    if (!file) {
+      throw createHttpError('File not found in trash', 404);
+    }
+
+    return file;
+  }
+
+  /**
+   * When a trashed file will be purged
+   * @param {Object} file - Trashed file
+   * @returns {Date} Purge date
+   */
+  static getPurgeDate(file) {
+    return new Date(new Date(file.deletedAt).getTime() + AppConfig.getTrashConfig().retentionDays * DAY_MS);
+  }
+}
+
+module.exports = TrashService;
@@ -0,0 +1,518 @@
+const { Transform } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const StorageService = require('./StorageService');
+const FileService = require('./FileService');
+const ContentStoreService = require('./ContentStoreService');
+const ImageHashService = require('./ImageHashService');
+const FolderService = require('./FolderService');
+const QuotaService = require('./QuotaService');
+const AppConfig = require('../config/app');
+const { ALLOWED_MIME_TYPES } = require('../middleware/upload');
+const { createHttpError } = require('../utils/helpers');
+
+// S3 allows at most 10,000 parts per multipart upload
+const MAX_PARTS = 10000;
+// Expired sessions handled per sweep run
+const SWEEP_BATCH_SIZE = 200;
+// Sessions that may still have staged parts or a provider multipart upload to abort
+const ABORTABLE_STATUSES = ['pending', 'completing', 'expired'];
+
+// Whether this process has removed the TTL index older versions used to expire sessions
+let ttlIndexChecked = false;
+
+/**
+ * UploadSessionService - Resumable chunked uploads
+ * Parts are streamed to the storage provider as they arrive and tracked in MongoDB,
+ * so an interrupted upload can continue from the last stored part
+ */
+class UploadSessionService {
+
+  /**
+   * Start an upload session
+   * @param {string} userId - User ID
+   * @param {Object} data - Session data
+   * @param {string} data.fileName - Original filename
+   * @param {string} data.mimeType - MIME type
+   * @param {number} data.size - Total size in bytes
+   * @param {number} data.chunkSize - Requested part size in bytes
+   * @returns {Promise<Object>} Created session
+   */
+  static async createSession(userId, data) {
+    try {
+      const { fileName, mimeType, title, description, tags, category, isPublic } = data;
+      const size = parseInt(data.size);
+      const config = AppConfig.getFileUploadConfig();
+
+      if (!fileName || !mimeType || !size || size < 1) {
+        throw createHttpError('fileName, mimeType and size are required', 400);
+      }
+      if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+        throw createHttpError(`File type ${mimeType} is not allowed`, 400);
+      }
+      if (size > config.maxChunkedFileSize) {
+        throw createHttpError(`File size exceeds maximum limit of ${config.maxChunkedFileSize / 1024 / 1024}MB`, 400);
+      }
+
+      // Parts must respect the provider minimum and the part count limit
+      let chunkSize = Math.max(parseInt(data.chunkSize) || config.chunkSize, config.minChunkSize);
+      chunkSize = Math.max(chunkSize, Math.ceil(size / MAX_PARTS));
+      const totalParts = Math.max(1, Math.ceil(size / chunkSize));
+
+      const folder = await FolderService.resolveFolder(data.folder, userId);
+      const fileType = FileService.determineFileType(mimeType);
+
+      // Pending sessions count against the quota, so parts are never sent for an upload that cannot fit
+      await QuotaService.assertCanStore(userId, { fileType, size });
+      const multipart = await StorageService.createMultipartUpload({
+        originalName: fileName,
+        mimeType,
+        userId,
+        fileType
+      });
+
+      const session = await UploadSession.create({
+        user: userId,
+        originalName: fileName,
+        mimeType,
+        fileType,
+        size,
+        chunkSize,
+        totalParts,
+        storageProvider: multipart.provider,
+        storageKey: multipart.key,
+        providerUploadId: multipart.uploadId,
+        fileData: {
+          title,
+          description,
+          tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
+          category,
+          isPublic: isPublic === 'true' || isPublic === true,
+          folder: folder ? folder._id : null
+        },
+        expiresAt: this.getExpiryDate()
+      });
+
+      return {
+        success: true,
+        session: this.formatSession(session),
+        message: 'Upload session created'
+      };
+
+    } catch (error) {
+      console.error('Create upload session service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to create upload session',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a user's pending upload sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Pending sessions
+   */
+  static async getPendingSessions(userId) {
+    try {
+      const sessions = await UploadSession.find({ user: userId, status: 'pending', expiresAt: { $gt: new Date() } })
+        .sort({ updatedAt: -1 });
+
+      return {
+        success: true,
+        sessions: sessions.map(session => this.formatSession(session))
+      };
+
+    } catch (error) {
+      console.error('Get upload sessions service error:', error);
+      throw {
+        success: false,
+        message: 'Failed to get upload sessions',
+        statusCode: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get an upload session with its received parts
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Session
+   */
+  static async getSession(sessionId, userId) {
+    try {
+      const session = await this.findSession(sessionId, userId);
+
+      return {
+        success: true,
+        session: this.formatSession(session)
+      };
+
+    } catch (error) {
+      console.error('Get upload session service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to get upload session',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Stream one part of an upload to storage
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Readable} body - Request body stream
+   * @param {number} contentLength - Declared length of the body
+   * @returns {Promise<Object>} Updated session
+   */
+  static async uploadPart(sessionId, userId, partNumber, body, contentLength) {
+    try {
+      const session = await this.findSession(sessionId, userId, 'pending');
+
+      if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+        throw createHttpError(`Part number must be between 1 and ${session.totalParts}`, 400);
+      }
+
+      const expectedSize = session.getPartSize(partNumber);
+      if (contentLength !== expectedSize) {
+        throw createHttpError(`Part ${partNumber} must be exactly ${expectedSize} bytes`, 400);
+      }
+
+      // Guard against clients sending more than they declared
+      let received = 0;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > expectedSize) {
+            return callback(createHttpError('Part body exceeds declared size', 400));
+          }
+          callback(null, chunk);
+        }
+      });
+      body.on('error', (error) => limiter.destroy(error));
+
+      const { etag } = await StorageService.uploadPart(session, partNumber, body.pipe(limiter), expectedSize);
+
+      if (received !== expectedSize) {
+        throw createHttpError(`Part ${partNumber} was incomplete (${received} of ${expectedSize} bytes)`, 400);
+      }
+
+      // One update replaces any earlier attempt of the same part, so concurrent uploads of
+      // a part leave one entry, and nothing is recorded once the session was claimed or expired
+      const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'pending' },
+        [{
+          $set: {
+            parts: {
+              $concatArrays: [
+                { $filter: { input: '$parts', cond: { $ne: ['$$this.partNumber', partNumber] } } },
+                { $literal: [{ partNumber, size: received, etag }] }
+              ]
+            },
+            expiresAt: this.getExpiryDate()
+          }
+        }],
+        { new: true }
+      );
+      if (!updated) {
+        throw createHttpError('Upload session is no longer accepting parts', 409);
+      }
+
+      return {
+        success: true,
+        session: this.formatSession(updated),
+        message: `Part ${partNumber} uploaded`
+      };
+
+    } catch (error) {
+      console.error('Upload part service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to upload part',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Assemble all parts and create the File record
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Created file
+   */
+  static async completeSession(sessionId, userId) {
+    let session = null;
+    let assembled = null;
+    try {
+      // Claimed before anything is assembled, so two completions cannot both create a file
+      session = await this.claimSession(sessionId, userId);
+
+      const received = new Set(session.parts.map(part => part.partNumber));
+      const missing = [];
+      for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+        if (!received.has(partNumber)) missing.push(partNumber);
+      }
+      if (missing.length > 0) {
+        throw createHttpError(`Upload is incomplete. Missing parts: ${missing.join(', ')}`, 400);
+      }
+
+      // Other uploads may have used up the space since the session started
+      await QuotaService.assertCanStore(userId, {
+        fileType: session.fileType,
+        size: session.size,
+        excludeSession: session._id
+      });
+
+      // Parts may arrive in any order, so the content is hashed once it is assembled
+      assembled = await StorageService.completeMultipartUpload(session);
+      let stored;
+      try {
+        stored = await ContentStoreService.adoptStored(assembled, userId, {
+          mimeType: session.mimeType,
+          size: session.size
+        });
+      } catch (error) {
+        await ContentStoreService.deleteContent(ContentStoreService.toStoredFile(assembled, session));
+        throw error;
+      }
+
+      // Releases the adopted content itself when the record cannot be saved
+      const file = await FileService.createFileRecord(stored, {
+        ...session.fileData.toObject(),
+        originalName: session.originalName,
+        mimeType: session.mimeType,
+        size: session.size
+      }, userId);
+
+      await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'completed', file: file._id } });
+
+      const duplicates = await ImageHashService.findUploadDuplicates(file, userId);
+
+      return {
+        success: true,
+        file,
+        duplicates,
+        message: FileService.getUploadMessage(duplicates)
+      };
+
+    } catch (error) {
+      if (session) {
+        // Parts are used up once assembled; until then the client can fix the problem and try again
+        await UploadSession.updateOne(
+          { _id: session._id, status: 'completing' },
+          { $set: { status: assembled ? 'failed' : 'pending' } }
+        ).catch(updateError => console.error('Upload session release error:', updateError));
+      }
+      console.error('Complete upload session service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to complete upload',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Abort an upload session and discard its parts
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Abort result
+   */
+  static async abortSession(sessionId, userId) {
+    try {
+      const session = await this.findSession(sessionId, userId, 'pending');
+
+      await StorageService.abortMultipartUpload(session);
+
+      session.status = 'aborted';
+      await session.save();
+
+      return {
+        success: true,
+        message: 'Upload aborted'
+      };
+
+    } catch (error) {
+      console.error('Abort upload session service error:', error);
+      throw {
+        success: false,
+        message: error.message || 'Failed to abort upload',
+        statusCode: error.statusCode || 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Abort and remove upload sessions past their expiry date
+   * Unfinished sessions are claimed first, so parts or completions arriving at the same
+   * time are refused; their staged parts (or the provider's multipart upload) are then
+   * aborted before the session is deleted. A session whose abort fails stays expired and
+   * is retried on the next run
+   * @param {Object} options - limit (sessions per run, defaults to 200)
+   * @returns {Promise<Object>} Counts ({ expired, failed })
+   */
+  static async expireSessions(options = {}) {
+    await this.removeTtlIndex();
+
+    const now = new Date();
+    const sessions = await UploadSession.find({ expiresAt: { $lte: now } })
+      .sort({ expiresAt: 1 })
+      .limit(options.limit || SWEEP_BATCH_SIZE);
+
+    const counts = { expired: 0, failed: 0 };
+    for (const session of sessions) {
+      try {
+        if (ABORTABLE_STATUSES.includes(session.status)) {
+          const claimed = await UploadSession.findOneAndUpdate(
+            { _id: session._id, status: session.status, expiresAt: { $lte: now } },
+            { $set: { status: 'expired' } },
+            { new: true }
+          );
+          // A part or completion moved the session on in the meantime
+          if (!claimed) continue;
+
+          await StorageService.abortMultipartUpload(claimed);
+        }
+
+        await UploadSession.deleteOne({ _id: session._id, expiresAt: { $lte: now } });
+        counts.expired += 1;
+      } catch (error) {
+        counts.failed += 1;
+        console.error(`Upload session expiry error (session ${session._id}):`, error);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Run the expiry sweep periodically inside the API server
+   * Does nothing when UPLOAD_SESSION_SWEEP_ENABLED=false (e.g. when cron runs npm run uploads:expire)
+   * @returns {Object|null} Interval timer
+   */
+  static scheduleExpirySweep() {
+    const { uploadSessionSweepEnabled, uploadSessionSweepIntervalMinutes } = AppConfig.getFileUploadConfig();
+    if (!uploadSessionSweepEnabled) return null;
+
+    const run = () => {
+      this.expireSessions()
+        .then(({ expired, failed }) => {
+          if (expired || failed) console.log(`⏳ Upload session sweep: ${expired} session(s) removed, ${failed} failed`);
+        })
+        .catch(error => {
+          console.error('Upload session sweep error:', error);
+        });
+    };
+
+    setImmediate(run);
+    const timer = setInterval(run, uploadSessionSweepIntervalMinutes * 60 * 1000);
+    timer.unref();
+
+    return timer;
+  }
+
+  /**
+   * Drop the TTL index older versions created on expiresAt
+   * MongoDB would otherwise delete expired sessions before the sweep can abort them
+   */
+  static async removeTtlIndex() {
+    if (ttlIndexChecked) return;
+
+    const indexes = await UploadSession.collection.indexes().catch(() => []);
+    const ttlIndex = indexes.find(index => index.expireAfterSeconds !== undefined && index.key.expiresAt);
+    if (ttlIndex) {
+      await UploadSession.collection.dropIndex(ttlIndex.name);
+      console.log(`🧹 Dropped upload session TTL index ${ttlIndex.name}`);
+    }
+    ttlIndexChecked = true;
+  }
+
+  /**
+   * Claim a pending session for completion
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Session document, now completing
+   */
+  static async claimSession(sessionId, userId) {
+    const session = await UploadSession.findOneAndUpdate(
+      { _id: sessionId, user: userId, status: 'pending', expiresAt: { $gt: new Date() } },
+      // The sweep leaves the session alone while it completes
+      { $set: { status: 'completing', expiresAt: this.getExpiryDate() } },
+      { new: true }
+    ).catch(() => null);
+
+    if (!session) {
+      // Report why: not found, expired or no longer pending
+      await this.findSession(sessionId, userId, 'pending');
+      throw createHttpError('Upload session is already completing', 409);
+    }
+
+    return session;
+  }
+
+  /**
+   * Find a session owned by the user
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @param {string} status - Required status
+   * @returns {Promise<Object>} Session document
+   */
+  static async findSession(sessionId, userId, status) {
+    const session = await UploadSession.findOne({ _id: sessionId, user: userId })
+      .catch(() => null);
+
+    if (!session) {
+      throw createHttpError('Upload session not found', 404);
+    }
+    if (status && session.status !== status) {
+      throw createHttpError(`Upload session is already ${session.status}`, 409);
+    }
+    // Expired sessions wait for the sweep to discard their parts
+    if (status === 'pending' && session.expiresAt <= new Date()) {
+      throw createHttpError('Upload session has expired', 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Expiry date for a session touched now
+   * @returns {Date} Expiry date
+   */
+  static getExpiryDate() {
+    const { uploadSessionTtlHours } = AppConfig.getFileUploadConfig();
+    return new Date(Date.now() + uploadSessionTtlHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Format a session for API responses
+   * @param {Object} session - UploadSession document
+   * @returns {Object} Session response
+   */
+  static formatSession(session) {
+    return {
+      id: session._id,
+      originalName: session.originalName,
+      mimeType: session.mimeType,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalParts: session.totalParts,
+      uploadedParts: session.parts.map(part => part.partNumber).sort((a, b) => a - b),
+      uploadedBytes: session.uploadedBytes,
+      status: session.status,
+      file: session.file,
+      expiresAt: session.expiresAt,
+      createdAt: session.createdAt
+    };
+  }
+}
+
+module.exports = UploadSessionService;
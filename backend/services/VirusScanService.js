@@ -0,0 +1,86 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const StorageService = require('./StorageService');
+const AppConfig = require('../config/app');
+const { createHttpError } = require('../utils/helpers');
+const { runTool } = require('../utils/mediaTools');
+
+/**
+ * VirusScanService - Scans stored content with ClamAV
+ * Runs as a background job after upload (see JobQueueService). clamscan and
+ * clamdscan exit with 1 when they find a virus and 2 when the scan itself fails;
+ * infected files stay with their owner but can no longer be downloaded
+ */
+class VirusScanService {
+
+  /**
+   * Scan a file's content and record the outcome on the file
+   * @param {string} fileId - File ID
+   * @param {Object} options - jobId of the job scanning it
+   * @returns {Promise<Object>} Scan status, the virus found (if any) and the error of a failed scan
+   */
+  static async scanFile(fileId, options = {}) {
+    const file = await File.findById(fileId).select('mimeType storageProvider storageKey url size');
+    if (!file) {
+      throw createHttpError('File not found', 404);
+    }
+    const filter = File.jobResultFilter(file._id, options.jobId);
+
+    const { command, timeoutMs } = AppConfig.getVirusScanConfig();
+    let virusName = null;
+    let dir;
+
+    try {
+      const download = await StorageService.downloadToTempDir(file, 'scan-');
+      dir = download.dir;
+
+      try {
+        await runTool(command, ['--no-summary', download.path], { timeoutMs });
+      } catch (error) {
+        if (error.exitCode !== 1) throw error;
+        virusName = this.parseVirusName(error.stdout) || 'Unknown';
+      }
+    } catch (error) {
+      console.error(`Virus scan failed for file ${file._id}:`, error.message || error);
+      await File.updateOne(filter, { $set: { scanStatus: 'failed' } });
+      return { status: 'failed', virusName: null, error: error.message };
+    } finally {
+      if (dir) await StorageService.removeTempDir(dir);
+    }
+
+    const outcome = { scanStatus: virusName ? 'infected' : 'clean', virusName };
+    const { matchedCount } = await File.updateOne(filter, { $set: outcome });
+    if (matchedCount === 0) {
+      // The scanned content was archived as a version while the scan ran
+      await FileVersion.updateMany({ file: file._id, storageKey: file.storageKey, scanStatus: 'pending' }, { $set: outcome });
+      return { status: 'superseded', virusName };
+    }
+    if (virusName) {
+      console.warn(`⚠️  Virus found in file ${file._id}: ${virusName}`);
+    }
+
+    return { status: virusName ? 'infected' : 'clean', virusName };
+  }
+
+  /**
+   * Throw if a file's content was found to be infected
+   * @param {Object} file - File document
+   */
+  static assertNotInfected(file) {
+    if (file.scanStatus === 'infected') {
+      throw createHttpError('This file cannot be downloaded because a virus was found in it', 403);
+    }
+  }
+
+  /**
+   * Read the virus name from clamscan output ("<path>: <name> FOUND")
+   * @param {string} output - Standard output of the scan
+   * @returns {string|null} Virus name
+   */
+  static parseVirusName(output) {
+    const match = /: (.+) FOUND\s*$/m.exec(String(output || ''));
+    return match ? match[1] : null;
+  }
+}
+
+module.exports = VirusScanService;
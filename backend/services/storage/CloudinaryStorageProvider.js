@@ -0,0 +1,127 @@
+const CloudinaryService = require('../CloudinaryService');
+const CloudinaryConfig = require('../../config/cloudinary');
+const StorageProvider = require('./StorageProvider');
+
+/**
+ * CloudinaryStorageProvider - Adapts CloudinaryService to the storage provider interface
+ * Cloudinary picks its own public ID, so the suggested key is ignored
+ */
+class CloudinaryStorageProvider extends StorageProvider {
+
+  /**
+   * @param {Object} config - Cloudinary storage config from AppConfig.getStorageConfig()
+   */
+  constructor(config) {
+    super('cloudinary');
+    this.folder = config.folder;
+  }
+
+  /**
+   * Upload a file to Cloudinary
+   * @param {Object} file - File object from multer or express-fileupload
+   * @returns {Promise<Object>} Stored object details
+   */
+  async upload(file) {
+    const result = await CloudinaryService.uploadFile(file, {
+      folder: this.folder,
+      resource_type: 'auto'
+    });
+
+    return {
+      success: true,
+      provider: this.name,
+      key: result.cloudinaryId,
+      url: result.secureUrl,
+      size: result.bytes,
+      fileName: result.fileName,
+      format: result.format,
+      width: result.width,
+      height: result.height,
+      resourceType: result.resourceType
+    };
+  }
+
+  /**
+   * Copy a Cloudinary asset by uploading it again from its delivery URL
+   * @param {string} sourceKey - Cloudinary public ID of the existing asset
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Stored object details
+   */
+  async copy(sourceKey, options) {
+    const result = await CloudinaryService.copyFile(options.url, {
+      folder: this.folder,
+      originalName: options.originalName
+    });
+
+    return {
+      success: true,
+      provider: this.name,
+      key: result.cloudinaryId,
+      url: result.secureUrl,
+      size: result.bytes,
+      fileName: result.fileName,
+      format: result.format,
+      width: result.width,
+      height: result.height,
+      resourceType: result.resourceType
+    };
+  }
+
+  /**
+   * Delete a file from Cloudinary
+   * @param {string} key - Cloudinary public ID
+   * @param {Object} options - Options
+   * @param {string} options.resourceType - Cloudinary resource type
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(key, options = {}) {
+    return CloudinaryService.deleteFile(key, options.resourceType || 'auto');
+  }
+
+  /**
+   * Build the delivery URL for a Cloudinary asset
+   * @param {string} key - Cloudinary public ID
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return CloudinaryService.generateTransformationUrl(key, {});
+  }
+
+  /**
+   * Build a Cloudinary transformation URL for a derivative
+   * Audio and video are 'video' resources; PDFs are 'image' resources with pages
+   * @param {string} key - Cloudinary public ID
+   * @param {Object} spec - Derivative spec
+   * @returns {string|null} Derivative URL, or null for raw assets
+   */
+  getDerivativeUrl(key, spec) {
+    const { kind, width, height, format, resourceType } = spec;
+    if (resourceType === 'raw') return null;
+
+    const options = {
+      width,
+      height,
+      format,
+      resourceType: kind === 'poster' || kind === 'waveform' ? 'video' : 'image'
+    };
+
+    if (kind === 'poster') options.startOffset = 'auto';
+    if (kind === 'waveform') options.flags = 'waveform';
+    if (kind === 'preview') options.page = 1;
+
+    return CloudinaryService.generateTransformationUrl(key, options);
+  }
+
+  /**
+   * Get provider status for the health check
+   * @returns {Object} Status details
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      ...CloudinaryConfig.getConfigStatus()
+    };
+  }
+}
+
+module.exports = CloudinaryStorageProvider;
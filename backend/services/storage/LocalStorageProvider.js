@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const StorageProvider = require('./StorageProvider');
+
+/**
+ * LocalStorageProvider - Stores files on the local filesystem
+ * Intended for offline development and CI. Content is only served through the
+ * authorized download endpoints; the recorded URL is not served
+ */
+class LocalStorageProvider extends StorageProvider {
+
+  /**
+   * @param {Object} config - Local storage config from AppConfig.getStorageConfig()
+   */
+  constructor(config) {
+    super('local');
+    this.rootDir = path.resolve(config.rootDir);
+    this.publicUrl = config.publicUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the storage root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute path
+   */
+  resolvePath(key) {
+    const target = path.resolve(this.rootDir, key);
+    if (!target.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return target;
+  }
+
+  /**
+   * Write a file below the storage root
+   * @param {Object} file - File object from multer or express-fileupload
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Stored object details
+   */
+  async upload(file, options) {
+    const { key } = options;
+
+    try {
+      const target = this.resolvePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      if (file.buffer) {
+        await fs.promises.writeFile(target, file.buffer);
+      } else if (file.tempFilePath || file.path) {
+        await fs.promises.copyFile(file.tempFilePath || file.path, target);
+      } else {
+        throw new Error('Invalid file format - missing buffer or file path');
+      }
+
+      return this.describe(key);
+
+    } catch (error) {
+      console.error('Local storage upload error:', error);
+      throw {
+        success: false,
+        message: 'Failed to write file to local storage',
+        error: error.message
+      };
+    } finally {
+      await this.cleanupSource(file);
+    }
+  }
+
+  /**
+   * Complete a multipart upload by moving the assembled file into place
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - Uploaded parts in order
+   * @returns {Promise<Object>} Stored object details
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    try {
+      const assembledPath = await this.assembleParts(uploadId, parts);
+      const target = this.resolvePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      try {
+        await fs.promises.rename(assembledPath, target);
+      } catch (error) {
+        // Staging directory may live on another device
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(assembledPath, target);
+      }
+
+      return this.describe(key);
+
+    } catch (error) {
+      console.error('Local storage multipart complete error:', error);
+      throw {
+        success: false,
+        message: 'Failed to assemble uploaded parts',
+        error: error.message
+      };
+    } finally {
+      await this.removeStagingDir(uploadId);
+    }
+  }
+
+  /**
+   * Copy a file to a new key below the storage root
+   * @param {string} sourceKey - Storage key of the existing file
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Stored object details
+   */
+  async copy(sourceKey, options) {
+    const { key } = options;
+
+    try {
+      const target = this.resolvePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(this.resolvePath(sourceKey), target);
+
+      return this.describe(key);
+
+    } catch (error) {
+      console.error('Local storage copy error:', error);
+      throw {
+        success: false,
+        message: 'Failed to copy file in local storage',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build stored object details for a file below the storage root
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} Stored object details
+   */
+  async describe(key) {
+    const { size } = await fs.promises.stat(this.resolvePath(key));
+
+    return {
+      success: true,
+      provider: this.name,
+      key,
+      url: this.getUrl(key),
+      size,
+      fileName: path.basename(key),
+      format: path.extname(key).replace('.', '').toLowerCase() || undefined
+    };
+  }
+
+  /**
+   * Open a file below the storage root for reading
+   * @param {string} key - Storage key
+   * @param {Object} options - Read options
+   * @returns {Promise<Object>} Content stream, size and content type
+   */
+  async download(key, options = {}) {
+    const { range } = options;
+    const target = this.resolvePath(key);
+    const { size } = await fs.promises.stat(target);
+
+    return {
+      stream: fs.createReadStream(target, range ? { start: range.start, end: range.end } : {}),
+      size: range ? range.end - range.start + 1 : size,
+      contentType: options.mimeType
+    };
+  }
+
+  /**
+   * Delete a file from the storage root
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(key) {
+    try {
+      await fs.promises.rm(this.resolvePath(key), { force: true });
+
+      return {
+        success: true,
+        message: 'File deleted successfully from local storage'
+      };
+
+    } catch (error) {
+      console.error('Local storage delete error:', error);
+      throw {
+        success: false,
+        message: 'Failed to delete file from local storage',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build the public URL for a stored file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return `${this.publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Get provider status for the health check
+   * @returns {Object} Status details
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      rootDir: this.rootDir,
+      configured: true
+    };
+  }
+}
+
+module.exports = LocalStorageProvider;
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const StorageProvider = require('./StorageProvider');
+
+/**
+ * S3StorageProvider - Stores files in any S3-compatible object store
+ * Works with AWS S3 as well as self-hosted MinIO via S3_ENDPOINT
+ */
+class S3StorageProvider extends StorageProvider {
+
+  /**
+   * @param {Object} config - S3 config from AppConfig.getStorageConfig()
+   */
+  constructor(config) {
+    super('s3');
+    this.bucket = config.bucket;
+    this.endpoint = config.endpoint;
+    this.publicUrl = config.publicUrl ? config.publicUrl.replace(/\/+$/, '') : null;
+    this.forcePathStyle = config.forcePathStyle;
+    this.region = config.region;
+
+    this.client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      credentials: {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey
+      }
+    });
+  }
+
+  /**
+   * Put a file into the bucket
+   * @param {Object} file - File object from multer or express-fileupload
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Stored object details
+   */
+  async upload(file, options) {
+    const { key, mimeType } = options;
+
+    try {
+      let body;
+      let size;
+
+      if (file.buffer) {
+        body = file.buffer;
+        size = file.buffer.length;
+      } else if (file.tempFilePath || file.path) {
+        const sourcePath = file.tempFilePath || file.path;
+        size = (await fs.promises.stat(sourcePath)).size;
+        body = fs.createReadStream(sourcePath);
+      } else {
+        throw new Error('Invalid file format - missing buffer or file path');
+      }
+
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentLength: size,
+        ContentType: mimeType || file.mimetype
+      }));
+
+      return {
+        success: true,
+        provider: this.name,
+        key,
+        url: this.getUrl(key),
+        size,
+        fileName: path.basename(key),
+        format: path.extname(key).replace('.', '').toLowerCase() || undefined
+      };
+
+    } catch (error) {
+      console.error('S3 upload error:', error);
+      throw {
+        success: false,
+        message: 'Failed to upload file to object storage',
+        error: error.message
+      };
+    } finally {
+      await this.cleanupSource(file);
+    }
+  }
+
+  /**
+   * Start a native S3 multipart upload
+   * @param {string} key - Storage key
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Multipart upload details ({ uploadId })
+   */
+  async createMultipartUpload(key, options = {}) {
+    const result = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: options.mimeType
+    }));
+
+    return { uploadId: result.UploadId };
+  }
+
+  /**
+   * Stream one part straight to S3
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Readable} body - Part content stream
+   * @param {Object} options - Part options
+   * @param {number} options.size - Part size in bytes
+   * @returns {Promise<Object>} Stored part details ({ etag })
+   */
+  async uploadPart(key, uploadId, partNumber, body, options = {}) {
+    const result = await this.client.send(new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: options.size
+    }));
+
+    return { etag: result.ETag };
+  }
+
+  /**
+   * Complete a native S3 multipart upload
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - Uploaded parts ({ partNumber, etag }) in order
+   * @returns {Promise<Object>} Stored object details
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    try {
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }));
+
+      const head = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        success: true,
+        provider: this.name,
+        key,
+        url: this.getUrl(key),
+        size: head.ContentLength,
+        fileName: path.basename(key),
+        format: path.extname(key).replace('.', '').toLowerCase() || undefined
+      };
+
+    } catch (error) {
+      console.error('S3 multipart complete error:', error);
+      throw {
+        success: false,
+        message: 'Failed to complete multipart upload',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Abort a native S3 multipart upload
+   * An upload that is already gone (completed or aborted) counts as aborted
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   */
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId
+      }));
+    } catch (error) {
+      if (error.name !== 'NoSuchUpload') throw error;
+    }
+  }
+
+  /**
+   * Copy an object within the bucket
+   * @param {string} sourceKey - Storage key of the existing object
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Stored object details
+   */
+  async copy(sourceKey, options) {
+    const { key, mimeType, size } = options;
+
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        CopySource: `${this.bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+        ContentType: mimeType,
+        MetadataDirective: 'REPLACE'
+      }));
+
+      return {
+        success: true,
+        provider: this.name,
+        key,
+        url: this.getUrl(key),
+        size,
+        fileName: path.basename(key),
+        format: path.extname(key).replace('.', '').toLowerCase() || undefined
+      };
+
+    } catch (error) {
+      console.error('S3 copy error:', error);
+      throw {
+        success: false,
+        message: 'Failed to copy file in object storage',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Storage key
+   * @param {Object} options - Read options
+   * @returns {Promise<Object>} Content stream, size and content type
+   */
+  async download(key, options = {}) {
+    const { range } = options;
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined
+    }));
+
+    return {
+      stream: result.Body,
+      size: result.ContentLength,
+      contentType: options.mimeType || result.ContentType
+    };
+  }
+
+  /**
+   * Delete an object from the bucket
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        success: true,
+        message: 'File deleted successfully from object storage'
+      };
+
+    } catch (error) {
+      console.error('S3 delete error:', error);
+      throw {
+        success: false,
+        message: 'Failed to delete file from object storage',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build the public URL for an object
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    if (this.publicUrl) return `${this.publicUrl}/${encodedKey}`;
+    if (this.endpoint && this.forcePathStyle) {
+      return `${this.endpoint.replace(/\/+$/, '')}/${this.bucket}/${encodedKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+  }
+
+  /**
+   * Get provider status for the health check
+   * @returns {Object} Status details
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      bucket: this.bucket ? '✅ Set' : '❌ Not set',
+      endpoint: this.endpoint || 'aws',
+      configured: !!(this.bucket && process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY)
+    };
+  }
+}
+
+module.exports = S3StorageProvider;
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const stream = require('stream');
+const AppConfig = require('../../config/app');
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * StorageProvider - Base class for storage backends
+ * Concrete providers (Cloudinary, local disk, S3-compatible) implement the same
+ * interface so FileService never talks to a specific SDK directly
+ */
+class StorageProvider {
+
+  /**
+   * @param {string} name - Provider name stored on each File record
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file
+   * @param {Object} file - File object from multer (buffer) or express-fileupload (tempFilePath)
+   * @param {Object} options - Storage options
+   * @param {string} options.key - Suggested storage key
+   * @param {string} options.mimeType - MIME type of the content
+   * @returns {Promise<Object>} Stored object details ({ key, url, size, ... })
+   */
+  async upload(file, options) {
+    throw new Error(`${this.name} storage provider does not implement upload`);
+  }
+
+  /**
+   * Remove a stored object
+   * @param {string} key - Storage key
+   * @param {Object} options - Provider specific options
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(key, options = {}) {
+    throw new Error(`${this.name} storage provider does not implement delete`);
+  }
+
+  /**
+   * Copy a stored object to a new key
+   * @param {string} sourceKey - Storage key of the existing object
+   * @param {Object} options - Storage options
+   * @param {string} options.key - Storage key for the copy
+   * @param {string} options.mimeType - MIME type of the content
+   * @param {string} options.url - URL of the existing object
+   * @param {number} options.size - Size of the existing object in bytes
+   * @param {string} options.originalName - Original filename
+   * @returns {Promise<Object>} Stored object details, as returned by upload()
+   */
+  async copy(sourceKey, options) {
+    throw new Error(`${this.name} storage provider does not implement copy`);
+  }
+
+  /**
+   * Open a stored object for reading
+   * The default implementation fetches the object's URL; providers that can read
+   * directly from their backend override it
+   * @param {string} key - Storage key
+   * @param {Object} options - Read options
+   * @param {string} options.url - URL of the stored object
+   * @param {string} options.mimeType - MIME type of the content
+   * @param {number} options.size - Size of the stored object in bytes
+   * @param {Object} options.range - Inclusive byte range to read ({ start, end }); the whole object when omitted
+   * @returns {Promise<Object>} Content stream, size (of the range, when given) and content type ({ stream, size, contentType })
+   */
+  async download(key, options = {}) {
+    const { range } = options;
+    const response = await fetch(options.url || this.getUrl(key), {
+      headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {}
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to read ${key} from ${this.name} storage (HTTP ${response.status})`);
+    }
+
+    let content = stream.Readable.fromWeb(response.body);
+    // Servers that ignore the Range header send the whole object
+    if (range && response.status !== 206) {
+      content = stream.pipeline(content, this.createRangeStream(range), () => {});
+    }
+
+    return {
+      stream: content,
+      size: range ? range.end - range.start + 1 : parseInt(response.headers.get('content-length')) || options.size,
+      contentType: options.mimeType || response.headers.get('content-type')
+    };
+  }
+
+  /**
+   * Transform that keeps only a byte range of the content passing through it
+   * @param {Object} range - Inclusive byte range ({ start, end })
+   * @returns {Transform} Transform stream
+   */
+  createRangeStream({ start, end }) {
+    let position = 0;
+
+    return new stream.Transform({
+      transform(chunk, encoding, callback) {
+        const chunkStart = position;
+        position += chunk.length;
+
+        if (position <= start || chunkStart > end) return callback();
+        callback(null, chunk.subarray(Math.max(0, start - chunkStart), end - chunkStart + 1));
+      }
+    });
+  }
+
+  /**
+   * Build the URL of a derivative (thumbnail, poster, waveform or page preview)
+   * rendered by the backend itself. Providers without transformation support
+   * return null and derivatives are rendered locally instead
+   * @param {string} key - Storage key of the original object
+   * @param {Object} spec - Derivative spec
+   * @param {string} spec.kind - thumbnail, poster, waveform or preview
+   * @param {number} spec.width - Maximum width in pixels
+   * @param {number} spec.height - Maximum height in pixels
+   * @param {string} spec.format - Output format (jpg or png)
+   * @param {string} spec.resourceType - Provider resource type of the original
+   * @returns {string|null} Derivative URL
+   */
+  getDerivativeUrl(key, spec) {
+    return null;
+  }
+
+  /**
+   * Build the public URL for a stored object
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    throw new Error(`${this.name} storage provider does not implement getUrl`);
+  }
+
+  /**
+   * Start a multipart upload
+   * The default implementation stages parts on local disk and hands the assembled
+   * file to upload() on completion; providers with native multipart support override it
+   * @param {string} key - Storage key
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Multipart upload details ({ uploadId })
+   */
+  async createMultipartUpload(key, options = {}) {
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(this.getStagingDir(uploadId), { recursive: true });
+
+    return { uploadId };
+  }
+
+  /**
+   * Store one part of a multipart upload
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Readable} body - Part content stream
+   * @param {Object} options - Part options
+   * @param {number} options.size - Part size in bytes
+   * @returns {Promise<Object>} Stored part details ({ etag })
+   */
+  async uploadPart(key, uploadId, partNumber, body, options = {}) {
+    const partPath = path.join(this.getStagingDir(uploadId), String(partNumber));
+    await pipeline(body, fs.createWriteStream(partPath));
+
+    return { etag: String(partNumber) };
+  }
+
+  /**
+   * Complete a multipart upload
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - Uploaded parts ({ partNumber, etag }) in order
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Stored object details, as returned by upload()
+   */
+  async completeMultipartUpload(key, uploadId, parts, options = {}) {
+    const assembledPath = await this.assembleParts(uploadId, parts);
+
+    try {
+      return await this.upload(
+        { tempFilePath: assembledPath, originalname: path.basename(key), mimetype: options.mimeType },
+        { key, mimeType: options.mimeType }
+      );
+    } finally {
+      await this.removeStagingDir(uploadId);
+    }
+  }
+
+  /**
+   * Abort a multipart upload and discard stored parts
+   * @param {string} key - Storage key
+   * @param {string} uploadId - Multipart upload ID
+   */
+  async abortMultipartUpload(key, uploadId) {
+    await this.removeStagingDir(uploadId);
+  }
+
+  /**
+   * Concatenate staged parts into a single file
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - Uploaded parts in order
+   * @returns {Promise<string>} Path of the assembled file
+   */
+  async assembleParts(uploadId, parts) {
+    const stagingDir = this.getStagingDir(uploadId);
+    const assembledPath = path.join(stagingDir, 'assembled');
+    const output = fs.createWriteStream(assembledPath);
+
+    try {
+      for (const part of parts) {
+        const input = fs.createReadStream(path.join(stagingDir, String(part.partNumber)));
+        await new Promise((resolve, reject) => {
+          input.on('error', reject);
+          input.on('end', resolve);
+          input.pipe(output, { end: false });
+        });
+      }
+      await new Promise((resolve, reject) => {
+        output.on('error', reject);
+        output.end(resolve);
+      });
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+
+    return assembledPath;
+  }
+
+  /**
+   * Directory where parts of a multipart upload are staged
+   * @param {string} uploadId - Multipart upload ID
+   * @returns {string} Directory path
+   */
+  getStagingDir(uploadId) {
+    if (!/^[a-f0-9]+$/.test(uploadId)) {
+      throw new Error('Invalid upload ID');
+    }
+    return path.join(AppConfig.getFileUploadConfig().tempDir, 'multipart', uploadId);
+  }
+
+  /**
+   * Remove the staging directory of a multipart upload
+   * @param {string} uploadId - Multipart upload ID
+   */
+  async removeStagingDir(uploadId) {
+    try {
+      await fs.promises.rm(this.getStagingDir(uploadId), { recursive: true, force: true });
+    } catch (error) {
+      console.error('Multipart staging cleanup error:', error);
+      // Don't throw error for cleanup issues
+    }
+  }
+
+  /**
+   * Get provider status for the health check
+   * @returns {Object} Status details
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      configured: true
+    };
+  }
+
+  /**
+   * Read the raw bytes of an incoming file
+   * @param {Object} file - File object from multer or express-fileupload
+   * @returns {Promise<Buffer>} File contents
+   */
+  async readSource(file) {
+    if (file.buffer) return file.buffer;
+
+    const sourcePath = file.tempFilePath || file.path;
+    if (sourcePath) return fs.promises.readFile(sourcePath);
+
+    throw new Error('Invalid file format - missing buffer or file path');
+  }
+
+  /**
+   * Clean up temporary file left by express-fileupload
+   * @param {Object} file - File object
+   */
+  async cleanupSource(file) {
+    try {
+      if (file.tempFilePath && fs.existsSync(file.tempFilePath)) {
+        await fs.promises.unlink(file.tempFilePath);
+      }
+    } catch (error) {
+      console.error('Temp file cleanup error:', error);
+      // Don't throw error for cleanup issues
+    }
+  }
+}
+
+module.exports = StorageProvider;
@@ -235,7 +235,7 @@ const isValidFileType = (mimetype) => {
  * @returns {string} Thumbnail URL
  */
 const generateThumbnailUrl = (file) => {
-  const baseUrl = file.secureUrl;
+  const baseUrl = file.url;
   
   if (isImage(file.mimeType)) {
     return baseUrl.replace('/upload/', '/upload/w_300,h_200,c_fill/');
@@ -283,6 +283,73 @@ const createSuccessResponse = (message, data = null, statusCode = 200) => {
   };
 };
 
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode property
+ */
+const createHttpError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate a list of document IDs from a request body
+ * @param {Array} ids - IDs to validate
+ * @param {string} field - Field name used in error messages
+ * @returns {Array} Unique IDs
+ */
+const parseIdList = (ids, field = 'ids') => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw createHttpError(`${field} must be a non-empty array`, 400);
+  }
+  if (ids.some(id => !/^[a-f0-9]{24}$/i.test(String(id)))) {
+    throw createHttpError(`${field} contains an invalid ID`, 400);
+  }
+  return [...new Set(ids.map(String))];
+};
+
+/**
+ * Parse an HTTP Range header asking for a single byte range
+ * Malformed headers and multi-range requests are ignored, so the whole content is sent
+ * @param {string} header - Range header value
+ * @param {number} size - Content size in bytes
+ * @returns {Object|null|false} Inclusive byte range ({ start, end }), null to send the
+ *   whole content, or false when the range cannot be satisfied
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) return false;
+    start = Math.max(0, size - length);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? Infinity : parseInt(match[2], 10);
+    if (end < start) return null;
+    end = Math.min(end, size - 1);
+  }
+
+  return start < size ? { start, end } : false;
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 module.exports = {
   generateRandomString,
   formatDate,
@@ -300,5 +367,9 @@ module.exports = {
   isValidFileType,
   generateThumbnailUrl,
   createErrorResponse,
-  createSuccessResponse
+  createSuccessResponse,
+  createHttpError,
+  parseIdList,
+  parseRange,
+  escapeRegex
 };
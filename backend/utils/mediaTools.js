@@ -0,0 +1,39 @@
+// Helpers for running external media tools (ffmpeg, ffprobe, poppler)
+
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Run an external tool and return its standard output
+ * @param {string} command - Executable name or path
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Options
+ * @param {number} options.timeoutMs - Kill the tool after this many milliseconds
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} With the tool's exitCode and stdout when it exits with an error
+ */
+const runTool = async (command, args, { timeoutMs } = {}) => {
+  try {
+    const { stdout } = await execFileAsync(command, args, {
+      timeout: timeoutMs,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${command} is not installed; set its path in the configuration`);
+    }
+    const failure = new Error(`${path.basename(command)} failed: ${(error.stderr || error.message).toString().trim().split('\n').pop()}`);
+    // Some tools report results through their exit code (e.g. clamscan exits with 1 when it finds a virus)
+    failure.exitCode = typeof error.code === 'number' ? error.code : null;
+    failure.stdout = error.stdout || '';
+    throw failure;
+  }
+};
+
+module.exports = {
+  runTool
+};
@@ -0,0 +1,91 @@
+// Helpers for reading Office Open XML documents (.docx, .xlsx, .pptx), which are
+// ZIP archives of XML parts
+
+const yauzl = require('yauzl');
+
+const OFFICE_MIME_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Read selected entries of a ZIP archive as UTF-8 text
+ * @param {string} sourcePath - Path of the archive
+ * @param {Function} include - Predicate on the entry name
+ * @returns {Promise<Object>} Map of entry name to content
+ */
+const readZipEntries = (sourcePath, include) => {
+  return new Promise((resolve, reject) => {
+    yauzl.open(sourcePath, { lazyEntries: true }, (openError, zipFile) => {
+      if (openError) return reject(openError);
+
+      const contents = {};
+      zipFile.on('error', reject);
+      zipFile.on('end', () => resolve(contents));
+      zipFile.on('entry', (entry) => {
+        if (!include(entry.fileName)) {
+          zipFile.readEntry();
+          return;
+        }
+
+        zipFile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return reject(streamError);
+
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            contents[entry.fileName] = Buffer.concat(chunks).toString('utf8');
+            zipFile.readEntry();
+          });
+        });
+      });
+      zipFile.readEntry();
+    });
+  });
+};
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+const decodeXmlEntities = (text) => {
+  return text.replace(/&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([0-9a-f]+));/gi, (entity, name, decimal, hex) => {
+    if (name) return XML_ENTITIES[name];
+    return String.fromCodePoint(decimal ? parseInt(decimal, 10) : parseInt(hex, 16));
+  });
+};
+
+/**
+ * Read the text of the first occurrence of an XML element
+ * @param {string} xml - XML document
+ * @param {string} tag - Qualified element name
+ * @returns {string|undefined} Decoded text content
+ */
+const readXmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXmlEntities(match[1]) : undefined;
+};
+
+/**
+ * Read the text of every occurrence of an XML element, in document order
+ * @param {string} xml - XML document
+ * @param {string} tag - Qualified element name
+ * @returns {Array<string>} Decoded text contents
+ */
+const readXmlTags = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => decodeXmlEntities(match[1]));
+};
+
+module.exports = {
+  OFFICE_MIME_TYPES,
+  readZipEntries,
+  decodeXmlEntities,
+  readXmlTag,
+  readXmlTags
+};
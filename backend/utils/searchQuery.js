@@ -0,0 +1,257 @@
+// Parser for the search query syntax
+//
+//   budget report          both words
+//   "annual report"        exact phrase
+//   -draft                 exclude a word, phrase or filter
+//   tag:travel             tag (tag:"road trip" for tags with spaces)
+//   type:image             file type (image, video, audio, document)
+//   category:work          category
+//   size:>10mb             size (>, >=, <, <= or a range such as size:1mb..5mb)
+//   before:2024-06         uploaded before a year, month or day
+//   after:2024-06-15       uploaded after a year, month or day
+//   cats OR dogs           either side (OR binds weaker than the implicit AND)
+
+const { createHttpError } = require('./helpers');
+
+const FILE_TYPES = ['image', 'video', 'audio', 'document'];
+const CATEGORIES = ['personal', 'work', 'education', 'entertainment', 'other'];
+
+const FIELD_ALIASES = {
+  tag: 'tag',
+  tags: 'tag',
+  type: 'type',
+  category: 'category',
+  size: 'size',
+  before: 'before',
+  after: 'after'
+};
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+  tb: 1024 ** 4
+};
+
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)?$/i;
+
+/**
+ * Split a query into raw tokens, keeping quoted text together
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Tokens ({ value, quoted, negate, field })
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  let position = 0;
+
+  const readQuoted = () => {
+    // Unbalanced quotes run to the end of the query
+    const end = query.indexOf('"', position + 1);
+    const value = query.slice(position + 1, end === -1 ? query.length : end);
+    position = end === -1 ? query.length : end + 1;
+    return value;
+  };
+
+  while (position < query.length) {
+    if (/\s/.test(query[position])) {
+      position += 1;
+      continue;
+    }
+
+    let negate = false;
+    if (query[position] === '-' && position + 1 < query.length && !/\s/.test(query[position + 1])) {
+      negate = true;
+      position += 1;
+    }
+
+    if (query[position] === '"') {
+      tokens.push({ value: readQuoted(), quoted: true, negate });
+      continue;
+    }
+
+    const start = position;
+    while (position < query.length && !/\s/.test(query[position]) && query[position] !== '"') {
+      position += 1;
+    }
+    let value = query.slice(start, position);
+
+    // field:"quoted value"
+    const fieldMatch = value.match(/^([a-z]+):$/i);
+    if (fieldMatch && query[position] === '"') {
+      tokens.push({ value: readQuoted(), quoted: true, negate, field: fieldMatch[1] });
+      continue;
+    }
+
+    const inlineField = value.match(/^([a-z]+):(.+)$/i);
+    if (inlineField && FIELD_ALIASES[inlineField[1].toLowerCase()]) {
+      tokens.push({ value: inlineField[2], quoted: false, negate, field: inlineField[1] });
+      continue;
+    }
+
+    value = value.trim();
+    if (value) tokens.push({ value, quoted: false, negate });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a size such as "10mb" into bytes
+ * @param {string} value - Size with optional unit
+ * @returns {number} Bytes
+ */
+const parseSize = (value) => {
+  const match = value.match(SIZE_PATTERN);
+  if (!match) {
+    throw createHttpError(`Invalid size "${value}" - use a number with b, kb, mb, gb or tb`, 400);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+};
+
+/**
+ * Parse a size filter into a MongoDB range
+ * @param {string} value - Filter value such as ">10mb" or "1mb..5mb"
+ * @returns {Object} Range condition on size
+ */
+const parseSizeFilter = (value) => {
+  const range = value.split('..');
+  if (range.length === 2) {
+    return { $gte: parseSize(range[0]), $lte: parseSize(range[1]) };
+  }
+
+  const match = value.match(/^(>=|<=|>|<)(.+)$/);
+  if (!match) {
+    throw createHttpError('Size filters need a comparison: size:>10mb, size:<=2gb or size:1mb..5mb', 400);
+  }
+
+  const operators = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+  return { [operators[match[1]]]: parseSize(match[2]) };
+};
+
+/**
+ * Parse a year, month or day into the period it covers
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {Object} Start (inclusive) and end (exclusive) of the period, in UTC
+ */
+const parseDatePeriod = (value) => {
+  const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!match) {
+    throw createHttpError(`Invalid date "${value}" - use YYYY, YYYY-MM or YYYY-MM-DD`, 400);
+  }
+
+  const year = parseInt(match[1]);
+  const month = match[2] ? parseInt(match[2]) - 1 : null;
+  const day = match[3] ? parseInt(match[3]) : null;
+
+  const start = new Date(Date.UTC(year, month ?? 0, day ?? 1));
+  if (start.getUTCMonth() !== (month ?? 0) || start.getUTCDate() !== (day ?? 1)) {
+    throw createHttpError(`Invalid date "${value}"`, 400);
+  }
+
+  let end;
+  if (day !== null) end = new Date(Date.UTC(year, month, day + 1));
+  else if (month !== null) end = new Date(Date.UTC(year, month + 1, 1));
+  else end = new Date(Date.UTC(year + 1, 0, 1));
+
+  return { start, end };
+};
+
+/**
+ * Turn a field token into a structured filter term
+ * @param {Object} token - Token with a field
+ * @returns {Object} Filter term ({ kind: 'filter', field, condition, negate })
+ */
+const parseFieldToken = (token) => {
+  const field = FIELD_ALIASES[token.field.toLowerCase()];
+  const value = token.value.trim();
+
+  if (!field) {
+    // Unknown prefixes are ordinary text ("note:" in a title)
+    return { kind: 'text', value: `${token.field}:${value}`, phrase: token.quoted, negate: token.negate };
+  }
+  if (!value) {
+    throw createHttpError(`${token.field}: needs a value`, 400);
+  }
+
+  const term = { kind: 'filter', field, negate: token.negate };
+
+  switch (field) {
+    case 'tag':
+      term.condition = { tags: value.toLowerCase() };
+      break;
+    case 'type': {
+      const type = value.toLowerCase().replace(/s$/, '');
+      if (!FILE_TYPES.includes(type)) {
+        throw createHttpError(`Unknown type "${value}" - use ${FILE_TYPES.join(', ')}`, 400);
+      }
+      term.condition = { fileType: type };
+      break;
+    }
+    case 'category': {
+      const category = value.toLowerCase();
+      if (!CATEGORIES.includes(category)) {
+        throw createHttpError(`Unknown category "${value}" - use ${CATEGORIES.join(', ')}`, 400);
+      }
+      term.condition = { category };
+      break;
+    }
+    case 'size':
+      term.condition = { size: parseSizeFilter(value) };
+      break;
+    case 'before':
+      term.condition = { createdAt: { $lt: parseDatePeriod(value).start } };
+      break;
+    case 'after':
+      term.condition = { createdAt: { $gte: parseDatePeriod(value).end } };
+      break;
+  }
+
+  return term;
+};
+
+/**
+ * Parse a search query into OR-ed groups of AND-ed terms
+ * @param {string} query - Search query
+ * @returns {Object} Parsed query ({ groups, terms })
+ *   groups: Array of term arrays; a file matches when it matches every term of any group
+ *   terms: Positive text words and phrases, for highlighting and suggestions
+ */
+const parseSearchQuery = (query) => {
+  const groups = [[]];
+
+  for (const token of tokenize(query || '')) {
+    if (token.value === 'OR' && !token.quoted && !token.negate && !token.field) {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+
+    if (token.field) {
+      groups[groups.length - 1].push(parseFieldToken(token));
+    } else if (token.value.trim()) {
+      groups[groups.length - 1].push({
+        kind: 'text',
+        value: token.value.trim(),
+        phrase: token.quoted,
+        negate: token.negate
+      });
+    }
+  }
+
+  const nonEmpty = groups.filter(group => group.length > 0);
+  const terms = [...new Set(
+    nonEmpty.flat()
+      .filter(term => term.kind === 'text' && !term.negate)
+      .map(term => term.value.toLowerCase())
+  )];
+
+  return { groups: nonEmpty, terms };
+};
+
+module.exports = {
+  parseSearchQuery,
+  parseSize,
+  parseDatePeriod,
+  FILE_TYPES,
+  CATEGORIES
+};
@@ -8,6 +8,9 @@ import Register from './pages/Register/Register';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Upload from './pages/Upload/Upload';
 import Search from './pages/Search/Search';
+import Groups from './pages/Groups/Groups';
+import Trash from './pages/Trash/Trash';
+import SharedLink from './pages/SharedLink/SharedLink';
 import ProtectedRoute from './components/ProtectedRoute/ProtectedRoute';
 import { useSelector } from 'react-redux';
 import './App.css';
@@ -53,6 +56,23 @@ function AppContent() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/groups" 
+              element={
+                <ProtectedRoute>
+                  <Groups />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/trash" 
+              element={
+                <ProtectedRoute>
+                  <Trash />
+                </ProtectedRoute>
+              } 
+            />
+            <Route path="/s/:token" element={<SharedLink />} />
             <Route 
               path="/" 
               element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} />} 
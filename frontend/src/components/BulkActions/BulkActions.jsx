@@ -0,0 +1,113 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { startBulkOperation, getBulkOperation, clearBulkOperation } from '../../store/fileSlice';
+import './BulkActions.css';
+
+// How often a running operation's progress is checked
+const POLL_INTERVAL_MS = 1000;
+
+const CATEGORIES = ['personal', 'work', 'education', 'entertainment', 'other'];
+
+// Failed files grouped by reason, for the summary shown when an operation finishes
+const describeFailures = (operation) => {
+  const reasons = {};
+  (operation.results || [])
+    .filter((result) => result.status === 'failed')
+    .forEach((result) => {
+      reasons[result.message] = (reasons[result.message] || 0) + 1;
+    });
+
+  return Object.entries(reasons).map(([message, count]) => `• ${message} (${count})`).join('\n');
+};
+
+// Tag, category, visibility and delete actions for a multi-select toolbar. The
+// operation runs on the server; its progress is shown until it finishes, then
+// onComplete (memoized by the caller) refreshes the caller's list. Visibility and
+// delete need every selected file to be owned (canManage)
+const BulkActions = ({ fileIds, canManage, onComplete }) => {
+  const dispatch = useDispatch();
+  const { bulkOperation, bulkError } = useSelector((state) => state.files);
+  const isRunning = bulkOperation && ['pending', 'running'].includes(bulkOperation.status);
+
+  useEffect(() => {
+    if (!bulkOperation) return undefined;
+
+    if (isRunning) {
+      const timer = setTimeout(() => dispatch(getBulkOperation(bulkOperation.id)), POLL_INTERVAL_MS);
+      return () => clearTimeout(timer);
+    }
+
+    dispatch(clearBulkOperation());
+    if (bulkOperation.status === 'failed' || bulkOperation.failed > 0) {
+      alert(
+        `${bulkOperation.succeeded} of ${bulkOperation.total} file(s) updated, ${bulkOperation.failed} failed` +
+        (bulkOperation.error ? `\n${bulkOperation.error}` : '') +
+        (bulkOperation.failed > 0 ? `\n\n${describeFailures(bulkOperation)}` : '')
+      );
+    }
+    onComplete();
+    return undefined;
+  }, [dispatch, bulkOperation, isRunning, onComplete]);
+
+  const start = async (operation) => {
+    try {
+      await dispatch(startBulkOperation({ fileIds, ...operation })).unwrap();
+    } catch (error) {
+      alert('Failed to start bulk operation: ' + error);
+    }
+  };
+
+  const handleTags = (operation) => {
+    const tags = window.prompt(operation === 'addTags' ? 'Tags to add (comma-separated)' : 'Tags to remove (comma-separated)');
+    if (tags && tags.trim()) start({ operation, tags });
+  };
+
+  const handleSelect = (e, operation) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (!value) return;
+
+    if (operation === 'setCategory') start({ operation, category: value });
+    if (operation === 'setVisibility') start({ operation, isPublic: value === 'public' });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Move ${fileIds.length} file(s) to the trash?`)) {
+      start({ operation: 'delete' });
+    }
+  };
+
+  if (isRunning) {
+    return (
+      <span className="bulk-actions-progress">
+        ⏳ {bulkOperation.processed} of {bulkOperation.total} done…
+      </span>
+    );
+  }
+
+  return (
+    <div className="bulk-actions">
+      <button type="button" onClick={() => handleTags('addTags')}>🏷️ Add tags</button>
+      <button type="button" onClick={() => handleTags('removeTags')}>Remove tags</button>
+      <select defaultValue="" onChange={(e) => handleSelect(e, 'setCategory')}>
+        <option value="" disabled>Set category…</option>
+        {CATEGORIES.map((category) => (
+          <option key={category} value={category}>{category.charAt(0).toUpperCase() + category.slice(1)}</option>
+        ))}
+      </select>
+      {canManage && (
+        <>
+          <select defaultValue="" onChange={(e) => handleSelect(e, 'setVisibility')}>
+            <option value="" disabled>Visibility…</option>
+            <option value="public">Public</option>
+            <option value="private">Private</option>
+          </select>
+          <button type="button" className="bulk-actions-delete" onClick={handleDelete}>🗑️ Delete</button>
+        </>
+      )}
+      {bulkError && <span className="bulk-actions-error">{bulkError}</span>}
+    </div>
+  );
+};
+
+export default BulkActions;
@@ -0,0 +1,71 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getDuplicateReport } from '../../store/fileSlice';
+import Thumbnail from '../Thumbnail/Thumbnail';
+import './DuplicateReport.css';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// Groups of the user's images that look the same; the oldest file of a group is the one to keep
+const DuplicateReport = ({ onDelete }) => {
+  const dispatch = useDispatch();
+  const { duplicateReport, duplicatesLoading, duplicatesError } = useSelector((state) => state.files);
+
+  useEffect(() => {
+    dispatch(getDuplicateReport());
+  }, [dispatch]);
+
+  const handleDelete = (file) => {
+    if (window.confirm(`Move "${file.title}" to the trash?`)) {
+      onDelete(file._id);
+    }
+  };
+
+  const summary = duplicateReport?.summary;
+
+  return (
+    <section className="duplicate-report">
+      <div className="duplicate-report-header">
+        <h3>🧬 Duplicate images</h3>
+        <button type="button" disabled={duplicatesLoading} onClick={() => dispatch(getDuplicateReport())}>
+          {duplicatesLoading ? 'Scanning…' : 'Scan again'}
+        </button>
+      </div>
+
+      {duplicatesError && <div className="duplicate-report-error">{duplicatesError}</div>}
+
+      {summary && (
+        <p className="duplicate-report-summary">
+          {summary.groups === 0
+            ? `No duplicates among ${summary.imagesCompared} images`
+            : `${summary.duplicateFiles} duplicate${summary.duplicateFiles === 1 ? '' : 's'} in ${summary.groups} group${summary.groups === 1 ? '' : 's'} • ${formatSize(summary.reclaimableBytes)} can be freed`}
+          {summary.truncated && ` (only the oldest ${summary.imagesCompared} images were compared)`}
+        </p>
+      )}
+
+      {duplicateReport?.groups.map((group) => (
+        <div key={group.files[0]._id} className="duplicate-report-group">
+          {group.files.map((file, index) => (
+            <div key={file._id} className="duplicate-report-file">
+              <Thumbnail file={file} size="small" className="duplicate-report-thumb" fallback="🖼️" />
+              <span className="duplicate-report-title" title={file.originalName}>{file.title}</span>
+              <small>{formatSize(file.size)} • {new Date(file.createdAt).toLocaleDateString()}</small>
+              {index === 0 ? (
+                <span className="duplicate-report-keep">Original</span>
+              ) : (
+                <button type="button" className="duplicate-report-delete" onClick={() => handleDelete(file)}>
+                  🗑️ Delete
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </section>
+  );
+};
+
+export default DuplicateReport;
@@ -1,11 +1,33 @@
 import React, { useState } from 'react';
+import ShareLinks from '../ShareLinks/ShareLinks';
+import SimilarImages from '../SimilarImages/SimilarImages';
+import Thumbnail from '../Thumbnail/Thumbnail';
+import VersionHistory from '../VersionHistory/VersionHistory';
+import { getDownloadUrl, openFile } from '../../services/downloads';
 import './FilePreview.css';
 
-const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
+// Progress shown while a file is processed, from the live event stream
+const PROCESSING_LABELS = {
+  stored: 'Processing…',
+  thumbnailed: 'Preview ready, indexing…',
+  indexed: 'Indexed, finishing…',
+};
+
+const FilePreview = ({ file, onViewCountIncrement, onDelete, onShare, canManageLinks = false, canManageVersions = false }) => {
   const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+  // Download URL the preview's media elements load the content from
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  const isInfected = file.scanStatus === 'infected';
+  const hasMediaPreview = ['image', 'video', 'audio'].includes(file.fileType);
 
   const handlePreview = async () => {
     setIsPreviewOpen(true);
+    if (!isInfected && hasMediaPreview) {
+      getDownloadUrl(file._id, { inline: true })
+        .then(setPreviewUrl)
+        .catch((error) => console.error('Failed to load preview:', error));
+    }
     // Increment view count when preview is opened
     if (onViewCountIncrement) {
       try {
@@ -18,10 +40,27 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
 
   const handleClosePreview = () => {
     setIsPreviewOpen(false);
+    setPreviewUrl(null);
+  };
+
+  const handleDownload = async () => {
+    try {
+      window.location.assign(await getDownloadUrl(file._id));
+    } catch (error) {
+      console.error('Failed to download file:', error);
+    }
+  };
+
+  const handleOpen = async () => {
+    try {
+      await openFile(file._id);
+    } catch (error) {
+      console.error('Failed to open file:', error);
+    }
   };
 
   const handleDelete = () => {
-    if (window.confirm(`Are you sure you want to delete "${file.title}"? This action cannot be undone.`)) {
+    if (window.confirm(`Move "${file.title}" to the trash? You can restore it from the Trash page.`)) {
       if (onDelete) {
         onDelete(file._id);
       }
@@ -38,14 +77,70 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
     }
   };
 
+  // Content search hit; highlights are [start, end) offsets into the snippet text
+  const renderContentSnippet = (snippet) => {
+    const parts = [];
+    let position = 0;
+    snippet.highlights.forEach(([start, end]) => {
+      if (start > position) parts.push(snippet.text.slice(position, start));
+      parts.push(<mark key={start}>{snippet.text.slice(start, end)}</mark>);
+      position = end;
+    });
+    parts.push(snippet.text.slice(position));
+
+    return <p className="file-snippet" title="Found in document text">{parts}</p>;
+  };
+
+  const formatDuration = (seconds) => {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  };
+
+  // Label/value pairs for the metadata extracted after upload
+  const getMetadataDetails = (metadata = {}) => {
+    const camera = metadata.camera || {};
+    const details = [
+      ['Dimensions', metadata.width && metadata.height && `${metadata.width} × ${metadata.height}`],
+      ['Duration', metadata.duration && formatDuration(metadata.duration)],
+      ['Bitrate', metadata.bitrate && `${Math.round(metadata.bitrate / 1000)} kbps`],
+      ['Video codec', metadata.videoCodec],
+      ['Frame rate', metadata.frameRate && `${metadata.frameRate} fps`],
+      ['Audio codec', metadata.audioCodec],
+      ['Audio', metadata.sampleRate && `${(metadata.sampleRate / 1000).toFixed(1)} kHz${metadata.channels ? `, ${metadata.channels} ch` : ''}`],
+      ['Title', metadata.title],
+      ['Author', metadata.author],
+      ['Album', metadata.album],
+      ['Pages', metadata.pageCount],
+      ['Created', metadata.createdAt && new Date(metadata.createdAt).toLocaleString()],
+      ['Camera', [camera.make, camera.model].filter(Boolean).join(' ')],
+      ['Lens', camera.lens],
+      ['Exposure', [
+        camera.exposureTime && (camera.exposureTime < 1 ? `1/${Math.round(1 / camera.exposureTime)}s` : `${camera.exposureTime}s`),
+        camera.fNumber && `f/${camera.fNumber}`,
+        camera.iso && `ISO ${camera.iso}`,
+        camera.focalLength && `${camera.focalLength}mm`,
+      ].filter(Boolean).join(' • ')],
+      ['Taken', metadata.takenAt && new Date(metadata.takenAt).toLocaleString()],
+    ];
+    return details.filter(([, value]) => value);
+  };
+
   const renderPreviewContent = () => {
-    if (!file.url) return null;
+    if (isInfected) {
+      return <p className="preview-message">This file was flagged by the virus scan and cannot be previewed.</p>;
+    }
+    if (hasMediaPreview && !previewUrl) {
+      return <p className="preview-message">Loading preview…</p>;
+    }
 
     switch (file.fileType) {
       case 'image':
         return (
           <img 
-            src={file.secureUrl || file.url} 
+            src={previewUrl} 
             alt={file.title}
             style={{ 
               maxWidth: '100%', 
@@ -65,7 +160,7 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
               borderRadius: '8px'
             }}
           >
-            <source src={file.secureUrl || file.url} type={file.mimeType} />
+            <source src={previewUrl} type={file.mimeType} />
             Your browser does not support the video tag.
           </video>
         );
@@ -87,7 +182,7 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
                 marginTop: '1rem'
               }}
             >
-              <source src={file.secureUrl || file.url} type={file.mimeType} />
+              <source src={previewUrl} type={file.mimeType} />
               Your browser does not support the audio tag.
             </audio>
           </div>
@@ -106,21 +201,21 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
             <p style={{ color: '#666', marginBottom: '1rem' }}>
               {file.mimeType} • {(file.size / 1024 / 1024).toFixed(1)} MB
             </p>
-            <a 
-              href={file.secureUrl || file.url} 
-              target="_blank" 
-              rel="noopener noreferrer"
+            <button
+              type="button"
+              onClick={handleOpen}
               style={{
                 background: '#667eea',
                 color: 'white',
                 padding: '0.75rem 1.5rem',
+                border: 'none',
                 borderRadius: '8px',
-                textDecoration: 'none',
+                cursor: 'pointer',
                 fontWeight: 'bold'
               }}
             >
               Open Document
-            </a>
+            </button>
           </div>
         );
       default:
@@ -143,9 +238,7 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
     <>
       {/* File Card */}
       <div className="file-card">
-        <div className="file-icon">
-          {getFileIcon(file.fileType)}
-        </div>
+        <Thumbnail file={file} className="file-icon" fallback={getFileIcon(file.fileType)} />
         <div className="file-info">
           <h4 className="file-title">{file.title}</h4>
           <p className="file-meta">
@@ -154,6 +247,7 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
           {file.description && (
             <p className="file-description">{file.description}</p>
           )}
+          {file.contentSnippet && renderContentSnippet(file.contentSnippet)}
           {file.tags && file.tags.length > 0 && (
             <div className="file-tags">
               {file.tags.slice(0, 3).map((tag, index) => (
@@ -170,10 +264,27 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
             <span className="stat">
               👁️ {file.viewCount || 0} views
             </span>
+            <span className="stat">
+              ⬇️ {file.downloadCount || 0} downloads
+            </span>
             <span className="stat">
               📅 {new Date(file.createdAt).toLocaleDateString()}
             </span>
+            {file.access && (
+              <span className="stat" title={file.uploadedBy?.name ? `Shared by ${file.uploadedBy.name}` : undefined}>
+                🔗 {file.access}
+              </span>
+            )}
+            {['pending', 'processing'].includes(file.jobStatus) && (
+              <span className="stat">⏳ {PROCESSING_LABELS[file.processingStage] || 'Processing…'}</span>
+            )}
+            {file.jobStatus === 'failed' && (
+              <span className="stat" title="Some processing did not finish (thumbnails, details or scan)">⚠️ Processing failed</span>
+            )}
           </div>
+          {isInfected && (
+            <p className="file-infected">🦠 Virus found{file.virusName ? `: ${file.virusName}` : ''}. This file cannot be downloaded.</p>
+          )}
         </div>
         <div className="file-actions">
           <button 
@@ -182,23 +293,39 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
           >
             Preview
           </button>
-          {file.url && (
-            <a 
-              href={file.secureUrl || file.url} 
-              target="_blank" 
-              rel="noopener noreferrer"
+          <button
+            onClick={handleOpen}
+            className="btn btn-secondary"
+            disabled={isInfected}
+          >
+            Open
+          </button>
+          <button
+            onClick={handleDownload}
+            className="btn btn-secondary"
+            title="Download file"
+            disabled={isInfected}
+          >
+            ⬇️ Download
+          </button>
+          {onShare && (
+            <button
+              onClick={() => onShare(file)}
               className="btn btn-secondary"
+              title="Share file"
             >
-              Open
-            </a>
+              🔗 Share
+            </button>
+          )}
+          {onDelete && (
+            <button 
+              onClick={handleDelete}
+              className="btn btn-danger"
+              title="Delete file"
+            >
+              🗑️ Delete
+            </button>
           )}
-          <button 
-            onClick={handleDelete}
-            className="btn btn-danger"
-            title="Delete file"
-          >
-            🗑️ Delete
-          </button>
         </div>
       </div>
 
@@ -224,8 +351,27 @@ const FilePreview = ({ file, onViewCountIncrement, onDelete }) => {
                 <p><strong>Size:</strong> {(file.size / 1024 / 1024).toFixed(1)} MB</p>
                 <p><strong>Uploaded:</strong> {new Date(file.createdAt).toLocaleString()}</p>
                 {file.category && <p><strong>Category:</strong> {file.category}</p>}
+                {getMetadataDetails(file.metadata).map(([label, value]) => (
+                  <p key={label}><strong>{label}:</strong> {value}</p>
+                ))}
+                {file.metadata?.location && (
+                  <p>
+                    <strong>Location:</strong>{' '}
+                    <a
+                      href={`https://www.openstreetmap.org/?mlat=${file.metadata.location.latitude}&mlon=${file.metadata.location.longitude}#map=15/${file.metadata.location.latitude}/${file.metadata.location.longitude}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {file.metadata.location.latitude.toFixed(5)}, {file.metadata.location.longitude.toFixed(5)}
+                    </a>
+                  </p>
+                )}
+                {file.metadataStatus === 'pending' && <p className="metadata-pending">Reading file details…</p>}
               </div>
             </div>
+            {file.fileType === 'image' && file.perceptualHashStatus === 'ready' && <SimilarImages fileId={file._id} />}
+            <VersionHistory file={file} canManage={canManageVersions} />
+            {canManageLinks && <ShareLinks fileId={file._id} />}
           </div>
         </div>
       )}
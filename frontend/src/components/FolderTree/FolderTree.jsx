@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import './FolderTree.css';
+
+const isSelected = (selection, type, id) =>
+  selection.type === type && (id === undefined || selection.id === id);
+
+const FolderNode = ({ node, depth, selection, collapsed, onToggle, onSelect, onCreate, onRename, onDelete, onShare }) => {
+  const hasChildren = node.children.length > 0;
+  const isCollapsed = collapsed.has(node._id);
+
+  return (
+    <li>
+      <div
+        className={`folder-tree-row${isSelected(selection, 'folder', node._id) ? ' active' : ''}`}
+        style={{ paddingLeft: `${0.5 + depth * 1}rem` }}
+      >
+        <button
+          type="button"
+          className="folder-tree-toggle"
+          onClick={() => onToggle(node._id)}
+          style={{ visibility: hasChildren ? 'visible' : 'hidden' }}
+        >
+          {isCollapsed ? '▸' : '▾'}
+        </button>
+        <button type="button" className="folder-tree-label" onClick={() => onSelect({ type: 'folder', id: node._id, name: node.name })}>
+          📁 {node.name}
+          <span className="folder-tree-count">{node.fileCount}</span>
+        </button>
+        <span className="folder-tree-actions">
+          <button type="button" title="New sub-folder" onClick={() => onCreate(node._id)}>＋</button>
+          <button type="button" title="Rename" onClick={() => onRename(node)}>✎</button>
+          <button type="button" title="Share" onClick={() => onShare(node)}>🔗</button>
+          <button type="button" title="Delete" onClick={() => onDelete(node)}>✕</button>
+        </span>
+      </div>
+      {hasChildren && !isCollapsed && (
+        <ul>
+          {node.children.map((child) => (
+            <FolderNode
+              key={child._id}
+              node={child}
+              depth={depth + 1}
+              selection={selection}
+              collapsed={collapsed}
+              onToggle={onToggle}
+              onSelect={onSelect}
+              onCreate={onCreate}
+              onRename={onRename}
+              onDelete={onDelete}
+              onShare={onShare}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const FolderTree = ({
+  tree,
+  rootFileCount,
+  collections,
+  selection,
+  onSelect,
+  onCreateFolder,
+  onRenameFolder,
+  onDeleteFolder,
+  onCreateCollection,
+  onDeleteCollection,
+  onShareFolder,
+  savedSearches = [],
+  onUnpinSavedSearch,
+}) => {
+  const [collapsed, setCollapsed] = useState(new Set());
+
+  const handleToggle = (id) => {
+    const next = new Set(collapsed);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setCollapsed(next);
+  };
+
+  return (
+    <nav className="folder-tree">
+      <div className="folder-tree-heading">
+        <span>Folders</span>
+        <button type="button" title="New folder" onClick={() => onCreateFolder(null)}>＋</button>
+      </div>
+      <ul>
+        <li>
+          <div className={`folder-tree-row${isSelected(selection, 'all') ? ' active' : ''}`}>
+            <button type="button" className="folder-tree-label" onClick={() => onSelect({ type: 'all' })}>
+              🗂️ All files
+            </button>
+          </div>
+        </li>
+        <li>
+          <div className={`folder-tree-row${isSelected(selection, 'root') ? ' active' : ''}`}>
+            <button type="button" className="folder-tree-label" onClick={() => onSelect({ type: 'root' })}>
+              📄 Not in a folder
+              <span className="folder-tree-count">{rootFileCount}</span>
+            </button>
+          </div>
+        </li>
+        {tree.map((node) => (
+          <FolderNode
+            key={node._id}
+            node={node}
+            depth={0}
+            selection={selection}
+            collapsed={collapsed}
+            onToggle={handleToggle}
+            onSelect={onSelect}
+            onCreate={onCreateFolder}
+            onRename={onRenameFolder}
+            onDelete={onDeleteFolder}
+            onShare={onShareFolder}
+          />
+        ))}
+      </ul>
+
+      <ul>
+        <li>
+          <div className={`folder-tree-row${isSelected(selection, 'shared') || isSelected(selection, 'sharedFolder') ? ' active' : ''}`}>
+            <button type="button" className="folder-tree-label" onClick={() => onSelect({ type: 'shared' })}>
+              🤝 Shared with me
+            </button>
+          </div>
+        </li>
+      </ul>
+
+      <div className="folder-tree-heading">
+        <span>Collections</span>
+        <button type="button" title="New collection" onClick={onCreateCollection}>＋</button>
+      </div>
+      <ul>
+        {collections.length === 0 && <li className="folder-tree-empty">No collections yet</li>}
+        {collections.map((collection) => (
+          <li key={collection._id}>
+            <div className={`folder-tree-row${isSelected(selection, 'collection', collection._id) ? ' active' : ''}`}>
+              <button
+                type="button"
+                className="folder-tree-label"
+                onClick={() => onSelect({ type: 'collection', id: collection._id, name: collection.name })}
+              >
+                🖼️ {collection.name}
+                <span className="folder-tree-count">{collection.fileCount}</span>
+              </button>
+              <span className="folder-tree-actions">
+                <button type="button" title="Delete" onClick={() => onDeleteCollection(collection)}>✕</button>
+              </span>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {savedSearches.length > 0 && (
+        <>
+          <div className="folder-tree-heading">
+            <span>Smart collections</span>
+          </div>
+          <ul>
+            {savedSearches.map((savedSearch) => (
+              <li key={savedSearch._id}>
+                <div className={`folder-tree-row${isSelected(selection, 'smart', savedSearch._id) ? ' active' : ''}`}>
+                  <button
+                    type="button"
+                    className="folder-tree-label"
+                    title={savedSearch.query}
+                    onClick={() => onSelect({ type: 'smart', id: savedSearch._id, name: savedSearch.name })}
+                  >
+                    🔎 {savedSearch.name}
+                    {savedSearch.newMatchCount > 0 && (
+                      <span className="folder-tree-badge" title="New matching files">{savedSearch.newMatchCount} new</span>
+                    )}
+                  </button>
+                  <span className="folder-tree-actions">
+                    <button type="button" title="Unpin" onClick={() => onUnpinSavedSearch(savedSearch)}>✕</button>
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </nav>
+  );
+};
+
+export default FolderTree;
@@ -2,6 +2,7 @@ import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import { logout } from '../../store/authSlice';
+import QuotaMeter from './QuotaMeter';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -27,7 +28,10 @@ const Navbar = () => {
               <Link to="/dashboard" className="navbar-link">Dashboard</Link>
               <Link to="/upload" className="navbar-link">Upload</Link>
               <Link to="/search" className="navbar-link">Search</Link>
+              <Link to="/groups" className="navbar-link">Groups</Link>
+              <Link to="/trash" className="navbar-link">Trash</Link>
               <div className="navbar-user">
+                <QuotaMeter />
                 <span>Welcome, {user?.name}</span>
                 <button onClick={handleLogout} className="logout-btn">Logout</button>
               </div>
@@ -0,0 +1,50 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useLocation } from 'react-router-dom';
+import { getQuota } from '../../store/quotaSlice';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+};
+
+// Storage used against the plan's quota; refreshed on every page change
+const QuotaMeter = () => {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const { quota } = useSelector((state) => state.quota);
+
+  useEffect(() => {
+    dispatch(getQuota());
+  }, [dispatch, location.pathname]);
+
+  if (!quota) return null;
+
+  const { storageBytes, maxFiles } = quota.limits;
+  const used = quota.usage.storageUsed + quota.usage.reservedBytes;
+
+  if (!quota.enabled || storageBytes === null) {
+    return <span className="quota-meter-label" title="No storage limit">{formatBytes(used)} used</span>;
+  }
+
+  const percent = storageBytes > 0 ? Math.min(100, Math.round((used / storageBytes) * 100)) : 100;
+  const level = percent >= 95 ? 'full' : percent >= 80 ? 'high' : 'ok';
+  const title = [
+    `${quota.plan} plan`,
+    `${formatBytes(used)} of ${formatBytes(storageBytes)} used`,
+    maxFiles !== null ? `${quota.usage.totalFiles} of ${maxFiles} files` : null,
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div className={`quota-meter quota-meter--${level}`} title={title}>
+      <div className="quota-meter-bar">
+        <div className="quota-meter-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <span className="quota-meter-label">{formatBytes(used)} / {formatBytes(storageBytes)}</span>
+    </div>
+  );
+};
+
+export default QuotaMeter;
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getSearchAnalytics } from '../../store/searchAnalyticsSlice';
+import './SearchAnalytics.css';
+
+const PERIOD_OPTIONS = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+];
+
+const formatRate = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+const SearchAnalytics = ({ onSearch }) => {
+  const dispatch = useDispatch();
+  const { analytics, loading, error } = useSelector((state) => state.searchAnalytics);
+  const { user } = useSelector((state) => state.auth);
+  const [scope, setScope] = useState('user');
+  const [days, setDays] = useState(30);
+
+  useEffect(() => {
+    dispatch(getSearchAnalytics({ scope, days }));
+  }, [dispatch, scope, days]);
+
+  const renderQueryButton = (query) => (
+    <button type="button" className="search-analytics-query" onClick={() => onSearch(query)}>
+      {query}
+    </button>
+  );
+
+  return (
+    <section className="search-analytics">
+      <div className="search-analytics-header">
+        <h3>📊 Search Insights</h3>
+        <div className="search-analytics-controls">
+          {user?.role === 'admin' && (
+            <select value={scope} onChange={(e) => setScope(e.target.value)}>
+              <option value="user">My searches</option>
+              <option value="global">All users</option>
+            </select>
+          )}
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {PERIOD_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="search-analytics-error">{error}</div>}
+      {loading && !analytics && <p className="search-analytics-empty">Loading insights...</p>}
+
+      {analytics && (
+        <>
+          <div className="search-analytics-stats">
+            <div>
+              <strong>{analytics.totalSearches}</strong>
+              <span>Searches</span>
+            </div>
+            <div>
+              <strong>{formatRate(analytics.zeroResultRate)}</strong>
+              <span>Found nothing</span>
+            </div>
+            <div>
+              <strong>{formatRate(analytics.clickThroughRate)}</strong>
+              <span>Click-through rate</span>
+            </div>
+            <div>
+              <strong>{analytics.averageClickPosition ?? '–'}</strong>
+              <span>Avg. position opened</span>
+            </div>
+            {analytics.scope === 'global' && (
+              <div>
+                <strong>{analytics.uniqueUsers}</strong>
+                <span>Users searching</span>
+              </div>
+            )}
+          </div>
+
+          <div className="search-analytics-lists">
+            <div>
+              <h4>Popular terms</h4>
+              {analytics.popularTerms.length === 0 ? (
+                <p className="search-analytics-empty">No searches yet</p>
+              ) : (
+                <ol>
+                  {analytics.popularTerms.map((entry) => (
+                    <li key={entry.term}>
+                      {renderQueryButton(entry.term)}
+                      <span>{entry.searches}×</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            <div>
+              <h4>Top queries</h4>
+              {analytics.topQueries.length === 0 ? (
+                <p className="search-analytics-empty">No searches yet</p>
+              ) : (
+                <ol>
+                  {analytics.topQueries.map((entry) => (
+                    <li key={entry.query}>
+                      {renderQueryButton(entry.query)}
+                      <span title="Searches · click-through rate">
+                        {entry.searches}× · {formatRate(entry.clickThroughRate)}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            <div>
+              <h4>Found nothing</h4>
+              {analytics.zeroResultQueries.length === 0 ? (
+                <p className="search-analytics-empty">Every search found something</p>
+              ) : (
+                <ol>
+                  {analytics.zeroResultQueries.map((entry) => (
+                    <li key={entry.query}>
+                      {renderQueryButton(entry.query)}
+                      <span title={`Last searched ${new Date(entry.lastSearchedAt).toLocaleString()}`}>
+                        {entry.searches}×
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default SearchAnalytics;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  getShares,
+  addShare,
+  removeShare,
+  getGroups,
+  clearShares,
+  clearSharingError,
+} from '../../store/sharingSlice';
+import './ShareDialog.css';
+
+const ROLES = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'commenter', label: 'Commenter' },
+  { value: 'editor', label: 'Editor' },
+];
+
+const ShareDialog = ({ resourceType, resource, onClose }) => {
+  const dispatch = useDispatch();
+  const { shares, groups, error } = useSelector((state) => state.sharing);
+  const [recipientType, setRecipientType] = useState('user');
+  const [email, setEmail] = useState('');
+  const [groupId, setGroupId] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    dispatch(getShares({ resourceType, id: resource._id }));
+    dispatch(getGroups());
+
+    return () => {
+      dispatch(clearShares());
+      dispatch(clearSharingError());
+    };
+  }, [dispatch, resourceType, resource._id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const grant = recipientType === 'user' ? { email: email.trim() } : { groupId };
+    if (!grant.email && !grant.groupId) return;
+
+    setSubmitting(true);
+    const result = await dispatch(addShare({ resourceType, id: resource._id, role, ...grant }));
+    setSubmitting(false);
+
+    if (addShare.fulfilled.match(result)) {
+      setEmail('');
+      setGroupId('');
+    }
+  };
+
+  // Changing the role of an existing grant re-shares with the same recipient
+  const handleRoleChange = (share, nextRole) => {
+    const grant = share.principalType === 'Group'
+      ? { groupId: share.principal._id }
+      : { email: share.principal.email };
+
+    dispatch(addShare({ resourceType, id: resource._id, role: nextRole, ...grant }));
+  };
+
+  const handleRemove = (share) => {
+    dispatch(removeShare({ resourceType, id: resource._id, shareId: share.id }));
+  };
+
+  const describePrincipal = (share) => {
+    if (!share.principal) return 'Deleted account';
+    if (share.principalType === 'Group') return `👥 ${share.principal.name}`;
+    return `${share.principal.name} (${share.principal.email})`;
+  };
+
+  return (
+    <div className="share-dialog-backdrop" onClick={onClose}>
+      <div className="share-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="share-dialog-header">
+          <h3>Share "{resource.title || resource.name}"</h3>
+          <button type="button" className="share-dialog-close" onClick={onClose}>✕</button>
+        </div>
+
+        {resourceType === 'Folder' && (
+          <p className="share-dialog-hint">Everything inside this folder is shared too.</p>
+        )}
+
+        <form className="share-dialog-form" onSubmit={handleSubmit}>
+          <select value={recipientType} onChange={(e) => setRecipientType(e.target.value)}>
+            <option value="user">Person</option>
+            <option value="group">Group</option>
+          </select>
+          {recipientType === 'user' ? (
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email address"
+              required
+            />
+          ) : (
+            <select value={groupId} onChange={(e) => setGroupId(e.target.value)} required>
+              <option value="">Choose a group…</option>
+              {groups.map((group) => (
+                <option key={group._id} value={group._id}>{group.name}</option>
+              ))}
+            </select>
+          )}
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLES.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Sharing…' : 'Share'}
+          </button>
+        </form>
+
+        {error && <div className="share-dialog-error">{error}</div>}
+
+        <ul className="share-dialog-list">
+          {shares.length === 0 && <li className="share-dialog-empty">Not shared with anyone yet</li>}
+          {shares.map((share) => (
+            <li key={share.id}>
+              <span className="share-dialog-principal">{describePrincipal(share)}</span>
+              <select
+                value={share.role}
+                onChange={(e) => handleRoleChange(share, e.target.value)}
+                disabled={!share.principal}
+              >
+                {ROLES.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button type="button" className="share-dialog-remove" title="Remove access" onClick={() => handleRemove(share)}>
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
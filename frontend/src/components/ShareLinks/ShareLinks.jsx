@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getShareLinks, createShareLink, revokeShareLink, clearShareLinks } from '../../store/sharingSlice';
+import './ShareLinks.css';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 hour' },
+  { value: '24', label: 'Expires in 1 day' },
+  { value: '168', label: 'Expires in 7 days' },
+  { value: '720', label: 'Expires in 30 days' },
+];
+
+const STATUS_LABELS = {
+  active: 'Active',
+  revoked: 'Revoked',
+  expired: 'Expired',
+  exhausted: 'Download limit reached',
+};
+
+const ShareLinks = ({ fileId }) => {
+  const dispatch = useDispatch();
+  const { links, linksError } = useSelector((state) => state.sharing);
+  const [expiresInHours, setExpiresInHours] = useState('');
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    dispatch(getShareLinks(fileId));
+    return () => {
+      dispatch(clearShareLinks());
+    };
+  }, [dispatch, fileId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const options = {};
+    if (expiresInHours) options.expiresInHours = Number(expiresInHours);
+    if (password) options.password = password;
+    if (maxDownloads) options.maxDownloads = Number(maxDownloads);
+
+    setCreating(true);
+    const result = await dispatch(createShareLink({ fileId, ...options }));
+    setCreating(false);
+
+    if (createShareLink.fulfilled.match(result)) {
+      setPassword('');
+      setMaxDownloads('');
+    }
+  };
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopiedId(link.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch {
+      // Clipboard access can be blocked; fall back to a manual copy
+      window.prompt('Copy this link', link.url);
+    }
+  };
+
+  const handleRevoke = (link) => {
+    if (window.confirm('Revoke this link? Anyone using it will lose access.')) {
+      dispatch(revokeShareLink({ fileId, linkId: link.id }));
+    }
+  };
+
+  return (
+    <div className="share-links">
+      <h4>🔗 Public links</h4>
+
+      <form className="share-links-form" onSubmit={handleCreate}>
+        <select value={expiresInHours} onChange={(e) => setExpiresInHours(e.target.value)}>
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (optional)"
+          autoComplete="new-password"
+        />
+        <input
+          type="number"
+          min="1"
+          value={maxDownloads}
+          onChange={(e) => setMaxDownloads(e.target.value)}
+          placeholder="Max downloads"
+        />
+        <button type="submit" className="btn btn-primary" disabled={creating}>
+          {creating ? 'Creating…' : 'Create link'}
+        </button>
+      </form>
+
+      {linksError && <div className="share-links-error">{linksError}</div>}
+
+      <ul className="share-links-list">
+        {links.length === 0 && <li className="share-links-empty">No links yet</li>}
+        {links.map((link) => (
+          <li key={link.id} className={link.status === 'active' ? '' : 'inactive'}>
+            <div className="share-links-url">
+              <code>{link.url}</code>
+              <span className="share-links-meta">
+                {STATUS_LABELS[link.status]}
+                {link.hasPassword && ' • 🔒 password'}
+                {link.expiresAt && ` • expires ${new Date(link.expiresAt).toLocaleString()}`}
+                {` • ${link.downloadCount}${link.maxDownloads ? ` / ${link.maxDownloads}` : ''} downloads`}
+              </span>
+            </div>
+            {link.status === 'active' && (
+              <>
+                <button type="button" className="share-links-action" onClick={() => handleCopy(link)}>
+                  {copiedId === link.id ? 'Copied!' : 'Copy'}
+                </button>
+                <button type="button" className="share-links-action danger" onClick={() => handleRevoke(link)}>
+                  Revoke
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ShareLinks;
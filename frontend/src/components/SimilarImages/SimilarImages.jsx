@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getSimilarFiles, clearSimilarFiles } from '../../store/fileSlice';
+import { openFile } from '../../services/downloads';
+import Thumbnail from '../Thumbnail/Thumbnail';
+import './SimilarImages.css';
+
+// Images that look like the previewed one, closest first
+const SimilarImages = ({ fileId }) => {
+  const dispatch = useDispatch();
+  const { similarFiles, similarFilesFor, similarError } = useSelector((state) => state.files);
+  const loaded = similarFilesFor === fileId;
+
+  useEffect(() => {
+    dispatch(getSimilarFiles({ fileId }));
+    return () => {
+      dispatch(clearSimilarFiles());
+    };
+  }, [dispatch, fileId]);
+
+  const handleOpen = async (id) => {
+    try {
+      await openFile(id);
+    } catch (error) {
+      console.error('Failed to open file:', error);
+    }
+  };
+
+  return (
+    <div className="similar-images">
+      <h4>🧬 Similar images</h4>
+
+      {loaded && similarError && <p className="similar-images-empty">{similarError}</p>}
+      {loaded && !similarError && similarFiles.length === 0 && (
+        <p className="similar-images-empty">No similar images found</p>
+      )}
+
+      {similarFiles.length > 0 && (
+        <ul className="similar-images-list">
+          {similarFiles.map((file) => (
+            <li key={file._id} title={file.originalName}>
+              <button type="button" className="similar-images-open" onClick={() => handleOpen(file._id)}>
+                <Thumbnail file={file} size="small" className="similar-images-thumb" fallback="🖼️" />
+              </button>
+              <span className="similar-images-title">{file.title}</span>
+              <span className={`similar-images-score${file.distance === 0 ? ' similar-images-score--exact' : ''}`}>
+                {file.distance === 0 ? 'Identical' : `${file.similarity}% alike`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SimilarImages;
@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api';
+import './Thumbnail.css';
+
+// Loads a file's generated thumbnail through the authenticated API and shows
+// the fallback (usually the file type icon) until it is available
+const Thumbnail = ({ file, size = 'medium', fallback, className = '' }) => {
+  const [src, setSrc] = useState(null);
+  const isReady = file.thumbnailStatus === 'ready';
+
+  useEffect(() => {
+    if (!isReady) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    api.get(`/files/${file._id}/thumbnail`, { params: { size }, responseType: 'blob' })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setSrc(null);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file._id, size, isReady]);
+
+  if (!isReady || !src) {
+    return <div className={className}>{fallback}</div>;
+  }
+
+  return (
+    <div className={`${className} thumbnail thumbnail-${file.fileType}`}>
+      <img src={src} alt={file.title} loading="lazy" />
+      {file.fileType === 'video' && <span className="thumbnail-badge">▶</span>}
+    </div>
+  );
+};
+
+export default Thumbnail;
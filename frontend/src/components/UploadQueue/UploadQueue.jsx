@@ -0,0 +1,94 @@
+import React from 'react';
+import './UploadQueue.css';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  done: 'Uploaded',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// progress holds the bytes sent ({ loaded, total }) of the items being uploaded, by item ID
+const UploadQueue = ({ items, progress = {}, onChange, onRetry, onCancel, onRemove }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <ul className="upload-queue">
+      {items.map((item) => {
+        const editable = item.status === 'queued' || item.status === 'failed' || item.status === 'cancelled';
+        const sent = item.status === 'uploading' ? progress[item.id] : null;
+        const percent = item.status === 'done' ? 100 : sent?.total ? Math.round((sent.loaded / sent.total) * 100) : 0;
+
+        return (
+          <li key={item.id} className={`upload-queue-item upload-queue-item--${item.status}`}>
+            <div className="upload-queue-header">
+              <span className="upload-queue-name" title={item.relativePath}>
+                {item.relativePath}
+              </span>
+              <span className="upload-queue-size">
+                {sent ? `${formatSize(sent.loaded)} of ${formatSize(sent.total)}` : formatSize(item.file.size)}
+              </span>
+              <span className="upload-queue-status">
+                {item.status === 'uploading' ? `${STATUS_LABELS.uploading} ${percent}%` : STATUS_LABELS[item.status]}
+              </span>
+            </div>
+
+            <div className="upload-queue-progress">
+              <div className="upload-queue-progress-bar" style={{ width: `${percent}%` }} />
+            </div>
+
+            {item.error && <p className="upload-queue-error">{item.error}</p>}
+            {item.duplicates?.length > 0 && (
+              <p className="upload-queue-warning">
+                Looks like {item.duplicates.map((duplicate) => `"${duplicate.title}"`).join(', ')}, already in your library
+              </p>
+            )}
+
+            {editable && (
+              <div className="upload-queue-overrides">
+                <input
+                  type="text"
+                  value={item.overrides.title}
+                  onChange={(e) => onChange(item.id, { title: e.target.value })}
+                  placeholder={`Title (defaults to ${item.file.name})`}
+                />
+                <input
+                  type="text"
+                  value={item.overrides.tags}
+                  onChange={(e) => onChange(item.id, { tags: e.target.value })}
+                  placeholder="Tags (defaults to shared tags)"
+                />
+              </div>
+            )}
+
+            <div className="upload-queue-actions">
+              {(item.status === 'failed' || item.status === 'cancelled') && (
+                <button type="button" onClick={() => onRetry(item.id)}>
+                  Retry
+                </button>
+              )}
+              {(item.status === 'queued' || item.status === 'uploading') && (
+                <button type="button" onClick={() => onCancel(item.id)}>
+                  Cancel
+                </button>
+              )}
+              {item.status !== 'uploading' && (
+                <button type="button" onClick={() => onRemove(item.id)}>
+                  Remove
+                </button>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default UploadQueue;
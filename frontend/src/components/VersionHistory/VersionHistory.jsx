@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  getFileVersions,
+  uploadFileVersion,
+  getVersionDiff,
+  restoreFileVersion,
+  deleteFileVersion,
+  clearFileVersions,
+} from '../../store/fileSlice';
+import api from '../../services/api';
+import './VersionHistory.css';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  return String(value);
+};
+
+// Version history of a file; owners can upload, restore and delete versions
+const VersionHistory = ({ file, canManage = false }) => {
+  const dispatch = useDispatch();
+  const { versions, versionsFor, versionRetention, versionDiff, versionsError, uploadProgress } = useSelector((state) => state.files);
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+  const loaded = versionsFor === file._id;
+  const uploadSent = uploadProgress[file._id];
+
+  useEffect(() => {
+    dispatch(getFileVersions(file._id));
+  }, [dispatch, file._id, file.version]);
+
+  useEffect(() => () => {
+    dispatch(clearFileVersions());
+  }, [dispatch]);
+
+  const handleUpload = async (e) => {
+    const upload = e.target.files[0];
+    e.target.value = '';
+    if (!upload) return;
+
+    setBusy(true);
+    const result = await dispatch(uploadFileVersion({ fileId: file._id, file: upload, comment }));
+    setBusy(false);
+
+    if (uploadFileVersion.fulfilled.match(result)) {
+      setComment('');
+    }
+  };
+
+  const handleDownload = async (version) => {
+    try {
+      const response = await api.get(`/files/${file._id}/versions/${version.versionNumber}/content`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = version.originalName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download version:', error);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    const restoreMetadata = window.confirm(
+      `Restore version ${version.versionNumber}?\n\nOK also restores its title, description, tags and category; Cancel restores the content only.`
+    );
+    setBusy(true);
+    await dispatch(restoreFileVersion({ fileId: file._id, versionNumber: version.versionNumber, restoreMetadata }));
+    setBusy(false);
+  };
+
+  const handleDelete = (version) => {
+    if (window.confirm(`Delete version ${version.versionNumber}? This action cannot be undone.`)) {
+      dispatch(deleteFileVersion({ fileId: file._id, versionNumber: version.versionNumber }));
+    }
+  };
+
+  return (
+    <div className="version-history">
+      <h4>🕘 Versions</h4>
+
+      {canManage && (
+        <div className="version-history-upload">
+          <input
+            type="text"
+            value={comment}
+            maxLength={200}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What changed? (optional)"
+          />
+          <button type="button" className="btn btn-primary" disabled={busy} onClick={() => inputRef.current.click()}>
+            {uploadSent
+              ? `Uploading ${Math.round((uploadSent.loaded / uploadSent.total) * 100)}%…`
+              : busy ? 'Saving…' : 'Upload new version'}
+          </button>
+          <input ref={inputRef} type="file" hidden onChange={handleUpload} />
+        </div>
+      )}
+
+      {versionsError && <div className="version-history-error">{versionsError}</div>}
+
+      <ul className="version-history-list">
+        {loaded && versions.map((version) => (
+          <li key={version.versionNumber} className={version.current ? 'current' : ''}>
+            <div className="version-history-info">
+              <strong>v{version.versionNumber}{version.current && ' (current)'}</strong>
+              <span className="version-history-meta">
+                {new Date(version.createdAt).toLocaleString()}
+                {version.createdBy?.name && ` • ${version.createdBy.name}`}
+                {` • ${(version.size / 1024 / 1024).toFixed(1)} MB`}
+              </span>
+              {version.comment && <span className="version-history-comment">{version.comment}</span>}
+            </div>
+            <button type="button" className="version-history-action" onClick={() => handleDownload(version)}>
+              Download
+            </button>
+            {!version.current && (
+              <>
+                <button
+                  type="button"
+                  className="version-history-action"
+                  onClick={() => dispatch(getVersionDiff({ fileId: file._id, versionNumber: version.versionNumber }))}
+                >
+                  Compare
+                </button>
+                {canManage && (
+                  <>
+                    <button type="button" className="version-history-action" disabled={busy} onClick={() => handleRestore(version)}>
+                      Restore
+                    </button>
+                    <button type="button" className="version-history-action danger" onClick={() => handleDelete(version)}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {versionDiff && (
+        <div className="version-history-diff">
+          <p>Changes from v{versionDiff.from} to v{versionDiff.to}</p>
+          {versionDiff.changes.length === 0 ? (
+            <p className="version-history-meta">No differences in content or details</p>
+          ) : (
+            <table>
+              <tbody>
+                {versionDiff.changes.map((change) => (
+                  <tr key={change.field}>
+                    <th>{change.field}</th>
+                    <td>{formatValue(change.from)}</td>
+                    <td>→ {formatValue(change.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {loaded && versionRetention && (
+        <p className="version-history-meta">
+          Keeps up to {versionRetention.maxVersions} earlier version{versionRetention.maxVersions === 1 ? '' : 's'}
+          {versionRetention.maxAgeDays > 0 && ` for ${versionRetention.maxAgeDays} days`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -1,18 +1,140 @@
-import React, { useEffect } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { getUserFiles, incrementViewCount, deleteFile } from '../../store/fileSlice';
+import { getUserFiles, incrementViewCount, deleteFile, moveFiles, copyFiles, fileProcessingUpdated } from '../../store/fileSlice';
+import {
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  getCollections,
+  createCollection,
+  deleteCollection,
+  addFilesToCollection,
+  removeFilesFromCollection,
+} from '../../store/folderSlice';
+import { getSharedWithMe, getSharedFolder } from '../../store/sharingSlice';
+import { getSavedSearches, getSavedSearchFiles, updateSavedSearch } from '../../store/savedSearchSlice';
 import { Link } from 'react-router-dom';
 import FilePreview from '../../components/FilePreview/FilePreview';
+import FolderTree from '../../components/FolderTree/FolderTree';
+import ShareDialog from '../../components/ShareDialog/ShareDialog';
+import DuplicateReport from '../../components/DuplicateReport/DuplicateReport';
+import BulkActions from '../../components/BulkActions/BulkActions';
+import { downloadArchive } from '../../services/downloads';
+import { subscribeToFileEvents } from '../../services/fileEvents';
+
+const PAGE_SIZE = 12;
+
+// Flatten the folder tree into indented options for the move/copy pickers
+const flattenTree = (nodes, depth = 0) =>
+  nodes.flatMap((node) => [
+    { _id: node._id, label: `${'  '.repeat(depth)}${node.name}` },
+    ...flattenTree(node.children, depth + 1),
+  ]);
+
+// uploadedBy is an ID on own listings and a populated user on shared ones
+const ownerId = (file) => file.uploadedBy?._id || file.uploadedBy;
+
+const folderCardStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  padding: '0.75rem 1rem',
+  background: 'white',
+  border: '1px solid #e8eaed',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  textAlign: 'left'
+};
+
+const selectStyle = {
+  padding: '0.4rem 0.5rem',
+  border: '1px solid #e1e5e9',
+  borderRadius: '6px',
+  background: 'white'
+};
 
 const Dashboard = () => {
   const dispatch = useDispatch();
-  const { files, loading } = useSelector((state) => state.files);
+  const { files, loading, pagination } = useSelector((state) => state.files);
+  const { tree, rootFileCount, collections } = useSelector((state) => state.folders);
+  const {
+    sharedFolders,
+    sharedFiles,
+    pagination: sharedPagination,
+    currentFolder,
+    loading: sharedLoading,
+  } = useSelector((state) => state.sharing);
+  const {
+    savedSearches,
+    files: smartFiles,
+    pagination: smartPagination,
+    loading: smartLoading,
+  } = useSelector((state) => state.savedSearches);
   const { user } = useSelector((state) => state.auth);
 
+  const [selection, setSelection] = useState({ type: 'all' });
+  const [page, setPage] = useState(1);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [sharing, setSharing] = useState(null);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+
+  const folderOptions = flattenTree(tree);
+  const isSharedView = selection.type === 'shared';
+  const isSmartView = selection.type === 'smart';
+  const pinnedSearches = savedSearches.filter((savedSearch) => savedSearch.pinned);
+  const visibleFiles = isSharedView ? sharedFiles : isSmartView ? smartFiles : files;
+  const visiblePagination = isSharedView ? sharedPagination : isSmartView ? smartPagination : pagination;
+  const isLoading = isSharedView ? sharedLoading : isSmartView ? smartLoading : loading;
+  const isOwned = (file) => ownerId(file) === user?.id;
+  // Anything visible can be downloaded; moving and organising needs every selected file to be owned
+  const canOrganize = selectedFiles.every((fileId) => {
+    const file = visibleFiles.find((visible) => visible._id === fileId);
+    return file && isOwned(file);
+  });
+
+  const loadFiles = useCallback(() => {
+    const params = { page, limit: PAGE_SIZE };
+    if (selection.type === 'shared') {
+      dispatch(getSharedWithMe(params));
+      return;
+    }
+    if (selection.type === 'smart') {
+      dispatch(getSavedSearchFiles({ id: selection.id, ...params }));
+      return;
+    }
+    if (selection.type === 'root') params.folder = 'root';
+    if (selection.type === 'folder' || selection.type === 'sharedFolder') params.folder = selection.id;
+    if (selection.type === 'collection') params.collection = selection.id;
+    if (selection.type === 'sharedFolder') dispatch(getSharedFolder(selection.id));
+    dispatch(getUserFiles(params));
+  }, [dispatch, selection, page]);
+
   useEffect(() => {
-    dispatch(getUserFiles());
+    dispatch(getFolders());
+    dispatch(getCollections());
+    dispatch(getSavedSearches());
   }, [dispatch]);
 
+  // Thumbnails and processing states appear as the server finishes them
+  useEffect(() => subscribeToFileEvents((event) => dispatch(fileProcessingUpdated(event))), [dispatch]);
+
+  useEffect(() => {
+    loadFiles();
+    setSelectedFiles([]);
+  }, [loadFiles]);
+
+  const refresh = useCallback(() => {
+    setSelectedFiles([]);
+    loadFiles();
+    dispatch(getFolders());
+  }, [dispatch, loadFiles]);
+
+  const handleSelect = (next) => {
+    setSelection(next);
+    setPage(1);
+  };
+
   const handleViewCountIncrement = async (fileId) => {
     try {
       await dispatch(incrementViewCount(fileId)).unwrap();
@@ -25,12 +147,159 @@ const Dashboard = () => {
     try {
       await dispatch(deleteFile(fileId)).unwrap();
       // Refresh the files list after deletion
-      dispatch(getUserFiles());
+      refresh();
     } catch (error) {
       alert('Failed to delete file: ' + error);
     }
   };
 
+  const toggleFile = (fileId) => {
+    setSelectedFiles((current) => (
+      current.includes(fileId) ? current.filter((id) => id !== fileId) : [...current, fileId]
+    ));
+  };
+
+  const handleCreateFolder = async (parent) => {
+    const name = window.prompt('Folder name');
+    if (!name) return;
+    try {
+      await dispatch(createFolder({ name, parent })).unwrap();
+    } catch (error) {
+      alert('Failed to create folder: ' + error);
+    }
+  };
+
+  const handleRenameFolder = async (folder) => {
+    const name = window.prompt('Rename folder', folder.name);
+    if (!name || name === folder.name) return;
+    try {
+      await dispatch(updateFolder({ id: folder._id, name })).unwrap();
+    } catch (error) {
+      alert('Failed to rename folder: ' + error);
+    }
+  };
+
+  const handleDeleteFolder = async (folder) => {
+    const isEmpty = folder.fileCount === 0 && folder.children.length === 0;
+    const message = isEmpty
+      ? `Delete folder "${folder.name}"?`
+      : `Delete folder "${folder.name}" and its sub-folders? Files inside will move to the parent folder.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      await dispatch(deleteFolder({ id: folder._id, force: !isEmpty })).unwrap();
+      if (selection.type === 'folder' && selection.id === folder._id) {
+        handleSelect({ type: 'all' });
+      } else {
+        loadFiles();
+      }
+    } catch (error) {
+      alert('Failed to delete folder: ' + error);
+    }
+  };
+
+  const handleCreateCollection = async () => {
+    const name = window.prompt('Collection name');
+    if (!name) return;
+    try {
+      await dispatch(createCollection({ name })).unwrap();
+    } catch (error) {
+      alert('Failed to create collection: ' + error);
+    }
+  };
+
+  const handleDeleteCollection = async (collection) => {
+    if (!window.confirm(`Delete collection "${collection.name}"? Its files are kept.`)) return;
+    try {
+      await dispatch(deleteCollection(collection._id)).unwrap();
+      if (selection.type === 'collection' && selection.id === collection._id) {
+        handleSelect({ type: 'all' });
+      }
+    } catch (error) {
+      alert('Failed to delete collection: ' + error);
+    }
+  };
+
+  const handleUnpinSavedSearch = async (savedSearch) => {
+    try {
+      await dispatch(updateSavedSearch({ id: savedSearch._id, pinned: false })).unwrap();
+      if (selection.type === 'smart' && selection.id === savedSearch._id) {
+        handleSelect({ type: 'all' });
+      }
+    } catch (error) {
+      alert('Failed to unpin saved search: ' + error);
+    }
+  };
+
+  const handleMoveOrCopy = async (e, action) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (!value) return;
+
+    const folderId = value === 'root' ? null : value;
+    try {
+      if (action === 'move') {
+        await dispatch(moveFiles({ fileIds: selectedFiles, folderId })).unwrap();
+      } else {
+        await dispatch(copyFiles({ fileIds: selectedFiles, folderId })).unwrap();
+      }
+      refresh();
+    } catch (error) {
+      alert(`Failed to ${action} files: ` + error);
+    }
+  };
+
+  const handleDownloadArchive = async (archiveSelection) => {
+    try {
+      await downloadArchive(archiveSelection);
+    } catch (error) {
+      alert('Failed to download files: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleAddToCollection = async (e) => {
+    const { value } = e.target;
+    e.target.value = '';
+    if (!value) return;
+
+    try {
+      await dispatch(addFilesToCollection({ id: value, fileIds: selectedFiles })).unwrap();
+      setSelectedFiles([]);
+    } catch (error) {
+      alert('Failed to add files to collection: ' + error);
+    }
+  };
+
+  const handleRemoveFromCollection = async () => {
+    try {
+      await dispatch(removeFilesFromCollection({ id: selection.id, fileIds: selectedFiles })).unwrap();
+      refresh();
+    } catch (error) {
+      alert('Failed to remove files from collection: ' + error);
+    }
+  };
+
+  const handleOpenSharedFolder = (folder) => {
+    handleSelect({ type: 'sharedFolder', id: folder._id, name: folder.name });
+  };
+
+  const heading = {
+    all: 'All Files',
+    root: 'Files not in a folder',
+    folder: `📁 ${selection.name}`,
+    collection: `🖼️ ${selection.name}`,
+    smart: `🔎 ${selection.name}`,
+    shared: '🤝 Shared with me',
+    sharedFolder: `🤝 ${selection.name}`,
+  }[selection.type];
+
+  // Shared-with-me lists shared folders; inside a shared folder its sub-folders are listed
+  const browsableFolders = isSharedView
+    ? sharedFolders
+    : selection.type === 'sharedFolder' && currentFolder?.folder._id === selection.id
+      ? currentFolder.children
+      : [];
+
   return (
     <div style={{ padding: '2rem', maxWidth: '1200px', margin: '0 auto' }}>
       <div style={{ marginBottom: '2rem' }}>
@@ -39,67 +308,242 @@ const Dashboard = () => {
       </div>
 
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '2rem' }}>
-        <Link to="/upload" style={{ 
-          background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', 
-          color: 'white', 
-          padding: '2rem', 
-          borderRadius: '10px', 
+        <Link to="/upload" style={{
+          background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+          color: 'white',
+          padding: '2rem',
+          borderRadius: '10px',
           textDecoration: 'none',
           textAlign: 'center'
         }}>
           <h3>📤 Upload Files</h3>
           <p>Add new multimedia files</p>
         </Link>
-        
-        <Link to="/search" style={{ 
-          background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)', 
-          color: 'white', 
-          padding: '2rem', 
-          borderRadius: '10px', 
+
+        <Link to="/search" style={{
+          background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
+          color: 'white',
+          padding: '2rem',
+          borderRadius: '10px',
           textDecoration: 'none',
           textAlign: 'center'
         }}>
           <h3>🔍 Search Files</h3>
           <p>Find your files quickly</p>
         </Link>
+
+        <button type="button" onClick={() => setShowDuplicates(!showDuplicates)} style={{
+          background: 'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)',
+          color: 'white',
+          padding: '2rem',
+          border: 'none',
+          borderRadius: '10px',
+          textAlign: 'center',
+          font: 'inherit',
+          cursor: 'pointer'
+        }}>
+          <h3>🧬 Find Duplicates</h3>
+          <p>{showDuplicates ? 'Hide the duplicate report' : 'Spot images you already have'}</p>
+        </button>
       </div>
 
-      <div style={{ marginTop: '2rem' }}>
-        <h2 style={{ marginBottom: '2rem' }}>Recent Files</h2>
-        {loading ? (
-          <p>Loading files...</p>
-        ) : files.length > 0 ? (
-          <div style={{ 
-            display: 'grid', 
-            gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', 
-            gap: '5rem',
-            padding: '1rem 0'
-          }}>
-            {files.slice(0, 8).map((file) => (
-              <FilePreview 
-                key={file._id} 
-                file={file} 
-                onViewCountIncrement={handleViewCountIncrement}
-                onDelete={handleDelete}
-              />
-            ))}
+      {showDuplicates && <DuplicateReport onDelete={handleDelete} />}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(200px, 260px) 1fr', gap: '2rem', alignItems: 'start', marginTop: '2rem' }}>
+        <FolderTree
+          tree={tree}
+          rootFileCount={rootFileCount}
+          collections={collections}
+          selection={selection}
+          onSelect={handleSelect}
+          onCreateFolder={handleCreateFolder}
+          onRenameFolder={handleRenameFolder}
+          onDeleteFolder={handleDeleteFolder}
+          onCreateCollection={handleCreateCollection}
+          onDeleteCollection={handleDeleteCollection}
+          onShareFolder={(folder) => setSharing({ resourceType: 'Folder', resource: folder })}
+          savedSearches={pinnedSearches}
+          onUnpinSavedSearch={handleUnpinSavedSearch}
+        />
+
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+            <h2 style={{ margin: 0, flex: 1 }}>{heading}</h2>
+            {(selection.type === 'folder' || selection.type === 'sharedFolder') && (
+              <button type="button" onClick={() => handleDownloadArchive({ folder: selection.id })} style={{ ...selectStyle, cursor: 'pointer' }}>
+                ⬇️ Download folder
+              </button>
+            )}
+            {isSmartView && visibleFiles.length > 0 && (
+              <button type="button" onClick={() => handleDownloadArchive({ savedSearch: selection.id })} style={{ ...selectStyle, cursor: 'pointer' }}>
+                ⬇️ Download all
+              </button>
+            )}
           </div>
-        ) : (
-          <div style={{ textAlign: 'center', padding: '3rem' }}>
-            <p style={{ fontSize: '1.2rem', color: '#666' }}>No files uploaded yet</p>
-            <Link to="/upload" style={{
-              background: '#667eea',
-              color: 'white',
-              padding: '1rem 2rem',
+
+          {browsableFolders.length > 0 && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '0.75rem', marginBottom: '1rem' }}>
+              {browsableFolders.map((folder) => (
+                <button key={folder._id} type="button" onClick={() => handleOpenSharedFolder(folder)} style={folderCardStyle}>
+                  📁 <span style={{ flex: 1 }}>{folder.name}</span>
+                  {folder.access && <small style={{ color: '#666' }}>{folder.access}</small>}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {selectedFiles.length > 0 && (
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              alignItems: 'center',
+              gap: '0.75rem',
+              background: '#eef1ff',
+              padding: '0.75rem 1rem',
               borderRadius: '8px',
-              textDecoration: 'none',
-              fontWeight: 'bold'
+              marginBottom: '1rem'
             }}>
-              Upload Your First File
-            </Link>
-          </div>
-        )}
+              <strong>{selectedFiles.length} selected</strong>
+              <button type="button" onClick={() => handleDownloadArchive({ ids: selectedFiles })} style={{ ...selectStyle, cursor: 'pointer' }}>
+                ⬇️ Download selected
+              </button>
+              <BulkActions fileIds={selectedFiles} canManage={canOrganize} onComplete={refresh} />
+              {canOrganize && (
+                <>
+                  <select defaultValue="" onChange={(e) => handleMoveOrCopy(e, 'move')} style={selectStyle}>
+                    <option value="" disabled>Move to…</option>
+                    <option value="root">Top level</option>
+                    {folderOptions.map((folder) => (
+                      <option key={folder._id} value={folder._id}>{folder.label}</option>
+                    ))}
+                  </select>
+                  <select defaultValue="" onChange={(e) => handleMoveOrCopy(e, 'copy')} style={selectStyle}>
+                    <option value="" disabled>Copy to…</option>
+                    <option value="root">Top level</option>
+                    {folderOptions.map((folder) => (
+                      <option key={folder._id} value={folder._id}>{folder.label}</option>
+                    ))}
+                  </select>
+                  {collections.length > 0 && (
+                    <select defaultValue="" onChange={handleAddToCollection} style={selectStyle}>
+                      <option value="" disabled>Add to collection…</option>
+                      {collections.map((collection) => (
+                        <option key={collection._id} value={collection._id}>{collection.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  {selection.type === 'collection' && (
+                    <button type="button" onClick={handleRemoveFromCollection} style={{ ...selectStyle, cursor: 'pointer' }}>
+                      Remove from collection
+                    </button>
+                  )}
+                </>
+              )}
+              {selectedFiles.length < visibleFiles.length && (
+                <button
+                  type="button"
+                  onClick={() => setSelectedFiles(visibleFiles.map((file) => file._id))}
+                  style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', marginLeft: 'auto' }}
+                >
+                  Select all
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setSelectedFiles([])}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#667eea',
+                  cursor: 'pointer',
+                  marginLeft: selectedFiles.length < visibleFiles.length ? 0 : 'auto'
+                }}
+              >
+                Clear selection
+              </button>
+            </div>
+          )}
+
+          {isLoading ? (
+            <p>Loading files...</p>
+          ) : visibleFiles.length > 0 ? (
+            <>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+                gap: '2rem',
+                padding: '1rem 0'
+              }}>
+                {visibleFiles.map((file) => (
+                  <div key={file._id} style={{ position: 'relative' }}>
+                    <input
+                      type="checkbox"
+                      checked={selectedFiles.includes(file._id)}
+                      onChange={() => toggleFile(file._id)}
+                      title="Select file"
+                      style={{ position: 'absolute', top: '0.9rem', left: '0.9rem', zIndex: 1, width: '1.1rem', height: '1.1rem' }}
+                    />
+                    <FilePreview
+                      file={file}
+                      onViewCountIncrement={handleViewCountIncrement}
+                      onDelete={isOwned(file) ? handleDelete : undefined}
+                      onShare={isOwned(file) ? (target) => setSharing({ resourceType: 'File', resource: target }) : undefined}
+                      canManageLinks={isOwned(file)}
+                      canManageVersions={isOwned(file)}
+                    />
+                  </div>
+                ))}
+              </div>
+              {visiblePagination?.totalPages > 1 && (
+                <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '1rem', marginTop: '1rem' }}>
+                  <button type="button" disabled={!visiblePagination.hasPrev} onClick={() => setPage(page - 1)} style={selectStyle}>
+                    ← Previous
+                  </button>
+                  <span>Page {visiblePagination.currentPage} of {visiblePagination.totalPages}</span>
+                  <button type="button" disabled={!visiblePagination.hasNext} onClick={() => setPage(page + 1)} style={selectStyle}>
+                    Next →
+                  </button>
+                </div>
+              )}
+            </>
+          ) : selection.type === 'all' ? (
+            <div style={{ textAlign: 'center', padding: '3rem' }}>
+              <p style={{ fontSize: '1.2rem', color: '#666' }}>No files uploaded yet</p>
+              <Link to="/upload" style={{
+                background: '#667eea',
+                color: 'white',
+                padding: '1rem 2rem',
+                borderRadius: '8px',
+                textDecoration: 'none',
+                fontWeight: 'bold'
+              }}>
+                Upload Your First File
+              </Link>
+            </div>
+          ) : isSharedView ? (
+            sharedFolders.length === 0 && (
+              <p style={{ color: '#666', padding: '2rem 0' }}>Nothing has been shared with you yet</p>
+            )
+          ) : (
+            browsableFolders.length === 0 && (
+              <p style={{ color: '#666', padding: '2rem 0' }}>
+                {{
+                  collection: 'This collection is empty',
+                  smart: 'No files match this search yet',
+                }[selection.type] || 'This folder is empty'}
+              </p>
+            )
+          )}
+        </div>
       </div>
+
+      {sharing && (
+        <ShareDialog
+          resourceType={sharing.resourceType}
+          resource={sharing.resource}
+          onClose={() => setSharing(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  getGroups,
+  createGroup,
+  deleteGroup,
+  addGroupMember,
+  removeGroupMember,
+  clearSharingError,
+} from '../../store/sharingSlice';
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #e1e5e9',
+  borderRadius: '6px',
+  fontSize: '0.9rem'
+};
+
+const buttonStyle = {
+  background: '#667eea',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  padding: '0.5rem 1rem',
+  cursor: 'pointer'
+};
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#dc3545',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+};
+
+const GroupCard = ({ group, userId }) => {
+  const dispatch = useDispatch();
+  const [email, setEmail] = useState('');
+  const isOwner = (group.owner?._id || group.owner) === userId;
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    const result = await dispatch(addGroupMember({ id: group._id, email: email.trim() }));
+    if (addGroupMember.fulfilled.match(result)) setEmail('');
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete group "${group.name}"? Everything shared with it will be unshared.`)) {
+      dispatch(deleteGroup(group._id));
+    }
+  };
+
+  const handleLeave = () => {
+    if (window.confirm(`Leave group "${group.name}"?`)) {
+      dispatch(removeGroupMember({ id: group._id, memberId: userId, leaving: true }));
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid #e8eaed',
+      borderRadius: '10px',
+      padding: '1.25rem',
+      boxShadow: '0 2px 10px rgba(0, 0, 0, 0.05)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.75rem' }}>
+        <h3 style={{ margin: 0 }}>👥 {group.name}</h3>
+        {isOwner ? (
+          <button type="button" onClick={handleDelete} style={linkButtonStyle}>Delete group</button>
+        ) : (
+          <button type="button" onClick={handleLeave} style={linkButtonStyle}>Leave</button>
+        )}
+      </div>
+
+      <p style={{ margin: '0 0 0.5rem', color: '#666', fontSize: '0.85rem' }}>
+        Owner: {isOwner ? 'you' : group.owner?.name}
+      </p>
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 1rem' }}>
+        {group.members.length === 0 && <li style={{ color: '#999', fontSize: '0.9rem' }}>No members yet</li>}
+        {group.members.map((member) => (
+          <li key={member._id} style={{ display: 'flex', justifyContent: 'space-between', padding: '0.35rem 0', fontSize: '0.9rem' }}>
+            <span>{member.name} <span style={{ color: '#888' }}>({member.email})</span></span>
+            {isOwner && (
+              <button
+                type="button"
+                onClick={() => dispatch(removeGroupMember({ id: group._id, memberId: member._id }))}
+                style={linkButtonStyle}
+                title="Remove member"
+              >
+                ✕
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && (
+        <form onSubmit={handleAddMember} style={{ display: 'flex', gap: '0.5rem' }}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Add member by email"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button type="submit" style={buttonStyle}>Add</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const Groups = () => {
+  const dispatch = useDispatch();
+  const { groups, error } = useSelector((state) => state.sharing);
+  const { user } = useSelector((state) => state.auth);
+  const [name, setName] = useState('');
+  const [members, setMembers] = useState('');
+
+  useEffect(() => {
+    dispatch(getGroups());
+    return () => {
+      dispatch(clearSharingError());
+    };
+  }, [dispatch]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    const emails = members.split(',').map((email) => email.trim()).filter(Boolean);
+    const result = await dispatch(createGroup({ name: name.trim(), members: emails }));
+    if (createGroup.fulfilled.match(result)) {
+      setName('');
+      setMembers('');
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1000px', margin: '0 auto' }}>
+      <h1>Groups</h1>
+      <p style={{ color: '#666' }}>Share files and folders with a whole team at once.</p>
+
+      <form onSubmit={handleCreate} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', margin: '1.5rem 0' }}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Group name"
+          style={{ ...inputStyle, minWidth: '200px' }}
+        />
+        <input
+          type="text"
+          value={members}
+          onChange={(e) => setMembers(e.target.value)}
+          placeholder="Member emails, comma separated"
+          style={{ ...inputStyle, flex: 1, minWidth: '240px' }}
+        />
+        <button type="submit" style={buttonStyle}>Create group</button>
+      </form>
+
+      {error && (
+        <div style={{ background: '#fee', color: '#c33', padding: '0.75rem 1rem', borderRadius: '6px', marginBottom: '1rem' }}>
+          {error}
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <p style={{ color: '#666' }}>You are not part of any group yet</p>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '1.5rem' }}>
+          {groups.map((group) => (
+            <GroupCard key={group._id} group={group} userId={user?.id} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Groups;
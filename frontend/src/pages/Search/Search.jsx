@@ -1,23 +1,128 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { searchFiles, incrementViewCount, deleteFile, clearSearchResults } from '../../store/fileSlice';
+import {
+  searchFiles,
+  incrementViewCount,
+  deleteFile,
+  clearSearchResults,
+  fetchSearchSuggestions,
+  clearSearchSuggestions
+} from '../../store/fileSlice';
+import { recordSearchClick } from '../../store/searchAnalyticsSlice';
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} from '../../store/savedSearchSlice';
 import FilePreview from '../../components/FilePreview/FilePreview';
+import SearchAnalytics from '../../components/SearchAnalytics/SearchAnalytics';
+import BulkActions from '../../components/BulkActions/BulkActions';
+import { downloadArchive } from '../../services/downloads';
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGESTION_DELAY_MS = 250;
+
+const savedSearchButtonStyle = {
+  padding: '0 0.2rem',
+  border: 'none',
+  background: 'none',
+  cursor: 'pointer'
+};
+
+const facetChipStyle = {
+  padding: '0.25rem 0.65rem',
+  border: '1px solid #d6dbf5',
+  borderRadius: '999px',
+  background: 'white',
+  color: '#4a5568',
+  fontSize: '0.85rem',
+  cursor: 'pointer'
+};
+
+const activeFacetChipStyle = {
+  ...facetChipStyle,
+  borderColor: '#667eea',
+  background: '#667eea',
+  color: 'white'
+};
+
+const FILE_TYPE_LABELS = {
+  image: 'Images',
+  video: 'Videos',
+  audio: 'Audio',
+  document: 'Documents'
+};
+
+const CATEGORY_LABELS = {
+  personal: 'Personal',
+  work: 'Work',
+  education: 'Education',
+  entertainment: 'Entertainment',
+  other: 'Other'
+};
+
+const SUGGESTION_LABELS = {
+  title: 'Title',
+  tag: 'Tag',
+  keyword: 'Keyword'
+};
 
 const Search = () => {
   const [searchQuery, setSearchQuery] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [showInsights, setShowInsights] = useState(false);
+  const [selectedFiles, setSelectedFiles] = useState([]);
   const [filters, setFilters] = useState({
     fileType: '',
     category: '',
+    uploadedBy: '',
     sortBy: 'relevance',
     sortOrder: 'desc'
   });
 
   const dispatch = useDispatch();
-  const { searchResults, loading } = useSelector((state) => state.files);
+  const {
+    searchResults,
+    searchPagination,
+    searchId,
+    didYouMean,
+    searchFacets,
+    searchSuggestions,
+    loading,
+    error
+  } = useSelector((state) => state.files);
+  const { savedSearches } = useSelector((state) => state.savedSearches);
+  const { user } = useSelector((state) => state.auth);
+
+  useEffect(() => {
+    dispatch(getSavedSearches());
+  }, [dispatch]);
+
+  // A new page of results starts with nothing selected
+  useEffect(() => {
+    setSelectedFiles([]);
+  }, [searchResults]);
+
+  useEffect(() => {
+    if (!showSuggestions || !searchQuery.trim()) {
+      dispatch(clearSearchSuggestions());
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      dispatch(fetchSearchSuggestions(searchQuery));
+    }, SUGGESTION_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchQuery, showSuggestions, dispatch]);
 
   const handleInputChange = (e) => {
     const value = e.target.value;
     setSearchQuery(value);
+    setShowSuggestions(true);
+    setActiveSuggestion(-1);
     
     // Clear search results immediately when input becomes empty
     if (!value.trim()) {
@@ -25,13 +130,87 @@ const Search = () => {
     }
   };
 
+  const runSearch = useCallback((page = 1, q = searchQuery, searchFilters = filters) => {
+    setShowSuggestions(false);
+    dispatch(searchFiles({ 
+      q,
+      ...searchFilters,
+      page
+    }));
+  }, [dispatch, searchQuery, filters]);
+
+  // Bulk changes may move results in or out of the current page
+  const handleBulkComplete = useCallback(
+    () => runSearch(searchPagination?.currentPage || 1),
+    [runSearch, searchPagination]
+  );
+
+  const searchFor = (query) => {
+    setSearchQuery(query);
+    runSearch(1, query);
+  };
+
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this search', searchQuery.trim());
+    if (!name) return;
+    try {
+      await dispatch(createSavedSearch({ name, query: searchQuery, ...filters, pinned: true })).unwrap();
+    } catch (error) {
+      alert('Failed to save search: ' + error);
+    }
+  };
+
+  const applySavedSearch = (savedSearch) => {
+    const savedFilters = {
+      fileType: savedSearch.fileType || '',
+      category: savedSearch.category || '',
+      uploadedBy: '',
+      sortBy: savedSearch.sortBy,
+      sortOrder: savedSearch.sortOrder
+    };
+    setSearchQuery(savedSearch.query);
+    setFilters(savedFilters);
+    runSearch(1, savedSearch.query, savedFilters);
+  };
+
+  const handleToggleSavedSearch = async (savedSearch, field) => {
+    try {
+      await dispatch(updateSavedSearch({ id: savedSearch._id, [field]: !savedSearch[field] })).unwrap();
+    } catch (error) {
+      alert('Failed to update saved search: ' + error);
+    }
+  };
+
+  const handleDeleteSavedSearch = async (savedSearch) => {
+    if (!window.confirm(`Delete saved search "${savedSearch.name}"?`)) return;
+    try {
+      await dispatch(deleteSavedSearch(savedSearch._id)).unwrap();
+    } catch (error) {
+      alert('Failed to delete saved search: ' + error);
+    }
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (!showSuggestions || searchSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestion + 1) % searchSuggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(activeSuggestion <= 0 ? searchSuggestions.length - 1 : activeSuggestion - 1);
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+      e.preventDefault();
+      searchFor(searchSuggestions[activeSuggestion].query);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
-      dispatch(searchFiles({ 
-        q: searchQuery,
-        ...filters 
-      }));
+      runSearch();
     } else {
       // Clear search results when query is empty
       dispatch(clearSearchResults());
@@ -45,7 +224,40 @@ const Search = () => {
     });
   };
 
+  // Type, category and uploader facets toggle the matching filter
+  const toggleFacetFilter = (name, value) => {
+    const facetFilters = { ...filters, [name]: filters[name] === value ? '' : value };
+    setFilters(facetFilters);
+    runSearch(1, searchQuery, facetFilters);
+  };
+
+  // Tag, size and date facets narrow the query with their search syntax
+  const addFacetQuery = (facetQuery) => {
+    searchFor(`${searchQuery.trim()} ${facetQuery}`.trim());
+  };
+
+  const facetCount = (facet, value) => {
+    const entry = searchFacets?.[facet]?.find((item) => item.value === value);
+    return searchFacets ? ` (${entry ? entry.count : 0})` : '';
+  };
+
+  const renderFacetGroup = (title, items, renderChip) => (
+    items && items.length > 0 && (
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.4rem' }}>
+        <span style={{ minWidth: '80px', fontSize: '0.85rem', fontWeight: 'bold', color: '#666' }}>{title}</span>
+        {items.map(renderChip)}
+      </div>
+    )
+  );
+
   const handleViewCountIncrement = async (fileId) => {
+    // Opening a result counts as a click for search analytics
+    if (searchId) {
+      const index = searchResults.findIndex((file) => file._id === fileId);
+      const offset = searchPagination ? (searchPagination.currentPage - 1) * searchPagination.limit : 0;
+      dispatch(recordSearchClick({ searchId, fileId, position: offset + index + 1 }));
+    }
+
     try {
       await dispatch(incrementViewCount(fileId)).unwrap();
     } catch (error) {
@@ -53,15 +265,30 @@ const Search = () => {
     }
   };
 
+  const toggleFile = (fileId) => {
+    setSelectedFiles((current) => (
+      current.includes(fileId) ? current.filter((id) => id !== fileId) : [...current, fileId]
+    ));
+  };
+
+  const ownsSelection = selectedFiles.every((fileId) => (
+    searchResults.find((file) => file._id === fileId)?.uploadedBy === user?.id
+  ));
+
+  const handleDownloadSelected = async () => {
+    try {
+      await downloadArchive({ ids: selectedFiles });
+    } catch (error) {
+      alert('Failed to download files: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
   const handleDelete = async (fileId) => {
     try {
       await dispatch(deleteFile(fileId)).unwrap();
       // Re-run the search to refresh results
       if (searchQuery.trim()) {
-        dispatch(searchFiles({ 
-          q: searchQuery,
-          ...filters 
-        }));
+        runSearch(searchPagination?.currentPage || 1);
       }
     } catch (error) {
       alert('Failed to delete file: ' + error);
@@ -102,18 +329,74 @@ const Search = () => {
             boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
           }}>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '1rem', marginBottom: '1rem' }}>
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={handleInputChange}
-            placeholder="Search files by name, description, or tags..."
-            style={{
-              padding: '0.75rem',
-              border: '2px solid #e1e5e9',
-              borderRadius: '8px',
-              fontSize: '1rem'
-            }}
-          />
+          <div style={{ position: 'relative' }}>
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={handleInputChange}
+              onKeyDown={handleInputKeyDown}
+              onFocus={() => setShowSuggestions(true)}
+              onBlur={() => setShowSuggestions(false)}
+              placeholder="Search files by name, description, tags or document text..."
+              autoComplete="off"
+              role="combobox"
+              aria-expanded={showSuggestions && searchSuggestions.length > 0}
+              aria-controls="search-suggestions"
+              style={{
+                width: '100%',
+                boxSizing: 'border-box',
+                padding: '0.75rem',
+                border: '2px solid #e1e5e9',
+                borderRadius: '8px',
+                fontSize: '1rem'
+              }}
+            />
+            {showSuggestions && searchSuggestions.length > 0 && (
+              <ul
+                id="search-suggestions"
+                role="listbox"
+                style={{
+                  position: 'absolute',
+                  top: '100%',
+                  left: 0,
+                  right: 0,
+                  margin: '0.25rem 0 0',
+                  padding: '0.25rem 0',
+                  listStyle: 'none',
+                  background: 'white',
+                  border: '1px solid #e1e5e9',
+                  borderRadius: '8px',
+                  boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                  zIndex: 10
+                }}
+              >
+                {searchSuggestions.map((suggestion, index) => (
+                  <li
+                    key={`${suggestion.type}-${suggestion.text}`}
+                    role="option"
+                    aria-selected={index === activeSuggestion}
+                    // Keep focus in the input so blur doesn't close the list before the click
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => searchFor(suggestion.query)}
+                    onMouseEnter={() => setActiveSuggestion(index)}
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      padding: '0.5rem 0.75rem',
+                      cursor: 'pointer',
+                      background: index === activeSuggestion ? '#f0f2ff' : 'transparent'
+                    }}
+                  >
+                    <span>{suggestion.text}</span>
+                    <span style={{ fontSize: '0.8rem', color: '#888' }}>
+                      {SUGGESTION_LABELS[suggestion.type]}
+                      {suggestion.type !== 'title' && ` · ${suggestion.count}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
           <button
             type="submit"
             disabled={loading}
@@ -130,6 +413,10 @@ const Search = () => {
             {loading ? 'Searching...' : 'Search'}
           </button>
         </div>
+        <p style={{ margin: '-0.5rem 0 1rem', fontSize: '0.8rem', color: '#888' }}>
+          Try <code>"exact phrase"</code>, <code>-exclude</code>, <code>tag:travel</code>, <code>type:video</code>,{' '}
+          <code>size:&gt;10mb</code>, <code>after:2024-01</code>, <code>before:2024-06-30</code> or <code>cats OR dogs</code>
+        </p>
 
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
           <div>
@@ -148,10 +435,10 @@ const Search = () => {
               }}
             >
               <option value="">All Types</option>
-              <option value="image">Images</option>
-              <option value="video">Videos</option>
-              <option value="audio">Audio</option>
-              <option value="document">Documents</option>
+              <option value="image">Images{facetCount('fileType', 'image')}</option>
+              <option value="video">Videos{facetCount('fileType', 'video')}</option>
+              <option value="audio">Audio{facetCount('fileType', 'audio')}</option>
+              <option value="document">Documents{facetCount('fileType', 'document')}</option>
             </select>
           </div>
 
@@ -171,11 +458,11 @@ const Search = () => {
               }}
             >
               <option value="">All Categories</option>
-              <option value="personal">Personal</option>
-              <option value="work">Work</option>
-              <option value="education">Education</option>
-              <option value="entertainment">Entertainment</option>
-              <option value="other">Other</option>
+              <option value="personal">Personal{facetCount('category', 'personal')}</option>
+              <option value="work">Work{facetCount('category', 'work')}</option>
+              <option value="education">Education{facetCount('category', 'education')}</option>
+              <option value="entertainment">Entertainment{facetCount('category', 'entertainment')}</option>
+              <option value="other">Other{facetCount('category', 'other')}</option>
             </select>
           </div>
 
@@ -208,10 +495,183 @@ const Search = () => {
 
       {/* Results Section */}
       <div style={{ padding: '2rem', maxWidth: '1200px', margin: '0 auto', minHeight: '400px' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem' }}>
+          {savedSearches.map((savedSearch) => (
+            <span
+              key={savedSearch._id}
+              style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                gap: '0.25rem',
+                padding: '0.3rem 0.6rem',
+                background: '#eef1ff',
+                borderRadius: '999px',
+                fontSize: '0.9rem'
+              }}
+            >
+              <button
+                type="button"
+                onClick={() => applySavedSearch(savedSearch)}
+                title={savedSearch.query}
+                style={{ ...savedSearchButtonStyle, color: '#4c51bf', fontWeight: 'bold' }}
+              >
+                {savedSearch.name}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleToggleSavedSearch(savedSearch, 'pinned')}
+                title={savedSearch.pinned ? 'Unpin from sidebar' : 'Pin to sidebar'}
+                style={{ ...savedSearchButtonStyle, opacity: savedSearch.pinned ? 1 : 0.35 }}
+              >
+                📌
+              </button>
+              <button
+                type="button"
+                onClick={() => handleToggleSavedSearch(savedSearch, 'notify')}
+                title={savedSearch.notify ? 'Stop counting new matches' : 'Count new matching files'}
+                style={{ ...savedSearchButtonStyle, opacity: savedSearch.notify ? 1 : 0.35 }}
+              >
+                🔔
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDeleteSavedSearch(savedSearch)}
+                title="Delete saved search"
+                style={{ ...savedSearchButtonStyle, color: '#999' }}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+          <span style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem' }}>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              disabled={!searchQuery.trim() && !filters.fileType && !filters.category}
+              onClick={handleSaveSearch}
+            >
+              ⭐ Save search
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowInsights(!showInsights)}
+            >
+              {showInsights ? 'Hide insights' : '📊 Search insights'}
+            </button>
+          </span>
+        </div>
+        {showInsights && <SearchAnalytics onSearch={searchFor} />}
+
+        {error && searchQuery && !loading && (
+          <div style={{ padding: '0.75rem 1rem', background: '#fee', color: '#c33', borderRadius: '8px', marginTop: '1rem' }}>
+            {error}
+          </div>
+        )}
+
         {searchResults.length > 0 && (
-          <h2 style={{ marginBottom: '2rem', marginTop: '1rem' }}>Search Results ({searchResults.length})</h2>
+          <h2 style={{ marginBottom: '2rem', marginTop: '1rem' }}>
+            Search Results ({searchPagination?.totalFiles ?? searchResults.length})
+          </h2>
+        )}
+
+        {searchFacets && (searchResults.length > 0 || filters.uploadedBy) && (
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.6rem',
+            padding: '1rem',
+            marginBottom: '1rem',
+            background: '#f8f9ff',
+            borderRadius: '8px'
+          }}>
+            {renderFacetGroup('Type', searchFacets.fileType, (item) => (
+              <button
+                key={item.value}
+                type="button"
+                onClick={() => toggleFacetFilter('fileType', item.value)}
+                style={filters.fileType === item.value ? activeFacetChipStyle : facetChipStyle}
+              >
+                {FILE_TYPE_LABELS[item.value] || item.value} ({item.count})
+              </button>
+            ))}
+            {renderFacetGroup('Category', searchFacets.category, (item) => (
+              <button
+                key={item.value}
+                type="button"
+                onClick={() => toggleFacetFilter('category', item.value)}
+                style={filters.category === item.value ? activeFacetChipStyle : facetChipStyle}
+              >
+                {CATEGORY_LABELS[item.value] || item.value} ({item.count})
+              </button>
+            ))}
+            {renderFacetGroup('Uploader', searchFacets.uploader, (item) => (
+              <button
+                key={item.value}
+                type="button"
+                onClick={() => toggleFacetFilter('uploadedBy', item.value)}
+                title={filters.uploadedBy === item.value ? 'Show all uploaders' : undefined}
+                style={filters.uploadedBy === item.value ? activeFacetChipStyle : facetChipStyle}
+              >
+                {item.label} ({item.count}){filters.uploadedBy === item.value && ' ✕'}
+              </button>
+            ))}
+            {renderFacetGroup('Tags', searchFacets.tags, (item) => (
+              <button key={item.value} type="button" onClick={() => addFacetQuery(item.query)} style={facetChipStyle}>
+                #{item.value} ({item.count})
+              </button>
+            ))}
+            {renderFacetGroup('Size', searchFacets.size, (item) => (
+              <button key={item.value} type="button" onClick={() => addFacetQuery(item.query)} style={facetChipStyle}>
+                {item.label} ({item.count})
+              </button>
+            ))}
+            {renderFacetGroup('Uploaded', searchFacets.uploadYear, (item) => (
+              <button key={item.value} type="button" onClick={() => addFacetQuery(item.query)} style={facetChipStyle}>
+                {item.value} ({item.count})
+              </button>
+            ))}
+          </div>
         )}
         
+        {searchResults.length > 0 && (
+          <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            gap: '0.75rem',
+            background: selectedFiles.length > 0 ? '#eef1ff' : 'transparent',
+            padding: '0.5rem 1rem',
+            borderRadius: '8px',
+            marginTop: '1rem'
+          }}>
+            {selectedFiles.length > 0 ? (
+              <>
+                <strong>{selectedFiles.length} selected</strong>
+                <button type="button" className="btn btn-secondary" onClick={handleDownloadSelected}>
+                  ⬇️ Download selected
+                </button>
+                <BulkActions
+                  fileIds={selectedFiles}
+                  canManage={ownsSelection}
+                  onComplete={handleBulkComplete}
+                />
+              </>
+            ) : (
+              <span style={{ color: '#666' }}>Select results to download or change them together</span>
+            )}
+            <button
+              type="button"
+              onClick={() => setSelectedFiles(
+                selectedFiles.length === searchResults.length ? [] : searchResults.map((file) => file._id)
+              )}
+              style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', marginLeft: 'auto' }}
+            >
+              {selectedFiles.length === searchResults.length ? 'Clear selection' : 'Select all'}
+            </button>
+          </div>
+        )}
+
         {searchResults.length > 0 ? (
           <div style={{ 
             display: 'grid', 
@@ -220,20 +680,77 @@ const Search = () => {
             padding: '1rem 0'
           }}>
             {searchResults.map((file) => (
-              <FilePreview 
-                key={file._id} 
-                file={file} 
-                onViewCountIncrement={handleViewCountIncrement}
-                onDelete={handleDelete}
-              />
+              <div key={file._id} style={{ position: 'relative' }}>
+                <input
+                  type="checkbox"
+                  checked={selectedFiles.includes(file._id)}
+                  onChange={() => toggleFile(file._id)}
+                  title="Select file"
+                  style={{ position: 'absolute', top: '0.9rem', left: '0.9rem', zIndex: 1, width: '1.1rem', height: '1.1rem' }}
+                />
+                <FilePreview
+                  file={file}
+                  onViewCountIncrement={handleViewCountIncrement}
+                  onDelete={file.uploadedBy === user?.id ? handleDelete : undefined}
+                  canManageLinks={file.uploadedBy === user?.id}
+                  canManageVersions={file.uploadedBy === user?.id}
+                />
+              </div>
             ))}
           </div>
-        ) : searchQuery && !loading ? (
+        ) : searchQuery && !loading && !error ? (
           <div style={{ textAlign: 'center', padding: '3rem' }}>
             <p style={{ fontSize: '1.2rem', color: '#666' }}>No files found for "{searchQuery}"</p>
-            <p style={{ color: '#888' }}>Try different keywords or adjust your filters</p>
+            {didYouMean ? (
+              <p style={{ color: '#888' }}>
+                Did you mean{' '}
+                <button
+                  type="button"
+                  onClick={() => searchFor(didYouMean.query)}
+                  style={{
+                    padding: 0,
+                    border: 'none',
+                    background: 'none',
+                    color: '#667eea',
+                    fontSize: 'inherit',
+                    fontWeight: 'bold',
+                    cursor: 'pointer',
+                    textDecoration: 'underline'
+                  }}
+                >
+                  {didYouMean.query}
+                </button>
+                ?
+              </p>
+            ) : (
+              <p style={{ color: '#888' }}>Try different keywords or adjust your filters</p>
+            )}
           </div>
         ) : null}
+
+        {searchPagination && searchPagination.totalPages > 1 && (
+          <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '1rem', padding: '1rem 0' }}>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              disabled={!searchPagination.hasPrev || loading}
+              onClick={() => runSearch(searchPagination.currentPage - 1)}
+            >
+              ← Previous
+            </button>
+            <span style={{ color: '#666' }}>
+              Page {searchPagination.currentPage} of {searchPagination.totalPages}
+            </span>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              disabled={!searchPagination.hasNext || loading}
+              onClick={() => runSearch(searchPagination.currentPage + 1)}
+            >
+              Next →
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { getPublicLink, unlockPublicLink, getPublicLinkContentUrl } from '../../services/shareLinks';
+import '../Login/Login.css';
+
+const getFileIcon = (fileType) => {
+  switch (fileType) {
+    case 'image': return '🖼️';
+    case 'video': return '🎥';
+    case 'audio': return '🎵';
+    case 'document': return '📄';
+    default: return '📁';
+  }
+};
+
+// Landing page for public share links; works without an account
+const SharedLink = () => {
+  const { token } = useParams();
+  const [link, setLink] = useState(null);
+  const [accessToken, setAccessToken] = useState(null);
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [unlocking, setUnlocking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    getPublicLink(token, accessToken)
+      .then((result) => {
+        if (!cancelled) {
+          setLink(result);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'This link could not be opened');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, accessToken]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    try {
+      setAccessToken(await unlockPublicLink(token, password));
+      setPassword('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to unlock link');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (loading) return <p>Loading…</p>;
+    if (!link) return <div className="error-message">{error}</div>;
+
+    if (link.requiresPassword) {
+      return (
+        <>
+          <p>This file is password protected.</p>
+          {error && <div className="error-message">{error}</div>}
+          <form onSubmit={handleUnlock} className="login-form">
+            <div className="form-group">
+              <label htmlFor="share-password">Password</label>
+              <input
+                type="password"
+                id="share-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                placeholder="Enter the link password"
+              />
+            </div>
+            <button type="submit" disabled={unlocking} className="login-btn">
+              {unlocking ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </form>
+        </>
+      );
+    }
+
+    const { file } = link;
+    return (
+      <>
+        <div style={{ fontSize: '4rem', marginBottom: '0.5rem' }}>{getFileIcon(file.fileType)}</div>
+        <h3 style={{ margin: '0 0 0.5rem', color: '#333', wordBreak: 'break-word' }}>{file.title}</h3>
+        {file.description && <p style={{ marginBottom: '1rem' }}>{file.description}</p>}
+        <p style={{ marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+          {file.originalName} • {(file.size / 1024 / 1024).toFixed(1)} MB
+          {link.expiresAt && <><br />Available until {new Date(link.expiresAt).toLocaleString()}</>}
+          {link.remainingDownloads !== null && <><br />{link.remainingDownloads} download(s) left</>}
+        </p>
+        <a
+          href={getPublicLinkContentUrl(token, accessToken, { download: true })}
+          className="login-btn"
+          style={{ display: 'block', textDecoration: 'none', boxSizing: 'border-box' }}
+        >
+          ⬇️ Download
+        </a>
+      </>
+    );
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h2>Shared file</h2>
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default SharedLink;
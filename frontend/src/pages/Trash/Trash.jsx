@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getTrash, restoreFile, deleteFileForever, emptyTrash, clearTrashNotice } from '../../store/trashSlice';
+
+const buttonStyle = {
+  background: '#667eea',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  padding: '0.4rem 0.9rem',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+};
+
+const dangerButtonStyle = {
+  ...buttonStyle,
+  background: 'white',
+  color: '#dc3545',
+  border: '1px solid #dc3545'
+};
+
+const FILE_ICONS = {
+  image: '🖼️',
+  video: '🎥',
+  audio: '🎵',
+  document: '📄'
+};
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Days left before the purge job deletes a file for good
+const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+const Trash = () => {
+  const dispatch = useDispatch();
+  const { files, totalSize, retentionDays, pagination, loading, error, notice } = useSelector((state) => state.trash);
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    dispatch(getTrash({ page }));
+  }, [dispatch, page]);
+
+  useEffect(() => () => {
+    dispatch(clearTrashNotice());
+  }, [dispatch]);
+
+  const handleDeleteForever = (file) => {
+    if (window.confirm(`Permanently delete "${file.title}"? This action cannot be undone.`)) {
+      dispatch(deleteFileForever(file._id));
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm('Permanently delete every file in the trash? This action cannot be undone.')) {
+      dispatch(emptyTrash());
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1000px', margin: '0 auto' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem' }}>
+        <h1>🗑️ Trash</h1>
+        {files.length > 0 && (
+          <button type="button" onClick={handleEmpty} style={dangerButtonStyle}>Empty trash</button>
+        )}
+      </div>
+      <p style={{ color: '#666' }}>
+        Deleted files are kept{retentionDays ? ` for ${retentionDays} days` : ''} and still count towards your storage
+        {pagination?.totalFiles > 0 && ` (${pagination.totalFiles} file(s), ${formatSize(totalSize)})`}.
+      </p>
+
+      {error && (
+        <div style={{ background: '#fee', color: '#c33', padding: '0.75rem 1rem', borderRadius: '6px', marginBottom: '1rem' }}>
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div style={{ background: '#e8f5e9', color: '#2e7d32', padding: '0.75rem 1rem', borderRadius: '6px', marginBottom: '1rem' }}>
+          {notice}
+        </div>
+      )}
+
+      {loading && files.length === 0 ? (
+        <p style={{ color: '#666' }}>Loading…</p>
+      ) : files.length === 0 ? (
+        <p style={{ color: '#666' }}>The trash is empty</p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {files.map((file) => (
+            <li
+              key={file._id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '1rem',
+                padding: '0.9rem 1rem',
+                background: 'white',
+                border: '1px solid #e8eaed',
+                borderRadius: '8px',
+                marginBottom: '0.5rem'
+              }}
+            >
+              <span style={{ fontSize: '1.5rem' }}>{FILE_ICONS[file.fileType] || '📁'}</span>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{file.title}</div>
+                <div style={{ color: '#888', fontSize: '0.8rem' }}>
+                  {file.originalName} • {formatSize(file.size)} • deleted {new Date(file.deletedAt).toLocaleString()}
+                  {` • deleted for good in ${daysLeft(file.purgeAt)} day(s)`}
+                </div>
+              </div>
+              <button type="button" onClick={() => dispatch(restoreFile(file._id))} style={buttonStyle}>Restore</button>
+              <button type="button" onClick={() => handleDeleteForever(file)} style={dangerButtonStyle}>Delete forever</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination?.totalPages > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '1rem', marginTop: '1rem' }}>
+          <button type="button" disabled={!pagination.hasPrev} onClick={() => setPage(page - 1)} style={buttonStyle}>
+            ← Previous
+          </button>
+          <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+          <button type="button" disabled={!pagination.hasNext} onClick={() => setPage(page + 1)} style={buttonStyle}>
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
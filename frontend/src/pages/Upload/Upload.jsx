@@ -1,11 +1,73 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { uploadFile } from '../../store/fileSlice';
+import { Link } from 'react-router-dom';
+import { uploadBatch, uploadFileChunked, getPendingUploads, abortPendingUpload } from '../../store/fileSlice';
+import { CHUNKED_UPLOAD_THRESHOLD, findResumableSession } from '../../services/chunkedUpload';
+import UploadQueue from '../../components/UploadQueue/UploadQueue';
+import { getQuota, clearQuotaError } from '../../store/quotaSlice';
+
+// Small files are grouped into batch requests of at most this many files / bytes
+const BATCH_MAX_FILES = 10;
+const BATCH_MAX_BYTES = 25 * 1024 * 1024;
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '2px solid #e1e5e9',
+  borderRadius: '8px',
+  boxSizing: 'border-box'
+};
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' };
+
+let nextItemId = 1;
+
+const createQueueItem = (file, relativePath) => ({
+  id: nextItemId++,
+  file,
+  relativePath: relativePath || file.name,
+  status: 'queued',
+  error: null,
+  overrides: { title: '', tags: '' },
+});
+
+// Walk a dropped directory entry and resolve every file inside it
+const readEntry = (entry) => new Promise((resolve) => {
+  if (entry.isFile) {
+    entry.file(
+      (file) => resolve([{ file, relativePath: entry.fullPath.replace(/^\//, '') }]),
+      () => resolve([])
+    );
+    return;
+  }
+
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns results in chunks until it yields an empty list
+  const readChunk = () => {
+    reader.readEntries(async (entries) => {
+      if (entries.length === 0) {
+        const nested = await Promise.all(children.map(readEntry));
+        resolve(nested.flat());
+        return;
+      }
+      children.push(...entries);
+      readChunk();
+    }, () => resolve([]));
+  };
+  readChunk();
+});
 
 const Upload = () => {
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [processing, setProcessing] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
   const [formData, setFormData] = useState({
-    title: '',
     description: '',
     tags: '',
     category: 'personal',
@@ -13,10 +75,208 @@ const Upload = () => {
   });
 
   const dispatch = useDispatch();
-  const { uploading, uploadProgress, error } = useSelector((state) => state.files);
+  const { error, pendingUploads, uploadProgress } = useSelector((state) => state.files);
+  const { quota, quotaError } = useSelector((state) => state.quota);
+
+  // The upload loop runs across renders, so it reads queue and settings from refs
+  const queueRef = useRef([]);
+  const processingRef = useRef(false);
+  const inFlightRef = useRef(null);
+  const formDataRef = useRef(formData);
+  const pendingUploadsRef = useRef(pendingUploads);
+  const folderInputRef = useRef(null);
+  formDataRef.current = formData;
+  pendingUploadsRef.current = pendingUploads;
+
+  useEffect(() => {
+    dispatch(getPendingUploads());
+    dispatch(getQuota());
+    return () => {
+      dispatch(clearQuotaError());
+    };
+  }, [dispatch]);
+
+  useEffect(() => {
+    // webkitdirectory is not a known React prop, so it is set on the element directly
+    if (folderInputRef.current) {
+      folderInputRef.current.setAttribute('webkitdirectory', '');
+    }
+  }, []);
+
+  useEffect(() => () => {
+    if (inFlightRef.current) inFlightRef.current.promise.abort();
+  }, []);
+
+  const updateQueue = (updater) => {
+    queueRef.current = updater(queueRef.current);
+    setQueue(queueRef.current);
+  };
+
+  const updateItems = (ids, changes) => {
+    updateQueue((items) => items.map((item) => (
+      ids.includes(item.id)
+        ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) }
+        : item
+    )));
+  };
+
+  const isChunked = (item) =>
+    item.file.size > CHUNKED_UPLOAD_THRESHOLD || !!findResumableSession(item.file, pendingUploadsRef.current);
+
+  const getOverrides = (item) => {
+    const overrides = {};
+    Object.entries(item.overrides).forEach(([field, value]) => {
+      if (value.trim()) overrides[field] = value.trim();
+    });
+    return overrides;
+  };
+
+  // Pick the next request to send: one large file, or a group of small ones
+  const nextGroup = () => {
+    const queued = queueRef.current.filter((item) => item.status === 'queued');
+    if (queued.length === 0) return [];
+    if (isChunked(queued[0])) return [queued[0]];
+
+    const group = [];
+    let bytes = 0;
+    for (const item of queued) {
+      if (isChunked(item)) continue;
+      if (group.length === BATCH_MAX_FILES) break;
+      if (group.length > 0 && bytes + item.file.size > BATCH_MAX_BYTES) break;
+      group.push(item);
+      bytes += item.file.size;
+    }
+    return group;
+  };
+
+  // Items whose request was aborted go back to the queue unless they were cancelled themselves
+  const settleAborted = (ids) => {
+    updateItems(ids, (item) => (
+      item.status === 'uploading' ? { status: 'queued' } : {}
+    ));
+  };
+
+  const uploadLargeFile = async (item) => {
+    const promise = dispatch(uploadFileChunked({
+      uploadId: item.id,
+      file: item.file,
+      session: findResumableSession(item.file, pendingUploadsRef.current),
+      metadata: {
+        title: item.file.name,
+        ...formDataRef.current,
+        ...getOverrides(item),
+      },
+    }));
+    inFlightRef.current = { promise, ids: [item.id] };
+
+    try {
+      const { duplicates = [] } = await promise.unwrap();
+      updateItems([item.id], { status: 'done', duplicates });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        settleAborted([item.id]);
+      } else {
+        updateItems([item.id], { status: 'failed', error: err.message || String(err) });
+      }
+    }
+  };
+
+  const uploadSmallFiles = async (group) => {
+    const ids = group.map((item) => item.id);
+
+    const promise = dispatch(uploadBatch({
+      defaults: formDataRef.current,
+      entries: group.map((item) => ({
+        uploadId: item.id,
+        file: item.file,
+        relativePath: item.relativePath,
+        overrides: getOverrides(item),
+      })),
+    }));
+    inFlightRef.current = { promise, ids };
+
+    try {
+      const { results = [] } = await promise.unwrap();
+      results.forEach((result) => {
+        const item = group[result.index];
+        if (!item) return;
+        updateItems([item.id], result.success
+          ? { status: 'done', duplicates: result.duplicates || [] }
+          : { status: 'failed', error: result.error });
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        settleAborted(ids);
+      } else {
+        updateItems(ids, (item) => (
+          item.status === 'uploading' ? { status: 'failed', error: err.message || String(err) } : {}
+        ));
+      }
+    }
+  };
+
+  const processQueue = async () => {
+    if (processingRef.current) return;
+    processingRef.current = true;
+    setProcessing(true);
+    dispatch(clearQuotaError());
+
+    try {
+      let group = nextGroup();
+      while (group.length > 0) {
+        updateItems(group.map((item) => item.id), { status: 'uploading', error: null });
+        if (group.length === 1 && isChunked(group[0])) {
+          await uploadLargeFile(group[0]);
+        } else {
+          await uploadSmallFiles(group);
+        }
+        inFlightRef.current = null;
+        group = nextGroup();
+      }
+    } finally {
+      processingRef.current = false;
+      setProcessing(false);
+      // Interrupted chunked uploads stay on the server and can be resumed later
+      dispatch(getPendingUploads());
+      dispatch(getQuota());
+    }
+  };
+
+  const addFiles = (entries) => {
+    if (entries.length === 0) return;
+    updateQueue((items) => [
+      ...items,
+      ...entries.map(({ file, relativePath }) => createQueueItem(file, relativePath)),
+    ]);
+  };
 
   const handleFileChange = (e) => {
-    setSelectedFile(e.target.files[0]);
+    addFiles(Array.from(e.target.files).map((file) => ({
+      file,
+      relativePath: file.webkitRelativePath || file.name,
+    })));
+    e.target.value = '';
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragActive(false);
+
+    const entries = Array.from(e.dataTransfer.items || [])
+      .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (entries.length > 0) {
+      const files = await Promise.all(entries.map(readEntry));
+      addFiles(files.flat());
+    } else {
+      addFiles(Array.from(e.dataTransfer.files).map((file) => ({ file, relativePath: file.name })));
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragActive(true);
   };
 
   const handleInputChange = (e) => {
@@ -27,43 +287,76 @@ const Upload = () => {
     });
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!selectedFile) {
-      alert('Please select a file to upload');
-      return;
+  const handleOverrideChange = (id, changes) => {
+    updateItems([id], (item) => ({ overrides: { ...item.overrides, ...changes } }));
+  };
+
+  const handleRetry = (id) => {
+    updateItems([id], { status: 'queued', error: null });
+    processQueue();
+  };
+
+  const handleCancel = (id) => {
+    const inFlight = inFlightRef.current;
+    updateItems([id], { status: 'cancelled' });
+    if (inFlight && inFlight.ids.includes(id)) {
+      inFlight.promise.abort();
     }
+  };
 
-    const data = new FormData();
-    data.append('file', selectedFile);
-    data.append('title', formData.title || selectedFile.name);
-    data.append('description', formData.description);
-    data.append('tags', formData.tags);
-    data.append('category', formData.category);
-    data.append('isPublic', formData.isPublic);
+  const handleRemove = (id) => {
+    updateQueue((items) => items.filter((item) => item.id !== id));
+  };
 
-    try {
-      await dispatch(uploadFile(data)).unwrap();
-      // Reset form
-      setSelectedFile(null);
-      setFormData({
-        title: '',
-        description: '',
-        tags: '',
-        category: 'personal',
-        isPublic: false,
-      });
-      alert('File uploaded successfully!');
-    } catch (error) {
-      console.error('Upload failed:', error);
+  const handleClearFinished = () => {
+    updateQueue((items) => items.filter((item) => item.status !== 'done'));
+  };
+
+  const handleAbortPending = (sessionId) => {
+    if (window.confirm('Discard this unfinished upload?')) {
+      dispatch(abortPendingUpload(sessionId));
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!queue.some((item) => item.status === 'queued')) {
+      alert('Please add files to upload');
+      return;
+    }
+    processQueue();
+  };
+
+  const queuedCount = queue.filter((item) => item.status === 'queued').length;
+  const doneCount = queue.filter((item) => item.status === 'done').length;
+  const failedCount = queue.filter((item) => item.status === 'failed').length;
+
   return (
-    <div style={{ padding: '2rem', maxWidth: '600px', margin: '0 auto' }}>
+    <div style={{ padding: '2rem', maxWidth: '700px', margin: '0 auto' }}>
       <h1>📤 Upload Files</h1>
       <p>Upload your multimedia files to the cloud</p>
 
+      {quota?.enabled && quota.limits.storageBytes !== null && (
+        <p style={{ color: '#666', fontSize: '0.9rem' }}>
+          {formatSize(quota.remaining.storageBytes)} of {formatSize(quota.limits.storageBytes)} left on the {quota.plan} plan
+        </p>
+      )}
+
+      {quotaError && (
+        <div style={{
+          background: '#fff5f5',
+          border: '1px solid #feb2b2',
+          color: '#c53030',
+          padding: '1rem',
+          borderRadius: '8px',
+          marginBottom: '1rem'
+        }}>
+          <strong>🚫 Quota exceeded</strong>
+          <p style={{ margin: '0.5rem 0' }}>{quotaError}</p>
+          <Link to="/trash">Review the trash</Link> or delete files to free up space.
+        </div>
+      )}
+
       {error && (
         <div style={{
           background: '#fee',
@@ -76,79 +369,134 @@ const Upload = () => {
         </div>
       )}
 
+      {pendingUploads.length > 0 && (
+        <div style={{
+          background: '#fffbea',
+          border: '1px solid #f6e05e',
+          padding: '1rem',
+          borderRadius: '8px',
+          marginBottom: '1rem'
+        }}>
+          <strong>Unfinished uploads</strong>
+          <p style={{ margin: '0.25rem 0 0.75rem', fontSize: '0.875rem', color: '#666' }}>
+            Add the same file again to resume where it stopped.
+          </p>
+          {pendingUploads.map((session) => (
+            <div key={session.id} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.5rem' }}>
+              <span style={{ flex: 1, color: '#333' }}>
+                {session.originalName} — {Math.round((session.uploadedBytes / session.size) * 100)}% of {(session.size / 1024 / 1024).toFixed(1)} MB
+              </span>
+              <button
+                type="button"
+                onClick={() => handleAbortPending(session.id)}
+                style={{
+                  background: 'none',
+                  border: '1px solid #c53030',
+                  color: '#c53030',
+                  borderRadius: '6px',
+                  padding: '0.25rem 0.75rem',
+                  cursor: 'pointer'
+                }}
+              >
+                Discard
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} style={{
         background: 'white',
         padding: '2rem',
         borderRadius: '10px',
         boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
       }}>
-        <div style={{ marginBottom: '1.5rem' }}>
-          <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
-            Select File *
-          </label>
-          <input
-            type="file"
-            onChange={handleFileChange}
-            accept="image/*,video/*,audio/*,.pdf,.doc,.docx,.txt"
-            required
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              border: '2px dashed #ccc',
-              borderRadius: '8px',
-              background: '#f9f9f9'
-            }}
-          />
-          {selectedFile && (
-            <p style={{ marginTop: '0.5rem', color: '#666' }}>
-              Selected: {selectedFile.name} ({(selectedFile.size / 1024 / 1024).toFixed(2)} MB)
-            </p>
-          )}
+        <div
+          onDragOver={handleDragOver}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={handleDrop}
+          style={{
+            marginBottom: '1.5rem',
+            padding: '2rem 1rem',
+            border: `2px dashed ${dragActive ? '#667eea' : '#ccc'}`,
+            borderRadius: '8px',
+            background: dragActive ? '#f0f3ff' : '#f9f9f9',
+            textAlign: 'center'
+          }}
+        >
+          <p style={{ margin: '0 0 1rem', color: '#666' }}>
+            Drag and drop files or folders here
+          </p>
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+            <label style={{ cursor: 'pointer', color: '#667eea', fontWeight: 'bold' }}>
+              Select files
+              <input
+                type="file"
+                multiple
+                onChange={handleFileChange}
+                accept="image/*,video/*,audio/*,.pdf,.doc,.docx,.txt"
+                style={{ display: 'none' }}
+              />
+            </label>
+            <label style={{ cursor: 'pointer', color: '#667eea', fontWeight: 'bold' }}>
+              Select folder
+              <input
+                type="file"
+                multiple
+                ref={folderInputRef}
+                onChange={handleFileChange}
+                style={{ display: 'none' }}
+              />
+            </label>
+          </div>
         </div>
 
-        <div style={{ marginBottom: '1.5rem' }}>
-          <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
-            Title
-          </label>
-          <input
-            type="text"
-            name="title"
-            value={formData.title}
-            onChange={handleInputChange}
-            placeholder="Enter file title (optional)"
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              border: '2px solid #e1e5e9',
-              borderRadius: '8px',
-              boxSizing: 'border-box'
-            }}
-          />
-        </div>
+        <UploadQueue
+          items={queue}
+          progress={uploadProgress}
+          onChange={handleOverrideChange}
+          onRetry={handleRetry}
+          onCancel={handleCancel}
+          onRemove={handleRemove}
+        />
+
+        {queue.length > 0 && (
+          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '1.5rem', fontSize: '0.875rem', color: '#666' }}>
+            <span style={{ flex: 1 }}>
+              {doneCount} of {queue.length} uploaded{failedCount > 0 ? `, ${failedCount} failed` : ''}
+            </span>
+            {doneCount > 0 && (
+              <button
+                type="button"
+                onClick={handleClearFinished}
+                style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer' }}
+              >
+                Clear finished
+              </button>
+            )}
+          </div>
+        )}
+
+        <p style={{ margin: '0 0 1rem', fontSize: '0.875rem', color: '#666' }}>
+          These details apply to every file unless overridden in the queue.
+        </p>
 
         <div style={{ marginBottom: '1.5rem' }}>
-          <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+          <label style={labelStyle}>
             Description
           </label>
           <textarea
             name="description"
             value={formData.description}
             onChange={handleInputChange}
-            placeholder="Enter file description (optional)"
+            placeholder="Enter a description (optional)"
             rows="3"
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              border: '2px solid #e1e5e9',
-              borderRadius: '8px',
-              boxSizing: 'border-box',
-              resize: 'vertical'
-            }}
+            style={{ ...inputStyle, resize: 'vertical' }}
           />
         </div>
 
         <div style={{ marginBottom: '1.5rem' }}>
-          <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+          <label style={labelStyle}>
             Tags
           </label>
           <input
@@ -157,13 +505,7 @@ const Upload = () => {
             value={formData.tags}
             onChange={handleInputChange}
             placeholder="Enter tags separated by commas (e.g., photo, vacation, family)"
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              border: '2px solid #e1e5e9',
-              borderRadius: '8px',
-              boxSizing: 'border-box'
-            }}
+            style={inputStyle}
           />
           <p style={{ marginTop: '0.5rem', fontSize: '0.875rem', color: '#666' }}>
             Separate tags with commas to help with searching
@@ -171,20 +513,14 @@ const Upload = () => {
         </div>
 
         <div style={{ marginBottom: '1.5rem' }}>
-          <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: 'bold' }}>
+          <label style={labelStyle}>
             Category
           </label>
           <select
             name="category"
             value={formData.category}
             onChange={handleInputChange}
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              border: '2px solid #e1e5e9',
-              borderRadius: '8px',
-              boxSizing: 'border-box'
-            }}
+            style={inputStyle}
           >
             <option value="personal">Personal</option>
             <option value="work">Work</option>
@@ -206,26 +542,26 @@ const Upload = () => {
                 fontSize: '0.9rem',
                 color: '#333',
                 cursor: 'pointer'
-            }}>Make this file public</span>
+            }}>Make these files public</span>
           </label>
         </div>
 
         <button
           type="submit"
-          disabled={uploading}
+          disabled={processing || queuedCount === 0}
           style={{
             width: '100%',
             padding: '1rem',
-            background: uploading ? '#ccc' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            background: processing || queuedCount === 0 ? '#ccc' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
             color: 'white',
             border: 'none',
             borderRadius: '8px',
             fontSize: '1.1rem',
             fontWeight: 'bold',
-            cursor: uploading ? 'not-allowed' : 'pointer'
+            cursor: processing || queuedCount === 0 ? 'not-allowed' : 'pointer'
           }}
         >
-          {uploading ? `Uploading... ${uploadProgress}%` : 'Upload File'}
+          {processing ? 'Uploading...' : `Upload ${queuedCount} file${queuedCount === 1 ? '' : 's'}`}
         </button>
       </form>
     </div>
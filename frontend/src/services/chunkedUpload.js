@@ -0,0 +1,59 @@
+import api from './api';
+
+// Files larger than this go through the resumable chunked upload API
+export const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024; // 10MB
+
+// A pending server-side session belongs to a file if name and size match
+export const findResumableSession = (file, sessions) =>
+  sessions.find(
+    (session) => session.originalName === file.name && session.size === file.size
+  );
+
+/**
+ * Upload a file in parts, resuming an existing session when one is given.
+ * Only parts the server has not acknowledged are sent. onProgress receives the
+ * bytes sent so far and the file size.
+ */
+export const uploadInChunks = async (file, metadata, { session, onProgress, signal } = {}) => {
+  let current = session;
+
+  if (!current) {
+    const response = await api.post('/files/uploads', {
+      fileName: file.name,
+      mimeType: file.type,
+      size: file.size,
+      ...metadata,
+    }, { signal });
+    current = response.data.data.session;
+  } else {
+    const response = await api.get(`/files/uploads/${current.id}`, { signal });
+    current = response.data.data.session;
+  }
+
+  const uploaded = new Set(current.uploadedParts);
+  let confirmedBytes = current.uploadedBytes;
+  const reportProgress = (inFlight = 0) => {
+    if (onProgress) {
+      onProgress(Math.min(file.size, confirmedBytes + inFlight), file.size);
+    }
+  };
+  reportProgress();
+
+  for (let partNumber = 1; partNumber <= current.totalParts; partNumber++) {
+    if (uploaded.has(partNumber)) continue;
+
+    const start = (partNumber - 1) * current.chunkSize;
+    const chunk = file.slice(start, Math.min(start + current.chunkSize, file.size));
+
+    await api.put(`/files/uploads/${current.id}/parts/${partNumber}`, chunk, {
+      headers: { 'Content-Type': 'application/octet-stream' },
+      onUploadProgress: (event) => reportProgress(event.loaded),
+      signal,
+    });
+    confirmedBytes += chunk.size;
+    reportProgress();
+  }
+
+  const response = await api.post(`/files/uploads/${current.id}/complete`, null, { signal });
+  return response.data.data;
+};
@@ -0,0 +1,73 @@
+import api, { API_BASE_URL } from './api';
+
+// Plain links and new tabs cannot send the Authorization header, so downloads
+// use a short-lived token that only works for the one file
+export const getDownloadUrl = async (fileId, { inline = false } = {}) => {
+  const response = await api.post(`/files/${fileId}/download-token`);
+  const params = new URLSearchParams({ token: response.data.data.token });
+  if (inline) params.set('inline', 'true');
+  return `${API_BASE_URL}/files/${fileId}/download?${params}`;
+};
+
+// Show a file in a new tab
+export const openFile = async (fileId) => {
+  // Opened before the request so the browser does not treat it as a popup
+  const tab = window.open('', '_blank');
+  try {
+    const url = await getDownloadUrl(fileId, { inline: true });
+    if (tab) {
+      tab.opener = null;
+      tab.location.href = url;
+    }
+  } catch (error) {
+    if (tab) tab.close();
+    throw error;
+  }
+};
+
+// Name of the hidden frame archive downloads are posted into; error responses
+// land there instead of replacing the app
+const ARCHIVE_FRAME = 'archive-download';
+
+// Download several files as one ZIP archive. The selection is one of
+// { ids }, { folder, includeSubfolders } or { savedSearch }. It is checked
+// first so access errors and size limits reach the caller, then posted as a
+// form with the returned token so the browser streams the archive to disk.
+export const downloadArchive = async (selection) => {
+  const response = await api.post('/files/archive/token', selection);
+  const { token, fileCount, totalSize } = response.data.data;
+
+  let frame = document.querySelector(`iframe[name="${ARCHIVE_FRAME}"]`);
+  if (!frame) {
+    frame = document.createElement('iframe');
+    frame.name = ARCHIVE_FRAME;
+    frame.style.display = 'none';
+    document.body.appendChild(frame);
+  }
+
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = `${API_BASE_URL}/files/archive`;
+  form.target = ARCHIVE_FRAME;
+  form.style.display = 'none';
+
+  const fields = {
+    ...selection,
+    ids: Array.isArray(selection.ids) ? selection.ids.join(',') : selection.ids,
+    token,
+  };
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = String(value);
+    form.appendChild(input);
+  });
+
+  document.body.appendChild(form);
+  form.submit();
+  form.remove();
+
+  return { fileCount, totalSize };
+};
@@ -0,0 +1,45 @@
+import api, { API_BASE_URL } from './api';
+
+// Wait before opening a new stream after the browser gave up on one
+const RECONNECT_DELAY_MS = 5000;
+
+// Follow the processing progress of the user's files. onEvent receives the data
+// of each "file" event ({ file, stage }). EventSource cannot send the
+// Authorization header, so the stream is opened with a short-lived token; the
+// browser retries dropped connections itself, and once it gives up (e.g. the
+// token expired) a new token is fetched. Returns a function that stops listening.
+export const subscribeToFileEvents = (onEvent) => {
+  let source = null;
+  let timer = null;
+  let stopped = false;
+
+  const reconnectLater = () => {
+    if (!stopped) timer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  const connect = async () => {
+    try {
+      const response = await api.post('/events/token');
+      if (stopped) return;
+
+      source = new EventSource(`${API_BASE_URL}/events?${new URLSearchParams({ token: response.data.data.token })}`);
+      source.addEventListener('file', (event) => onEvent(JSON.parse(event.data)));
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        source = null;
+        reconnectLater();
+      };
+    } catch (error) {
+      console.error('Failed to open file event stream:', error);
+      reconnectLater();
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (source) source.close();
+  };
+};
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { API_BASE_URL } from './api';
+
+// Public share links are served next to the API (/s/:token), not below /api
+export const SHARE_LINK_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+// Separate client: recipients may not be signed in, and a wrong link password
+// must not trigger the session-expired redirect of the main API client
+const publicApi = axios.create({
+  baseURL: `${SHARE_LINK_BASE_URL}/s`,
+});
+
+publicApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    // Lets the file owner open their own links without a password or using up downloads
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const getPublicLink = async (token, accessToken) => {
+  const response = await publicApi.get(`/${token}`, {
+    headers: accessToken ? { 'X-Share-Access': accessToken } : {},
+  });
+  return response.data.data.link;
+};
+
+export const unlockPublicLink = async (token, password) => {
+  const response = await publicApi.post(`/${token}/access`, { password });
+  return response.data.data.accessToken;
+};
+
+export const getPublicLinkContentUrl = (token, accessToken, { download = false } = {}) => {
+  const params = new URLSearchParams();
+  if (accessToken) params.set('access', accessToken);
+  if (download) params.set('download', 'true');
+  const query = params.toString();
+  return `${SHARE_LINK_BASE_URL}/s/${token}/content${query ? `?${query}` : ''}`;
+};
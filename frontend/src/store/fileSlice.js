@@ -1,15 +1,28 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import api from '../services/api';
+import { uploadInChunks } from '../services/chunkedUpload';
+import { quotaExceeded } from './quotaSlice';
+
+// Report the bytes an upload request has sent as progress of uploadId. With the size
+// of the file it carries, the request's own overhead (form fields) is left out
+const trackUploadProgress = (dispatch, uploadId, size) => (event) => {
+  if (!event.total) return;
+  const total = size || event.total;
+  dispatch(updateUploadProgress({
+    [uploadId]: { loaded: Math.round((event.loaded / event.total) * total), total },
+  }));
+};
 
 // Async thunks
 export const uploadFile = createAsyncThunk(
   'files/upload',
-  async (formData, { rejectWithValue }) => {
+  async (formData, { dispatch, requestId, rejectWithValue }) => {
     try {
       const response = await api.post('/files/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        onUploadProgress: trackUploadProgress(dispatch, requestId),
       });
       return response.data.data;
     } catch (error) {
@@ -18,6 +31,91 @@ export const uploadFile = createAsyncThunk(
   }
 );
 
+// uploadId identifies the upload in uploadProgress
+export const uploadFileChunked = createAsyncThunk(
+  'files/uploadChunked',
+  async ({ uploadId, file, metadata, session }, { dispatch, signal, rejectWithValue }) => {
+    try {
+      return await uploadInChunks(file, metadata, {
+        session,
+        signal,
+        onProgress: (loaded, total) => dispatch(updateUploadProgress({ [uploadId]: { loaded, total } })),
+      });
+    } catch (error) {
+      if (error.response?.status === 413) dispatch(quotaExceeded(error.response.data.message));
+      return rejectWithValue(error.response?.data?.message || error.message);
+    }
+  }
+);
+
+// Each entry's uploadId identifies it in uploadProgress
+export const uploadBatch = createAsyncThunk(
+  'files/uploadBatch',
+  async ({ entries, defaults }, { dispatch, signal, rejectWithValue }) => {
+    try {
+      const data = new FormData();
+      data.append('defaults', JSON.stringify(defaults));
+      data.append('items', JSON.stringify(entries.map((entry) => ({
+        relativePath: entry.relativePath,
+        ...entry.overrides,
+      }))));
+      entries.forEach((entry) => data.append('files', entry.file));
+
+      const response = await api.post('/files/batch', data, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        signal,
+        // Partial successes come back as 207; only a batch where nothing succeeded is an error
+        validateStatus: (status) => status < 300 || status === 400,
+        // One request carries every file; its progress is spread over the files in order
+        onUploadProgress: (event) => {
+          if (!event.total) return;
+          let remaining = (event.loaded / event.total) * entries.reduce((sum, entry) => sum + entry.file.size, 0);
+          const progress = {};
+          entries.forEach((entry) => {
+            const loaded = Math.min(entry.file.size, Math.max(0, remaining));
+            progress[entry.uploadId] = { loaded: Math.round(loaded), total: entry.file.size };
+            remaining -= entry.file.size;
+          });
+          dispatch(updateUploadProgress(progress));
+        },
+      });
+      const result = response.data.data || { results: [], summary: {} };
+      const overQuota = result.results.find((entry) => entry.quotaExceeded);
+      if (overQuota) dispatch(quotaExceeded(overQuota.error));
+      return result;
+    } catch (error) {
+      if (error.response?.status === 413) dispatch(quotaExceeded(error.response.data.message));
+      return rejectWithValue(error.response?.data?.message || error.message);
+    }
+  }
+);
+
+export const getPendingUploads = createAsyncThunk(
+  'files/getPendingUploads',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/files/uploads');
+      return response.data.data.sessions;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const abortPendingUpload = createAsyncThunk(
+  'files/abortPendingUpload',
+  async (sessionId, { rejectWithValue }) => {
+    try {
+      await api.delete(`/files/uploads/${sessionId}`);
+      return sessionId;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
 export const getUserFiles = createAsyncThunk(
   'files/getUserFiles',
   async (params = {}, { rejectWithValue }) => {
@@ -42,6 +140,111 @@ export const searchFiles = createAsyncThunk(
   }
 );
 
+export const fetchSearchSuggestions = createAsyncThunk(
+  'files/searchSuggestions',
+  async (query, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/files/search/suggest', { params: { q: query } });
+      return response.data.data.suggestions;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+export const getSimilarFiles = createAsyncThunk(
+  'files/getSimilarFiles',
+  async ({ fileId, maxDistance }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/files/${fileId}/similar`, { params: { maxDistance } });
+      return response.data.data.files;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+export const getDuplicateReport = createAsyncThunk(
+  'files/getDuplicateReport',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/files/duplicates', { params });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getFileVersions = createAsyncThunk(
+  'files/getFileVersions',
+  async (fileId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/files/${fileId}/versions`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+export const uploadFileVersion = createAsyncThunk(
+  'files/uploadFileVersion',
+  async ({ fileId, file, comment }, { dispatch, rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (comment) formData.append('comment', comment);
+
+      const response = await api.post(`/files/${fileId}/versions`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: trackUploadProgress(dispatch, fileId, file.size),
+      });
+      return response.data.data.file;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+export const getVersionDiff = createAsyncThunk(
+  'files/getVersionDiff',
+  async ({ fileId, versionNumber, against }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/files/${fileId}/versions/${versionNumber}/diff`, { params: { against } });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+export const restoreFileVersion = createAsyncThunk(
+  'files/restoreFileVersion',
+  async ({ fileId, versionNumber, restoreMetadata }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/files/${fileId}/versions/${versionNumber}/restore`, { restoreMetadata });
+      return response.data.data.file;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+export const deleteFileVersion = createAsyncThunk(
+  'files/deleteFileVersion',
+  async ({ fileId, versionNumber }, { rejectWithValue }) => {
+    try {
+      await api.delete(`/files/${fileId}/versions/${versionNumber}`);
+      return versionNumber;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
 export const deleteFile = createAsyncThunk(
   'files/delete',
   async (fileId, { rejectWithValue }) => {
@@ -54,6 +257,54 @@ export const deleteFile = createAsyncThunk(
   }
 );
 
+export const moveFiles = createAsyncThunk(
+  'files/moveFiles',
+  async ({ fileIds, folderId }, { rejectWithValue }) => {
+    try {
+      await api.post('/files/move', { fileIds, folderId });
+      return { fileIds, folderId };
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const copyFiles = createAsyncThunk(
+  'files/copyFiles',
+  async ({ fileIds, folderId }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/files/copy', { fileIds, folderId });
+      return response.data.data.files;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const startBulkOperation = createAsyncThunk(
+  'files/startBulkOperation',
+  async (operation, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/files/bulk', operation);
+      return response.data.data.operation;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getBulkOperation = createAsyncThunk(
+  'files/getBulkOperation',
+  async (operationId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/files/bulk/${operationId}`);
+      return response.data.data.operation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
 export const incrementViewCount = createAsyncThunk(
   'files/incrementViewCount',
   async (fileId, { rejectWithValue }) => {
@@ -69,7 +320,29 @@ export const incrementViewCount = createAsyncThunk(
 const initialState = {
   files: [],
   searchResults: [],
-  uploadProgress: 0,
+  searchPagination: null,
+  searchId: null,
+  didYouMean: null,
+  searchFacets: null,
+  searchSuggestions: [],
+  suggestionsQuery: '',
+  pendingUploads: [],
+  similarFiles: [],
+  similarFilesFor: null,
+  similarError: null,
+  duplicateReport: null,
+  duplicatesLoading: false,
+  duplicatesError: null,
+  versions: [],
+  versionsFor: null,
+  versionRetention: null,
+  versionDiff: null,
+  versionsError: null,
+  bulkOperation: null,
+  bulkError: null,
+  // Bytes sent so far ({ loaded, total }) by each upload in progress, by upload ID:
+  // the Upload page's queue item IDs, or the file ID for new versions
+  uploadProgress: {},
   loading: false,
   uploading: false,
   error: null,
@@ -81,6 +354,20 @@ const initialState = {
   },
 };
 
+// Forget the progress of uploads that finished or failed
+const clearUploadProgress = (state, uploadIds) => {
+  uploadIds.forEach((uploadId) => {
+    delete state.uploadProgress[uploadId];
+  });
+};
+
+// Merge an updated file into the file list and search results
+const replaceFile = (state, updated) => {
+  state.files = state.files.map(file => (file._id === updated._id ? { ...file, ...updated } : file));
+  state.searchResults = state.searchResults.map(file => (file._id === updated._id ? { ...file, ...updated } : file));
+  state.versionDiff = null;
+};
+
 const fileSlice = createSlice({
   name: 'files',
   initialState,
@@ -88,11 +375,42 @@ const fileSlice = createSlice({
     clearError: (state) => {
       state.error = null;
     },
+    clearSearchSuggestions: (state) => {
+      state.searchSuggestions = [];
+      state.suggestionsQuery = '';
+    },
     clearSearchResults: (state) => {
       state.searchResults = [];
+      state.searchPagination = null;
+      state.searchId = null;
+      state.didYouMean = null;
+      state.searchFacets = null;
+    },
+    clearSimilarFiles: (state) => {
+      state.similarFiles = [];
+      state.similarFilesFor = null;
+      state.similarError = null;
+    },
+    clearFileVersions: (state) => {
+      state.versions = [];
+      state.versionsFor = null;
+      state.versionRetention = null;
+      state.versionDiff = null;
+      state.versionsError = null;
+    },
+    clearBulkOperation: (state) => {
+      state.bulkOperation = null;
+      state.bulkError = null;
     },
     updateUploadProgress: (state, action) => {
-      state.uploadProgress = action.payload;
+      Object.assign(state.uploadProgress, action.payload);
+    },
+    // A "file" event from the live event stream: merge the file's new processing state
+    fileProcessingUpdated: (state, action) => {
+      const { file: updated, stage } = action.payload;
+      const merge = (file) => (file._id === updated._id ? { ...file, ...updated, processingStage: stage } : file);
+      state.files = state.files.map(merge);
+      state.searchResults = state.searchResults.map(merge);
     },
   },
   extraReducers: (builder) => {
@@ -105,12 +423,54 @@ const fileSlice = createSlice({
       .addCase(uploadFile.fulfilled, (state, action) => {
         state.uploading = false;
         state.files.unshift(action.payload.file);
-        state.uploadProgress = 0;
+        clearUploadProgress(state, [action.meta.requestId]);
       })
       .addCase(uploadFile.rejected, (state, action) => {
         state.uploading = false;
         state.error = action.payload;
-        state.uploadProgress = 0;
+        clearUploadProgress(state, [action.meta.requestId]);
+      })
+      // Chunked Upload
+      .addCase(uploadFileChunked.pending, (state) => {
+        state.uploading = true;
+        state.error = null;
+      })
+      .addCase(uploadFileChunked.fulfilled, (state, action) => {
+        state.uploading = false;
+        state.files.unshift(action.payload.file);
+        state.pendingUploads = state.pendingUploads.filter(
+          (session) => session.originalName !== action.payload.file.originalName
+        );
+        clearUploadProgress(state, [action.meta.arg.uploadId]);
+      })
+      .addCase(uploadFileChunked.rejected, (state, action) => {
+        state.uploading = false;
+        if (!action.meta.aborted) state.error = action.payload;
+        clearUploadProgress(state, [action.meta.arg.uploadId]);
+      })
+      // Batch Upload
+      .addCase(uploadBatch.pending, (state) => {
+        state.uploading = true;
+        state.error = null;
+      })
+      .addCase(uploadBatch.fulfilled, (state, action) => {
+        state.uploading = false;
+        clearUploadProgress(state, action.meta.arg.entries.map((entry) => entry.uploadId));
+        (action.payload.results || [])
+          .filter((result) => result.success)
+          .forEach((result) => state.files.unshift(result.file));
+      })
+      .addCase(uploadBatch.rejected, (state, action) => {
+        state.uploading = false;
+        clearUploadProgress(state, action.meta.arg.entries.map((entry) => entry.uploadId));
+        if (!action.meta.aborted) state.error = action.payload;
+      })
+      // Pending Uploads
+      .addCase(getPendingUploads.fulfilled, (state, action) => {
+        state.pendingUploads = action.payload;
+      })
+      .addCase(abortPendingUpload.fulfilled, (state, action) => {
+        state.pendingUploads = state.pendingUploads.filter((session) => session.id !== action.payload);
       })
       // Get User Files
       .addCase(getUserFiles.pending, (state) => {
@@ -134,15 +494,145 @@ const fileSlice = createSlice({
       .addCase(searchFiles.fulfilled, (state, action) => {
         state.loading = false;
         state.searchResults = action.payload.files;
+        state.searchPagination = action.payload.pagination;
+        state.searchId = action.payload.searchId || null;
+        state.didYouMean = action.payload.didYouMean || null;
+        // Facets only come with the first page; keep them while paging
+        if (action.payload.facets || action.payload.pagination?.currentPage === 1) {
+          state.searchFacets = action.payload.facets || null;
+        }
       })
       .addCase(searchFiles.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+        state.searchResults = [];
+        state.searchPagination = null;
+        state.searchId = null;
+        state.didYouMean = null;
+        state.searchFacets = null;
+      })
+      // Search Suggestions (responses for outdated input are ignored)
+      .addCase(fetchSearchSuggestions.pending, (state, action) => {
+        state.suggestionsQuery = action.meta.arg;
+      })
+      .addCase(fetchSearchSuggestions.fulfilled, (state, action) => {
+        if (action.meta.arg === state.suggestionsQuery) {
+          state.searchSuggestions = action.payload;
+        }
+      })
+      .addCase(fetchSearchSuggestions.rejected, (state, action) => {
+        if (action.meta.arg === state.suggestionsQuery) {
+          state.searchSuggestions = [];
+        }
+      })
+      // Similar Images (responses for a previously opened file are ignored)
+      .addCase(getSimilarFiles.pending, (state, action) => {
+        state.similarFilesFor = action.meta.arg.fileId;
+        state.similarFiles = [];
+        state.similarError = null;
+      })
+      .addCase(getSimilarFiles.fulfilled, (state, action) => {
+        if (action.meta.arg.fileId === state.similarFilesFor) {
+          state.similarFiles = action.payload;
+        }
+      })
+      .addCase(getSimilarFiles.rejected, (state, action) => {
+        if (action.meta.arg.fileId === state.similarFilesFor) {
+          state.similarError = action.payload;
+        }
+      })
+      // Duplicate Report
+      .addCase(getDuplicateReport.pending, (state) => {
+        state.duplicatesLoading = true;
+        state.duplicatesError = null;
+      })
+      .addCase(getDuplicateReport.fulfilled, (state, action) => {
+        state.duplicatesLoading = false;
+        state.duplicateReport = action.payload;
+      })
+      .addCase(getDuplicateReport.rejected, (state, action) => {
+        state.duplicatesLoading = false;
+        state.duplicatesError = action.payload;
+      })
+      // Bulk Operations (polled until they finish)
+      .addCase(startBulkOperation.pending, (state) => {
+        state.bulkError = null;
+      })
+      .addCase(startBulkOperation.fulfilled, (state, action) => {
+        state.bulkOperation = action.payload;
+      })
+      .addCase(startBulkOperation.rejected, (state, action) => {
+        state.bulkError = action.payload;
+      })
+      .addCase(getBulkOperation.fulfilled, (state, action) => {
+        state.bulkOperation = action.payload;
+      })
+      .addCase(getBulkOperation.rejected, (state, action) => {
+        state.bulkOperation = null;
+        state.bulkError = action.payload || 'Lost track of the bulk operation';
+      })
+      // File Versions (responses for a previously opened file are ignored)
+      .addCase(getFileVersions.pending, (state, action) => {
+        if (action.meta.arg !== state.versionsFor) {
+          state.versions = [];
+          state.versionDiff = null;
+        }
+        state.versionsFor = action.meta.arg;
+        state.versionsError = null;
+      })
+      .addCase(getFileVersions.fulfilled, (state, action) => {
+        if (action.meta.arg === state.versionsFor) {
+          state.versions = action.payload.versions;
+          state.versionRetention = action.payload.retention;
+        }
+      })
+      .addCase(getFileVersions.rejected, (state, action) => {
+        if (action.meta.arg === state.versionsFor) {
+          state.versionsError = action.payload;
+        }
+      })
+      .addCase(getVersionDiff.fulfilled, (state, action) => {
+        state.versionDiff = action.payload;
+      })
+      .addCase(getVersionDiff.rejected, (state, action) => {
+        state.versionsError = action.payload;
+      })
+      .addCase(deleteFileVersion.fulfilled, (state, action) => {
+        state.versions = state.versions.filter(version => version.versionNumber !== action.payload);
+        state.versionDiff = null;
+      })
+      .addCase(deleteFileVersion.rejected, (state, action) => {
+        state.versionsError = action.payload;
+      })
+      // Uploading or restoring a version replaces the file's content
+      .addCase(uploadFileVersion.fulfilled, (state, action) => {
+        replaceFile(state, action.payload);
+        clearUploadProgress(state, [action.meta.arg.fileId]);
+      })
+      .addCase(uploadFileVersion.rejected, (state, action) => {
+        state.versionsError = action.payload;
+        clearUploadProgress(state, [action.meta.arg.fileId]);
+      })
+      .addCase(restoreFileVersion.fulfilled, (state, action) => {
+        replaceFile(state, action.payload);
+      })
+      .addCase(restoreFileVersion.rejected, (state, action) => {
+        state.versionsError = action.payload;
       })
       // Delete File
       .addCase(deleteFile.fulfilled, (state, action) => {
         state.files = state.files.filter(file => file._id !== action.payload);
         state.searchResults = state.searchResults.filter(file => file._id !== action.payload);
+        state.similarFiles = state.similarFiles.filter(file => file._id !== action.payload);
+        // Groups left with a single file are no longer duplicates
+        if (state.duplicateReport) {
+          state.duplicateReport.groups = state.duplicateReport.groups
+            .map((group) => {
+              const files = group.files.filter(file => file._id !== action.payload);
+              return { files, reclaimableBytes: files.slice(1).reduce((total, file) => total + (file.size || 0), 0) };
+            })
+            .filter((group) => group.files.length > 1);
+        }
       })
       // Increment View Count
       .addCase(incrementViewCount.fulfilled, (state, action) => {
@@ -166,5 +656,5 @@ const fileSlice = createSlice({
   },
 });
 
-export const { clearError, clearSearchResults, updateUploadProgress } = fileSlice.actions;
+export const { clearError, clearSearchResults, clearSearchSuggestions, clearSimilarFiles, clearFileVersions, clearBulkOperation, updateUploadProgress, fileProcessingUpdated } = fileSlice.actions;
 export default fileSlice.reducer;
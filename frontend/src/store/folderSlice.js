@@ -0,0 +1,173 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../services/api';
+
+// Async thunks
+export const getFolders = createAsyncThunk(
+  'folders/getFolders',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/folders');
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const createFolder = createAsyncThunk(
+  'folders/createFolder',
+  async ({ name, parent }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post('/folders', { name, parent });
+      dispatch(getFolders());
+      return response.data.data.folder;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const updateFolder = createAsyncThunk(
+  'folders/updateFolder',
+  async ({ id, ...updates }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.put(`/folders/${id}`, updates);
+      dispatch(getFolders());
+      return response.data.data.folder;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const deleteFolder = createAsyncThunk(
+  'folders/deleteFolder',
+  async ({ id, force = false }, { dispatch, rejectWithValue }) => {
+    try {
+      await api.delete(`/folders/${id}`, { params: { force } });
+      dispatch(getFolders());
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getCollections = createAsyncThunk(
+  'folders/getCollections',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/collections');
+      return response.data.data.collections;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const createCollection = createAsyncThunk(
+  'folders/createCollection',
+  async ({ name, description }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/collections', { name, description });
+      return { ...response.data.data.collection, fileCount: 0 };
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const deleteCollection = createAsyncThunk(
+  'folders/deleteCollection',
+  async (id, { rejectWithValue }) => {
+    try {
+      await api.delete(`/collections/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const addFilesToCollection = createAsyncThunk(
+  'folders/addFilesToCollection',
+  async ({ id, fileIds }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post(`/collections/${id}/files`, { fileIds });
+      dispatch(getCollections());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const removeFilesFromCollection = createAsyncThunk(
+  'folders/removeFilesFromCollection',
+  async ({ id, fileIds }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/collections/${id}/files`, { data: { fileIds } });
+      dispatch(getCollections());
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+const initialState = {
+  tree: [],
+  rootFileCount: 0,
+  collections: [],
+  loading: false,
+  error: null,
+};
+
+const folderSlice = createSlice({
+  name: 'folders',
+  initialState,
+  reducers: {
+    clearFolderError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Get Folders
+      .addCase(getFolders.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(getFolders.fulfilled, (state, action) => {
+        state.loading = false;
+        state.tree = action.payload.folders;
+        state.rootFileCount = action.payload.rootFileCount;
+      })
+      .addCase(getFolders.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(createFolder.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateFolder.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Collections
+      .addCase(getCollections.fulfilled, (state, action) => {
+        state.collections = action.payload;
+      })
+      .addCase(createCollection.fulfilled, (state, action) => {
+        state.collections.push(action.payload);
+        state.collections.sort((a, b) => a.name.localeCompare(b.name));
+      })
+      .addCase(createCollection.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteCollection.fulfilled, (state, action) => {
+        state.collections = state.collections.filter((collection) => collection._id !== action.payload);
+      });
+  },
+});
+
+export const { clearFolderError } = folderSlice.actions;
+export default folderSlice.reducer;
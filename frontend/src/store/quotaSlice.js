@@ -0,0 +1,45 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../services/api';
+import { logout } from './authSlice';
+
+// Async thunks
+export const getQuota = createAsyncThunk(
+  'quota/getQuota',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/auth/quota');
+      return response.data.data.quota;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+const initialState = {
+  quota: null,
+  // Last upload rejected for exceeding the quota (413)
+  quotaError: null,
+};
+
+const quotaSlice = createSlice({
+  name: 'quota',
+  initialState,
+  reducers: {
+    quotaExceeded: (state, action) => {
+      state.quotaError = action.payload;
+    },
+    clearQuotaError: (state) => {
+      state.quotaError = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getQuota.fulfilled, (state, action) => {
+        state.quota = action.payload;
+      })
+      .addCase(logout, () => initialState);
+  },
+});
+
+export const { quotaExceeded, clearQuotaError } = quotaSlice.actions;
+export default quotaSlice.reducer;
@@ -0,0 +1,129 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../services/api';
+
+// Async thunks
+export const getSavedSearches = createAsyncThunk(
+  'savedSearches/getSavedSearches',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/saved-searches');
+      return response.data.data.savedSearches;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const createSavedSearch = createAsyncThunk(
+  'savedSearches/createSavedSearch',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/saved-searches', data);
+      return response.data.data.savedSearch;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const updateSavedSearch = createAsyncThunk(
+  'savedSearches/updateSavedSearch',
+  async ({ id, ...updates }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/saved-searches/${id}`, updates);
+      return response.data.data.savedSearch;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const deleteSavedSearch = createAsyncThunk(
+  'savedSearches/deleteSavedSearch',
+  async (id, { rejectWithValue }) => {
+    try {
+      await api.delete(`/saved-searches/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getSavedSearchFiles = createAsyncThunk(
+  'savedSearches/getSavedSearchFiles',
+  async ({ id, ...params }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/saved-searches/${id}/files`, { params });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+// Listings sort pinned searches first, then by name
+const sortSavedSearches = (savedSearches) =>
+  savedSearches.sort((a, b) => Number(b.pinned) - Number(a.pinned) || a.name.localeCompare(b.name));
+
+const initialState = {
+  savedSearches: [],
+  files: [],
+  pagination: null,
+  loading: false,
+  error: null,
+};
+
+const savedSearchSlice = createSlice({
+  name: 'savedSearches',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(getSavedSearches.fulfilled, (state, action) => {
+        state.savedSearches = action.payload;
+      })
+      .addCase(createSavedSearch.fulfilled, (state, action) => {
+        state.savedSearches.push({ ...action.payload, newMatchCount: action.payload.notify ? 0 : null });
+        sortSavedSearches(state.savedSearches);
+      })
+      .addCase(updateSavedSearch.fulfilled, (state, action) => {
+        const index = state.savedSearches.findIndex((search) => search._id === action.payload._id);
+        if (index !== -1) {
+          const { newMatchCount } = state.savedSearches[index];
+          state.savedSearches[index] = {
+            ...action.payload,
+            newMatchCount: action.payload.notify ? newMatchCount ?? 0 : null,
+          };
+          sortSavedSearches(state.savedSearches);
+        }
+      })
+      .addCase(deleteSavedSearch.fulfilled, (state, action) => {
+        state.savedSearches = state.savedSearches.filter((search) => search._id !== action.payload);
+      })
+      .addCase(getSavedSearchFiles.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getSavedSearchFiles.fulfilled, (state, action) => {
+        const { savedSearch, files, pagination } = action.payload;
+        state.loading = false;
+        state.files = files;
+        state.pagination = pagination;
+
+        // Opening the first page marks the new matches as seen
+        const entry = state.savedSearches.find((search) => search._id === savedSearch._id);
+        if (entry && pagination.currentPage === 1 && entry.notify) {
+          entry.newMatchCount = 0;
+        }
+      })
+      .addCase(getSavedSearchFiles.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+        state.files = [];
+        state.pagination = null;
+      });
+  },
+});
+
+export default savedSearchSlice.reducer;
@@ -0,0 +1,63 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../services/api';
+
+// Async thunks
+export const getSearchAnalytics = createAsyncThunk(
+  'searchAnalytics/getSearchAnalytics',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/search/analytics', { params });
+      return response.data.data.analytics;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const recordSearchClick = createAsyncThunk(
+  'searchAnalytics/recordSearchClick',
+  async ({ searchId, fileId, position }, { rejectWithValue }) => {
+    try {
+      await api.post(`/search/${searchId}/clicks`, { fileId, position });
+      return { searchId, fileId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message);
+    }
+  }
+);
+
+const initialState = {
+  analytics: null,
+  loading: false,
+  error: null,
+};
+
+const searchAnalyticsSlice = createSlice({
+  name: 'searchAnalytics',
+  initialState,
+  reducers: {
+    clearSearchAnalytics: (state) => {
+      state.analytics = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getSearchAnalytics.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getSearchAnalytics.fulfilled, (state, action) => {
+        state.loading = false;
+        state.analytics = action.payload;
+      })
+      .addCase(getSearchAnalytics.rejected, (state, action) => {
+        state.loading = false;
+        state.analytics = null;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearSearchAnalytics } = searchAnalyticsSlice.actions;
+export default searchAnalyticsSlice.reducer;
@@ -0,0 +1,316 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../services/api';
+
+// Share endpoints live under the resource: /files/:id/shares or /folders/:id/shares
+const sharesPath = (resourceType, id) => `/${resourceType === 'Folder' ? 'folders' : 'files'}/${id}/shares`;
+
+// Async thunks
+export const getSharedWithMe = createAsyncThunk(
+  'sharing/getSharedWithMe',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/files/shared', { params });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getSharedFolder = createAsyncThunk(
+  'sharing/getSharedFolder',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/folders/${id}`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getShares = createAsyncThunk(
+  'sharing/getShares',
+  async ({ resourceType, id }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(sharesPath(resourceType, id));
+      return response.data.data.shares;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const addShare = createAsyncThunk(
+  'sharing/addShare',
+  async ({ resourceType, id, ...grant }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(sharesPath(resourceType, id), grant);
+      return response.data.data.share;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const removeShare = createAsyncThunk(
+  'sharing/removeShare',
+  async ({ resourceType, id, shareId }, { rejectWithValue }) => {
+    try {
+      await api.delete(`${sharesPath(resourceType, id)}/${shareId}`);
+      return shareId;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getShareLinks = createAsyncThunk(
+  'sharing/getShareLinks',
+  async (fileId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/files/${fileId}/links`);
+      return response.data.data.links;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const createShareLink = createAsyncThunk(
+  'sharing/createShareLink',
+  async ({ fileId, ...options }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/files/${fileId}/links`, options);
+      return response.data.data.link;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const revokeShareLink = createAsyncThunk(
+  'sharing/revokeShareLink',
+  async ({ fileId, linkId }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/files/${fileId}/links/${linkId}`);
+      return response.data.data.link;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const getGroups = createAsyncThunk(
+  'sharing/getGroups',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/groups');
+      return response.data.data.groups;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const createGroup = createAsyncThunk(
+  'sharing/createGroup',
+  async ({ name, members }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/groups', { name, members });
+      return response.data.data.group;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const deleteGroup = createAsyncThunk(
+  'sharing/deleteGroup',
+  async (id, { rejectWithValue }) => {
+    try {
+      await api.delete(`/groups/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const addGroupMember = createAsyncThunk(
+  'sharing/addGroupMember',
+  async ({ id, email }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/groups/${id}/members`, { email });
+      return response.data.data.group;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const removeGroupMember = createAsyncThunk(
+  'sharing/removeGroupMember',
+  async ({ id, memberId, leaving = false }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/groups/${id}/members/${memberId}`);
+      return { id, group: response.data.data.group, leaving };
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+const initialState = {
+  sharedFolders: [],
+  sharedFiles: [],
+  pagination: null,
+  currentFolder: null,
+  shares: [],
+  links: [],
+  linksError: null,
+  groups: [],
+  loading: false,
+  error: null,
+};
+
+const replaceGroup = (state, group) => {
+  state.groups = state.groups.map((existing) => (existing._id === group._id ? group : existing));
+};
+
+const sharingSlice = createSlice({
+  name: 'sharing',
+  initialState,
+  reducers: {
+    clearSharingError: (state) => {
+      state.error = null;
+    },
+    clearShares: (state) => {
+      state.shares = [];
+    },
+    clearShareLinks: (state) => {
+      state.links = [];
+      state.linksError = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Shared with me
+      .addCase(getSharedWithMe.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getSharedWithMe.fulfilled, (state, action) => {
+        state.loading = false;
+        state.sharedFolders = action.payload.folders;
+        state.sharedFiles = action.payload.files;
+        state.pagination = action.payload.pagination;
+      })
+      .addCase(getSharedWithMe.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Browsing a folder shared with the user
+      .addCase(getSharedFolder.pending, (state) => {
+        state.currentFolder = null;
+      })
+      .addCase(getSharedFolder.fulfilled, (state, action) => {
+        state.currentFolder = action.payload;
+      })
+      .addCase(getSharedFolder.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Shares on a file or folder
+      .addCase(getShares.pending, (state) => {
+        state.shares = [];
+        state.error = null;
+      })
+      .addCase(getShares.fulfilled, (state, action) => {
+        state.shares = action.payload;
+      })
+      .addCase(getShares.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(addShare.fulfilled, (state, action) => {
+        state.error = null;
+        state.shares = [
+          ...state.shares.filter((share) => share.id !== action.payload.id),
+          action.payload,
+        ];
+      })
+      .addCase(addShare.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeShare.fulfilled, (state, action) => {
+        state.shares = state.shares.filter((share) => share.id !== action.payload);
+      })
+      .addCase(removeShare.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Public share links of a file
+      .addCase(getShareLinks.pending, (state) => {
+        state.links = [];
+        state.linksError = null;
+      })
+      .addCase(getShareLinks.fulfilled, (state, action) => {
+        state.links = action.payload;
+      })
+      .addCase(getShareLinks.rejected, (state, action) => {
+        state.linksError = action.payload;
+      })
+      .addCase(createShareLink.fulfilled, (state, action) => {
+        state.linksError = null;
+        state.links.unshift(action.payload);
+      })
+      .addCase(createShareLink.rejected, (state, action) => {
+        state.linksError = action.payload;
+      })
+      .addCase(revokeShareLink.fulfilled, (state, action) => {
+        state.links = state.links.map((link) => (link.id === action.payload.id ? action.payload : link));
+      })
+      .addCase(revokeShareLink.rejected, (state, action) => {
+        state.linksError = action.payload;
+      })
+      // Groups
+      .addCase(getGroups.fulfilled, (state, action) => {
+        state.groups = action.payload;
+      })
+      .addCase(getGroups.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(createGroup.fulfilled, (state, action) => {
+        state.error = null;
+        state.groups.push(action.payload);
+        state.groups.sort((a, b) => a.name.localeCompare(b.name));
+      })
+      .addCase(createGroup.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteGroup.fulfilled, (state, action) => {
+        state.groups = state.groups.filter((group) => group._id !== action.payload);
+      })
+      .addCase(deleteGroup.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(addGroupMember.fulfilled, (state, action) => {
+        state.error = null;
+        replaceGroup(state, action.payload);
+      })
+      .addCase(addGroupMember.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeGroupMember.fulfilled, (state, action) => {
+        if (action.payload.leaving) {
+          state.groups = state.groups.filter((group) => group._id !== action.payload.id);
+        } else {
+          replaceGroup(state, action.payload.group);
+        }
+      })
+      .addCase(removeGroupMember.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearSharingError, clearShares, clearShareLinks } = sharingSlice.actions;
+export default sharingSlice.reducer;
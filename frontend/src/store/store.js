@@ -1,11 +1,23 @@
 import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './authSlice';
 import fileReducer from './fileSlice';
+import folderReducer from './folderSlice';
+import sharingReducer from './sharingSlice';
+import searchAnalyticsReducer from './searchAnalyticsSlice';
+import savedSearchReducer from './savedSearchSlice';
+import trashReducer from './trashSlice';
+import quotaReducer from './quotaSlice';
 
 export const store = configureStore({
   reducer: {
     auth: authReducer,
     files: fileReducer,
+    folders: folderReducer,
+    sharing: sharingReducer,
+    searchAnalytics: searchAnalyticsReducer,
+    savedSearches: savedSearchReducer,
+    trash: trashReducer,
+    quota: quotaReducer,
   },
 });
 
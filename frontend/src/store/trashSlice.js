@@ -0,0 +1,125 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../services/api';
+
+// Async thunks
+export const getTrash = createAsyncThunk(
+  'trash/getTrash',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/trash', { params });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const restoreFile = createAsyncThunk(
+  'trash/restoreFile',
+  async (fileId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/trash/${fileId}/restore`);
+      return { fileId, message: response.data.message };
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const deleteFileForever = createAsyncThunk(
+  'trash/deleteFileForever',
+  async (fileId, { rejectWithValue }) => {
+    try {
+      await api.delete(`/trash/${fileId}`);
+      return fileId;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+export const emptyTrash = createAsyncThunk(
+  'trash/emptyTrash',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.delete('/trash');
+      return response.data.data.deletedCount;
+    } catch (error) {
+      return rejectWithValue(error.response.data.message);
+    }
+  }
+);
+
+// Restored and deleted files leave the list and the totals
+const removeFromTrash = (state, fileId) => {
+  const file = state.files.find((item) => item._id === fileId);
+  if (!file) return;
+
+  state.files = state.files.filter((item) => item._id !== fileId);
+  state.totalSize = Math.max(0, state.totalSize - (file.size || 0));
+  if (state.pagination) state.pagination.totalFiles = Math.max(0, state.pagination.totalFiles - 1);
+};
+
+const initialState = {
+  files: [],
+  totalSize: 0,
+  retentionDays: null,
+  pagination: null,
+  loading: false,
+  error: null,
+  notice: null,
+};
+
+const trashSlice = createSlice({
+  name: 'trash',
+  initialState,
+  reducers: {
+    clearTrashNotice: (state) => {
+      state.notice = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getTrash.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getTrash.fulfilled, (state, action) => {
+        state.loading = false;
+        state.files = action.payload.files;
+        state.totalSize = action.payload.totalSize;
+        state.retentionDays = action.payload.retentionDays;
+        state.pagination = action.payload.pagination;
+      })
+      .addCase(getTrash.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(restoreFile.fulfilled, (state, action) => {
+        removeFromTrash(state, action.payload.fileId);
+        state.notice = action.payload.message;
+      })
+      .addCase(restoreFile.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteFileForever.fulfilled, (state, action) => {
+        removeFromTrash(state, action.payload);
+      })
+      .addCase(deleteFileForever.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(emptyTrash.fulfilled, (state, action) => {
+        state.files = [];
+        state.totalSize = 0;
+        state.pagination = null;
+        state.notice = `${action.payload} file(s) permanently deleted`;
+      })
+      .addCase(emptyTrash.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearTrashNotice } = trashSlice.actions;
+export default trashSlice.reducer;